@@ -8,12 +8,21 @@ const TravelApp = (function() {
   const state = {
     departure: null,
     destination: null,
+    stops: [],
     departureDate: null,
     duration: 3,
     preferences: [],
     routes: [],
     selectedRoute: null,
     places: [],
+    visitList: [],
+    itinerary: [],
+    dailyHours: ItineraryModule.DEFAULT_DAILY_HOURS,
+    costLevels: { accommodation: 'standard', food: 'standard' },
+    vehicleClass: 'car',
+    budget: null,
+    group: SplitModule.createGroup(),
+    expenses: [],
     costs: null
   };
 
@@ -27,37 +36,107 @@ const TravelApp = (function() {
     preferenceInputs: null,
     departureList: null,
     destinationList: null,
+    stopsList: null,
+    addStopBtn: null,
     loadingOverlay: null,
     routesContainer: null,
+    directionsPanel: null,
     costContainer: null,
     placesContainer: null,
+    itineraryContainer: null,
+    dailyHoursInput: null,
+    costLevelInputs: null,
+    vehicleClassSelect: null,
+    budgetTiers: null,
+    budgetInput: null,
+    budgetPanel: null,
+    displayCurrencySelect: null,
     shareContainer: null,
-    historyList: null,
     navToggle: null,
     navMenu: null
   };
 
+  // Incremented on every URL-driven load so stale geocoding results are dropped
+  let urlLoadId = 0;
+
+  // Intermediate stops (departure + 6 stops + destination = 8 stops max)
+  const MAX_STOPS = 6;
+  let draggedStopIndex = null;
+
+  // Before/after distances of the last visit order optimization
+  let lastOptimization = null;
+
+  // Changes made by the last automatic budget fit
+  let lastBudgetFit = null;
+
   /**
    * Initialize application
    */
   function init() {
     console.log('Initializing Travel App...');
 
+    // Apply saved API keys and endpoints before anything calls a service
+    // (new exchange rates and prices change the costs on screen)
+    SettingsModule.init({
+      onSave: recalculateCosts
+    });
+
+    // Service worker, offline indicator and map download dialog
+    OfflineModule.init();
+
     // Get DOM elements
     getDOMElements();
 
     // Setup event listeners
     setupEventListeners();
 
-    // Load from URL parameters
-    loadFromURL();
+    // Saved trips library (moves the old recent-search history on first run)
+    TripsModule.init({
+      onOpen: openSavedTrip,
+      getSnapshot: getTripSnapshot
+    });
+
+    // Shared editing sessions through the collaboration relay
+    CollabModule.init({
+      getFields: getCollabFields,
+      onChange: applyCollabChanges
+    });
 
-    // Load history
-    loadHistory();
+    // Per-person costs for the people travelling together
+    SplitModule.init({
+      onChange: group => {
+        state.group = group;
+        CollabModule.publish('group', group);
+        renderExpenses();
+      }
+    });
+
+    // Actual spending logged during the trip
+    ExpenseModule.init({
+      onChange: expenses => {
+        state.expenses = expenses;
+        renderExpenses();
+        TripsModule.saveExpenses(expenses).then(saved => {
+          // The ledger of an unsaved trip only lives on screen: offer to save with the first entry
+          if (!saved && expenses.length === 1) {
+            if (confirm('저장하지 않은 여행의 지출 기록은 새로고침하면 사라집니다. 지금 여행을 저장할까요?')) {
+              TripsModule.openSaveDialog();
+            } else {
+              showInfoMessage('여행을 저장해야 지출 기록이 남습니다.');
+            }
+          }
+        }).catch(error => {
+          console.warn('⚠️ Expenses not saved:', error);
+        });
+      }
+    });
 
-    // Set default date
+    // Set default date (before URL parameters so a shared date wins)
     setDefaultDate();
 
+    // Load from URL parameters
+    loadFromURL();
+
     console.log('Travel App initialized');
   }
 
@@ -73,12 +152,22 @@ const TravelApp = (function() {
     elements.preferenceInputs = document.querySelectorAll('input[name="preference"]');
     elements.departureList = document.getElementById('departureList');
     elements.destinationList = document.getElementById('destinationList');
+    elements.stopsList = document.getElementById('stopsList');
+    elements.addStopBtn = document.getElementById('addStopBtn');
     elements.loadingOverlay = document.getElementById('loadingOverlay');
     elements.routesContainer = document.getElementById('routesContainer');
+    elements.directionsPanel = document.getElementById('directionsPanel');
     elements.costContainer = document.getElementById('costContainer');
     elements.placesContainer = document.getElementById('placesContainer');
+    elements.itineraryContainer = document.getElementById('itineraryContainer');
+    elements.dailyHoursInput = document.getElementById('dailyHours');
+    elements.costLevelInputs = document.querySelectorAll('[data-cost-level]');
+    elements.vehicleClassSelect = document.getElementById('vehicleClass');
+    elements.budgetTiers = document.getElementById('budgetTiers');
+    elements.budgetInput = document.getElementById('budgetAmount');
+    elements.budgetPanel = document.getElementById('budgetPanel');
+    elements.displayCurrencySelect = document.getElementById('displayCurrency');
     elements.shareContainer = document.getElementById('shareContainer');
-    elements.historyList = document.getElementById('historyList');
     elements.navToggle = document.querySelector('.nav-toggle');
     elements.navMenu = document.querySelector('.nav-menu');
   }
@@ -111,6 +200,14 @@ const TravelApp = (function() {
       );
     }
 
+    // Intermediate stops
+    if (elements.addStopBtn) {
+      elements.addStopBtn.addEventListener('click', () => addStop());
+    }
+
+    // GPX/KML/GeoJSON import
+    setupImportDropzone();
+
     // Mobile navigation
     if (elements.navToggle) {
       elements.navToggle.addEventListener('click', toggleMobileNav);
@@ -122,11 +219,106 @@ const TravelApp = (function() {
       shareGoogleMapsBtn.addEventListener('click', shareGoogleMaps);
     }
 
+    // Visit order optimization
+    const optimizeVisitBtn = document.getElementById('optimizeVisitBtn');
+    if (optimizeVisitBtn) {
+      optimizeVisitBtn.addEventListener('click', optimizeVisitList);
+    }
+
+    // Itinerary daily time budget
+    if (elements.dailyHoursInput) {
+      elements.dailyHoursInput.addEventListener('change', () => {
+        const hours = parseFloat(elements.dailyHoursInput.value);
+        state.dailyHours = hours > 0 ? Math.min(hours, 24) : ItineraryModule.DEFAULT_DAILY_HOURS;
+        elements.dailyHoursInput.value = state.dailyHours;
+        rebuildItinerary();
+      });
+    }
+
+    // Accommodation and food levels (recalculated without routing again)
+    elements.costLevelInputs.forEach(input => {
+      input.addEventListener('change', () => {
+        setCostLevels({ ...state.costLevels, [input.dataset.costLevel]: input.value });
+      });
+    });
+
+    // Toll class of driving routes (part of the shared plan)
+    if (elements.vehicleClassSelect) {
+      elements.vehicleClassSelect.addEventListener('change', () => {
+        state.vehicleClass = elements.vehicleClassSelect.value;
+        lastBudgetFit = null;
+        if (state.costs) {
+          recalculateCosts();
+          shareTrip();
+        }
+      });
+    }
+
+    if (elements.budgetTiers) {
+      elements.budgetTiers.addEventListener('click', (e) => {
+        const tier = e.target.closest('[data-budget-level]');
+        if (tier) {
+          setCostLevels({ accommodation: tier.dataset.budgetLevel, food: tier.dataset.budgetLevel });
+        }
+      });
+    }
+
+    // Per-person budget (checked against the planned costs without routing again)
+    if (elements.budgetInput) {
+      elements.budgetInput.addEventListener('change', () => {
+        const budget = parseFloat(elements.budgetInput.value);
+        state.budget = budget > 0 ? budget : null;
+        lastBudgetFit = null;
+        if (state.costs) {
+          renderBudget();
+        }
+      });
+    }
+
+    if (elements.budgetPanel) {
+      elements.budgetPanel.addEventListener('click', (e) => {
+        if (e.target.closest('[data-budget-action="fit"]')) {
+          fitBudget();
+        }
+      });
+    }
+
+    // Currency costs are also shown in
+    if (elements.displayCurrencySelect) {
+      elements.displayCurrencySelect.innerHTML = CurrencyModule.getCurrencies()
+        .map(({ code, name }) => `<option value="${code}">${code} · ${name}</option>`)
+        .join('');
+      elements.displayCurrencySelect.value = CurrencyModule.getDisplayCurrency();
+      elements.displayCurrencySelect.addEventListener('change', () => {
+        CurrencyModule.setDisplayCurrency(elements.displayCurrencySelect.value);
+        refreshCosts();
+      });
+    }
+
     const copyLinkBtn = document.getElementById('copyLinkBtn');
     if (copyLinkBtn) {
       copyLinkBtn.addEventListener('click', copyShareLink);
     }
 
+    // File export buttons
+    document.querySelectorAll('[data-export-format]').forEach(btn => {
+      btn.addEventListener('click', () => exportTrip(btn.dataset.exportFormat));
+    });
+
+    // Print view (also used for Ctrl+P / browser print menu)
+    const printBtn = document.getElementById('printBtn');
+    if (printBtn) {
+      printBtn.addEventListener('click', printTrip);
+    }
+    window.addEventListener('beforeprint', preparePrintView);
+    window.addEventListener('afterprint', () => document.body.classList.remove('print-trip'));
+
+    // Offline map tiles for the trip area
+    const offlineMapBtn = document.getElementById('offlineMapBtn');
+    if (offlineMapBtn) {
+      offlineMapBtn.addEventListener('click', () => OfflineModule.open(getTripPoints()));
+    }
+
     // Mobile action button
     const mobileActionBtn = document.getElementById('mobileActionBtn');
     if (mobileActionBtn) {
@@ -135,6 +327,9 @@ const TravelApp = (function() {
       });
     }
 
+    // Restore the matching plan on browser back/forward
+    window.addEventListener('popstate', handlePopState);
+
     // Close autocomplete when clicking outside
     document.addEventListener('click', (e) => {
       if (!e.target.closest('.autocomplete-wrapper')) {
@@ -175,6 +370,18 @@ const TravelApp = (function() {
     }
     console.log('✓ Form validated');
 
+    await planTrip();
+  }
+
+  /**
+   * Run the full planning pipeline (routes, places, costs) for the current form
+   * @param {Object} options - Pipeline options
+   * @param {boolean} options.updateHistory - Push the plan to the URL when done
+   * @param {Object} options.imported - Imported { route, places } used instead of routing APIs
+   */
+  async function planTrip(options = {}) {
+    const { updateHistory = true, imported = null } = options;
+
     // Show loading
     showLoading(true);
 
@@ -192,7 +399,11 @@ const TravelApp = (function() {
       // Calculate routes
       console.log('Step 3: Calculating routes...');
       try {
-        await calculateRoutes();
+        if (imported) {
+          showImportedRoute(imported.route);
+        } else {
+          await calculateRoutes();
+        }
         console.log('✓ Routes calculated:', state.routes.length, 'routes found');
       } catch (routeError) {
         console.error('Route calculation failed:', routeError);
@@ -202,7 +413,7 @@ const TravelApp = (function() {
       // Search for places
       console.log('Step 4: Searching for places...');
       try {
-        await searchPlaces();
+        await searchPlaces(imported);
         console.log('✓ Places found:', state.places.length);
       } catch (placesError) {
         console.warn('Places search failed, continuing without places:', placesError);
@@ -224,11 +435,15 @@ const TravelApp = (function() {
       renderResults();
       console.log('✓ Results rendered');
 
-      // Save to history
-      saveToHistory();
+      // Everyone in a collaboration session gets the new plan
+      shareTrip();
 
-      // Update URL
-      updateURL();
+      // Imported tracks cannot be reproduced from coordinates alone,
+      // so they are kept out of the shareable URL
+      if (!imported && updateHistory) {
+        // Update URL (skipped when the plan was restored from the URL itself)
+        updateURL();
+      }
 
       // Scroll to results
       scrollToResults();
@@ -342,10 +557,54 @@ const TravelApp = (function() {
       }
     }
 
+    // Resolve stops typed without picking a suggestion
+    if (!(await resolveStops())) {
+      return false;
+    }
+
     console.log('✅ Form validation passed');
     return true;
   }
 
+  /**
+   * Geocode intermediate stops that have no coordinates yet
+   * @returns {Promise<boolean>} - Whether every stop could be resolved
+   */
+  async function resolveStops() {
+    // Drop empty rows
+    state.stops = state.stops.filter(stop => stop.query.trim() || stop.name);
+
+    for (const stop of state.stops) {
+      if (stop.lat !== null && stop.lng !== null) continue;
+
+      console.log('Searching for stop:', stop.query);
+
+      try {
+        const results = await TransportModule.searchAddress(stop.query.trim());
+
+        if (results.length === 0) {
+          renderStops();
+          alert(`경유지를 찾을 수 없습니다: ${stop.query}\n\n도시 이름을 정확히 입력하거나 목록에서 선택해주세요.`);
+          return false;
+        }
+
+        stop.lat = results[0].lat;
+        stop.lng = results[0].lng;
+        stop.name = results[0].name;
+        stop.query = results[0].name;
+        console.log('✅ Stop set:', stop.name);
+      } catch (error) {
+        console.error('Stop search error:', error);
+        alert('경유지 검색 중 오류가 발생했습니다.');
+        return false;
+      }
+    }
+
+    renderStops();
+    CollabModule.publish('stops', getSharedStops());
+    return true;
+  }
+
   /**
    * Get form data
    */
@@ -370,13 +629,32 @@ const TravelApp = (function() {
   async function calculateRoutes() {
     const start = [state.departure.lng, state.departure.lat];
     const end = [state.destination.lng, state.destination.lat];
+    const waypoints = state.stops.map(stop => [stop.lng, stop.lat]);
+
+    // Transit timetables are read in the departure's local time
+    const departureTime = LocaleModule.fromZonedTime(
+      ItineraryModule.parseDepartureDate(state.departureDate),
+      LocaleModule.getTimeZone(state.departure.lat, state.departure.lng)
+    );
 
-    state.routes = await TransportModule.getMultipleRoutes(start, end);
+    state.routes = await TransportModule.getMultipleRoutes(start, end, waypoints, { departureTime });
 
     if (state.routes.length === 0) {
       throw new Error('No routes found');
     }
 
+    // Label every leg with its endpoints for route cards and cost totals
+    const stopNames = [state.departure, ...state.stops, state.destination]
+      .map(point => UtilModule.getShortName(point.name));
+    state.routes = state.routes.map(route => ({
+      ...route,
+      legs: (route.legs || []).map((leg, index) => ({
+        ...leg,
+        from: stopNames[index],
+        to: stopNames[index + 1]
+      }))
+    }));
+
     // Check if using fallback routes
     const hasFallback = state.routes.some(route => route.isFallback);
     if (hasFallback) {
@@ -388,6 +666,13 @@ const TravelApp = (function() {
     // Set first route as selected
     state.selectedRoute = state.routes[0];
 
+    drawTripMap();
+  }
+
+  /**
+   * Draw stop markers and all routes on the map
+   */
+  function drawTripMap() {
     // Add markers to map
     MapModule.clearAll();
     MapModule.addDepartureMarker(
@@ -400,6 +685,9 @@ const TravelApp = (function() {
       state.destination.lng,
       state.destination.name
     );
+    state.stops.forEach((stop, index) => {
+      MapModule.addWaypointMarker(stop.lat, stop.lng, stop.name, index + 1);
+    });
 
     // Draw routes on map
     MapModule.drawMultipleRoutes(state.routes);
@@ -437,41 +725,65 @@ const TravelApp = (function() {
     }, 5000);
   }
 
+  /**
+   * Show an imported track as the only route
+   * @param {Object} route - Route built from the imported track
+   */
+  function showImportedRoute(route) {
+    const names = [state.departure, state.destination].map(point => UtilModule.getShortName(point.name));
+
+    state.routes = [{
+      ...route,
+      legs: route.legs.map(leg => ({ ...leg, from: names[0], to: names[1] }))
+    }];
+    state.selectedRoute = state.routes[0];
+
+    MapModule.clearAll();
+    MapModule.addDepartureMarker(state.departure.lat, state.departure.lng, state.departure.name);
+    MapModule.addDestinationMarker(state.destination.lat, state.destination.lng, state.destination.name);
+    MapModule.drawRoute(route.coordinates, {
+      popup: `<b>${UtilModule.escapeHtml(route.name)}</b><br>거리: ${route.distance}km<br>시간: ${route.duration}`
+    });
+    MapModule.fitBounds(route.coordinates);
+  }
+
   /**
    * Search for places
+   * @param {Object} imported - Imported { route, places }; searches along its track when it has no places
    */
-  async function searchPlaces() {
+  async function searchPlaces(imported = null) {
+    // Picks from a previous search no longer apply
+    state.visitList = [];
+    lastOptimization = null;
+    lastBudgetFit = null;
+
     try {
-      const midLat = (state.departure.lat + state.destination.lat) / 2;
-      const midLng = (state.departure.lng + state.destination.lng) / 2;
+      if (imported && imported.places.length > 0) {
+        console.log('Using imported waypoints as places:', imported.places.length);
+        state.places = imported.places;
+      } else if (imported) {
+        console.log('Searching POIs along imported track:', { preferences: state.preferences });
+        state.places = await RecommendModule.getPOIsAlongRoute(
+          imported.route.coordinates,
+          state.preferences
+        );
+      } else {
+        const midLat = (state.departure.lat + state.destination.lat) / 2;
+        const midLng = (state.departure.lng + state.destination.lng) / 2;
 
-      console.log('Searching POIs near:', { midLat, midLng, preferences: state.preferences });
+        console.log('Searching POIs near:', { midLat, midLng, preferences: state.preferences });
 
-      state.places = await RecommendModule.searchPOIs(
-        midLat,
-        midLng,
-        state.preferences,
-        10000 // 10km radius
-      );
+        state.places = await RecommendModule.searchPOIs(
+          midLat,
+          midLng,
+          state.preferences,
+          10000 // 10km radius
+        );
+      }
 
       console.log('POIs found:', state.places.length);
 
-      // Add place markers to map
-      if (state.places && state.places.length > 0) {
-        state.places.forEach(place => {
-          try {
-            MapModule.addPlaceMarker(
-              place.lat,
-              place.lng,
-              place.name,
-              place.description,
-              () => handlePlaceClick(place)
-            );
-          } catch (markerError) {
-            console.warn('Failed to add marker for place:', place.name, markerError);
-          }
-        });
-      }
+      addPlaceMarkers();
     } catch (error) {
       console.error('Error searching places:', error);
       state.places = [];
@@ -479,18 +791,50 @@ const TravelApp = (function() {
     }
   }
 
+  /**
+   * Add place markers to map
+   */
+  function addPlaceMarkers() {
+    state.places.forEach(place => {
+      try {
+        MapModule.addPlaceMarker(
+          place.lat,
+          place.lng,
+          UtilModule.escapeHtml(place.name),
+          UtilModule.escapeHtml(place.description),
+          () => handlePlaceClick(place)
+        );
+      } catch (markerError) {
+        console.warn('Failed to add marker for place:', place.name, markerError);
+      }
+    });
+  }
+
+  /**
+   * Get the destination's prices (costs are calculated in its currency)
+   * @returns {Object} - Profile from CostProfileModule
+   */
+  function getCostProfile() {
+    return CostProfileModule.findProfile(state.destination);
+  }
+
   /**
    * Calculate costs
    */
   function calculateCosts() {
+    const profile = getCostProfile();
+    const currency = profile.currency;
+
     try {
       console.log('Calculating costs for selected route...');
       state.costs = CostModule.calculateTripCost({
         route: state.selectedRoute,
         duration: state.duration,
-        accommodationLevel: 'standard',
-        foodLevel: 'standard',
-        places: state.places || []
+        accommodationLevel: state.costLevels.accommodation,
+        foodLevel: state.costLevels.food,
+        places: state.places || [],
+        profile,
+        vehicleClass: state.vehicleClass
       });
 
       console.log('Calculating costs for all routes...');
@@ -500,14 +844,17 @@ const TravelApp = (function() {
           const costData = CostModule.calculateTripCost({
             route,
             duration: state.duration,
-            accommodationLevel: 'standard',
-            foodLevel: 'standard',
-            places: []
+            accommodationLevel: state.costLevels.accommodation,
+            foodLevel: state.costLevels.food,
+            places: [],
+            profile,
+            vehicleClass: state.vehicleClass
           });
 
           return {
             ...route,
             cost: costData.total,
+            costCurrency: currency,
             durationMinutes: route.durationMinutes || 60
           };
         } catch (routeCostError) {
@@ -515,6 +862,7 @@ const TravelApp = (function() {
           return {
             ...route,
             cost: 0,
+            costCurrency: currency,
             durationMinutes: route.durationMinutes || 60
           };
         }
@@ -530,6 +878,7 @@ const TravelApp = (function() {
         food: 0,
         activities: 0,
         total: 0,
+        currency,
         breakdown: {
           transportPercent: 0,
           accommodationPercent: 0,
@@ -540,26 +889,205 @@ const TravelApp = (function() {
     }
   }
 
+  /**
+   * Re-render planned results after the display currency changes
+   */
+  function refreshCosts() {
+    if (state.costs) {
+      renderResults({ keepItinerary: true });
+    }
+  }
+
+  /**
+   * Recalculate planned costs after exchange rates, cost profiles or levels change
+   * (routes and places are kept, so nothing is requested again)
+   */
+  function recalculateCosts() {
+    if (state.costs) {
+      calculateCosts();
+      renderResults({ keepItinerary: true });
+    }
+  }
+
   /**
    * Render results
+   * @param {Object} options - Render options
+   * @param {boolean} options.keepItinerary - Keep the current day assignment (reopened trips)
    */
-  function renderResults() {
+  function renderResults(options = {}) {
+    const selectedIndex = getSelectedRouteIndex();
+
     // Show containers
     elements.routesContainer.style.display = 'block';
     elements.costContainer.style.display = 'block';
     elements.placesContainer.style.display = 'block';
+    elements.itineraryContainer.style.display = 'block';
     elements.shareContainer.style.display = 'block';
 
     // Render routes
     CostModule.renderRouteCostComparison(state.routes);
-    setupRouteClickHandlers();
+    setupRouteClickHandlers(selectedIndex);
+    renderDirections(selectedIndex);
 
     // Render costs
-    CostModule.renderCostSummary(state.costs);
-    CostModule.renderCostChart(state.costs);
+    renderCosts();
 
     // Render places
     renderPlaces();
+
+    // Render itinerary
+    if (options.keepItinerary) {
+      renderItinerary();
+    } else {
+      rebuildItinerary();
+    }
+  }
+
+  /**
+   * Render the cost summary, budget, budget tiers, group split, chart and expense ledger of the selected route
+   */
+  function renderCosts() {
+    CostModule.renderCostSummary(state.costs);
+    renderBudget();
+    CostModule.renderBudgetTiers(
+      CostModule.getBudgetRecommendation(state.duration, state.places, state.costs.currency, getCostProfile()),
+      { currency: state.costs.currency, transport: state.costs.transport, levels: state.costLevels }
+    );
+    renderGroupSplit();
+    renderExpenses();
+  }
+
+  /**
+   * Get the estimate the expense ledger is compared with
+   * With a group the ledger holds everyone's spending, so it is the group total.
+   * @returns {Object} - Costs by category with currency and label
+   */
+  function getExpenseEstimate() {
+    const count = state.group.participants.length;
+    if (count === 0) {
+      return { ...state.costs, label: '1인' };
+    }
+
+    const { totals, currency } = SplitModule.splitCosts(state.costs, state.group, {
+      route: state.selectedRoute,
+      places: state.places
+    });
+    return { ...totals, currency, label: `일행 ${count}명` };
+  }
+
+  /**
+   * Render the cost chart with the estimate-vs-actual bars, and the expense ledger
+   */
+  function renderExpenses() {
+    if (!state.costs) return;
+
+    const estimate = getExpenseEstimate();
+    CostModule.renderCostChart(state.costs, {
+      estimate,
+      actual: ExpenseModule.summarize(state.expenses, estimate.currency)
+    });
+    ExpenseModule.render(state.expenses, {
+      estimate,
+      estimateLabel: estimate.label,
+      duration: state.duration,
+      departureDate: state.departureDate,
+      currency: getCostProfile().currency
+    });
+  }
+
+  /**
+   * Render the remaining-budget gauge
+   */
+  function renderBudget() {
+    BudgetModule.render(state.budget, state.costs, lastBudgetFit);
+  }
+
+  /**
+   * Trim the plan to the budget: lower levels, switch to the cheapest route and
+   * drop paid places, then show what changed
+   */
+  function fitBudget() {
+    if (!state.budget || !state.costs) return;
+
+    const profile = getCostProfile();
+    const fit = BudgetModule.fitToBudget({
+      routes: state.routes,
+      route: state.selectedRoute,
+      places: state.places,
+      visitList: state.visitList,
+      preferences: state.preferences,
+      levels: state.costLevels,
+      duration: state.duration,
+      profile,
+      currency: profile.currency,
+      vehicleClass: state.vehicleClass
+    }, state.budget);
+
+    console.log('💰 Budget fit:', fit.fits ? 'fits' : 'still over', fit.changes);
+
+    state.costLevels = fit.levels;
+    state.selectedRoute = fit.route;
+    state.places = fit.places;
+    state.visitList = state.visitList.filter(id => fit.places.some(place => place.id === id));
+    lastOptimization = null;
+    lastBudgetFit = fit;
+    renderCostLevels();
+
+    MapModule.clearPlaceMarkers();
+    addPlaceMarkers();
+
+    calculateCosts();
+    MapModule.highlightRoute(getSelectedRouteIndex());
+    renderResults();
+    shareTrip();
+  }
+
+  /**
+   * Choose accommodation and food levels and recalculate the planned costs
+   * @param {Object} levels - { accommodation, food }: budget, standard or luxury
+   */
+  function setCostLevels(levels) {
+    state.costLevels = levels;
+    lastBudgetFit = null;
+    renderCostLevels();
+    CollabModule.publish('levels', levels);
+    recalculateCosts();
+  }
+
+  /**
+   * Show the chosen levels in the form
+   */
+  function renderCostLevels() {
+    elements.costLevelInputs.forEach(input => {
+      input.value = state.costLevels[input.dataset.costLevel];
+    });
+  }
+
+  /**
+   * Render the group split of the selected route's costs
+   */
+  function renderGroupSplit() {
+    SplitModule.render(state.group, {
+      costs: state.costs,
+      route: state.selectedRoute,
+      places: state.places,
+      title: `${UtilModule.getShortName(state.departure.name)} → ${UtilModule.getShortName(state.destination.name)}`
+    });
+  }
+
+  /**
+   * Get the index of the selected route in state.routes
+   * Costs are added to copies of the routes, so fall back to matching profile and name.
+   * @returns {number} - Index (0 when nothing matches)
+   */
+  function getSelectedRouteIndex() {
+    const selected = state.selectedRoute;
+    if (!selected) return 0;
+
+    const index = state.routes.findIndex(route =>
+      route === selected || (route.profile === selected.profile && route.name === selected.name)
+    );
+    return Math.max(0, index);
   }
 
   /**
@@ -571,13 +1099,18 @@ const TravelApp = (function() {
 
     if (state.places.length === 0) {
       container.innerHTML = '<p class="empty-message">추천 장소를 찾지 못했습니다.</p>';
+      renderVisitList();
       return;
     }
 
+    // Fees in the currency of the cost summary
+    const currency = state.costs ? state.costs.currency : getCostProfile().currency;
+
     const placesHTML = state.places.map(place => {
       const categoryInfo = RecommendModule.getCategoryInfo(place.category);
       const duration = RecommendModule.getEstimatedDuration(place.category);
-      const cost = RecommendModule.getEstimatedCost(place.category);
+      const cost = RecommendModule.getEstimatedCost(place.category, currency);
+      const inVisitList = state.visitList.includes(place.id);
 
       return `
         <div class="place-card" data-place-id="${place.id}">
@@ -586,11 +1119,15 @@ const TravelApp = (function() {
             <span class="place-type">${categoryInfo.name}</span>
           </div>
           <div class="place-content">
-            <h3 class="place-name">${place.name}</h3>
-            <p class="place-description">${place.description}</p>
+            <h3 class="place-name">${UtilModule.escapeHtml(place.name)}</h3>
+            <p class="place-description">${UtilModule.escapeHtml(place.description)}</p>
             <div class="place-meta">
               <span><i class="fas fa-clock"></i> ${duration}분</span>
-              <span><i class="fas fa-won-sign"></i> ${CostModule.formatCurrency(cost)}</span>
+              <span><i class="fas fa-ticket"></i> ${CostModule.formatCurrency(cost, currency)}</span>
+              <button type="button" class="place-visit-btn ${inVisitList ? 'active' : ''}">
+                <i class="fas ${inVisitList ? 'fa-check' : 'fa-plus'}"></i>
+                ${inVisitList ? '방문 목록에 담김' : '방문 목록에 추가'}
+              </button>
             </div>
           </div>
         </div>
@@ -603,17 +1140,184 @@ const TravelApp = (function() {
     container.querySelectorAll('.place-card').forEach((card, index) => {
       card.addEventListener('click', () => {
         const place = state.places[index];
+        CollabModule.select(place);
         MapModule.setView(place.lat, place.lng, 15);
         card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
       });
+
+      card.querySelector('.place-visit-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleVisitPlace(state.places[index].id);
+      });
+    });
+
+    renderVisitList();
+  }
+
+  /**
+   * Add a place to the visit list, or remove it if already there
+   * @param {number} placeId - Place ID
+   */
+  function toggleVisitPlace(placeId) {
+    if (state.visitList.includes(placeId)) {
+      state.visitList = state.visitList.filter(id => id !== placeId);
+    } else {
+      state.visitList.push(placeId);
+    }
+
+    // A manual change invalidates the previous optimization result
+    lastOptimization = null;
+    renderPlaces();
+    rebuildItinerary();
+    CollabModule.publish('visitList', state.visitList);
+  }
+
+  /**
+   * Get visit list places in visiting order
+   * @returns {Array} - Places
+   */
+  function getVisitPlaces() {
+    return state.visitList
+      .map(id => state.places.find(place => place.id === id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Render the visit list panel and its path on the map
+   */
+  function renderVisitList() {
+    const list = document.getElementById('visitList');
+    const result = document.getElementById('visitListResult');
+    const optimizeBtn = document.getElementById('optimizeVisitBtn');
+    if (!list) return;
+
+    const visitPlaces = getVisitPlaces();
+
+    if (optimizeBtn) {
+      optimizeBtn.disabled = visitPlaces.length < 2;
+    }
+
+    if (visitPlaces.length === 0) {
+      list.innerHTML = '<li class="visit-list-empty">추천 장소 카드에서 \'방문 목록에 추가\'를 눌러 장소를 담으세요.</li>';
+      if (result) result.textContent = '';
+      MapModule.clearVisitPath();
+      return;
+    }
+
+    list.innerHTML = visitPlaces.map((place, index) => `
+      <li class="visit-list-item">
+        <span class="stop-number">${index + 1}</span>
+        <span class="visit-list-name">${UtilModule.escapeHtml(place.name)}</span>
+        <button type="button" class="stop-remove" data-place-id="${place.id}" aria-label="방문 목록에서 제외">
+          <i class="fas fa-xmark"></i>
+        </button>
+      </li>
+    `).join('');
+
+    list.querySelectorAll('.stop-remove').forEach((btn, index) => {
+      btn.addEventListener('click', () => toggleVisitPlace(visitPlaces[index].id));
+    });
+
+    if (result) {
+      if (lastOptimization) {
+        const { before, after, minutesBefore, minutesAfter } = lastOptimization;
+        const minutesSaved = minutesBefore - minutesAfter;
+        result.innerHTML = `
+          <i class="fas fa-chart-line"></i>
+          최적화 전 <strong>${TransportModule.formatDuration(minutesBefore * 60)}</strong> →
+          최적화 후 <strong>${TransportModule.formatDuration(minutesAfter * 60)}</strong>
+          ${minutesSaved > 0 ? `(${minutesSaved}분 단축 · ${before.toFixed(1)}km → ${after.toFixed(1)}km)` : '(이미 최적 순서입니다)'}
+        `;
+      } else {
+        result.textContent = '';
+      }
+    }
+
+    // Dashed path: departure → visit places → destination
+    if (state.departure && state.destination) {
+      MapModule.drawVisitPath([state.departure, ...visitPlaces, state.destination]
+        .map(point => [point.lng, point.lat]));
+    }
+  }
+
+  /**
+   * Reorder the visit list to minimize total travel time with the chosen mode
+   */
+  function optimizeVisitList() {
+    const visitPlaces = getVisitPlaces();
+
+    if (!state.departure || !state.destination || visitPlaces.length < 2) {
+      alert('방문 순서를 최적화하려면 방문 목록에 장소를 2곳 이상 담아주세요.');
+      return;
+    }
+
+    // Travel minutes between every pair of stops, as the itinerary schedules them
+    const { profile } = getItineraryOptions();
+    const points = [state.departure, ...visitPlaces, state.destination];
+    const matrix = points.map(from => points.map(to => ItineraryModule.estimateTravelMinutes(from, to, profile)));
+
+    const result = OptimizerModule.optimizeVisitOrder(state.departure, state.destination, visitPlaces, { matrix });
+    console.log('Visit order optimized:', result.minutesBefore, '→', result.minutesAfter, 'min');
+
+    state.visitList = result.places.map(place => place.id);
+    lastOptimization = {
+      before: result.before,
+      after: result.after,
+      minutesBefore: result.minutesBefore,
+      minutesAfter: result.minutesAfter
+    };
+    renderVisitList();
+    rebuildItinerary();
+    CollabModule.publish('visitList', state.visitList);
+  }
+
+  /**
+   * Get itinerary scheduling options from the current state
+   */
+  function getItineraryOptions() {
+    return {
+      start: state.departure,
+      end: state.destination,
+      departureDate: state.departureDate,
+      arrivalMinutes: state.selectedRoute ? state.selectedRoute.durationMinutes || 0 : 0,
+      duration: state.duration,
+      dailyMinutes: state.dailyHours * 60,
+      profile: state.selectedRoute ? state.selectedRoute.profile : 'driving-car'
+    };
+  }
+
+  /**
+   * Re-assign visit list places to days and render the timeline
+   */
+  function rebuildItinerary() {
+    state.itinerary = ItineraryModule.assignDays(getVisitPlaces(), getItineraryOptions());
+    renderItinerary();
+  }
+
+  /**
+   * Render the itinerary timeline for the current day assignment
+   */
+  function renderItinerary() {
+    const options = getItineraryOptions();
+    const days = ItineraryModule.scheduleDays(state.itinerary, state.places, options);
+    ItineraryModule.renderItinerary(days, options.dailyMinutes);
+
+    // Move places between days
+    document.querySelectorAll('.itinerary-move').forEach(select => {
+      select.addEventListener('change', () => {
+        const placeId = state.places.find(place => String(place.id) === select.dataset.placeId).id;
+        state.itinerary = ItineraryModule.movePlace(state.itinerary, placeId, parseInt(select.value));
+        renderItinerary();
+      });
     });
   }
 
   /**
    * Setup route click handlers
+   * @param {number} activeIndex - Route card to mark as selected
    */
-  function setupRouteClickHandlers() {
-    const routeCards = document.querySelectorAll('.route-card');
+  function setupRouteClickHandlers(activeIndex = 0) {
+    const routeCards = document.querySelectorAll('#routesGrid .route-card');
     routeCards.forEach((card, index) => {
       card.addEventListener('click', () => {
         // Remove active class from all
@@ -624,31 +1328,117 @@ const TravelApp = (function() {
 
         // Update selected route
         state.selectedRoute = state.routes[index];
+        lastBudgetFit = null;
 
         // Highlight route on map
         MapModule.highlightRoute(index);
+        renderDirections(index);
 
         // Recalculate costs
         state.costs = CostModule.calculateTripCost({
           route: state.selectedRoute,
           duration: state.duration,
-          accommodationLevel: 'standard',
-          foodLevel: 'standard',
-          places: state.places
+          accommodationLevel: state.costLevels.accommodation,
+          foodLevel: state.costLevels.food,
+          places: state.places,
+          profile: getCostProfile(),
+          // Reopened trips keep the currency they were saved in
+          currency: state.costs ? state.costs.currency : undefined,
+          vehicleClass: state.vehicleClass
         });
 
         // Update cost display
-        CostModule.renderCostSummary(state.costs);
-        CostModule.renderCostChart(state.costs);
+        renderCosts();
+
+        // Travel times between places depend on the route profile
+        renderItinerary();
       });
     });
 
-    // Set first route as active
-    if (routeCards.length > 0) {
-      routeCards[0].classList.add('active');
+    // Mark the selected route as active
+    if (routeCards[activeIndex]) {
+      routeCards[activeIndex].classList.add('active');
     }
   }
 
+  /**
+   * Render turn-by-turn directions for a route
+   * @param {number} routeIndex - Index into state.routes
+   */
+  function renderDirections(routeIndex) {
+    const panel = elements.directionsPanel;
+    if (!panel) return;
+
+    const route = state.routes[routeIndex];
+    MapModule.clearSegmentHighlight();
+
+    if (!route) {
+      panel.style.display = 'none';
+      return;
+    }
+
+    const steps = route.instructions || [];
+    panel.style.display = 'block';
+    panel.querySelector('.directions-title').textContent =
+      `길안내 · ${route.name}${steps.length > 0 ? ` (${steps.length}단계)` : ''}`;
+
+    let estimatedNote = '';
+    if (route.isFallback) {
+      estimatedNote = `
+        <p class="directions-estimated">
+          <i class="fas fa-triangle-exclamation"></i>
+          예상 경로입니다. 실제 도로 안내가 아니라 직선 거리를 바탕으로 추정한 값입니다.
+        </p>
+      `;
+    } else if (route.isIntercity) {
+      estimatedNote = `
+        <p class="directions-estimated">
+          <i class="fas fa-triangle-exclamation"></i>
+          대표 소요 시간과 요금으로 계산한 예상입니다. 실제 시간표와 요금은 예매처에서 확인하세요.
+        </p>
+      `;
+    }
+
+    const body = panel.querySelector('.directions-body');
+    if (steps.length === 0) {
+      body.innerHTML = `${estimatedNote}<p class="empty-message">이 경로에는 길안내 정보가 없습니다.</p>`;
+      return;
+    }
+
+    body.innerHTML = `
+      ${estimatedNote}
+      <ol class="directions-list">
+        ${steps.map((step, index) => `
+          <li class="directions-step" data-step-index="${index}" tabindex="0">
+            <span class="directions-instruction">${UtilModule.escapeHtml(step.instruction)}</span>
+            <span class="directions-meta">${step.distance}km · ${step.duration}분</span>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+
+    // way_points are [first, last] indices into the route geometry
+    const getStepCoordinates = (step) => {
+      if (!step.wayPoints || !route.coordinates) return [];
+      const [first, last] = step.wayPoints;
+      return route.coordinates.slice(first, last + 1);
+    };
+
+    body.querySelectorAll('.directions-step').forEach(item => {
+      const step = steps[parseInt(item.dataset.stepIndex)];
+      const coordinates = getStepCoordinates(step);
+
+      item.addEventListener('click', () => MapModule.zoomToSegment(coordinates));
+      item.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') MapModule.zoomToSegment(coordinates);
+      });
+      item.addEventListener('mouseenter', () => MapModule.highlightSegment(coordinates));
+      item.addEventListener('focus', () => MapModule.highlightSegment(coordinates));
+      item.addEventListener('mouseleave', () => MapModule.clearSegmentHighlight());
+      item.addEventListener('blur', () => MapModule.clearSegmentHighlight());
+    });
+  }
+
   /**
    * Handle address search
    */
@@ -656,6 +1446,24 @@ const TravelApp = (function() {
     const query = e.target.value.trim();
     const listElement = type === 'departure' ? elements.departureList : elements.destinationList;
 
+    await showAutocomplete(query, listElement, ({ lat, lng, name }) => {
+      if (type === 'departure') {
+        state.departure = { lat, lng, name };
+        elements.departureInput.value = name;
+      } else {
+        state.destination = { lat, lng, name };
+        elements.destinationInput.value = name;
+      }
+    });
+  }
+
+  /**
+   * Search addresses and show the autocomplete list
+   * @param {string} query - Search query
+   * @param {HTMLElement} listElement - Autocomplete list
+   * @param {Function} onSelect - Called with { lat, lng, name } when an item is picked
+   */
+  async function showAutocomplete(query, listElement, onSelect) {
     if (query.length < 3) {
       listElement.classList.remove('active');
       return;
@@ -668,15 +1476,15 @@ const TravelApp = (function() {
       return;
     }
 
-    renderAutocompleteList(results, listElement, type);
+    renderAutocompleteList(results, listElement, onSelect);
   }
 
   /**
    * Render autocomplete list
    */
-  function renderAutocompleteList(results, listElement, type) {
+  function renderAutocompleteList(results, listElement, onSelect) {
     const html = results.map(result => `
-      <li class="autocomplete-item" data-lat="${result.lat}" data-lng="${result.lng}" data-name="${escapeHtml(result.name)}">
+      <li class="autocomplete-item" data-lat="${result.lat}" data-lng="${result.lng}" data-name="${UtilModule.escapeHtml(result.name)}">
         ${result.name}
       </li>
     `).join('');
@@ -691,13 +1499,7 @@ const TravelApp = (function() {
         const lng = parseFloat(item.dataset.lng);
         const name = item.dataset.name;
 
-        if (type === 'departure') {
-          state.departure = { lat, lng, name };
-          elements.departureInput.value = name;
-        } else {
-          state.destination = { lat, lng, name };
-          elements.destinationInput.value = name;
-        }
+        onSelect({ lat, lng, name });
 
         listElement.classList.remove('active');
       });
@@ -708,8 +1510,177 @@ const TravelApp = (function() {
    * Close all autocomplete lists
    */
   function closeAllAutocompleteLists() {
-    elements.departureList.classList.remove('active');
-    elements.destinationList.classList.remove('active');
+    document.querySelectorAll('.autocomplete-list.active').forEach(list => {
+      list.classList.remove('active');
+    });
+  }
+
+  /**
+   * Create a stop entry
+   * @param {Object} place - Optional resolved place { lat, lng, name }, with the ID of a shared stop
+   * @returns {Object} - Stop
+   */
+  function createStop(place = {}) {
+    return {
+      // Unique across browsers so collaborators' stops never collide
+      id: place.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      query: place.name || '',
+      lat: typeof place.lat === 'number' ? place.lat : null,
+      lng: typeof place.lng === 'number' ? place.lng : null,
+      name: place.name || null
+    };
+  }
+
+  /**
+   * Add an intermediate stop row
+   */
+  function addStop(place) {
+    if (state.stops.length >= MAX_STOPS) {
+      alert(`경유지는 최대 ${MAX_STOPS}곳까지 추가할 수 있습니다.`);
+      return;
+    }
+
+    state.stops.push(createStop(place));
+    renderStops();
+
+    // Focus the new row
+    const inputs = elements.stopsList ? elements.stopsList.querySelectorAll('.stop-input') : [];
+    if (!place && inputs.length > 0) {
+      inputs[inputs.length - 1].focus();
+    }
+  }
+
+  /**
+   * Move a stop to a new position
+   */
+  function moveStop(fromIndex, toIndex) {
+    if (fromIndex === toIndex || fromIndex === null) return;
+
+    const [stop] = state.stops.splice(fromIndex, 1);
+    state.stops.splice(toIndex, 0, stop);
+    renderStops();
+    CollabModule.publish('stops', getSharedStops());
+  }
+
+  /**
+   * Render intermediate stop rows
+   */
+  function renderStops() {
+    if (!elements.stopsList) return;
+
+    elements.stopsList.innerHTML = state.stops.map((stop, index) => `
+      <li class="stop-item" data-index="${index}">
+        <span class="stop-handle" title="드래그하여 순서 변경">
+          <i class="fas fa-grip-vertical"></i>
+        </span>
+        <span class="stop-number">${index + 1}</span>
+        <div class="autocomplete-wrapper">
+          <input
+            type="text"
+            class="form-control stop-input"
+            placeholder="경유지 주소를 입력하세요"
+            autocomplete="off"
+          >
+          <ul class="autocomplete-list"></ul>
+        </div>
+        <button type="button" class="stop-remove" aria-label="경유지 삭제">
+          <i class="fas fa-xmark"></i>
+        </button>
+      </li>
+    `).join('');
+
+    elements.stopsList.querySelectorAll('.stop-item').forEach((item, index) => {
+      setupStopItem(item, state.stops[index], index);
+    });
+
+    if (elements.addStopBtn) {
+      elements.addStopBtn.disabled = state.stops.length >= MAX_STOPS;
+    }
+  }
+
+  /**
+   * Wire up input, autocomplete, remove and drag handlers of a stop row
+   */
+  function setupStopItem(item, stop, index) {
+    const input = item.querySelector('.stop-input');
+    const listElement = item.querySelector('.autocomplete-list');
+
+    input.value = stop.query;
+
+    // Typing invalidates the previously resolved coordinates
+    input.addEventListener('input', () => {
+      stop.query = input.value;
+      stop.lat = null;
+      stop.lng = null;
+      stop.name = null;
+    });
+
+    input.addEventListener('input', TransportModule.debounce(() => {
+      showAutocomplete(input.value.trim(), listElement, ({ lat, lng, name }) => {
+        Object.assign(stop, { lat, lng, name, query: name });
+        input.value = name;
+        CollabModule.publish('stops', getSharedStops());
+      });
+    }, 300));
+
+    item.querySelector('.stop-remove').addEventListener('click', () => {
+      state.stops.splice(index, 1);
+      renderStops();
+      CollabModule.publish('stops', getSharedStops());
+    });
+
+    // Only the handle starts a drag so text in the input stays selectable
+    const handle = item.querySelector('.stop-handle');
+    handle.addEventListener('mousedown', () => {
+      item.draggable = true;
+    });
+
+    item.addEventListener('dragstart', (e) => {
+      draggedStopIndex = index;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', String(index));
+      item.classList.add('dragging');
+    });
+
+    item.addEventListener('dragend', () => {
+      item.draggable = false;
+      draggedStopIndex = null;
+      item.classList.remove('dragging');
+    });
+
+    item.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      item.classList.add('drag-over');
+    });
+
+    item.addEventListener('dragleave', () => {
+      item.classList.remove('drag-over');
+    });
+
+    item.addEventListener('drop', (e) => {
+      e.preventDefault();
+      item.classList.remove('drag-over');
+      moveStop(draggedStopIndex, index);
+    });
+  }
+
+  /**
+   * Get serializable stops (resolved coordinates and names only)
+   */
+  function getStopPlaces() {
+    return state.stops
+      .filter(stop => stop.lat !== null && stop.lng !== null)
+      .map(({ lat, lng, name }) => ({ lat, lng, name }));
+  }
+
+  /**
+   * Get resolved stops with their IDs for collaborators
+   */
+  function getSharedStops() {
+    return state.stops
+      .filter(stop => stop.lat !== null && stop.lng !== null)
+      .map(({ id, lat, lng, name }) => ({ id, lat, lng, name }));
   }
 
   /**
@@ -717,6 +1688,7 @@ const TravelApp = (function() {
    */
   function handlePlaceClick(place) {
     console.log('Place clicked:', place);
+    CollabModule.select(place);
   }
 
   /**
@@ -730,10 +1702,24 @@ const TravelApp = (function() {
     // Reset state
     state.departure = null;
     state.destination = null;
+    state.stops = [];
     state.routes = [];
     state.selectedRoute = null;
     state.places = [];
+    state.visitList = [];
+    state.itinerary = [];
     state.costs = null;
+    state.costLevels = { accommodation: 'standard', food: 'standard' };
+    state.vehicleClass = 'car';
+    state.budget = null;
+    state.group = SplitModule.createGroup();
+    TripsModule.removeUnusedReceipts(state.expenses);
+    state.expenses = [];
+    lastOptimization = null;
+    lastBudgetFit = null;
+    TripsModule.clearCurrent();
+
+    renderStops();
 
     // Clear map
     MapModule.clearAll();
@@ -742,10 +1728,12 @@ const TravelApp = (function() {
     elements.routesContainer.style.display = 'none';
     elements.costContainer.style.display = 'none';
     elements.placesContainer.style.display = 'none';
+    elements.itineraryContainer.style.display = 'none';
     elements.shareContainer.style.display = 'none';
 
     // Destroy chart
     CostModule.destroyChart();
+    PrintModule.clearPrintView();
   }
 
   /**
@@ -781,9 +1769,10 @@ const TravelApp = (function() {
 
     let url = `https://www.google.com/maps/dir/?api=1&origin=${origin}&destination=${destination}`;
 
-    // Add waypoints (places)
-    if (state.places.length > 0) {
-      const waypoints = state.places
+    // Add waypoints (stops first, then places)
+    const points = [...getStopPlaces(), ...state.places];
+    if (points.length > 0) {
+      const waypoints = points
         .slice(0, 9) // Google Maps allows max 9 waypoints
         .map(p => `${p.lat},${p.lng}`)
         .join('|');
@@ -793,6 +1782,179 @@ const TravelApp = (function() {
     window.open(url, '_blank');
   }
 
+  /**
+   * Download the trip as a GPX, KML, GeoJSON or iCalendar file
+   * @param {string} format - gpx, kml, geojson or ics
+   */
+  function exportTrip(format) {
+    if (!state.departure || !state.destination) return;
+
+    try {
+      ExportModule.exportTrip({
+        route: state.selectedRoute,
+        departure: state.departure,
+        destination: state.destination,
+        stops: getStopPlaces(),
+        places: state.places,
+        departureDate: ItineraryModule.parseDepartureDate(state.departureDate),
+        duration: state.duration,
+        days: ItineraryModule.scheduleDays(state.itinerary, state.places, getItineraryOptions()),
+        costs: state.costs
+      }, format);
+    } catch (error) {
+      console.error('Export error:', error);
+      alert('파일을 내보내는 중 오류가 발생했습니다.');
+    }
+  }
+
+  /**
+   * Fill the print view with the current trip (no-op before a trip is planned)
+   */
+  function preparePrintView() {
+    if (!state.departure || !state.destination || state.routes.length === 0) return;
+
+    PrintModule.renderPrintView({
+      departure: state.departure,
+      destination: state.destination,
+      stops: getStopPlaces(),
+      departureDate: state.departureDate,
+      duration: state.duration,
+      routes: state.routes,
+      selectedRoute: state.selectedRoute,
+      costs: state.costs,
+      places: state.places,
+      visitList: state.visitList
+    });
+    document.body.classList.add('print-trip');
+  }
+
+  /**
+   * Open the browser print dialog with the trip summary (print or save as PDF)
+   */
+  function printTrip() {
+    preparePrintView();
+    window.print();
+  }
+
+  /**
+   * Collect the points of the current trip (stops, selected route geometry and places)
+   * @returns {Array} - [{lat, lng}, ...]
+   */
+  function getTripPoints() {
+    const coordinates = state.selectedRoute ? state.selectedRoute.coordinates || [] : [];
+    const routePoints = coordinates.map(([lng, lat]) => ({ lat, lng }));
+
+    return [
+      state.departure,
+      state.destination,
+      ...getStopPlaces(),
+      ...routePoints,
+      ...state.places
+    ].filter(Boolean);
+  }
+
+  /**
+   * Import a GPX, KML or GeoJSON file as the route and places (trip backups open as saved trips)
+   * @param {File} file - Selected or dropped file
+   */
+  async function handleImportFile(file) {
+    if (!file) return;
+
+    // Trip backups share the .json extension with GeoJSON
+    if (/\.json$/i.test(file.name)) {
+      let data = null;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (error) {
+        // Reported by the GeoJSON parser below
+      }
+      if (TripFileModule.isTripFile(data)) {
+        await TripsModule.importFile(file);
+        return;
+      }
+    }
+
+    let parsed;
+    try {
+      parsed = await ImportModule.parseFile(file);
+      console.log('Imported file:', file.name, {
+        trackPoints: parsed.track.length,
+        waypoints: parsed.waypoints.length
+      });
+    } catch (error) {
+      console.error('Import error:', error);
+      alert(`파일을 읽을 수 없습니다: ${file.name}\n\nGPX, KML, GeoJSON 파일만 지원합니다.`);
+      return;
+    }
+
+    // Without a track, the waypoints themselves describe the route
+    const hasTrack = parsed.track.length >= 2;
+    const track = hasTrack ? parsed.track : parsed.waypoints.map(point => [point.lng, point.lat]);
+
+    if (track.length < 2) {
+      alert('경로를 만들 수 있는 좌표가 부족합니다. 트랙이나 2개 이상의 지점이 있는 파일을 선택해주세요.');
+      return;
+    }
+
+    const route = TransportModule.createRouteFromCoordinates(track, {
+      profile: parsed.profile,
+      name: parsed.name || undefined
+    });
+    const places = hasTrack ? ImportModule.waypointsToPlaces(parsed.waypoints) : [];
+
+    showLoading(true);
+
+    // First and last track points become departure and destination
+    const [startLng, startLat] = track[0];
+    const [endLng, endLat] = track[track.length - 1];
+    const departureName = await TransportModule.reverseGeocode(startLat, startLng);
+    const destinationName = await TransportModule.reverseGeocode(endLat, endLng);
+
+    state.departure = { lat: startLat, lng: startLng, name: departureName };
+    state.destination = { lat: endLat, lng: endLng, name: destinationName };
+    state.stops = [];
+    renderStops();
+
+    elements.departureInput.value = departureName;
+    elements.destinationInput.value = destinationName;
+
+    await planTrip({ imported: { route, places } });
+  }
+
+  /**
+   * Setup the import drop zone and file picker
+   */
+  function setupImportDropzone() {
+    const dropzone = document.getElementById('importDropzone');
+    const fileInput = document.getElementById('importFileInput');
+    const browseBtn = document.getElementById('importBrowseBtn');
+    if (!dropzone || !fileInput) return;
+
+    if (browseBtn) {
+      browseBtn.addEventListener('click', () => fileInput.click());
+    }
+
+    fileInput.addEventListener('change', () => {
+      handleImportFile(fileInput.files[0]);
+      fileInput.value = '';
+    });
+
+    dropzone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dropzone.classList.add('drag-over');
+    });
+
+    dropzone.addEventListener('dragleave', () => {
+      dropzone.classList.remove('drag-over');
+    });
+
+    dropzone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropzone.classList.remove('drag-over');
+      handleImportFile(e.dataTransfer.files[0]);
+    });
+  }
+
   /**
    * Copy share link
    */
@@ -845,141 +2007,325 @@ const TravelApp = (function() {
       pref: state.preferences.join(',')
     });
 
+    const stops = getStopPlaces();
+    if (stops.length > 0) {
+      params.set('via', stops.map(stop => `${stop.lat},${stop.lng}`).join(';'));
+    }
+
     const newURL = `${window.location.pathname}?${params.toString()}`;
-    window.history.pushState({}, '', newURL);
+
+    // Re-planning the same trip should not stack duplicate history entries
+    if (newURL === `${window.location.pathname}${window.location.search}`) {
+      window.history.replaceState({}, '', newURL);
+    } else {
+      window.history.pushState({}, '', newURL);
+    }
+  }
+
+  /**
+   * Load from URL parameters and re-run the planning pipeline
+   * @returns {Promise<boolean>} - Whether a plan was restored
+   */
+  async function loadFromURL() {
+    const params = new URLSearchParams(window.location.search);
+
+    if (!params.has('from') || !params.has('to')) {
+      return false;
+    }
+
+    const from = parseLatLng(params.get('from'));
+    const to = parseLatLng(params.get('to'));
+
+    if (!from || !to) {
+      console.warn('Invalid coordinates in URL parameters:', params.get('from'), params.get('to'));
+      return false;
+    }
+
+    console.log('Loading from URL parameters...');
+
+    // A newer back/forward navigation may start while we are still geocoding
+    const loadId = ++urlLoadId;
+    showLoading(true);
+
+    // Nominatim is rate-limited, so resolve the names one after another
+    const departureName = await TransportModule.reverseGeocode(from.lat, from.lng);
+    const destinationName = await TransportModule.reverseGeocode(to.lat, to.lng);
+
+    const stops = [];
+    const viaPoints = (params.get('via') || '').split(';').map(parseLatLng).filter(Boolean);
+    for (const point of viaPoints.slice(0, MAX_STOPS)) {
+      stops.push({ ...point, name: await TransportModule.reverseGeocode(point.lat, point.lng) });
+    }
+
+    if (loadId !== urlLoadId) {
+      console.log('URL load superseded by a newer navigation');
+      return false;
+    }
+
+    state.departure = { ...from, name: departureName };
+    state.destination = { ...to, name: destinationName };
+    state.stops = stops.map(stop => createStop(stop));
+    renderStops();
+
+    // Fill form
+    elements.departureInput.value = departureName;
+    elements.destinationInput.value = destinationName;
+
+    if (params.get('date')) {
+      elements.departureDateInput.value = params.get('date');
+    }
+
+    const duration = parseInt(params.get('duration'));
+    if (duration > 0) {
+      elements.durationInput.value = duration;
+    }
+
+    const preferences = (params.get('pref') || '').split(',').filter(Boolean);
+    elements.preferenceInputs.forEach(input => {
+      input.checked = preferences.includes(input.value);
+    });
+
+    await planTrip({ updateHistory: false });
+    return true;
   }
 
   /**
-   * Load from URL parameters
+   * Handle browser back/forward navigation
    */
-  function loadFromURL() {
+  function handlePopState() {
     const params = new URLSearchParams(window.location.search);
 
     if (params.has('from') && params.has('to')) {
-      // TODO: Implement loading from URL
-      console.log('Loading from URL parameters...');
+      loadFromURL();
+    } else {
+      // Back to the entry before any plan was made
+      urlLoadId++;
+      handleClear();
+      showLoading(false);
     }
   }
 
   /**
-   * Save to history
+   * Parse a "lat,lng" URL parameter
+   * @param {string} value - Parameter value
+   * @returns {Object|null} - { lat, lng } or null if invalid
    */
-  function saveToHistory() {
-    if (!state.departure || !state.destination) return;
+  function parseLatLng(value) {
+    const [lat, lng] = (value || '').split(',').map(parseFloat);
 
-    const item = {
-      id: Date.now(),
+    if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return null;
+    }
+
+    return { lat, lng };
+  }
+
+  /**
+   * Get the trip on screen for saving (null before a trip is planned)
+   * @returns {Object|null} - Inputs, computed routes, places, costs and user edits
+   */
+  function getTripSnapshot() {
+    if (!state.departure || !state.destination || state.routes.length === 0) return null;
+
+    // Plain copy: saved trips must not share objects with the live state
+    return JSON.parse(JSON.stringify({
       departure: state.departure,
       destination: state.destination,
-      date: state.departureDate,
+      stops: getStopPlaces(),
+      departureDate: state.departureDate,
       duration: state.duration,
       preferences: state.preferences,
-      timestamp: new Date().toISOString()
-    };
+      routes: state.routes,
+      selectedRouteIndex: getSelectedRouteIndex(),
+      places: state.places,
+      visitList: state.visitList,
+      itinerary: state.itinerary,
+      dailyHours: state.dailyHours,
+      costLevels: state.costLevels,
+      vehicleClass: state.vehicleClass,
+      budget: state.budget,
+      group: state.group,
+      expenses: state.expenses,
+      costs: state.costs
+    }));
+  }
 
-    let history = getHistory();
-    history.unshift(item);
-    history = history.slice(0, 5); // Keep only last 5
+  /**
+   * Fill the form inputs from the state
+   */
+  function fillForm() {
+    elements.departureInput.value = state.departure.name;
+    elements.destinationInput.value = state.destination.name;
+    elements.departureDateInput.value = state.departureDate;
+    elements.durationInput.value = state.duration;
+    if (elements.dailyHoursInput) {
+      elements.dailyHoursInput.value = state.dailyHours;
+    }
+    if (elements.budgetInput) {
+      elements.budgetInput.value = state.budget || '';
+    }
+    if (elements.vehicleClassSelect) {
+      elements.vehicleClassSelect.value = state.vehicleClass;
+    }
+    renderCostLevels();
+    renderStops();
 
-    localStorage.setItem('travelHistory', JSON.stringify(history));
-    loadHistory();
+    // Check preferences
+    elements.preferenceInputs.forEach(input => {
+      input.checked = state.preferences.includes(input.value);
+    });
   }
 
   /**
-   * Get history from localStorage
+   * Restore the form inputs of a saved or shared trip
+   * @param {Object} saved - Trip state (as from getTripSnapshot)
    */
-  function getHistory() {
-    try {
-      const history = localStorage.getItem('travelHistory');
-      return history ? JSON.parse(history) : [];
-    } catch (error) {
-      console.error('Error loading history:', error);
-      return [];
+  function restoreInputs(saved) {
+    state.departure = saved.departure;
+    state.destination = saved.destination;
+    state.stops = (saved.stops || []).map(stop => createStop(stop));
+    state.departureDate = saved.departureDate;
+    state.duration = saved.duration;
+    state.preferences = saved.preferences || [];
+    state.dailyHours = saved.dailyHours || ItineraryModule.DEFAULT_DAILY_HOURS;
+    state.costLevels = { accommodation: 'standard', food: 'standard', ...saved.costLevels };
+    state.vehicleClass = saved.vehicleClass || 'car';
+    state.budget = saved.budget || null;
+    state.group = { ...SplitModule.createGroup(), ...saved.group };
+    state.expenses = saved.expenses || [];
+    fillForm();
+  }
+
+  /**
+   * Show the stored routes, places and costs of a saved or shared trip without calling any API
+   * @param {Object} saved - Trip state with routes
+   */
+  function restoreResults(saved) {
+    state.routes = saved.routes;
+    state.selectedRoute = state.routes[saved.selectedRouteIndex] || state.routes[0];
+    state.places = saved.places || [];
+    state.visitList = saved.visitList || [];
+    state.itinerary = saved.itinerary || [];
+    state.costs = saved.costs;
+    lastOptimization = null;
+    lastBudgetFit = null;
+
+    drawTripMap();
+    addPlaceMarkers();
+
+    // A freshly planned trip shows all routes; highlight only a route the user picked
+    const selectedIndex = getSelectedRouteIndex();
+    if (selectedIndex > 0) {
+      MapModule.highlightRoute(selectedIndex);
     }
+
+    renderResults({ keepItinerary: true });
   }
 
   /**
-   * Load and render history
+   * Reopen a saved trip from its stored state without calling any API
+   * Trips moved from the old search history only have form inputs and are planned again.
+   * @param {Object} trip - Saved trip from TripsModule
    */
-  function loadHistory() {
-    if (!elements.historyList) return;
+  function openSavedTrip(trip) {
+    const saved = trip.state;
 
-    const history = getHistory();
+    // Receipts of an unsaved ledger on screen are not kept anywhere else
+    TripsModule.removeUnusedReceipts(state.expenses);
+    restoreInputs(saved);
 
-    if (history.length === 0) {
-      elements.historyList.innerHTML = '<p class="empty-message">최근 검색 기록이 없습니다.</p>';
+    if (!saved.routes || saved.routes.length === 0) {
+      planTrip();
       return;
     }
 
-    const html = history.map(item => `
-      <div class="history-item" data-id="${item.id}">
-        <div class="history-info">
-          <h4>${item.departure.name} → ${item.destination.name}</h4>
-          <p>${new Date(item.timestamp).toLocaleDateString('ko-KR')} · ${item.duration}일</p>
-        </div>
-        <button class="history-delete" data-id="${item.id}">
-          <i class="fas fa-trash"></i>
-        </button>
-      </div>
-    `).join('');
-
-    elements.historyList.innerHTML = html;
+    restoreResults(saved);
+    updateURL();
+    scrollToResults();
+    shareTrip();
 
-    // Add event listeners
-    elements.historyList.querySelectorAll('.history-item').forEach(item => {
-      item.addEventListener('click', (e) => {
-        if (!e.target.closest('.history-delete')) {
-          loadHistoryItem(parseInt(item.dataset.id));
-        }
-      });
-    });
-
-    elements.historyList.querySelectorAll('.history-delete').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        deleteHistoryItem(parseInt(btn.dataset.id));
-      });
-    });
+    console.log('📂 Saved trip opened:', trip.name);
   }
 
   /**
-   * Load history item
+   * Get the shared parts of the trip for a collaboration session
+   * The plan leaves out stops and the visit list, which are shared item by item,
+   * and the budget and expense ledger, which each participant keeps for themselves.
+   * @returns {Object} - { plan, stops, visitList, levels, group }
    */
-  function loadHistoryItem(id) {
-    const history = getHistory();
-    const item = history.find(h => h.id === id);
-
-    if (!item) return;
-
-    state.departure = item.departure;
-    state.destination = item.destination;
-    state.departureDate = item.date;
-    state.duration = item.duration;
-    state.preferences = item.preferences;
-
-    // Fill form
-    elements.departureInput.value = item.departure.name;
-    elements.destinationInput.value = item.destination.name;
-    elements.departureDateInput.value = item.date;
-    elements.durationInput.value = item.duration;
+  function getCollabFields() {
+    const plan = getTripSnapshot();
+    if (plan) {
+      delete plan.stops;
+      delete plan.visitList;
+      delete plan.itinerary;
+      delete plan.costLevels;
+      delete plan.budget;
+      delete plan.expenses;
+      delete plan.group;
+    }
 
-    // Check preferences
-    elements.preferenceInputs.forEach(input => {
-      input.checked = item.preferences.includes(input.value);
-    });
+    return {
+      plan,
+      stops: getSharedStops(),
+      visitList: state.visitList,
+      levels: state.costLevels,
+      group: state.group
+    };
+  }
 
-    // Scroll to form
-    elements.form.scrollIntoView({ behavior: 'smooth' });
+  /**
+   * Send the whole trip to the collaboration session (after planning or opening a trip)
+   */
+  function shareTrip() {
+    const fields = getCollabFields();
+    Object.keys(fields).forEach(field => CollabModule.publish(field, fields[field]));
   }
 
   /**
-   * Delete history item
+   * Apply edits made by other participants
+   * @param {Object} changes - Changed fields: plan, stops, visitList (place IDs as strings), levels, group
    */
-  function deleteHistoryItem(id) {
-    let history = getHistory();
-    history = history.filter(h => h.id !== id);
-    localStorage.setItem('travelHistory', JSON.stringify(history));
-    loadHistory();
+  function applyCollabChanges(changes) {
+    // A new plan comes with every other field, including the stops its routes pass through
+    if (changes.plan) {
+      restoreInputs({ ...changes.plan, stops: changes.stops, costLevels: changes.levels, budget: state.budget, expenses: state.expenses, group: changes.group });
+      restoreResults(changes.plan);
+      console.log('🤝 Shared plan received:', UtilModule.getShortName(state.departure.name), '→', UtilModule.getShortName(state.destination.name));
+    } else if (changes.stops) {
+      // Rows still being typed here stay at the end
+      const typing = state.stops.filter(stop => stop.lat === null || stop.lng === null);
+      state.stops = [...changes.stops.map(stop => createStop(stop)), ...typing].slice(0, MAX_STOPS);
+      renderStops();
+
+      if (state.routes.length > 0) {
+        showInfoMessage('다른 참여자가 경유지를 바꿨습니다. 경로 찾기를 누르면 경로에 반영됩니다.');
+      }
+    }
+
+    if (changes.visitList) {
+      state.visitList = changes.visitList
+        .map(id => state.places.find(place => String(place.id) === id))
+        .filter(Boolean)
+        .map(place => place.id);
+      lastOptimization = null;
+      renderPlaces();
+      rebuildItinerary();
+    }
+
+    if (changes.group && !changes.plan) {
+      state.group = changes.group;
+      if (state.routes.length > 0) {
+        renderGroupSplit();
+        renderExpenses();
+      }
+    }
+
+    if (changes.levels && !changes.plan) {
+      state.costLevels = { ...changes.levels };
+      renderCostLevels();
+      recalculateCosts();
+    }
   }
 
   /**
@@ -994,15 +2340,6 @@ const TravelApp = (function() {
     }
   }
 
-  /**
-   * Escape HTML
-   */
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
-
   // Initialize when DOM is ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
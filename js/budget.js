@@ -0,0 +1,202 @@
+/**
+ * Budget Module - Spending Cap and Automatic Fit
+ * Compares the trip cost with a per-person budget in won and trims the plan
+ * (cheaper lodging and meals, a cheaper route, fewer paid places) until it fits
+ */
+
+const BudgetModule = (function() {
+  const LEVELS = CostProfileModule.LEVELS;
+
+  const FIELD_NAMES = {
+    accommodation: '숙박',
+    food: '식사'
+  };
+
+  const LEVEL_NAMES = {
+    budget: '절약형',
+    standard: '표준형',
+    luxury: '럭셔리'
+  };
+
+  /**
+   * Compare costs with a budget
+   * @param {Object} costs - From CostModule.calculateTripCost (one person)
+   * @param {number} budget - Budget per person in won
+   * @returns {Object} - { spent, remaining, ratio, over } in won
+   */
+  function getStatus(costs, budget) {
+    const spent = Math.round(CurrencyModule.convert(costs.total, costs.currency || CurrencyModule.HOME_CURRENCY, CurrencyModule.HOME_CURRENCY));
+
+    return {
+      spent,
+      remaining: budget - spent,
+      ratio: budget > 0 ? spent / budget : 0,
+      over: spent > budget
+    };
+  }
+
+  /**
+   * Rank a place for dropping: picked for the visit list and matching a chosen
+   * preference keep a place longest; farther and pricier places go first
+   */
+  function getPriority(place, plan) {
+    return (plan.visitList.includes(place.id) ? 2 : 0) + (plan.preferences.includes(place.category) ? 1 : 0);
+  }
+
+  /**
+   * Trim a plan until its cost fits the budget: cheaper lodging and meals first
+   * (the bigger saving first), then the cheapest route, then paid places from the
+   * lowest priority
+   * @param {Object} plan - { routes, route, places, visitList, preferences, levels, duration, profile, currency, vehicleClass }
+   * @param {number} budget - Budget per person in won
+   * @returns {Object} - { fits, levels, route, places, costs, changes: [{ type, label, saving }] }
+   */
+  function fitToBudget(plan, budget) {
+    let { levels, route, places } = plan;
+    const changes = [];
+
+    const calculate = (next = {}) => CostModule.calculateTripCost({
+      route: next.route || route,
+      duration: plan.duration,
+      accommodationLevel: (next.levels || levels).accommodation,
+      foodLevel: (next.levels || levels).food,
+      places: next.places || places,
+      profile: plan.profile,
+      currency: plan.currency,
+      vehicleClass: plan.vehicleClass
+    });
+
+    let costs = calculate();
+    const isOver = () => getStatus(costs, budget).over;
+
+    // 1. One level down at a time, whichever saves more
+    while (isOver()) {
+      const options = Object.keys(FIELD_NAMES)
+        .filter(field => LEVELS.indexOf(levels[field]) > 0)
+        .map(field => {
+          const next = { ...levels, [field]: LEVELS[LEVELS.indexOf(levels[field]) - 1] };
+          return { field, levels: next, costs: calculate({ levels: next }) };
+        });
+      if (options.length === 0) break;
+
+      const best = options.reduce((cheapest, option) => (option.costs.total < cheapest.costs.total ? option : cheapest));
+      changes.push({
+        type: 'level',
+        label: `${FIELD_NAMES[best.field]} ${LEVEL_NAMES[levels[best.field]]} → ${LEVEL_NAMES[best.levels[best.field]]}`,
+        saving: costs.total - best.costs.total
+      });
+      levels = best.levels;
+      costs = best.costs;
+    }
+
+    // 2. The cheapest practical route (straight-line estimates don't count), if it lowers the total
+    if (isOver()) {
+      const cheapest = TransportModule.getOptimalRoute(plan.routes, 'cheapest', plan.profile, plan.vehicleClass);
+      const cheapestCosts = cheapest && cheapest !== route ? calculate({ route: cheapest }) : null;
+
+      if (cheapestCosts && cheapestCosts.total < costs.total) {
+        changes.push({
+          type: 'route',
+          label: `경로 ${route.name} → ${cheapest.name}`,
+          saving: costs.total - cheapestCosts.total
+        });
+        route = cheapest;
+        costs = cheapestCosts;
+      }
+    }
+
+    // 3. Paid places, lowest priority first
+    if (isOver()) {
+      const paid = places
+        .filter(place => CostModule.getActivityCost(place, plan.currency) > 0)
+        .sort((a, b) =>
+          getPriority(a, plan) - getPriority(b, plan) ||
+          (b.distance || 0) - (a.distance || 0) ||
+          CostModule.getActivityCost(b, plan.currency) - CostModule.getActivityCost(a, plan.currency)
+        );
+
+      for (const place of paid) {
+        if (!isOver()) break;
+
+        const remaining = places.filter(kept => kept !== place);
+        const nextCosts = calculate({ places: remaining });
+        changes.push({
+          type: 'place',
+          label: `${place.name} 제외`,
+          saving: costs.total - nextCosts.total
+        });
+        places = remaining;
+        costs = nextCosts;
+      }
+    }
+
+    return { fits: !isOver(), levels, route, places, costs, changes };
+  }
+
+  /**
+   * Render the remaining-budget gauge and the last automatic fit
+   * @param {number|null} budget - Budget per person in won (null hides the gauge)
+   * @param {Object} costs - Current costs
+   * @param {Object|null} fit - Last result of fitToBudget that was applied
+   * @param {string} containerId - Target element ID
+   */
+  function render(budget, costs, fit = null, containerId = 'budgetPanel') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    if (!budget || !costs) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const format = amount => CostModule.formatCurrency(amount, CurrencyModule.HOME_CURRENCY);
+    const status = getStatus(costs, budget);
+    const percent = Math.min(100, Math.round(status.ratio * 100));
+    const gaugeClass = status.over ? 'over' : status.ratio >= 0.9 ? 'warning' : '';
+
+    container.innerHTML = `
+      <div class="budget-panel-header">
+        <h3>
+          <i class="fas fa-piggy-bank"></i>
+          1인 예산 ${format(budget)}
+        </h3>
+        ${status.over && !fit ? `
+          <button type="button" class="btn btn-primary" data-budget-action="fit">
+            <i class="fas fa-wand-magic-sparkles"></i>
+            예산에 맞추기
+          </button>
+        ` : ''}
+      </div>
+      <div class="budget-gauge ${gaugeClass}" role="meter" aria-valuemin="0" aria-valuemax="${budget}" aria-valuenow="${status.spent}" aria-label="예산 사용">
+        <div class="budget-gauge-fill" style="width: ${percent}%"></div>
+      </div>
+      <p class="budget-status ${gaugeClass}">
+        ${format(status.spent)} 사용 (${Math.round(status.ratio * 100)}%) ·
+        ${status.over ? `<strong>${format(-status.remaining)} 초과</strong>` : `남은 예산 <strong>${format(status.remaining)}</strong>`}
+      </p>
+      ${fit ? `
+        <div class="budget-fit">
+          <h4>자동 조정 내역</h4>
+          ${fit.changes.length > 0 ? `
+            <ul>
+              ${fit.changes.map(change => `
+                <li class="budget-change-${change.type}">
+                  <span>${UtilModule.escapeHtml(change.label)}</span>
+                  <span>-${CostModule.formatCurrency(change.saving, fit.costs.currency)}</span>
+                </li>
+              `).join('')}
+            </ul>
+          ` : '<p>바꿀 수 있는 항목이 없습니다.</p>'}
+          ${fit.fits ? '' : '<p class="budget-fit-warning">가능한 항목을 모두 줄여도 예산을 넘습니다. 여행 기간이나 예산을 조정해보세요.</p>'}
+        </div>
+      ` : ''}
+    `;
+  }
+
+  // Public API
+  return {
+    getStatus,
+    fitToBudget,
+    render
+  };
+})();
@@ -0,0 +1,316 @@
+/**
+ * Cache Module - Persistent API Response Cache
+ * Keeps geocoding, routing and POI responses in IndexedDB with
+ * per-source TTLs, a size cap with LRU eviction and hit statistics
+ */
+
+const CacheModule = (function() {
+  const DB_NAME = 'travelPlannerCache';
+  const DB_VERSION = 2;
+  const STORE = 'entries';
+  const STATS_KEY = 'travelCacheStats';
+
+  const DAY = 24 * 60 * 60 * 1000;
+
+  // How long each kind of response stays fresh
+  const SOURCES = {
+    search: { name: '주소 검색', ttl: 30 * DAY },
+    reverse: { name: '좌표 → 주소', ttl: 30 * DAY },
+    route: { name: '경로', ttl: 7 * DAY },
+    poi: { name: '추천 장소', ttl: 3 * DAY }
+  };
+
+  // Least recently used entries are dropped beyond these limits
+  const MAX_BYTES = 20 * 1024 * 1024;
+  const MAX_ENTRIES = 2000;
+
+  let dbPromise = null;
+  let totalBytes = 0;
+  let totalEntries = 0;
+  let stats = loadStats();
+
+  /**
+   * Open the database (null when IndexedDB is unavailable, e.g. private mode)
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = event => {
+        const store = event.oldVersion < 1
+          ? request.result.createObjectStore(STORE, { keyPath: 'id' })
+          : request.transaction.objectStore(STORE);
+
+        if (event.oldVersion < 1) {
+          store.createIndex('accessed', 'accessed');
+        }
+        // Version 2: sizes can be summed from the index without reading the responses
+        if (event.oldVersion < 2) {
+          store.createIndex('size', 'size');
+        }
+      };
+
+      request.onsuccess = async () => {
+        const db = request.result;
+        try {
+          await measure(db);
+        } catch (error) {
+          console.warn('Cache size unknown:', error);
+        }
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        console.warn('⚠️ Cache unavailable:', request.error);
+        resolve(null);
+      };
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Count entries and bytes already stored (walking the size index keys only)
+   */
+  function measure(db) {
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(STORE).objectStore(STORE).index('size').openKeyCursor();
+      let entries = 0;
+      let bytes = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          totalEntries = entries;
+          totalBytes = bytes;
+          resolve();
+          return;
+        }
+
+        entries++;
+        bytes += cursor.key;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Build a normalized cache key from its parts
+   * Strings are trimmed, lowercased and whitespace-collapsed; numbers are rounded
+   * to 5 decimals (about 1 m for coordinates); arrays are joined in order.
+   * @param {Array} parts - Key parts
+   * @returns {string} - Key
+   */
+  function makeKey(parts) {
+    const normalize = part => {
+      if (Array.isArray(part)) return part.map(normalize).join(',');
+      if (typeof part === 'number') return String(Math.round(part * 1e5) / 1e5);
+      return String(part === undefined || part === null ? '' : part).trim().toLowerCase().replace(/\s+/g, ' ');
+    };
+
+    return parts.map(normalize).join('|');
+  }
+
+  /**
+   * Return a cached value or fetch, store and return a fresh one
+   * When fetching fails, an expired entry is returned instead (useful offline).
+   * @param {string} source - search, reverse, route or poi
+   * @param {Array} keyParts - Parts of the cache key (see makeKey)
+   * @param {Function} fetcher - Async function returning the value; throw to skip caching
+   * @returns {Promise<*>} - Value
+   */
+  async function wrap(source, keyParts, fetcher) {
+    const id = `${source}:${makeKey(keyParts)}`;
+    const db = await openDatabase();
+    const entry = db ? await read(db, id) : null;
+
+    if (entry && Date.now() - entry.created < SOURCES[source].ttl) {
+      count(source, 'hits');
+      touch(db, entry);
+      return entry.value;
+    }
+
+    count(source, 'misses');
+
+    try {
+      const value = await fetcher();
+      if (db) {
+        await write(db, { id, source, value });
+      }
+      return value;
+    } catch (error) {
+      if (entry) {
+        console.warn(`⚠️ ${source} request failed, using expired cache:`, error.message);
+        count(source, 'stale');
+        return entry.value;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read one entry
+   */
+  async function read(db, id) {
+    try {
+      return await promisify(db.transaction(STORE).objectStore(STORE).get(id));
+    } catch (error) {
+      console.warn('Cache read error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Mark an entry as recently used (not awaited)
+   */
+  function touch(db, entry) {
+    db.transaction(STORE, 'readwrite').objectStore(STORE).put({ ...entry, accessed: Date.now() });
+  }
+
+  /**
+   * Store an entry, then evict the least recently used ones over the limits
+   */
+  async function write(db, { id, source, value }) {
+    const size = JSON.stringify(value).length * 2; // UTF-16 estimate
+    if (size > MAX_BYTES) return;
+
+    try {
+      const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+      const previous = await promisify(store.get(id));
+      const now = Date.now();
+
+      await promisify(store.put({ id, source, value, size, created: now, accessed: now }));
+
+      totalBytes += size - (previous ? previous.size : 0);
+      totalEntries += previous ? 0 : 1;
+
+      if (totalBytes > MAX_BYTES || totalEntries > MAX_ENTRIES) {
+        await evict(db);
+      }
+    } catch (error) {
+      console.warn('Cache write error:', error);
+    }
+  }
+
+  /**
+   * Delete least recently used entries until under both limits
+   */
+  function evict(db) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE, 'readwrite');
+      const request = transaction.objectStore(STORE).index('accessed').openCursor();
+      let evicted = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || (totalBytes <= MAX_BYTES && totalEntries <= MAX_ENTRIES)) return;
+
+        totalBytes -= cursor.value.size;
+        totalEntries--;
+        evicted++;
+        cursor.delete();
+        cursor.continue();
+      };
+
+      transaction.oncomplete = () => {
+        console.log(`🧹 Cache evicted ${evicted} entries`);
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Delete every cached response and reset the statistics
+   */
+  async function clear() {
+    const db = await openDatabase();
+    if (db) {
+      await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).clear());
+    }
+
+    totalBytes = 0;
+    totalEntries = 0;
+    stats = {};
+    saveStats();
+    console.log('🗑️ Cache cleared');
+  }
+
+  /**
+   * Get cache size and hit statistics
+   * @returns {Promise<Object>} - { available, entries, bytes, sources: { [source]: { name, hits, misses, stale } } }
+   */
+  async function getStats() {
+    const db = await openDatabase();
+    const sources = {};
+
+    Object.entries(SOURCES).forEach(([source, { name }]) => {
+      sources[source] = { name, hits: 0, misses: 0, stale: 0, ...stats[source] };
+    });
+
+    return {
+      available: Boolean(db),
+      entries: totalEntries,
+      bytes: totalBytes,
+      sources
+    };
+  }
+
+  /**
+   * Count a hit, miss or stale hit
+   */
+  function count(source, kind) {
+    stats[source] = stats[source] || {};
+    stats[source][kind] = (stats[source][kind] || 0) + 1;
+    saveStats();
+  }
+
+  /**
+   * Load statistics kept since the last clear
+   */
+  function loadStats() {
+    try {
+      return JSON.parse(localStorage.getItem(STATS_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Save statistics
+   */
+  function saveStats() {
+    try {
+      localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+    } catch (error) {
+      console.warn('Could not save cache statistics:', error);
+    }
+  }
+
+  // Public API
+  return {
+    makeKey,
+    wrap,
+    clear,
+    getStats
+  };
+})();
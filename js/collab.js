@@ -0,0 +1,651 @@
+/**
+ * Collab Module - Real-Time Collaborative Trip Editing
+ * Shares a trip session, joined by code, through a small relay server
+ * (server/relay.js). The plan, stops, visit list, budget levels, travel group
+ * and notes live in a CRDT document (CrdtModule); cursors and selections are sent as
+ * presence messages and shown on the map.
+ */
+
+const CollabModule = (function() {
+  const DEFAULT_RELAY_URL = 'http://localhost:8787';
+  const NAME_KEY = 'travelCollabName';
+
+  // No 0/O or 1/I so codes can be read out loud
+  const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const CODE_LENGTH = 6;
+  const CODE_PATTERN = /^[A-Z0-9]{4,12}$/;
+
+  const COLORS = ['#e11d48', '#7c3aed', '#0891b2', '#16a34a', '#ea580c', '#db2777', '#4f46e5', '#ca8a04'];
+
+  // Cursor updates are sent at most this often (ms)
+  const PRESENCE_INTERVAL = 100;
+  // Notes are shared once typing pauses this long (ms)
+  const NOTES_DELAY = 400;
+  const HEALTH_TIMEOUT = 5000;
+  const RECONNECT_DELAY = 3000;
+
+  // How each shared part of the trip is stored in the document
+  const FIELDS = {
+    plan: {
+      matches: key => key === 'plan',
+      read: doc => CrdtModule.get(doc, 'plan'),
+      write: (doc, plan) => writeRegister(doc, 'plan', plan)
+    },
+    stops: {
+      matches: key => key.startsWith('stop:'),
+      read: doc => CrdtModule.getList(doc, 'stop:').map(({ id, value }) => ({ id, name: value.name, lat: value.lat, lng: value.lng })),
+      write: (doc, stops) => CrdtModule.setList(doc, 'stop:', stops.map(({ id, name, lat, lng }) => ({ id, value: { name, lat, lng } })))
+    },
+    visitList: {
+      matches: key => key.startsWith('visit:'),
+      read: doc => CrdtModule.getList(doc, 'visit:').map(item => item.id),
+      write: (doc, ids) => CrdtModule.setList(doc, 'visit:', ids.map(id => ({ id, value: {} })))
+    },
+    levels: {
+      matches: key => key.startsWith('level:'),
+      read: doc => ({
+        accommodation: CrdtModule.get(doc, 'level:accommodation') || 'standard',
+        food: CrdtModule.get(doc, 'level:food') || 'standard'
+      }),
+      write: (doc, levels) => [
+        ...writeRegister(doc, 'level:accommodation', levels.accommodation),
+        ...writeRegister(doc, 'level:food', levels.food)
+      ]
+    },
+    group: {
+      matches: key => key === 'group',
+      // A copy, because the split panel edits the group in place
+      read: doc => JSON.parse(JSON.stringify(CrdtModule.get(doc, 'group'))),
+      write: (doc, group) => writeRegister(doc, 'group', group)
+    },
+    notes: {
+      matches: key => key.startsWith('note:'),
+      read: doc => CrdtModule.getText(doc, 'note:'),
+      write: (doc, notes) => CrdtModule.setText(doc, 'note:', notes)
+    }
+  };
+
+  let relayUrl = DEFAULT_RELAY_URL;
+  let handlers = {};
+  let elements = {};
+
+  // { code, peer, name, doc, source, token, unsent }
+  let session = null;
+  // Whether create or join is waiting for the relay to answer
+  let connecting = false;
+
+  // peer → { name, cursor, selection }
+  const peers = new Map();
+
+  const presence = { cursor: null, selection: null };
+  let presenceTimer = null;
+  let reconnectTimer = null;
+  let notesTimer = null;
+
+  /**
+   * Point the module at a relay server
+   * @param {Object} config - { relayUrl } (empty for the local default)
+   */
+  function configure(config = {}) {
+    relayUrl = (config.relayUrl || DEFAULT_RELAY_URL).replace(/\/+$/, '');
+  }
+
+  /**
+   * Write a single value unless it is unchanged
+   * A copy is stored so later in-place edits by the app still count as changes.
+   * @returns {Array} - Operations
+   */
+  function writeRegister(doc, key, value) {
+    const json = JSON.stringify(value ?? null);
+    if (JSON.stringify(CrdtModule.get(doc, key)) === json) return [];
+    return [CrdtModule.set(doc, key, JSON.parse(json))];
+  }
+
+  /**
+   * Create a random session code
+   */
+  function createCode() {
+    return Array.from({ length: CODE_LENGTH }, () =>
+      CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)]
+    ).join('');
+  }
+
+  /**
+   * Normalize a typed code ("abc-123" → "ABC123")
+   * @returns {string|null} - Code, or null when malformed
+   */
+  function normalizeCode(value) {
+    const code = (value || '').toUpperCase().replace(/[\s-]/g, '');
+    return CODE_PATTERN.test(code) ? code : null;
+  }
+
+  /**
+   * Get a participant's color (the same on every screen)
+   */
+  function getColor(peer) {
+    let hash = 0;
+    for (const char of peer) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return COLORS[hash % COLORS.length];
+  }
+
+  /**
+   * Check that a relay server answers
+   * @param {string} url - Relay URL (empty for the local default)
+   */
+  async function testRelay(url) {
+    const data = await UtilModule.fetchJSON(`${(url || DEFAULT_RELAY_URL).replace(/\/+$/, '')}/health`, {}, HEALTH_TIMEOUT);
+    if (!data.ok) {
+      throw new Error('Unexpected response');
+    }
+  }
+
+  /**
+   * Send a message to the other participants
+   * @param {Object} message - { type, to?, ... }
+   */
+  async function send(message) {
+    if (!session) return;
+
+    const { code, peer } = session;
+    try {
+      const response = await fetch(`${relayUrl}/sessions/${code}/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        // The relay identifies the sender by the token of its event stream
+        body: JSON.stringify({ ...message, from: peer, token: session.token })
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.warn('⚠️ Collaboration message not sent:', error.message);
+      if (message.type === 'ops' && session) {
+        session.unsent = true;
+      }
+      return;
+    }
+
+    // Edits lost while the relay was unreachable go out with the full document
+    if (session && session.unsent && message.type !== 'sync') {
+      session.unsent = false;
+      send({ type: 'sync', ops: CrdtModule.getOps(session.doc) });
+    }
+  }
+
+  /**
+   * Share a local edit
+   * @param {string} field - plan, stops, visitList, levels, group or notes
+   * @param {*} value - New value
+   */
+  function publish(field, value) {
+    if (!session || !FIELDS[field]) return;
+
+    const ops = FIELDS[field].write(session.doc, value);
+    if (ops.length > 0) {
+      send({ type: 'ops', ops });
+    }
+  }
+
+  /**
+   * Share the notes after a pause in typing, instead of on every keystroke
+   */
+  function scheduleNotes() {
+    clearTimeout(notesTimer);
+    notesTimer = setTimeout(flushNotes, NOTES_DELAY);
+  }
+
+  /**
+   * Share notes still waiting for the typing pause
+   */
+  function flushNotes() {
+    if (!notesTimer) return;
+
+    clearTimeout(notesTimer);
+    notesTimer = null;
+    publish('notes', elements.notesInput.value);
+  }
+
+  /**
+   * Merge operations from another participant and update the app
+   * @param {Array} ops - Operations
+   */
+  function receiveOps(ops) {
+    // Typing not shared yet goes into the document first, so redrawing the notes keeps it
+    flushNotes();
+
+    const changedKeys = CrdtModule.applyOps(session.doc, ops || []);
+    if (changedKeys.length === 0) return;
+
+    const names = Object.keys(FIELDS);
+    let changedFields = names.filter(name => changedKeys.some(key => FIELDS[name].matches(key)));
+
+    // A new plan replaces the places, so the shared edits are applied on top of it
+    if (changedFields.includes('plan')) {
+      changedFields = names;
+    }
+
+    const changes = {};
+    changedFields.forEach(name => {
+      changes[name] = FIELDS[name].read(session.doc);
+    });
+
+    if (changes.notes !== undefined) {
+      renderNotes(changes.notes);
+    }
+
+    delete changes.notes;
+    if (Object.keys(changes).length > 0 && handlers.onChange) {
+      handlers.onChange(changes);
+    }
+  }
+
+  /**
+   * Handle a message from the relay
+   */
+  function handleMessage(message) {
+    if (!session || message.from === session.peer) return;
+
+    switch (message.type) {
+      case 'welcome':
+        // Messages can be posted once the relay has given this stream its token
+        session.token = message.token;
+        send({ type: 'hello', name: session.name, ops: CrdtModule.getOps(session.doc) });
+        break;
+      case 'hello': {
+        // A participant (re)connected: merge their edits and send ours back.
+        // Someone with an empty document is spared the deletions; deletions a
+        // returning participant missed go to everyone, as some may have joined
+        // without them
+        const ops = message.ops || [];
+        const deletions = CrdtModule.getNewerOps(session.doc, ops).filter(op => op.value === null);
+        updatePeer(message.from, { name: message.name });
+        receiveOps(ops);
+        send({ type: 'sync', to: message.from, ops: CrdtModule.getOps(session.doc, ops.length > 0) });
+        if (deletions.length > 0) {
+          send({ type: 'ops', ops: deletions });
+        }
+        sendPresence();
+        break;
+      }
+      case 'sync':
+      case 'ops':
+        receiveOps(message.ops);
+        break;
+      case 'presence':
+        updatePeer(message.from, {
+          name: message.name,
+          cursor: message.cursor,
+          selection: message.selection
+        });
+        break;
+      case 'leave':
+        peers.delete(message.from);
+        MapModule.removePeer(message.from);
+        renderPeers();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Store a participant's presence and redraw it
+   */
+  function updatePeer(peer, update) {
+    const current = peers.get(peer) || { name: '참여자', cursor: null, selection: null };
+    const next = { ...current, ...update, name: update.name || current.name };
+    peers.set(peer, next);
+
+    MapModule.showPeer(peer, {
+      ...next,
+      name: UtilModule.escapeHtml(next.name),
+      selection: next.selection && { ...next.selection, name: UtilModule.escapeHtml(next.selection.name || '') },
+      color: getColor(peer)
+    });
+    renderPeers();
+  }
+
+  /**
+   * Send this participant's cursor and selection now
+   */
+  function sendPresence() {
+    clearTimeout(presenceTimer);
+    presenceTimer = null;
+
+    if (!session) return;
+    send({ type: 'presence', name: session.name, ...presence });
+  }
+
+  /**
+   * Send presence after a short delay, merging rapid updates
+   */
+  function schedulePresence() {
+    if (!session || presenceTimer) return;
+    presenceTimer = setTimeout(sendPresence, PRESENCE_INTERVAL);
+  }
+
+  /**
+   * Show the place this participant selected to the others
+   * @param {Object|null} point - { lat, lng, name }
+   */
+  function select(point) {
+    presence.selection = point ? { lat: point.lat, lng: point.lng, name: point.name } : null;
+    if (session) {
+      sendPresence();
+    }
+  }
+
+  /**
+   * Track the mouse over the map
+   */
+  function setupMapCursor() {
+    const map = MapModule.getMap();
+    if (!map) return;
+
+    map.on('mousemove', (e) => {
+      presence.cursor = [
+        Math.round(e.latlng.lat * 1e5) / 1e5,
+        Math.round(e.latlng.lng * 1e5) / 1e5
+      ];
+      schedulePresence();
+    });
+
+    map.on('mouseout', () => {
+      presence.cursor = null;
+      schedulePresence();
+    });
+  }
+
+  /**
+   * Connect to a session
+   * @param {string} code - Session code
+   * @param {boolean} seed - Put the trip on screen into the new document
+   * @returns {Promise<boolean>} - Whether the relay answered
+   */
+  async function connect(code, seed) {
+    const name = elements.nameInput.value.trim() || '여행자';
+    localStorage.setItem(NAME_KEY, name);
+
+    // A second click while the relay is checked would open a second session
+    setConnecting(true);
+    try {
+      await testRelay(relayUrl);
+    } catch (error) {
+      console.error('Relay check failed:', error);
+      alert(`협업 서버(${relayUrl})에 연결할 수 없습니다.\n\n'node server/relay.js'로 서버를 실행했는지, 설정의 협업 서버 주소가 맞는지 확인하세요.`);
+      return false;
+    } finally {
+      setConnecting(false);
+    }
+
+    const peer = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    session = { code, peer, name, doc: CrdtModule.createDoc(peer), source: null, token: null, unsent: false };
+
+    if (seed && handlers.getFields) {
+      const fields = handlers.getFields();
+      Object.entries(fields).forEach(([field, value]) => FIELDS[field].write(session.doc, value));
+    }
+
+    openStream();
+
+    renderNotes(FIELDS.notes.read(session.doc));
+    renderSession();
+    console.log(`🤝 Joined collaboration session ${code}`);
+    return true;
+  }
+
+  /**
+   * Open the session's event stream
+   * Reconnects carry the last stream's token: the relay only lets a connected
+   * peer ID reopen with it, so it can replace a stream it has not seen drop.
+   * (EventSource's own retries would reuse the first URL.)
+   */
+  function openStream() {
+    const query = new URLSearchParams({ peer: session.peer, ...(session.token ? { token: session.token } : {}) });
+    const source = new EventSource(`${relayUrl}/sessions/${session.code}/events?${query}`);
+    session.source = source;
+
+    // The welcome event that follows (also after every reconnect) resynchronizes the document
+    source.onopen = () => setStatus('connected');
+    source.onerror = () => {
+      setStatus('reconnecting');
+      source.close();
+      clearTimeout(reconnectTimer);
+      reconnectTimer = setTimeout(() => {
+        if (session && session.source === source) {
+          openStream();
+        }
+      }, RECONNECT_DELAY);
+    };
+    source.onmessage = (e) => {
+      try {
+        handleMessage(JSON.parse(e.data));
+      } catch (error) {
+        console.error('Collaboration message error:', error);
+      }
+    };
+  }
+
+  /**
+   * Mark create and join as waiting for the relay (their buttons are disabled meanwhile)
+   */
+  function setConnecting(value) {
+    connecting = value;
+    elements.createBtn.disabled = value;
+    elements.joinBtn.disabled = value;
+  }
+
+  /**
+   * Start a new session with the trip on screen
+   */
+  async function create() {
+    if (session || connecting) return;
+    await connect(createCode(), true);
+  }
+
+  /**
+   * Join a session by code
+   */
+  async function join() {
+    if (session || connecting) return;
+
+    const code = normalizeCode(elements.codeInput.value);
+    if (!code) {
+      alert('세션 코드를 확인해주세요. (영문 · 숫자 4~12자)');
+      elements.codeInput.focus();
+      return;
+    }
+
+    await connect(code, false);
+  }
+
+  /**
+   * Leave the session (the trip stays on screen)
+   */
+  function leave() {
+    if (!session) return;
+
+    flushNotes();
+    session.source.close();
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    console.log(`👋 Left collaboration session ${session.code}`);
+    session = null;
+
+    clearTimeout(presenceTimer);
+    presenceTimer = null;
+    peers.clear();
+    MapModule.clearPeers();
+    renderSession();
+  }
+
+  /**
+   * Show the connection state
+   * @param {string} status - connected or reconnecting
+   */
+  function setStatus(status) {
+    if (!elements.status) return;
+
+    elements.status.className = `collab-status is-${status}`;
+    elements.status.textContent = status === 'connected' ? '연결됨' : '연결 끊김 · 다시 연결 중...';
+  }
+
+  /**
+   * Show the start or session view and the header badge
+   */
+  function renderSession() {
+    elements.start.hidden = Boolean(session);
+    elements.session.hidden = !session;
+    elements.leaveBtn.hidden = !session;
+    elements.indicator.hidden = !session;
+
+    if (session) {
+      elements.sessionCode.textContent = session.code;
+      setStatus('reconnecting');
+      renderPeers();
+    }
+  }
+
+  /**
+   * Render the participant list and the header badge count
+   */
+  function renderPeers() {
+    if (!session) return;
+
+    const people = [[session.peer, { name: `${session.name} (나)` }], ...peers];
+    elements.peerList.innerHTML = people.map(([peer, info]) => `
+      <li>
+        <span class="collab-swatch" style="background: ${getColor(peer)}"></span>
+        ${UtilModule.escapeHtml(info.name)}
+      </li>
+    `).join('');
+
+    elements.indicatorText.textContent = `${session.code} · ${people.length}명`;
+  }
+
+  /**
+   * Show shared notes without moving the caret of someone typing
+   * (text inserted or removed before the caret shifts it along)
+   */
+  function renderNotes(notes) {
+    const input = elements.notesInput;
+    if (!input || input.value === notes) return;
+
+    const previous = input.value;
+    let common = 0;
+    while (common < previous.length && previous[common] === notes[common]) {
+      common++;
+    }
+    const shift = offset => (offset > common ? Math.max(common, offset + notes.length - previous.length) : offset);
+
+    const { selectionStart, selectionEnd } = input;
+    input.value = notes;
+    if (document.activeElement === input) {
+      input.setSelectionRange(shift(selectionStart), shift(selectionEnd));
+    }
+  }
+
+  /**
+   * Copy the session code for sharing
+   */
+  async function copyCode() {
+    if (!session) return;
+
+    try {
+      await navigator.clipboard.writeText(session.code);
+      alert(`세션 코드 ${session.code}를 복사했습니다. 함께 계획할 사람에게 보내주세요.`);
+    } catch (error) {
+      prompt('세션 코드를 복사하세요', session.code);
+    }
+  }
+
+  /**
+   * Open the collaboration dialog
+   */
+  function open() {
+    if (!elements.dialog) return;
+    elements.dialog.showModal();
+  }
+
+  /**
+   * Check whether a session is active
+   */
+  function isActive() {
+    return Boolean(session);
+  }
+
+  /**
+   * Get the shared notes of the session
+   */
+  function getNotes() {
+    return session ? FIELDS.notes.read(session.doc) : '';
+  }
+
+  /**
+   * Wire up the dialog and map cursor tracking
+   * @param {Object} options - Callbacks from the app
+   * @param {Function} options.getFields - Returns { plan, stops, visitList, levels, group } on screen
+   * @param {Function} options.onChange - Receives the fields changed by other participants
+   */
+  function init(options = {}) {
+    handlers = options;
+
+    elements = {
+      dialog: document.getElementById('collabDialog'),
+      start: document.getElementById('collabStart'),
+      session: document.getElementById('collabSession'),
+      nameInput: document.getElementById('collabName'),
+      codeInput: document.getElementById('collabCode'),
+      createBtn: document.getElementById('collabCreateBtn'),
+      joinBtn: document.querySelector('#collabJoinForm button[type="submit"]'),
+      sessionCode: document.getElementById('collabSessionCode'),
+      status: document.getElementById('collabStatus'),
+      peerList: document.getElementById('collabPeers'),
+      notesInput: document.getElementById('collabNotes'),
+      leaveBtn: document.getElementById('collabLeaveBtn'),
+      indicator: document.getElementById('collabIndicator'),
+      indicatorText: document.getElementById('collabIndicatorText')
+    };
+    if (!elements.dialog) return;
+
+    elements.nameInput.value = localStorage.getItem(NAME_KEY) || '';
+
+    elements.createBtn.addEventListener('click', create);
+    document.getElementById('collabJoinForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      join();
+    });
+    document.getElementById('collabCopyBtn').addEventListener('click', copyCode);
+    elements.leaveBtn.addEventListener('click', leave);
+    document.getElementById('collabCloseBtn').addEventListener('click', () => elements.dialog.close());
+    elements.notesInput.addEventListener('input', scheduleNotes);
+    elements.indicator.addEventListener('click', open);
+    renderSession();
+
+    const collabBtn = document.getElementById('collabBtn');
+    if (collabBtn) {
+      collabBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        open();
+      });
+    }
+
+    setupMapCursor();
+    window.addEventListener('pagehide', leave);
+  }
+
+  // Public API
+  return {
+    init,
+    configure,
+    testRelay,
+    open,
+    publish,
+    select,
+    isActive,
+    getNotes,
+    leave
+  };
+})();
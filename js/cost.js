@@ -5,42 +5,85 @@
 
 const CostModule = (function() {
   let chartInstance = null;
+  let expenseChartInstance = null;
 
-  // Cost constants (in KRW)
+  // Cost constants, each table with the currency of its amounts
+  // (fuel, lodging and meals come from the destination's CostProfileModule profile)
   const COSTS = {
     // Per km costs
     transport: {
-      'driving-car': 150,        // Fuel cost per km
-      'foot-walking': 0,
-      'cycling-regular': 0,
-      'public-transport': 100    // Average per km
-    },
-    // Per day costs
-    accommodation: {
-      budget: 50000,
-      standard: 100000,
-      luxury: 300000
-    },
-    food: {
-      budget: 30000,
-      standard: 60000,
-      luxury: 150000
+      currency: 'KRW',
+      amounts: {
+        'foot-walking': 0,
+        'cycling-regular': 0,
+        'public-transport': 100    // Average per km
+      }
     },
     // Activity costs by category
     activities: {
-      nature: 5000,
-      culture: 10000,
-      food: 15000,
-      shopping: 50000,
-      history: 8000,
-      adventure: 30000
+      currency: 'KRW',
+      amounts: {
+        nature: 5000,
+        culture: 10000,
+        food: 15000,
+        shopping: 50000,
+        history: 8000,
+        adventure: 30000
+      }
     }
   };
 
+  // Timetable and intercity fares are in won
+  const FARE_CURRENCY = 'KRW';
+
+  // Toll classes of CostProfileModule.VEHICLE_CLASSES (Korean expressway classes)
+  const VEHICLE_NAMES = {
+    car: '1종 소형차',
+    van: '2종 중형차',
+    bus: '3종 대형차',
+    truck: '4종 대형 화물차'
+  };
+
+  /**
+   * Read a cost constant in another currency
+   * @param {string} table - transport, accommodation, food or activities
+   * @param {string} key - Profile, level or category
+   * @param {string} currency - Target currency
+   * @returns {number|undefined} - Amount (undefined when the key is unknown)
+   */
+  function getCostConstant(table, key, currency) {
+    const amount = COSTS[table].amounts[key];
+    if (amount === undefined) return undefined;
+    return CurrencyModule.convert(amount, COSTS[table].currency, currency);
+  }
+
+  /**
+   * Read a lodging or meal price of a cost profile in another currency
+   * @param {Object} profile - From CostProfileModule
+   * @param {string} table - accommodation or food
+   * @param {string} level - budget, standard or luxury
+   * @param {string} currency - Target currency
+   * @returns {number} - Amount (standard when the level is unknown)
+   */
+  function getProfileAmount(profile, table, level, currency) {
+    const amount = profile[table][level] ?? profile[table].standard;
+    return CurrencyModule.convert(amount, profile.currency, currency);
+  }
+
+  /**
+   * Get the profile used when none is given (Korean prices)
+   */
+  function getDefaultProfile() {
+    return CostProfileModule.getProfile('KR');
+  }
+
   /**
    * Calculate total trip cost
    * @param {Object} params - Cost calculation parameters
-   * @returns {Object} - Cost breakdown
+   * @param {Object} params.profile - Destination prices from CostProfileModule.findProfile (default: Korea)
+   * @param {string} params.currency - Currency of the result (default: the profile's)
+   * @param {string} params.vehicleClass - Toll class for driving routes (default: car)
+   * @returns {Object} - Cost breakdown (transport includes tolls and parking)
    */
   function calculateTripCost(params) {
     const {
@@ -48,21 +91,35 @@ const CostModule = (function() {
       duration = 3,
       accommodationLevel = 'standard',
       foodLevel = 'standard',
-      places = []
+      places = [],
+      profile = getDefaultProfile(),
+      currency = profile.currency,
+      vehicleClass = 'car'
     } = params;
 
+    // Driving adds tolls (already in the transport cost) and parking at the destination
+    const driving = isDriving(route);
+    const tolls = calculateTollCost(route, currency, profile, vehicleClass);
+    const parking = driving ? Math.round(CurrencyModule.convert(profile.parking || 0, profile.currency, currency) * duration) : 0;
+
     // Transport cost
-    const transportCost = calculateTransportCost(route);
+    const transportCost = calculateTransportCost(route, currency, profile, vehicleClass) + parking;
+
+    // Per-leg fuel or fare for multi-stop routes (tolls and parking stay route-wide rows)
+    const legs = (route && route.legs ? route.legs : []).map(leg => ({
+      ...leg,
+      cost: calculateTransportCost({ distance: leg.distance, profile: route.profile, fare: leg.fare }, currency, profile)
+    }));
 
     // Accommodation cost (nights = duration - 1)
     const nights = Math.max(0, duration - 1);
-    const accommodationCost = COSTS.accommodation[accommodationLevel] * nights;
+    const accommodationCost = Math.round(getProfileAmount(profile, 'accommodation', accommodationLevel, currency) * nights);
 
     // Food cost (per day)
-    const foodCost = COSTS.food[foodLevel] * duration;
+    const foodCost = Math.round(getProfileAmount(profile, 'food', foodLevel, currency) * duration);
 
     // Activities cost
-    const activitiesCost = calculateActivitiesCost(places);
+    const activitiesCost = calculateActivitiesCost(places, currency);
 
     // Total
     const total = transportCost + accommodationCost + foodCost + activitiesCost;
@@ -73,6 +130,14 @@ const CostModule = (function() {
       food: foodCost,
       activities: activitiesCost,
       total: total,
+      currency,
+      vehicleClass: driving ? vehicleClass : null,
+      tolls,
+      tollDistance: driving && route.tollDistance !== undefined ? route.tollDistance : null,
+      parking,
+      parkingDays: driving ? duration : 0,
+      profile: { id: profile.id, name: profile.name, edited: Boolean(profile.edited) },
+      legs: legs,
       breakdown: {
         transportPercent: (transportCost / total * 100).toFixed(1),
         accommodationPercent: (accommodationCost / total * 100).toFixed(1),
@@ -85,31 +150,76 @@ const CostModule = (function() {
   /**
    * Calculate transport cost
    * @param {Object} route - Route object
-   * @returns {number} - Transport cost
+   * @param {string} currency - Currency of the result (default won)
+   * @param {Object} costProfile - Fuel price, efficiency and tolls for cars (default: Korea)
+   * @param {string} vehicleClass - Toll class for driving routes (default: car)
+   * @returns {number} - Transport cost in whole units
    */
-  function calculateTransportCost(route) {
+  function calculateTransportCost(route, currency = CurrencyModule.HOME_CURRENCY, costProfile = getDefaultProfile(), vehicleClass = 'car') {
     if (!route) return 0;
 
+    // Public transport fare from the timetable, when known
+    if (typeof route.fare === 'number') {
+      return Math.round(CurrencyModule.convert(route.fare, FARE_CURRENCY, currency));
+    }
+
     const distance = parseFloat(route.distance) || 0;
     const profile = route.profile || 'driving-car';
-    const costPerKm = COSTS.transport[profile] || COSTS.transport['public-transport'];
+    const costPerKm = profile === 'driving-car'
+      ? CurrencyModule.convert(costProfile.fuelPrice / costProfile.fuelEfficiency, costProfile.currency, currency)
+      : getCostConstant('transport', profile, currency) ?? getCostConstant('transport', 'public-transport', currency);
+
+    return Math.round(distance * costPerKm) + (calculateTollCost(route, currency, costProfile, vehicleClass) || 0);
+  }
 
-    return Math.round(distance * costPerKm);
+  /**
+   * Check whether a route is driven (public transport fares are never driving)
+   */
+  function isDriving(route) {
+    return Boolean(route) && (route.profile || 'driving-car') === 'driving-car' && typeof route.fare !== 'number';
+  }
+
+  /**
+   * Estimate the tolls of a driving route: a base fee per tolled stretch plus a
+   * rate per tolled km, from the destination's toll table
+   * @param {Object} route - Route with tollways and tollDistance (see TransportModule.getRoute)
+   * @param {string} currency - Currency of the result (default won)
+   * @param {Object} costProfile - Toll table of the destination (default: Korea)
+   * @param {string} vehicleClass - car, van, bus or truck
+   * @returns {number|null} - Tolls in whole units (null when the route or the table is unknown)
+   */
+  function calculateTollCost(route, currency = CurrencyModule.HOME_CURRENCY, costProfile = getDefaultProfile(), vehicleClass = 'car') {
+    if (!isDriving(route) || route.tollDistance === undefined || !costProfile.tolls) return null;
+
+    const km = parseFloat(route.tollDistance) || 0;
+    if (km === 0) return 0;
+
+    const { base, perKm } = costProfile.tolls;
+    const amount = (base[vehicleClass] ?? base.car) * (route.tollways || []).length + (perKm[vehicleClass] ?? perKm.car) * km;
+    return Math.round(CurrencyModule.convert(amount, costProfile.currency, currency));
+  }
+
+  /**
+   * Get the ticket cost of one place for one person
+   * @param {Object} place - Place with category
+   * @param {string} currency - Currency of the result (default won)
+   * @returns {number} - Activity cost in whole units
+   */
+  function getActivityCost(place, currency = CurrencyModule.HOME_CURRENCY) {
+    const category = place.category || 'culture';
+    return Math.round(getCostConstant('activities', category, currency) ?? getCostConstant('activities', 'culture', currency));
   }
 
   /**
    * Calculate activities cost
    * @param {Array} places - Array of places
+   * @param {string} currency - Currency of the result
    * @returns {number} - Activities cost
    */
-  function calculateActivitiesCost(places) {
+  function calculateActivitiesCost(places, currency) {
     if (!places || places.length === 0) return 0;
 
-    return places.reduce((total, place) => {
-      const category = place.category || 'culture';
-      const cost = COSTS.activities[category] || 10000;
-      return total + cost;
-    }, 0);
+    return places.reduce((total, place) => total + getActivityCost(place, currency), 0);
   }
 
   /**
@@ -141,9 +251,12 @@ const CostModule = (function() {
   /**
    * Render cost chart
    * @param {Object} costData - Cost data
+   * @param {Object|null} expenses - { estimate, actual } by category in one currency;
+   *   adds an estimate-vs-actual bar chart next to the doughnut
    */
-  function renderCostChart(costData) {
+  function renderCostChart(costData, expenses = null) {
     const canvas = document.getElementById('costChart');
+    const currency = getCurrency(costData);
     if (!canvas) {
       console.warn('Chart canvas not found');
       return;
@@ -161,10 +274,10 @@ const CostModule = (function() {
           <div style="padding: 2rem; text-align: center;">
             <p style="color: #6b7280; margin-bottom: 1rem;">차트 라이브러리를 로드할 수 없습니다.</p>
             <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 1rem; max-width: 400px; margin: 0 auto;">
-              <div><strong>교통비:</strong> ${formatCurrency(costData.transport)}</div>
-              <div><strong>숙박비:</strong> ${formatCurrency(costData.accommodation)}</div>
-              <div><strong>식비:</strong> ${formatCurrency(costData.food)}</div>
-              <div><strong>활동비:</strong> ${formatCurrency(costData.activities)}</div>
+              <div><strong>교통비:</strong> ${CurrencyModule.formatDual(costData.transport, currency)}</div>
+              <div><strong>숙박비:</strong> ${CurrencyModule.formatDual(costData.accommodation, currency)}</div>
+              <div><strong>식비:</strong> ${CurrencyModule.formatDual(costData.food, currency)}</div>
+              <div><strong>활동비:</strong> ${CurrencyModule.formatDual(costData.activities, currency)}</div>
             </div>
           </div>
         `;
@@ -183,14 +296,16 @@ const CostModule = (function() {
       }
     }
 
-    // Prepare data
-    const labels = ['교통비', '숙박비', '식비', '활동비'];
+    // Prepare data (legend entries carry the amounts in both currencies)
+    const names = ['교통비', '숙박비', '식비', '활동비'];
+    const percentKeys = ['transportPercent', 'accommodationPercent', 'foodPercent', 'activitiesPercent'];
     const data = [
       costData.transport,
       costData.accommodation,
       costData.food,
       costData.activities
     ];
+    const labels = names.map((name, index) => `${name} ${CurrencyModule.formatDual(data[index], currency)}`);
 
     const colors = [
       'rgba(37, 99, 235, 0.8)',   // primary
@@ -228,9 +343,9 @@ const CostModule = (function() {
             tooltip: {
               callbacks: {
                 label: function(context) {
-                  const label = context.label || '';
                   const value = context.parsed || 0;
-                  return `${label}: ${formatCurrency(value)} (${costData.breakdown[getCostKey(label)]}%)`;
+                  const percent = costData.breakdown[percentKeys[context.dataIndex]];
+                  return `${names[context.dataIndex]}: ${CurrencyModule.formatDual(value, currency)} (${percent}%)`;
                 }
               }
             }
@@ -249,66 +364,157 @@ const CostModule = (function() {
           <div style="padding: 2rem; text-align: center;">
             <p style="color: #ef4444; margin-bottom: 1rem;">차트 생성 중 오류가 발생했습니다.</p>
             <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 1rem; max-width: 400px; margin: 0 auto;">
-              <div><strong>교통비:</strong> ${formatCurrency(costData.transport)}</div>
-              <div><strong>숙박비:</strong> ${formatCurrency(costData.accommodation)}</div>
-              <div><strong>식비:</strong> ${formatCurrency(costData.food)}</div>
-              <div><strong>활동비:</strong> ${formatCurrency(costData.activities)}</div>
+              <div><strong>교통비:</strong> ${CurrencyModule.formatDual(costData.transport, currency)}</div>
+              <div><strong>숙박비:</strong> ${CurrencyModule.formatDual(costData.accommodation, currency)}</div>
+              <div><strong>식비:</strong> ${CurrencyModule.formatDual(costData.food, currency)}</div>
+              <div><strong>활동비:</strong> ${CurrencyModule.formatDual(costData.activities, currency)}</div>
             </div>
           </div>
         `;
       }
     }
+
+    renderExpenseChart(expenses);
   }
 
   /**
-   * Get cost key from label
+   * Render the estimate-vs-actual bar chart (hidden until something is logged)
+   * @param {Object|null} expenses - { estimate, actual } by category in one currency
    */
-  function getCostKey(label) {
-    const map = {
-      '교통비': 'transportPercent',
-      '숙박비': 'accommodationPercent',
-      '식비': 'foodPercent',
-      '활동비': 'activitiesPercent'
-    };
-    return map[label] || 'transportPercent';
+  function renderExpenseChart(expenses) {
+    const canvas = document.getElementById('expenseChart');
+    if (!canvas) return;
+
+    if (expenseChartInstance) {
+      expenseChartInstance.destroy();
+      expenseChartInstance = null;
+    }
+
+    const hasActual = expenses && expenses.actual.total > 0;
+    canvas.parentElement.hidden = !hasActual;
+    if (!hasActual) return;
+
+    const { estimate, actual } = expenses;
+    const currency = actual.currency;
+    const keys = ['transport', 'accommodation', 'food', 'activities'];
+
+    try {
+      expenseChartInstance = new Chart(canvas.getContext('2d'), {
+        type: 'bar',
+        data: {
+          labels: ['교통비', '숙박비', '식비', '활동비'],
+          datasets: [
+            {
+              label: '예상',
+              data: keys.map(key => estimate[key] || 0),
+              backgroundColor: 'rgba(156, 163, 175, 0.6)'
+            },
+            {
+              label: '실제',
+              data: keys.map(key => actual[key]),
+              // Categories over the estimate stand out in red
+              backgroundColor: keys.map(key => (actual[key] > (estimate[key] || 0) ? 'rgba(239, 68, 68, 0.8)' : 'rgba(37, 99, 235, 0.8)'))
+            }
+          ]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: true,
+          scales: {
+            y: {
+              beginAtZero: true,
+              ticks: {
+                callback: value => formatCurrency(value, currency)
+              }
+            }
+          },
+          plugins: {
+            legend: {
+              position: 'bottom'
+            },
+            tooltip: {
+              callbacks: {
+                label: context => `${context.dataset.label}: ${CurrencyModule.formatDual(context.parsed.y, currency)}`
+              }
+            }
+          }
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error creating expense chart:', error);
+      canvas.parentElement.hidden = true;
+    }
+  }
+
+  /**
+   * Get the current cost chart as a PNG data URL (for printing)
+   * @returns {string|null} - Data URL, or null when no chart is drawn
+   */
+  function getChartImage() {
+    if (!chartInstance) return null;
+
+    try {
+      return chartInstance.toBase64Image('image/png', 1);
+    } catch (error) {
+      console.warn('Could not capture chart image:', error);
+      return null;
+    }
   }
 
   /**
    * Render cost summary
    * @param {Object} costData - Cost data
+   * @param {string} containerId - Target element ID
    */
-  function renderCostSummary(costData) {
-    const container = document.getElementById('costSummary');
+  function renderCostSummary(costData, containerId = 'costSummary') {
+    const container = document.getElementById(containerId);
     if (!container) return;
 
+    const currency = getCurrency(costData);
+    const displayCurrency = CurrencyModule.getDisplayCurrency();
+
     container.innerHTML = `
+      ${costData.profile ? `
+        <p class="cost-profile">
+          <i class="fas fa-tags"></i>
+          비용 기준 ${UtilModule.escapeHtml(costData.profile.name)}${costData.profile.edited ? ' · 직접 수정한 가격' : ''}
+        </p>
+      ` : ''}
+      ${currency !== displayCurrency ? `
+        <p class="cost-rate">
+          <i class="fas fa-coins"></i>
+          현지 통화 ${currency} · ${CurrencyModule.describeRate(currency)}
+        </p>
+      ` : ''}
       <div class="cost-item">
         <span class="cost-label">
           <i class="fas fa-car"></i>
           교통비
         </span>
-        <span class="cost-value">${formatCurrency(costData.transport)}</span>
+        <span class="cost-value">${formatCostValue(costData.transport, currency)}</span>
       </div>
+      ${renderLegCostItems(costData.legs, currency, Boolean(costData.vehicleClass))}
+      ${renderDrivingCostItems(costData, currency)}
       <div class="cost-item">
         <span class="cost-label">
           <i class="fas fa-hotel"></i>
           숙박비
         </span>
-        <span class="cost-value">${formatCurrency(costData.accommodation)}</span>
+        <span class="cost-value">${formatCostValue(costData.accommodation, currency)}</span>
       </div>
       <div class="cost-item">
         <span class="cost-label">
           <i class="fas fa-utensils"></i>
           식비
         </span>
-        <span class="cost-value">${formatCurrency(costData.food)}</span>
+        <span class="cost-value">${formatCostValue(costData.food, currency)}</span>
       </div>
       <div class="cost-item">
         <span class="cost-label">
           <i class="fas fa-ticket"></i>
           활동비
         </span>
-        <span class="cost-value">${formatCurrency(costData.activities)}</span>
+        <span class="cost-value">${formatCostValue(costData.activities, currency)}</span>
       </div>
       <div class="cost-item">
         <span class="cost-label">
@@ -316,30 +522,127 @@ const CostModule = (function() {
           총 예상 비용
         </span>
         <span class="cost-value" style="color: #2563eb; font-size: 1.5rem;">
-          ${formatCurrency(costData.total)}
+          ${formatCostValue(costData.total, currency)}
         </span>
       </div>
     `;
   }
 
+  /**
+   * Format a summary amount with its value in the display currency underneath
+   * @param {number} amount - Amount
+   * @param {string} currency - Currency of the amount
+   * @returns {string} - HTML
+   */
+  function formatCostValue(amount, currency) {
+    const displayCurrency = CurrencyModule.getDisplayCurrency();
+    if (currency === displayCurrency) return formatCurrency(amount, currency);
+
+    const converted = CurrencyModule.convert(amount, currency, displayCurrency);
+    return `${formatCurrency(amount, currency)}<small class="cost-converted">${formatCurrency(converted, displayCurrency)}</small>`;
+  }
+
+  /**
+   * Render per-leg transport cost rows (only for routes with intermediate stops)
+   * @param {Array} legs - Legs with cost
+   * @param {string} currency - Currency of the leg costs
+   * @param {boolean} driving - Legs carry fuel only; tolls and parking follow as their own rows
+   * @returns {string} - HTML
+   */
+  function renderLegCostItems(legs, currency, driving = false) {
+    if (!legs || legs.length < 2) return '';
+
+    const note = driving ? `
+      <div class="cost-item cost-subitem">
+        <span class="cost-label">구간별 유류비 · 통행료와 주차비는 아래에 따로 표시</span>
+        <span class="cost-value"></span>
+      </div>
+    ` : '';
+
+    return note + legs.map((leg, index) => `
+      <div class="cost-item cost-subitem">
+        <span class="cost-label">
+          ${index + 1}. ${getLegLabel(leg)} · ${leg.distance}km · ${leg.duration}
+        </span>
+        <span class="cost-value">${formatCurrency(leg.cost, currency)}</span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Render fuel, toll and parking rows of a driving route
+   * @param {Object} costData - Cost data
+   * @param {string} currency - Currency of the costs
+   * @returns {string} - HTML
+   */
+  function renderDrivingCostItems(costData, currency) {
+    if (!costData.vehicleClass) return '';
+
+    const tolls = costData.tolls || 0;
+    const parking = costData.parking || 0;
+    const items = [];
+
+    // Multi-stop routes already list fuel per leg
+    if (!costData.legs || costData.legs.length < 2) {
+      items.push({ label: '유류비', value: formatCurrency(costData.transport - tolls - parking, currency) });
+    }
+
+    if (costData.tolls !== null && costData.tolls !== undefined) {
+      items.push({
+        label: `통행료 · ${VEHICLE_NAMES[costData.vehicleClass] || VEHICLE_NAMES.car} · 유료도로 ${costData.tollDistance}km`,
+        value: formatCurrency(tolls, currency)
+      });
+    } else {
+      items.push({
+        label: `통행료 · ${costData.tollDistance !== null && costData.tollDistance !== undefined ? '요금표 없음' : '경로 정보 없음'}`,
+        value: '미포함'
+      });
+    }
+
+    if (parking > 0) {
+      items.push({ label: `주차비 · ${costData.parkingDays}일`, value: formatCurrency(parking, currency) });
+    }
+
+    return items.map(item => `
+      <div class="cost-item cost-subitem">
+        <span class="cost-label">${item.label}</span>
+        <span class="cost-value">${item.value}</span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Get display label for a leg
+   */
+  function getLegLabel(leg) {
+    if (leg.from && leg.to) {
+      return UtilModule.escapeHtml(`${leg.from} → ${leg.to}`);
+    }
+    return '구간';
+  }
+
   /**
    * Render route cost comparison
    * @param {Array} routes - Array of routes with costs
+   * @param {string} containerId - Target element ID
    */
-  function renderRouteCostComparison(routes) {
-    const container = document.getElementById('routesGrid');
+  function renderRouteCostComparison(routes, containerId = 'routesGrid') {
+    const container = document.getElementById(containerId);
     if (!container) return;
 
     const routesHTML = routes.map((route, index) => {
       const badge = getBadgeForRoute(route, routes);
-      const costPerKm = (route.cost / parseFloat(route.distance)).toFixed(0);
+      const currency = route.costCurrency || CurrencyModule.HOME_CURRENCY;
+      const costPerKm = route.cost / parseFloat(route.distance);
 
       return `
         <div class="route-card" data-route-index="${index}">
           <div class="route-header">
             <div class="route-title">
               <i class="fas ${route.icon || 'fa-route'}"></i>
-              ${route.name}
+              ${UtilModule.escapeHtml(route.name)}
+              ${route.isFallback ? '<span class="route-estimated" title="직선 거리 기반 추정">추정</span>' : ''}
+              ${route.isIntercity ? '<span class="route-estimated" title="대표 소요 시간·요금 기준">예상</span>' : ''}
             </div>
             ${badge ? `<span class="route-badge ${badge.class}">${badge.text}</span>` : ''}
           </div>
@@ -359,16 +662,19 @@ const CostModule = (function() {
             <div class="info-item">
               <div>
                 <div class="info-label">예상 비용</div>
-                <div class="info-value">${formatCurrency(route.cost)}</div>
+                <div class="info-value">${CurrencyModule.formatDual(route.cost, currency)}</div>
               </div>
             </div>
             <div class="info-item">
               <div>
                 <div class="info-label">km당 비용</div>
-                <div class="info-value">${formatCurrency(costPerKm)}</div>
+                <div class="info-value">${formatCurrency(costPerKm, currency, costPerKm < 100 ? 2 : 0)}</div>
               </div>
             </div>
           </div>
+          ${renderTransitSummary(route)}
+          ${renderTollSummary(route)}
+          ${renderRouteLegs(route.legs)}
         </div>
       `;
     }).join('');
@@ -376,6 +682,72 @@ const CostModule = (function() {
     container.innerHTML = routesHTML;
   }
 
+  /**
+   * Render the walk / ride sequence, transfers and fare of a public transport route
+   * @param {Object} route - Route with transit segments
+   * @returns {string} - HTML
+   */
+  function renderTransitSummary(route) {
+    if (!route.segments || route.segments.length === 0) return '';
+
+    const chips = route.segments.map(segment => {
+      const mode = TransitModule.getModeInfo(segment.mode);
+      const label = mode.access
+        ? `${mode.name} ${Math.max(1, Math.round(segment.duration / 60))}분`
+        : UtilModule.escapeHtml(segment.line || mode.name);
+
+      return `
+        <span class="transit-chip" style="--chip-color: ${segment.color || mode.color}" title="${mode.name}">
+          <i class="fas ${mode.icon}"></i> ${label}
+        </span>
+      `;
+    }).join('<i class="fas fa-angle-right transit-arrow"></i>');
+
+    return `
+      <div class="transit-summary">
+        <div class="transit-chips">${chips}</div>
+        <div class="transit-meta">
+          환승 ${route.transfers || 0}회 ·
+          ${typeof route.fare === 'number' ? `요금 ${formatCurrency(route.fare, FARE_CURRENCY)}` : '요금 정보 없음 (거리 기준 추정)'}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the tolled stretches of a driving route
+   * @param {Object} route - Route with tollways (see TransportModule.getRoute)
+   * @returns {string} - HTML
+   */
+  function renderTollSummary(route) {
+    if (!isDriving(route) || !route.tollways) return '';
+
+    return `
+      <div class="route-tolls">
+        <i class="fas fa-road"></i>
+        ${route.tollways.length > 0 ? `유료도로 ${route.tollDistance}km · ${route.tollways.length}구간` : '유료도로 없음'}
+      </div>
+    `;
+  }
+
+  /**
+   * Render per-leg distance/time list for a route card
+   * @param {Array} legs - Route legs
+   * @returns {string} - HTML
+   */
+  function renderRouteLegs(legs) {
+    if (!legs || legs.length < 2) return '';
+
+    const items = legs.map((leg, index) => `
+      <li>
+        <span class="leg-label">${index + 1}. ${getLegLabel(leg)}</span>
+        <span class="leg-meta">${leg.distance}km · ${leg.duration}</span>
+      </li>
+    `).join('');
+
+    return `<ol class="route-legs">${items}</ol>`;
+  }
+
   /**
    * Get badge for route
    */
@@ -399,27 +771,37 @@ const CostModule = (function() {
 
   /**
    * Format currency
-   * @param {number} amount - Amount in KRW
+   * @param {number} amount - Amount
+   * @param {string} currency - Currency code (default won)
+   * @param {number} fractionDigits - Most decimals to show
    * @returns {string} - Formatted string
    */
-  function formatCurrency(amount) {
-    if (!amount && amount !== 0) return '₩0';
-    return '₩' + Math.round(amount).toLocaleString('ko-KR');
+  function formatCurrency(amount, currency = CurrencyModule.HOME_CURRENCY, fractionDigits = 0) {
+    return CurrencyModule.format(Number.isFinite(amount) ? amount : 0, currency, fractionDigits);
+  }
+
+  /**
+   * Get the currency of calculated costs (trips saved before currencies were in won)
+   * @param {Object} costData - Cost data
+   * @returns {string} - Currency code
+   */
+  function getCurrency(costData) {
+    return (costData && costData.currency) || CurrencyModule.HOME_CURRENCY;
   }
 
   /**
    * Get budget recommendation
    * @param {number} duration - Trip duration
    * @param {Array} places - Places to visit
+   * @param {string} currency - Currency of the amounts (default won)
+   * @param {Object} profile - Destination prices (default: Korea)
    * @returns {Object} - Budget recommendations
    */
-  function getBudgetRecommendation(duration, places = []) {
-    const budgetLevels = ['budget', 'standard', 'luxury'];
-
-    return budgetLevels.map(level => {
-      const accommodationCost = COSTS.accommodation[level] * (duration - 1);
-      const foodCost = COSTS.food[level] * duration;
-      const activitiesCost = calculateActivitiesCost(places);
+  function getBudgetRecommendation(duration, places = [], currency = CurrencyModule.HOME_CURRENCY, profile = getDefaultProfile()) {
+    return CostProfileModule.LEVELS.map(level => {
+      const accommodationCost = Math.round(getProfileAmount(profile, 'accommodation', level, currency) * (duration - 1));
+      const foodCost = Math.round(getProfileAmount(profile, 'food', level, currency) * duration);
+      const activitiesCost = calculateActivitiesCost(places, currency);
 
       return {
         level,
@@ -431,6 +813,42 @@ const CostModule = (function() {
     });
   }
 
+  /**
+   * Render the budget/standard/luxury comparison (each tier is a button with data-budget-level)
+   * @param {Array} tiers - From getBudgetRecommendation
+   * @param {Object} options - { currency, transport, levels: { accommodation, food } }
+   * @param {string} containerId - Target element ID
+   */
+  function renderBudgetTiers(tiers, options = {}, containerId = 'budgetTiers') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const { currency = CurrencyModule.HOME_CURRENCY, transport = 0, levels = {} } = options;
+
+    container.innerHTML = `
+      <div class="budget-tiers-header">
+        <h3>
+          <i class="fas fa-layer-group"></i>
+          예산 등급 비교
+        </h3>
+        <span class="budget-tiers-hint">교통비 ${formatCurrency(transport, currency)} 포함 · 누르면 숙박과 식사 수준이 함께 바뀝니다</span>
+      </div>
+      <div class="budget-tiers-grid">
+        ${tiers.map(tier => {
+          const selected = levels.accommodation === tier.level && levels.food === tier.level;
+          return `
+            <button type="button" class="budget-tier ${selected ? 'selected' : ''}" data-budget-level="${tier.level}" aria-pressed="${selected}">
+              <span class="budget-tier-name">${tier.name}</span>
+              <span class="budget-tier-description">${tier.description}</span>
+              <span class="budget-tier-total">${formatCostValue(tier.totalCost + transport, currency)}</span>
+              <span class="budget-tier-daily">숙박 · 식비 1일 ${formatCurrency(tier.dailyCost, currency)}</span>
+            </button>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
   /**
    * Get level name
    */
@@ -505,18 +923,26 @@ const CostModule = (function() {
       chartInstance.destroy();
       chartInstance = null;
     }
+    if (expenseChartInstance) {
+      expenseChartInstance.destroy();
+      expenseChartInstance = null;
+    }
   }
 
   // Public API
   return {
     calculateTripCost,
     calculateTransportCost,
+    calculateTollCost,
+    getActivityCost,
     compareRouteCosts,
     renderCostChart,
+    getChartImage,
     renderCostSummary,
     renderRouteCostComparison,
     formatCurrency,
     getBudgetRecommendation,
+    renderBudgetTiers,
     calculateDailyBudget,
     getCostSavingsTips,
     destroyChart
@@ -0,0 +1,351 @@
+/**
+ * Cost Profile Module - Price Levels by Country and City
+ * Bundled fuel, lodging and meal prices for each country and the popular
+ * destinations, with the user's overrides (set in SettingsModule)
+ */
+
+const CostProfileModule = (function() {
+  // A destination within this distance of a city uses the city's profile
+  const CITY_RADIUS_KM = 30;
+
+  // Countries without a profile use the Korean prices converted to their currency
+  const DEFAULT_COUNTRY = 'KR';
+
+  const LEVELS = ['budget', 'standard', 'luxury'];
+
+  // Toll vehicle classes (Korean expressway classes 1–4)
+  const VEHICLE_CLASSES = ['car', 'van', 'bus', 'truck'];
+
+  /**
+   * Country prices in the local currency: fuel per litre, typical car
+   * efficiency (km per litre), parking per day, lodging per night and meals per day
+   */
+  const COUNTRY_PROFILES = {
+    KR: {
+      name: '대한민국', currency: 'KRW', fuelPrice: 1650, fuelEfficiency: 11, parking: 15000,
+      accommodation: { budget: 50000, standard: 100000, luxury: 300000 },
+      food: { budget: 30000, standard: 60000, luxury: 150000 }
+    },
+    JP: {
+      name: '일본', currency: 'JPY', fuelPrice: 175, fuelEfficiency: 13, parking: 2000,
+      accommodation: { budget: 5000, standard: 12000, luxury: 40000 },
+      food: { budget: 3000, standard: 6000, luxury: 15000 }
+    },
+    CN: {
+      name: '중국', currency: 'CNY', fuelPrice: 8, fuelEfficiency: 11, parking: 60,
+      accommodation: { budget: 200, standard: 450, luxury: 1500 },
+      food: { budget: 100, standard: 250, luxury: 700 }
+    },
+    HK: {
+      name: '홍콩', currency: 'HKD', fuelPrice: 24, fuelEfficiency: 11, parking: 250,
+      accommodation: { budget: 500, standard: 1200, luxury: 3500 },
+      food: { budget: 250, standard: 500, luxury: 1300 }
+    },
+    TW: {
+      name: '대만', currency: 'TWD', fuelPrice: 31, fuelEfficiency: 12, parking: 300,
+      accommodation: { budget: 1200, standard: 3000, luxury: 9000 },
+      food: { budget: 600, standard: 1200, luxury: 3000 }
+    },
+    TH: {
+      name: '태국', currency: 'THB', fuelPrice: 38, fuelEfficiency: 12, parking: 150,
+      accommodation: { budget: 700, standard: 1800, luxury: 6000 },
+      food: { budget: 400, standard: 900, luxury: 2500 }
+    },
+    SG: {
+      name: '싱가포르', currency: 'SGD', fuelPrice: 2.9, fuelEfficiency: 12, parking: 25,
+      accommodation: { budget: 80, standard: 200, luxury: 550 },
+      food: { budget: 40, standard: 80, luxury: 200 }
+    },
+    FR: {
+      name: '프랑스', currency: 'EUR', fuelPrice: 1.85, fuelEfficiency: 14, parking: 25,
+      accommodation: { budget: 60, standard: 130, luxury: 350 },
+      food: { budget: 35, standard: 70, luxury: 160 }
+    },
+    GB: {
+      name: '영국', currency: 'GBP', fuelPrice: 1.45, fuelEfficiency: 14, parking: 25,
+      accommodation: { budget: 55, standard: 120, luxury: 350 },
+      food: { budget: 30, standard: 60, luxury: 140 }
+    },
+    US: {
+      name: '미국', currency: 'USD', fuelPrice: 0.95, fuelEfficiency: 10, parking: 30,
+      accommodation: { budget: 80, standard: 170, luxury: 450 },
+      food: { budget: 45, standard: 90, luxury: 200 }
+    },
+    AU: {
+      name: '호주', currency: 'AUD', fuelPrice: 1.9, fuelEfficiency: 11, parking: 30,
+      accommodation: { budget: 90, standard: 190, luxury: 450 },
+      food: { budget: 50, standard: 100, luxury: 220 }
+    }
+  };
+
+  /**
+   * Expressway tolls in the local currency by vehicle class: a base fee for each
+   * tolled stretch plus a rate per tolled km. Countries that charge per crossing
+   * or zone (Hong Kong tunnels, Singapore ERP, British toll roads) have none.
+   */
+  const TOLL_RATES = {
+    KR: { base: { car: 900, van: 900, bus: 1000, truck: 1100 }, perKm: { car: 44.3, van: 45.2, bus: 47, truck: 62.9 } },
+    JP: { base: { car: 150, van: 180, bus: 248, truck: 413 }, perKm: { car: 24.6, van: 29.5, bus: 40.6, truck: 67.7 } },
+    CN: { base: { car: 0, van: 0, bus: 0, truck: 0 }, perKm: { car: 0.5, van: 0.9, bus: 1.2, truck: 1.6 } },
+    TW: { base: { car: 0, van: 0, bus: 0, truck: 0 }, perKm: { car: 1.2, van: 1.5, bus: 1.5, truck: 1.8 } },
+    TH: { base: { car: 0, van: 0, bus: 0, truck: 0 }, perKm: { car: 1.25, van: 2, bus: 2, truck: 2.9 } },
+    FR: { base: { car: 0, van: 0, bus: 0, truck: 0 }, perKm: { car: 0.11, van: 0.17, bus: 0.23, truck: 0.31 } },
+    US: { base: { car: 0, van: 0, bus: 0, truck: 0 }, perKm: { car: 0.08, van: 0.12, bus: 0.2, truck: 0.3 } },
+    AU: { base: { car: 0, van: 0, bus: 0, truck: 0 }, perKm: { car: 0.45, van: 0.7, bus: 1.2, truck: 1.2 } }
+  };
+
+  /**
+   * Popular destinations (TransportModule's POPULAR_CITIES). priceLevel scales
+   * the country's lodging and meal prices; names are matched against the parts
+   * of a destination name and the point against CITY_RADIUS_KM.
+   */
+  const CITY_PROFILES = {
+    '서울': { country: 'KR', names: ['서울', '서울특별시', 'Seoul'], lat: 37.5665, lng: 126.9780, priceLevel: 1.3 },
+    '부산': { country: 'KR', names: ['부산', '부산광역시', 'Busan'], lat: 35.1796, lng: 129.0756, priceLevel: 1.1 },
+    '인천': { country: 'KR', names: ['인천', '인천광역시', 'Incheon'], lat: 37.4563, lng: 126.7052, priceLevel: 1.0 },
+    '대구': { country: 'KR', names: ['대구', '대구광역시', 'Daegu'], lat: 35.8714, lng: 128.6014, priceLevel: 0.95 },
+    '대전': { country: 'KR', names: ['대전', '대전광역시', 'Daejeon'], lat: 36.3504, lng: 127.3845, priceLevel: 0.9 },
+    '광주': { country: 'KR', names: ['광주', '광주광역시', 'Gwangju'], lat: 35.1595, lng: 126.8526, priceLevel: 0.9 },
+    '울산': { country: 'KR', names: ['울산', '울산광역시', 'Ulsan'], lat: 35.5384, lng: 129.3114, priceLevel: 0.95 },
+    '제주': { country: 'KR', names: ['제주', '제주시', '제주특별자치도', 'Jeju'], lat: 33.4996, lng: 126.5312, priceLevel: 1.2 },
+    '수원': { country: 'KR', names: ['수원', '수원시', 'Suwon'], lat: 37.2636, lng: 127.0286, priceLevel: 0.95 },
+    '창원': { country: 'KR', names: ['창원', '창원시', 'Changwon'], lat: 35.2280, lng: 128.6811, priceLevel: 0.9 },
+    '고양': { country: 'KR', names: ['고양', '고양시', 'Goyang'], lat: 37.6584, lng: 126.8320, priceLevel: 0.95 },
+    '용인': { country: 'KR', names: ['용인', '용인시', 'Yongin'], lat: 37.2411, lng: 127.1776, priceLevel: 0.95 },
+    '성남': { country: 'KR', names: ['성남', '성남시', 'Seongnam'], lat: 37.4201, lng: 127.1262, priceLevel: 1.0 },
+    '청주': { country: 'KR', names: ['청주', '청주시', 'Cheongju'], lat: 36.6424, lng: 127.4890, priceLevel: 0.85 },
+    '전주': { country: 'KR', names: ['전주', '전주시', 'Jeonju'], lat: 35.8242, lng: 127.1480, priceLevel: 0.95 },
+    '천안': { country: 'KR', names: ['천안', '천안시', 'Cheonan'], lat: 36.8151, lng: 127.1139, priceLevel: 0.85 },
+    '안산': { country: 'KR', names: ['안산', '안산시', 'Ansan'], lat: 37.3219, lng: 126.8309, priceLevel: 0.85 },
+    '안양': { country: 'KR', names: ['안양', '안양시', 'Anyang'], lat: 37.3943, lng: 126.9568, priceLevel: 0.9 },
+    '포항': { country: 'KR', names: ['포항', '포항시', 'Pohang'], lat: 36.0190, lng: 129.3435, priceLevel: 0.9 },
+    '강릉': { country: 'KR', names: ['강릉', '강릉시', 'Gangneung'], lat: 37.7519, lng: 128.8761, priceLevel: 1.1 },
+    '경주': { country: 'KR', names: ['경주', '경주시', 'Gyeongju'], lat: 35.8562, lng: 129.2247, priceLevel: 1.0 },
+    '여수': { country: 'KR', names: ['여수', '여수시', 'Yeosu'], lat: 34.7604, lng: 127.6622, priceLevel: 1.0 },
+    '속초': { country: 'KR', names: ['속초', '속초시', 'Sokcho'], lat: 38.2070, lng: 128.5918, priceLevel: 1.1 },
+
+    '도쿄': { country: 'JP', names: ['도쿄', 'Tokyo', '東京'], lat: 35.6762, lng: 139.6503, priceLevel: 1.3 },
+    '오사카': { country: 'JP', names: ['오사카', 'Osaka', '大阪'], lat: 34.6937, lng: 135.5023, priceLevel: 1.1 },
+    '교토': { country: 'JP', names: ['교토', 'Kyoto', '京都'], lat: 35.0116, lng: 135.7681, priceLevel: 1.25 },
+    '후쿠오카': { country: 'JP', names: ['후쿠오카', 'Fukuoka', '福岡'], lat: 33.5904, lng: 130.4017, priceLevel: 0.95 },
+    '베이징': { country: 'CN', names: ['베이징', 'Beijing', '北京'], lat: 39.9042, lng: 116.4074, priceLevel: 1.1 },
+    '상하이': { country: 'CN', names: ['상하이', 'Shanghai', '上海'], lat: 31.2304, lng: 121.4737, priceLevel: 1.2 },
+    '홍콩': { country: 'HK', names: ['홍콩', 'Hong Kong'], lat: 22.3193, lng: 114.1694, priceLevel: 1.0 },
+    '타이베이': { country: 'TW', names: ['타이베이', 'Taipei', '臺北', '台北'], lat: 25.0330, lng: 121.5654, priceLevel: 1.15 },
+    '방콕': { country: 'TH', names: ['방콕', 'Bangkok'], lat: 13.7563, lng: 100.5018, priceLevel: 1.1 },
+    '싱가포르': { country: 'SG', names: ['싱가포르', 'Singapore'], lat: 1.3521, lng: 103.8198, priceLevel: 1.0 },
+    '파리': { country: 'FR', names: ['파리', 'Paris'], lat: 48.8566, lng: 2.3522, priceLevel: 1.3 },
+    '런던': { country: 'GB', names: ['런던', 'London'], lat: 51.5074, lng: -0.1278, priceLevel: 1.35 },
+    '뉴욕': { country: 'US', names: ['뉴욕', 'New York', 'New York City'], lat: 40.7128, lng: -74.0060, priceLevel: 1.4 },
+    '로스앤젤레스': { country: 'US', names: ['로스앤젤레스', 'Los Angeles'], lat: 34.0522, lng: -118.2437, priceLevel: 1.2 },
+    '시드니': { country: 'AU', names: ['시드니', 'Sydney'], lat: -33.8688, lng: 151.2093, priceLevel: 1.2 }
+  };
+
+  // User overrides by profile ID: { fuelPrice, fuelEfficiency, parking, accommodation: {...}, food: {...} }
+  let overrides = {};
+
+  /**
+   * Get the ID of a city profile
+   */
+  function getCityId(city) {
+    return `${CITY_PROFILES[city].country}/${city}`;
+  }
+
+  /**
+   * Scale a price by a city's price level (whole units for big currencies)
+   */
+  function scale(amount, priceLevel) {
+    const scaled = amount * priceLevel;
+    return amount >= 100 ? Math.round(scaled) : Math.round(scaled * 100) / 100;
+  }
+
+  /**
+   * Build a profile from the bundled tables
+   * @param {string} id - 'KR' (country) or 'KR/서울' (city)
+   * @returns {Object|null} - Profile without user overrides
+   */
+  function getBundled(id) {
+    const [country, city] = String(id).split('/');
+    const base = COUNTRY_PROFILES[country];
+    if (!base || (city && (!CITY_PROFILES[city] || CITY_PROFILES[city].country !== country))) {
+      return null;
+    }
+
+    const priceLevel = city ? CITY_PROFILES[city].priceLevel : 1;
+    const levels = table => Object.fromEntries(LEVELS.map(level => [level, scale(base[table][level], priceLevel)]));
+
+    return {
+      id,
+      type: city ? 'city' : 'country',
+      name: city && city !== base.name ? `${city} (${base.name})` : base.name,
+      country,
+      currency: base.currency,
+      fuelPrice: base.fuelPrice,
+      fuelEfficiency: base.fuelEfficiency,
+      parking: scale(base.parking, priceLevel),
+      tolls: TOLL_RATES[country] || null,
+      accommodation: levels('accommodation'),
+      food: levels('food')
+    };
+  }
+
+  /**
+   * Apply one profile's overrides to its prices
+   */
+  function applyOverride(profile, override = {}) {
+    return {
+      ...profile,
+      fuelPrice: override.fuelPrice ?? profile.fuelPrice,
+      fuelEfficiency: override.fuelEfficiency ?? profile.fuelEfficiency,
+      parking: override.parking ?? profile.parking,
+      accommodation: { ...profile.accommodation, ...(override.accommodation || {}) },
+      food: { ...profile.food, ...(override.food || {}) }
+    };
+  }
+
+  /**
+   * Get the prices a profile starts from before its own overrides: for a city,
+   * its country's prices with the country's overrides, scaled to the city's price level
+   * @param {string} id - Profile ID
+   * @param {Object} profileOverrides - Overrides by profile ID (default: the configured ones)
+   * @returns {Object|null} - Profile without the edited flag
+   */
+  function getDefaults(id, profileOverrides = overrides) {
+    const bundled = getBundled(id);
+    if (!bundled || bundled.type !== 'city') return bundled;
+
+    const country = applyOverride(getBundled(bundled.country), profileOverrides[bundled.country]);
+    const { priceLevel } = CITY_PROFILES[String(id).split('/')[1]];
+    const levels = table => Object.fromEntries(LEVELS.map(level => [level, scale(country[table][level], priceLevel)]));
+
+    return {
+      ...bundled,
+      fuelPrice: country.fuelPrice,
+      fuelEfficiency: country.fuelEfficiency,
+      parking: scale(country.parking, priceLevel),
+      accommodation: levels('accommodation'),
+      food: levels('food')
+    };
+  }
+
+  /**
+   * Get a profile with the user's overrides (a city's own on top of its country's)
+   * @param {string} id - Profile ID
+   * @returns {Object|null} - { id, type, name, country, currency, fuelPrice, fuelEfficiency, parking, tolls, accommodation, food, edited }
+   */
+  function getProfile(id) {
+    const defaults = getDefaults(id);
+    if (!defaults) return null;
+
+    const edited = [id, ...(defaults.type === 'city' ? [defaults.country] : [])]
+      .some(key => overrides[key] && Object.keys(overrides[key]).length > 0);
+
+    return {
+      ...applyOverride(defaults, overrides[id]),
+      edited
+    };
+  }
+
+  /**
+   * Get every profile, each country followed by its cities
+   * @returns {Array} - [{ id, type, name, country, currency }, ...]
+   */
+  function getProfiles() {
+    const list = [];
+
+    Object.keys(COUNTRY_PROFILES).forEach(country => {
+      [country, ...Object.keys(CITY_PROFILES).filter(city => CITY_PROFILES[city].country === country).map(getCityId)]
+        .forEach(id => {
+          const { type, name, currency } = getBundled(id);
+          list.push({ id, type, name, country, currency });
+        });
+    });
+
+    return list;
+  }
+
+  /**
+   * Find the city a destination is in (by name, then by distance)
+   */
+  function findCity(point, country) {
+    const cities = Object.keys(CITY_PROFILES).filter(city => CITY_PROFILES[city].country === country);
+    const parts = String(point.name || '').split(',').map(part => part.trim().toLowerCase());
+
+    const named = cities.find(city =>
+      CITY_PROFILES[city].names.some(name => parts.includes(name.toLowerCase()))
+    );
+    if (named) return named;
+
+    if (typeof point.lat !== 'number' || typeof point.lng !== 'number') return null;
+
+    let nearest = null;
+    let nearestDistance = CITY_RADIUS_KM;
+    cities.forEach(city => {
+      const distance = TransportModule.calculateDistance(point.lat, point.lng, CITY_PROFILES[city].lat, CITY_PROFILES[city].lng);
+      if (distance <= nearestDistance) {
+        nearest = city;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  /**
+   * Pick the profile for a destination: its city, else its country, else
+   * the Korean prices in the local currency (without tolls, which differ too much)
+   * @param {Object} point - { lat, lng, name }
+   * @returns {Object} - Profile (type 'default' when the country has none)
+   */
+  function findProfile(point) {
+    const country = point ? LocaleModule.getCountry(point.lat, point.lng, point.name) : null;
+
+    if (COUNTRY_PROFILES[country]) {
+      const city = findCity(point, country);
+      return getProfile(city ? getCityId(city) : country);
+    }
+
+    const fallback = getProfile(DEFAULT_COUNTRY);
+    const currency = CurrencyModule.getLocalCurrency(point);
+    const convert = amount => scale(CurrencyModule.convert(amount, fallback.currency, currency), 1);
+    const levels = table => Object.fromEntries(LEVELS.map(level => [level, convert(fallback[table][level])]));
+
+    return {
+      ...fallback,
+      id: 'default',
+      type: 'default',
+      name: `기본값 (${fallback.name} 기준)`,
+      country,
+      currency,
+      fuelPrice: convert(fallback.fuelPrice),
+      parking: convert(fallback.parking),
+      tolls: null,
+      accommodation: levels('accommodation'),
+      food: levels('food')
+    };
+  }
+
+  /**
+   * Use the user's price overrides
+   * @param {Object} profileOverrides - { profileId: { fuelPrice, fuelEfficiency, parking, accommodation, food } }
+   */
+  function configure(profileOverrides = {}) {
+    overrides = {};
+    Object.entries(profileOverrides).forEach(([id, override]) => {
+      if (getBundled(id)) {
+        overrides[id] = override;
+      }
+    });
+  }
+
+  // Public API
+  return {
+    LEVELS,
+    VEHICLE_CLASSES,
+    getProfiles,
+    getProfile,
+    getBundled,
+    getDefaults,
+    findProfile,
+    configure
+  };
+})();
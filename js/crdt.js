@@ -0,0 +1,275 @@
+/**
+ * CRDT Module - Last-Writer-Wins Map Document
+ * A replicated key/value document for shared trips: every key is a register
+ * stamped with a Lamport clock and the writer's ID, so replicas that receive
+ * the same operations in any order end up identical. Ordered lists are stored
+ * as one key per item with a fractional position, and text as a list of lines.
+ */
+
+const CrdtModule = (function() {
+  /**
+   * Create an empty document
+   * @param {string} actor - Unique ID of this replica (ties are broken by it)
+   * @returns {Object} - Document
+   */
+  function createDoc(actor) {
+    return {
+      actor,
+      clock: 0,
+      entries: new Map()
+    };
+  }
+
+  /**
+   * Check whether an operation wins over the stored entry
+   */
+  function wins(op, entry) {
+    if (!entry) return true;
+    if (op.clock !== entry.clock) return op.clock > entry.clock;
+    return op.actor > entry.actor;
+  }
+
+  /**
+   * Apply operations from any replica (idempotent, order-independent)
+   * @param {Object} doc - Document
+   * @param {Array} ops - [{ key, value, clock, actor }, ...]
+   * @returns {Array} - Keys whose value changed
+   */
+  function applyOps(doc, ops) {
+    const changed = [];
+
+    ops.forEach(op => {
+      doc.clock = Math.max(doc.clock, op.clock);
+
+      if (wins(op, doc.entries.get(op.key))) {
+        doc.entries.set(op.key, { value: op.value, clock: op.clock, actor: op.actor });
+        changed.push(op.key);
+      }
+    });
+
+    return changed;
+  }
+
+  /**
+   * Write a value locally
+   * @param {Object} doc - Document
+   * @param {string} key - Key
+   * @param {*} value - JSON value (null deletes)
+   * @returns {Object} - Operation to send to the other replicas
+   */
+  function set(doc, key, value) {
+    const op = { key, value, clock: doc.clock + 1, actor: doc.actor };
+    applyOps(doc, [op]);
+    return op;
+  }
+
+  /**
+   * Read a value
+   * @returns {*} - Value, or null when unset or deleted
+   */
+  function get(doc, key) {
+    const entry = doc.entries.get(key);
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Get every entry as operations (full state for a replica that just joined)
+   * @param {Object} doc - Document
+   * @param {boolean} includeDeleted - Include deletions (a replica with no
+   *   entries has nothing they could remove)
+   * @returns {Array} - Operations
+   */
+  function getOps(doc, includeDeleted = true) {
+    return Array.from(doc.entries, ([key, entry]) => ({ key, ...entry }))
+      .filter(op => includeDeleted || op.value !== null);
+  }
+
+  /**
+   * Get the entries that win over some operations from another replica
+   * (what that replica is missing among the keys it sent)
+   * @param {Object} doc - Document
+   * @param {Array} ops - Operations
+   * @returns {Array} - Operations
+   */
+  function getNewerOps(doc, ops) {
+    return ops
+      .filter(op => doc.entries.has(op.key) && wins(doc.entries.get(op.key), op))
+      .map(op => ({ key: op.key, ...doc.entries.get(op.key) }));
+  }
+
+  /**
+   * Read an ordered list stored under a key prefix
+   * @param {Object} doc - Document
+   * @param {string} prefix - e.g. 'visit:'
+   * @returns {Array} - [{ id, value }, ...] by position (deleted items left out)
+   */
+  function getList(doc, prefix) {
+    const items = [];
+
+    doc.entries.forEach((entry, key) => {
+      if (key.startsWith(prefix) && entry.value !== null) {
+        items.push({ id: key.slice(prefix.length), value: entry.value });
+      }
+    });
+
+    // Items inserted at the same spot by two people stay in a stable order
+    return items.sort((a, b) => a.value.pos - b.value.pos || (a.id < b.id ? -1 : 1));
+  }
+
+  /**
+   * Find the longest strictly increasing subsequence of positions
+   * @param {Array} positions - Positions (null for new items)
+   * @returns {Set} - Indexes in the subsequence
+   */
+  function getIncreasingRun(positions) {
+    const lengths = [];
+    const previous = [];
+    let best = -1;
+
+    positions.forEach((pos, index) => {
+      lengths[index] = 0;
+      previous[index] = -1;
+      if (pos === null) return;
+
+      lengths[index] = 1;
+      for (let before = 0; before < index; before++) {
+        if (positions[before] !== null && positions[before] < pos && lengths[before] + 1 > lengths[index]) {
+          lengths[index] = lengths[before] + 1;
+          previous[index] = before;
+        }
+      }
+      if (best === -1 || lengths[index] > lengths[best]) {
+        best = index;
+      }
+    });
+
+    const run = new Set();
+    for (let index = best; index !== -1; index = previous[index]) {
+      run.add(index);
+    }
+    return run;
+  }
+
+  /**
+   * Write an ordered list, touching only the items that were added, removed,
+   * changed or moved so concurrent edits to other items are kept
+   * @param {Object} doc - Document
+   * @param {string} prefix - e.g. 'visit:'
+   * @param {Array} items - [{ id, value }, ...] in the new order (value is an object)
+   * @returns {Array} - Operations
+   */
+  function setList(doc, prefix, items) {
+    const current = new Map(getList(doc, prefix).map(item => [item.id, item.value]));
+    const ids = items.map(item => String(item.id));
+    const ops = [];
+
+    // Removed items
+    current.forEach((value, id) => {
+      if (!ids.includes(id)) {
+        ops.push(set(doc, prefix + id, null));
+      }
+    });
+
+    // Items that keep their position: the longest run already in increasing order
+    const oldPositions = ids.map(id => (current.has(id) ? current.get(id).pos : null));
+    const kept = getIncreasingRun(oldPositions);
+
+    // Everything else goes between its neighbours
+    let previous = 0;
+    items.forEach((item, index) => {
+      const id = ids[index];
+      const old = current.get(id);
+      let pos = oldPositions[index];
+
+      if (!kept.has(index)) {
+        const nextKept = oldPositions.find((later, laterIndex) => laterIndex > index && kept.has(laterIndex));
+        pos = nextKept !== undefined ? (previous + nextKept) / 2 : previous + 1;
+      }
+
+      const value = { ...item.value, pos };
+      if (!old || JSON.stringify(old) !== JSON.stringify(value)) {
+        ops.push(set(doc, prefix + id, value));
+      }
+      previous = pos;
+    });
+
+    return ops;
+  }
+
+  /**
+   * Match lines that two versions of a text share (longest common subsequence)
+   * @param {Array} before - Old lines
+   * @param {Array} after - New lines
+   * @returns {Array} - Index of the matching old line for each new line (undefined when new)
+   */
+  function matchLines(before, after) {
+    const table = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+    for (let i = before.length - 1; i >= 0; i--) {
+      for (let j = after.length - 1; j >= 0; j--) {
+        table[i][j] = before[i] === after[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const matched = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length && j < after.length) {
+      if (before[i] === after[j]) {
+        matched[j++] = i++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+    return matched;
+  }
+
+  /**
+   * Read text stored as a list of lines under a key prefix
+   * @param {Object} doc - Document
+   * @param {string} prefix - e.g. 'note:'
+   * @returns {string} - Text
+   */
+  function getText(doc, prefix) {
+    return getList(doc, prefix).map(item => item.value.text).join('\n');
+  }
+
+  /**
+   * Write text as a list of lines: unchanged lines keep their item, so edits to
+   * different lines by different people are all kept (a line changed by two
+   * people at once keeps both versions)
+   * @param {Object} doc - Document
+   * @param {string} prefix - e.g. 'note:'
+   * @param {string} text - New text
+   * @returns {Array} - Operations
+   */
+  function setText(doc, prefix, text) {
+    const current = getList(doc, prefix);
+    const lines = String(text).split('\n');
+    const matched = matchLines(current.map(item => item.value.text), lines);
+
+    // New lines get IDs from this replica's clock, which every write advances
+    const stamp = `${doc.actor}.${doc.clock}`;
+    return setList(doc, prefix, lines.map((line, index) => ({
+      id: matched[index] !== undefined ? current[matched[index]].id : `${stamp}.${index}`,
+      value: { text: line }
+    })));
+  }
+
+  // Public API
+  return {
+    createDoc,
+    applyOps,
+    set,
+    get,
+    getOps,
+    getNewerOps,
+    getList,
+    setList,
+    getText,
+    setText
+  };
+})();
@@ -0,0 +1,243 @@
+/**
+ * Currency Module - Currencies and Exchange Rates
+ * Knows the currency of each country, converts amounts with editable
+ * exchange rates (set in SettingsModule) and formats them for display
+ */
+
+const CurrencyModule = (function() {
+  // Rates are stored as won per unit, so the won is the base of every conversion
+  const HOME_CURRENCY = 'KRW';
+  const DISPLAY_CURRENCY_KEY = 'travelDisplayCurrency';
+
+  const CURRENCIES = {
+    KRW: { name: '대한민국 원' },
+    USD: { name: '미국 달러' },
+    EUR: { name: '유로' },
+    JPY: { name: '일본 엔' },
+    CNY: { name: '중국 위안' },
+    HKD: { name: '홍콩 달러' },
+    TWD: { name: '대만 달러' },
+    SGD: { name: '싱가포르 달러' },
+    THB: { name: '태국 바트' },
+    VND: { name: '베트남 동' },
+    PHP: { name: '필리핀 페소' },
+    MYR: { name: '말레이시아 링깃' },
+    IDR: { name: '인도네시아 루피아' },
+    INR: { name: '인도 루피' },
+    AED: { name: '아랍에미리트 디르함' },
+    GBP: { name: '영국 파운드' },
+    CHF: { name: '스위스 프랑' },
+    CZK: { name: '체코 코루나' },
+    HUF: { name: '헝가리 포린트' },
+    PLN: { name: '폴란드 즈워티' },
+    DKK: { name: '덴마크 크로네' },
+    SEK: { name: '스웨덴 크로나' },
+    NOK: { name: '노르웨이 크로네' },
+    TRY: { name: '튀르키예 리라' },
+    CAD: { name: '캐나다 달러' },
+    MXN: { name: '멕시코 페소' },
+    AUD: { name: '호주 달러' },
+    NZD: { name: '뉴질랜드 달러' }
+  };
+
+  // Approximate won per unit on the as-of date; users keep them current in settings
+  const DEFAULT_RATES = {
+    asOf: '2025-07-01',
+    rates: {
+      KRW: 1,
+      USD: 1355,
+      EUR: 1595,
+      JPY: 9.4,
+      CNY: 189,
+      HKD: 173,
+      TWD: 46.4,
+      SGD: 1063,
+      THB: 41.6,
+      VND: 0.052,
+      PHP: 24,
+      MYR: 321,
+      IDR: 0.083,
+      INR: 15.8,
+      AED: 369,
+      GBP: 1858,
+      CHF: 1705,
+      CZK: 64.3,
+      HUF: 3.98,
+      PLN: 375,
+      DKK: 214,
+      SEK: 142,
+      NOK: 134,
+      TRY: 34,
+      CAD: 995,
+      MXN: 72.2,
+      AUD: 890,
+      NZD: 825
+    }
+  };
+
+  // Countries from LocaleModule.getCountry
+  const COUNTRY_CURRENCIES = {
+    KR: 'KRW', JP: 'JPY', CN: 'CNY', HK: 'HKD', TW: 'TWD', SG: 'SGD',
+    PH: 'PHP', VN: 'VND', TH: 'THB', MY: 'MYR', ID: 'IDR', IN: 'INR', AE: 'AED',
+    GB: 'GBP', CH: 'CHF', CZ: 'CZK', HU: 'HUF', PL: 'PLN', DK: 'DKK', SE: 'SEK', NO: 'NOK', TR: 'TRY',
+    IE: 'EUR', FR: 'EUR', DE: 'EUR', IT: 'EUR', ES: 'EUR', PT: 'EUR', NL: 'EUR', BE: 'EUR', AT: 'EUR', GR: 'EUR',
+    US: 'USD', CA: 'CAD', MX: 'MXN', AU: 'AUD', NZ: 'NZD'
+  };
+
+  let rates = { ...DEFAULT_RATES.rates };
+  let asOf = DEFAULT_RATES.asOf;
+  let displayCurrency = HOME_CURRENCY;
+
+  // Intl formatters are expensive to create, so keep one per currency and precision
+  const formatters = {};
+
+  /**
+   * Get the supported currencies
+   * @returns {Array} - [{ code, name }, ...]
+   */
+  function getCurrencies() {
+    return Object.entries(CURRENCIES).map(([code, currency]) => ({ code, name: currency.name }));
+  }
+
+  /**
+   * Check whether a currency code is supported
+   */
+  function isSupported(code) {
+    return Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+  }
+
+  /**
+   * Get the currency paid at a place
+   * @param {Object} point - { lat, lng, name }
+   * @returns {string} - Currency code (won when the country is unknown)
+   */
+  function getLocalCurrency(point) {
+    if (!point) return HOME_CURRENCY;
+
+    const country = LocaleModule.getCountry(point.lat, point.lng, point.name);
+    return COUNTRY_CURRENCIES[country] || HOME_CURRENCY;
+  }
+
+  /**
+   * Convert an amount between currencies
+   * @param {number} amount - Amount in `from`
+   * @param {string} from - Currency code
+   * @param {string} to - Currency code
+   * @returns {number} - Amount in `to` (unrounded)
+   */
+  function convert(amount, from, to) {
+    if (from === to || !amount) return amount || 0;
+    return amount * (rates[from] || 1) / (rates[to] || 1);
+  }
+
+  /**
+   * Format an amount of a currency
+   * @param {number} amount - Amount
+   * @param {string} currency - Currency code
+   * @param {number} fractionDigits - Most decimals to show (estimates use whole units)
+   * @returns {string} - e.g. '₩125,000', '€78'
+   */
+  function format(amount, currency = HOME_CURRENCY, fractionDigits = 0) {
+    const key = `${currency}:${fractionDigits}`;
+    if (!formatters[key]) {
+      formatters[key] = new Intl.NumberFormat('ko-KR', {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: 0,
+        maximumFractionDigits: fractionDigits
+      });
+    }
+    return formatters[key].format(amount || 0);
+  }
+
+  /**
+   * Format an amount with its value in the display currency
+   * @param {number} amount - Amount
+   * @param {string} currency - Currency code of the amount
+   * @returns {string} - e.g. '€78 (₩124,410)', or just the amount when both currencies match
+   */
+  function formatDual(amount, currency = HOME_CURRENCY) {
+    const local = format(amount, currency);
+    if (currency === displayCurrency) return local;
+    return `${local} (${format(convert(amount, currency, displayCurrency), displayCurrency)})`;
+  }
+
+  /**
+   * Describe the rate between a currency and the display currency
+   * @param {string} currency - Currency code
+   * @returns {string} - e.g. '1 EUR = 1,595 KRW · 2025-07-01 기준'
+   */
+  function describeRate(currency) {
+    const [from, to] = rates[currency] >= rates[displayCurrency]
+      ? [currency, displayCurrency]
+      : [displayCurrency, currency];
+    const rate = convert(1, from, to).toLocaleString('ko-KR', { maximumFractionDigits: 4 });
+
+    return `1 ${from} = ${rate} ${to} · ${asOf} 기준`;
+  }
+
+  /**
+   * Get the built-in rates
+   * @returns {Object} - { asOf, rates }
+   */
+  function getDefaultRates() {
+    return { asOf: DEFAULT_RATES.asOf, rates: { ...DEFAULT_RATES.rates } };
+  }
+
+  /**
+   * Get the rates in use
+   * @returns {Object} - { asOf, rates }
+   */
+  function getRates() {
+    return { asOf, rates: { ...rates } };
+  }
+
+  /**
+   * Use edited exchange rates
+   * @param {Object} options - { asOf, rates } (won per unit; missing codes keep the built-in rate)
+   */
+  function configure(options = {}) {
+    rates = { ...DEFAULT_RATES.rates, ...(options.rates || {}), [HOME_CURRENCY]: 1 };
+    asOf = options.asOf || DEFAULT_RATES.asOf;
+  }
+
+  /**
+   * Get the currency totals are also shown in
+   */
+  function getDisplayCurrency() {
+    return displayCurrency;
+  }
+
+  /**
+   * Choose the currency totals are also shown in (remembered in this browser)
+   * @param {string} code - Currency code
+   */
+  function setDisplayCurrency(code) {
+    if (!isSupported(code)) return;
+
+    displayCurrency = code;
+    localStorage.setItem(DISPLAY_CURRENCY_KEY, code);
+  }
+
+  const savedDisplayCurrency = localStorage.getItem(DISPLAY_CURRENCY_KEY);
+  if (isSupported(savedDisplayCurrency)) {
+    displayCurrency = savedDisplayCurrency;
+  }
+
+  // Public API
+  return {
+    HOME_CURRENCY,
+    getCurrencies,
+    isSupported,
+    getLocalCurrency,
+    convert,
+    format,
+    formatDual,
+    describeRate,
+    getDefaultRates,
+    getRates,
+    configure,
+    getDisplayCurrency,
+    setDisplayCurrency
+  };
+})();
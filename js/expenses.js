@@ -0,0 +1,521 @@
+/**
+ * Expense Module - Trip Expense Ledger
+ * Logs what was actually spent on each day of the trip by cost category,
+ * keeps receipt photos in IndexedDB on this device and compares the
+ * spending with the estimate, flagging categories that went over.
+ */
+
+const ExpenseModule = (function() {
+  const DB_NAME = 'travelPlannerReceipts';
+  const DB_VERSION = 1;
+  const STORE = 'receipts';
+
+  const CATEGORIES = [
+    { key: 'transport', label: '교통비' },
+    { key: 'accommodation', label: '숙박비' },
+    { key: 'food', label: '식비' },
+    { key: 'activities', label: '활동비' }
+  ];
+
+  let dbPromise = null;
+  let entries = [];
+  let context = {};
+  let handlers = {};
+  let container = null;
+
+  // The add form keeps the last day and currency between entries
+  let lastDay = 1;
+  let lastCurrency = null;
+
+  // Object URLs of the receipt thumbnails on screen (released on every render)
+  let receiptUrls = [];
+
+  /**
+   * Open the database (null when IndexedDB is unavailable, e.g. private mode)
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('⚠️ Receipt storage unavailable:', request.error);
+        resolve(null);
+      };
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run one request against the receipt store
+   * @param {string} mode - readonly or readwrite
+   * @param {Function} action - Receives the object store, returns an IDBRequest
+   */
+  async function withStore(mode, action) {
+    const db = await openDatabase();
+    if (!db) {
+      throw new Error('IndexedDB is not available');
+    }
+    return promisify(action(db.transaction(STORE, mode).objectStore(STORE)));
+  }
+
+  /**
+   * Create a unique ID
+   */
+  function createId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /**
+   * Store a receipt photo on this device
+   * @param {Blob} file - Image
+   * @returns {Promise<string>} - Receipt ID
+   */
+  async function saveReceipt(file) {
+    const id = createId();
+    await withStore('readwrite', store => store.put({
+      id,
+      blob: file,
+      name: file.name || '',
+      createdAt: new Date().toISOString()
+    }));
+    return id;
+  }
+
+  /**
+   * Get a stored receipt
+   * @param {string} id - Receipt ID
+   * @returns {Promise<Object|undefined>} - { id, blob, name, createdAt }
+   */
+  function getReceipt(id) {
+    return withStore('readonly', store => store.get(id));
+  }
+
+  /**
+   * List the stored receipts without their photos
+   * @returns {Promise<Array>} - [{ id, createdAt }]
+   */
+  async function listReceipts() {
+    const receipts = await withStore('readonly', store => store.getAll());
+    return receipts.map(({ id, createdAt }) => ({ id, createdAt }));
+  }
+
+  /**
+   * Delete stored receipts (missing ones are ignored)
+   * @param {Array} ids - Receipt IDs
+   */
+  async function removeReceipts(ids) {
+    await Promise.all(ids.filter(Boolean).map(id =>
+      withStore('readwrite', store => store.delete(id)).catch(error => {
+        console.warn('⚠️ Could not delete receipt:', id, error);
+      })
+    ));
+  }
+
+  /**
+   * Create a ledger entry
+   * @param {Object} fields - { day, category, amount, currency, note, receiptId }
+   * @returns {Object} - Entry
+   */
+  function createEntry(fields) {
+    return {
+      id: createId(),
+      day: fields.day,
+      category: fields.category,
+      amount: fields.amount,
+      currency: fields.currency,
+      note: fields.note || '',
+      receiptId: fields.receiptId || null,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Add up entries by category
+   * @param {Array} list - Entries in any currencies
+   * @param {string} currency - Currency of the result
+   * @returns {Object} - { transport, accommodation, food, activities, total, currency }
+   */
+  function summarize(list, currency) {
+    const totals = { transport: 0, accommodation: 0, food: 0, activities: 0 };
+
+    list.forEach(entry => {
+      if (Object.prototype.hasOwnProperty.call(totals, entry.category)) {
+        totals[entry.category] += CurrencyModule.convert(entry.amount, entry.currency, currency);
+      }
+    });
+
+    return {
+      ...totals,
+      total: Object.values(totals).reduce((sum, amount) => sum + amount, 0),
+      currency
+    };
+  }
+
+  /**
+   * Compare actual spending with the estimate per category
+   * @param {Object} estimate - Estimated costs by category
+   * @param {Object} actual - From summarize, in the estimate's currency
+   * @returns {Array} - [{ key, label, estimate, actual, difference, over }]
+   */
+  function compare(estimate, actual) {
+    return CATEGORIES.map(({ key, label }) => ({
+      key,
+      label,
+      estimate: estimate[key] || 0,
+      actual: actual[key],
+      difference: actual[key] - (estimate[key] || 0),
+      over: actual[key] > (estimate[key] || 0)
+    }));
+  }
+
+  /**
+   * Show the ledger for the trip on screen
+   * @param {Array} list - Entries (edited in place)
+   * @param {Object} options - { estimate, estimateLabel, duration, departureDate, currency }
+   */
+  function render(list, options = {}) {
+    // Another trip starts the form from day 1 in its own currency
+    if (list !== entries) {
+      lastDay = 1;
+      lastCurrency = null;
+    }
+
+    entries = list;
+    context = options;
+    if (!container) return;
+
+    releaseReceiptUrls();
+
+    if (!entries || !context.estimate) {
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="expense-header">
+        <h3>
+          <i class="fas fa-receipt"></i>
+          지출 기록
+        </h3>
+        <span class="expense-hint">영수증 사진은 이 기기에만 저장됩니다</span>
+      </div>
+      ${renderForm()}
+      ${entries.length === 0
+        ? '<p class="expense-empty">여행 중 쓴 돈을 기록하면 예상 비용과 비교해 보여줍니다.</p>'
+        : `${renderComparison()}${renderDays()}`}
+    `;
+
+    loadReceipts();
+  }
+
+  /**
+   * Render the add form
+   * @returns {string} - HTML
+   */
+  function renderForm() {
+    const days = Math.max(context.duration || 1, ...entries.map(entry => entry.day));
+    const currency = lastCurrency || context.currency;
+
+    return `
+      <form class="expense-add" data-expense-form>
+        <select class="form-control" name="day" aria-label="일차">
+          ${Array.from({ length: days }, (_, index) => index + 1).map(day =>
+            `<option value="${day}" ${day === lastDay ? 'selected' : ''}>${getDayLabel(day)}</option>`
+          ).join('')}
+        </select>
+        <select class="form-control" name="category" aria-label="항목">
+          ${CATEGORIES.map(({ key, label }) => `<option value="${key}">${label}</option>`).join('')}
+        </select>
+        <input type="number" class="form-control" name="amount" min="0" step="any" required placeholder="금액" aria-label="금액">
+        <select class="form-control" name="currency" aria-label="통화">
+          ${CurrencyModule.getCurrencies().map(({ code }) => `<option value="${code}" ${code === currency ? 'selected' : ''}>${code}</option>`).join('')}
+        </select>
+        <input type="text" class="form-control" name="note" maxlength="40" placeholder="메모 (선택)">
+        <label class="expense-receipt-input" title="영수증 사진">
+          <i class="fas fa-camera"></i>
+          <input type="file" name="receipt" accept="image/*" capture="environment">
+        </label>
+        <button type="submit" class="btn btn-secondary">
+          <i class="fas fa-plus"></i>
+          기록
+        </button>
+      </form>
+    `;
+  }
+
+  /**
+   * Render the estimate-vs-actual table and the overspend warnings
+   * @returns {string} - HTML
+   */
+  function renderComparison() {
+    const { estimate } = context;
+    const actual = summarize(entries, estimate.currency);
+    const rows = compare(estimate, actual);
+    const format = amount => CostModule.formatCurrency(amount, estimate.currency);
+    const over = rows.filter(row => row.over);
+
+    return `
+      ${over.length > 0 ? `
+        <ul class="expense-warnings">
+          ${over.map(row => `
+            <li>
+              <i class="fas fa-triangle-exclamation"></i>
+              ${row.label}: 예상보다 <strong>${format(row.difference)}</strong> 더 썼습니다${row.estimate > 0 ? ` (${Math.round(row.actual / row.estimate * 100)}%)` : ''}
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+      <div class="split-table-wrapper">
+        <table class="split-table expense-table">
+          <thead>
+            <tr>
+              <th>항목</th>
+              <th>예상${context.estimateLabel ? ` (${UtilModule.escapeHtml(context.estimateLabel)})` : ''}</th>
+              <th>실제</th>
+              <th>차이</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(row => `
+              <tr class="${row.over ? 'expense-over' : ''}">
+                <td>${row.label}</td>
+                <td>${format(row.estimate)}</td>
+                <td>${format(row.actual)}</td>
+                <td>${row.difference > 0 ? '+' : row.difference < 0 ? '-' : ''}${format(Math.abs(row.difference))}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+          <tfoot>
+            <tr class="${actual.total > estimate.total ? 'expense-over' : ''}">
+              <td>합계</td>
+              <td>${format(estimate.total)}</td>
+              <td>${format(actual.total)}</td>
+              <td>${actual.total > estimate.total ? '+' : actual.total < estimate.total ? '-' : ''}${format(Math.abs(actual.total - estimate.total))}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the entries grouped by day
+   * @returns {string} - HTML
+   */
+  function renderDays() {
+    const { currency } = context.estimate;
+    const days = [...new Set(entries.map(entry => entry.day))].sort((a, b) => a - b);
+    const labels = Object.fromEntries(CATEGORIES.map(({ key, label }) => [key, label]));
+
+    return `
+      <div class="expense-days">
+        ${days.map(day => {
+          const dayEntries = entries.filter(entry => entry.day === day);
+          return `
+            <div class="expense-day">
+              <h4>
+                ${getDayLabel(day)}
+                <span>${CostModule.formatCurrency(summarize(dayEntries, currency).total, currency)}</span>
+              </h4>
+              <ul>
+                ${dayEntries.map(entry => `
+                  <li class="expense-entry">
+                    <span class="expense-category expense-category-${entry.category}">${labels[entry.category]}</span>
+                    <span class="expense-note">${UtilModule.escapeHtml(entry.note)}</span>
+                    ${entry.receiptId ? `
+                      <button type="button" class="expense-receipt" data-expense-receipt="${UtilModule.escapeHtml(entry.receiptId)}" title="영수증 보기" hidden>
+                        <img alt="영수증">
+                      </button>
+                    ` : ''}
+                    <span class="expense-amount">
+                      ${CurrencyModule.format(entry.amount, entry.currency, 2)}
+                      ${entry.currency !== currency ? `<small>${CostModule.formatCurrency(CurrencyModule.convert(entry.amount, entry.currency, currency), currency)}</small>` : ''}
+                    </span>
+                    <button type="button" class="split-remove" data-expense-remove="${UtilModule.escapeHtml(entry.id)}" title="삭제">
+                      <i class="fas fa-xmark"></i>
+                    </button>
+                  </li>
+                `).join('')}
+              </ul>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Get "2일차 · 10월 4일 (토)" for a trip day
+   */
+  function getDayLabel(day) {
+    const date = ItineraryModule.parseDepartureDate(context.departureDate);
+    date.setDate(date.getDate() + day - 1);
+    return `${day}일차 · ${date.toLocaleDateString('ko-KR', { month: 'long', day: 'numeric', weekday: 'short' })}`;
+  }
+
+  /**
+   * Show the thumbnails of receipts stored on this device
+   * (receipts of trips imported from a file stay hidden)
+   */
+  async function loadReceipts() {
+    const buttons = [...container.querySelectorAll('[data-expense-receipt]')];
+
+    for (const button of buttons) {
+      try {
+        const receipt = await getReceipt(button.dataset.expenseReceipt);
+        if (!receipt || !button.isConnected) continue;
+
+        const url = URL.createObjectURL(receipt.blob);
+        receiptUrls.push(url);
+        button.querySelector('img').src = url;
+        button.hidden = false;
+      } catch (error) {
+        console.warn('⚠️ Could not load receipt:', error);
+      }
+    }
+  }
+
+  /**
+   * Release the thumbnail URLs of the previous render
+   */
+  function releaseReceiptUrls() {
+    receiptUrls.forEach(url => URL.revokeObjectURL(url));
+    receiptUrls = [];
+  }
+
+  /**
+   * Re-render after an edit and tell the app
+   */
+  function commit() {
+    render(entries, context);
+    if (handlers.onChange) {
+      handlers.onChange(entries);
+    }
+  }
+
+  /**
+   * Add an entry from the form (the receipt photo is stored first)
+   * @param {HTMLFormElement} form - Add form
+   */
+  async function addEntry(form) {
+    const amount = parseFloat(form.elements.amount.value);
+    if (!(amount > 0)) {
+      form.elements.amount.focus();
+      return;
+    }
+
+    const file = form.elements.receipt.files[0];
+    let receiptId = null;
+    if (file) {
+      try {
+        receiptId = await saveReceipt(file);
+      } catch (error) {
+        console.error('Receipt save error:', error);
+        alert('영수증 사진을 저장하지 못했습니다. 지출은 사진 없이 기록합니다.');
+      }
+    }
+
+    lastDay = parseInt(form.elements.day.value, 10) || 1;
+    lastCurrency = form.elements.currency.value;
+
+    entries.push(createEntry({
+      day: lastDay,
+      category: form.elements.category.value,
+      amount,
+      currency: lastCurrency,
+      note: form.elements.note.value.trim(),
+      receiptId
+    }));
+    console.log('🧾 Expense added:', entries[entries.length - 1]);
+    commit();
+
+    const input = container.querySelector('[data-expense-form] [name="amount"]');
+    if (input) input.focus();
+  }
+
+  /**
+   * Remove an entry and its receipt photo
+   * @param {string} id - Entry ID
+   */
+  function removeEntry(id) {
+    const entry = entries.find(item => item.id === id);
+    if (!entry) return;
+
+    entries.splice(entries.indexOf(entry), 1);
+    if (entry.receiptId) {
+      removeReceipts([entry.receiptId]);
+    }
+    commit();
+  }
+
+  /**
+   * Open a receipt photo in a new tab
+   * @param {HTMLElement} button - Thumbnail button
+   */
+  function openReceipt(button) {
+    const image = button.querySelector('img');
+    if (image && image.src) {
+      window.open(image.src, '_blank');
+    }
+  }
+
+  /**
+   * Wire up the ledger panel
+   * @param {Object} options - { onChange(entries) } called after every edit
+   */
+  function init(options = {}) {
+    handlers = options;
+    container = document.getElementById('expenseLedger');
+    if (!container) return;
+
+    container.addEventListener('submit', (e) => {
+      if (!e.target.matches('[data-expense-form]')) return;
+      e.preventDefault();
+      addEntry(e.target);
+    });
+
+    container.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-expense-remove]');
+      const receipt = e.target.closest('[data-expense-receipt]');
+      if (remove) {
+        removeEntry(remove.dataset.expenseRemove);
+      } else if (receipt) {
+        openReceipt(receipt);
+      }
+    });
+  }
+
+  // Public API
+  return {
+    CATEGORIES,
+    init,
+    createEntry,
+    summarize,
+    compare,
+    listReceipts,
+    removeReceipts,
+    render
+  };
+})();
@@ -0,0 +1,532 @@
+/**
+ * Export Module - Trip File Export
+ * Serializes the planned trip as GPX, KML, GeoJSON and iCalendar entirely client-side
+ */
+
+const ExportModule = (function() {
+  const APP_NAME = 'Travel Planner';
+
+  const FORMATS = {
+    gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+    kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+    ics: { extension: 'ics', mimeType: 'text/calendar' }
+  };
+
+  /**
+   * Collect the named points of a trip in travel order
+   * @param {Object} trip - { departure, destination, stops, places }
+   * @returns {Array} - Points with role (departure, waypoint, destination, place)
+   */
+  function getTripPoints(trip) {
+    const points = [];
+
+    if (trip.departure) {
+      points.push({ ...trip.departure, role: 'departure', label: '출발지' });
+    }
+
+    (trip.stops || []).forEach((stop, index) => {
+      points.push({ ...stop, role: 'waypoint', label: `경유지 ${index + 1}`, order: index + 1 });
+    });
+
+    if (trip.destination) {
+      points.push({ ...trip.destination, role: 'destination', label: '도착지' });
+    }
+
+    (trip.places || []).forEach(place => {
+      points.push({
+        lat: place.lat,
+        lng: place.lng,
+        name: place.name,
+        category: place.category,
+        description: place.description,
+        role: 'place',
+        label: RecommendModule.getCategoryInfo(place.category).name
+      });
+    });
+
+    return points;
+  }
+
+  /**
+   * Get a title for the trip
+   */
+  function getTripTitle(trip) {
+    const from = trip.departure ? UtilModule.getShortName(trip.departure.name) : '';
+    const to = trip.destination ? UtilModule.getShortName(trip.destination.name) : '';
+    return from && to ? `${from} → ${to}` : APP_NAME;
+  }
+
+  /**
+   * Serialize trip as GeoJSON FeatureCollection
+   * @param {Object} trip - { route, departure, destination, stops, places }
+   * @returns {string} - GeoJSON text
+   */
+  function toGeoJSON(trip) {
+    const features = [];
+
+    if (trip.route && trip.route.coordinates) {
+      features.push({
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: trip.route.coordinates
+        },
+        properties: {
+          role: 'route',
+          name: trip.route.name || getTripTitle(trip),
+          profile: trip.route.profile,
+          distanceKm: parseFloat(trip.route.distance),
+          durationMinutes: trip.route.durationMinutes,
+          estimated: Boolean(trip.route.isFallback)
+        }
+      });
+    }
+
+    getTripPoints(trip).forEach(point => {
+      const properties = {
+        role: point.role,
+        name: point.name
+      };
+
+      if (point.order) properties.order = point.order;
+      if (point.category) properties.category = point.category;
+      if (point.description) properties.description = point.description;
+
+      features.push({
+        type: 'Feature',
+        geometry: {
+          type: 'Point',
+          coordinates: [point.lng, point.lat]
+        },
+        properties
+      });
+    });
+
+    return JSON.stringify({
+      type: 'FeatureCollection',
+      name: getTripTitle(trip),
+      features
+    }, null, 2);
+  }
+
+  /**
+   * Serialize trip as GPX 1.1 (waypoints + one track)
+   * @param {Object} trip - { route, departure, destination, stops, places }
+   * @returns {string} - GPX XML
+   */
+  function toGPX(trip) {
+    const title = escapeXml(getTripTitle(trip));
+
+    // GPX requires wpt children in schema order: name, desc, sym, type
+    const waypoints = getTripPoints(trip).map(point => {
+      const children = [
+        `<name>${escapeXml(point.name)}</name>`,
+        point.description ? `<desc>${escapeXml(point.description)}</desc>` : null,
+        `<sym>${getGpxSymbol(point.role)}</sym>`,
+        `<type>${escapeXml(point.category || point.role)}</type>`
+      ].filter(Boolean);
+
+      return `
+  <wpt lat="${point.lat}" lon="${point.lng}">
+    ${children.join('\n    ')}
+  </wpt>`;
+    }).join('');
+
+    let track = '';
+    if (trip.route && trip.route.coordinates) {
+      const trackPoints = trip.route.coordinates
+        .map(([lng, lat]) => `      <trkpt lat="${lat}" lon="${lng}"></trkpt>`)
+        .join('\n');
+
+      track = `
+  <trk>
+    <name>${escapeXml(trip.route.name || getTripTitle(trip))}</name>
+    <type>${escapeXml(trip.route.profile || '')}</type>
+    <trkseg>
+${trackPoints}
+    </trkseg>
+  </trk>`;
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="${APP_NAME}" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${title}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>${waypoints}${track}
+</gpx>
+`;
+  }
+
+  /**
+   * Serialize trip as KML 2.2
+   * @param {Object} trip - { route, departure, destination, stops, places }
+   * @returns {string} - KML XML
+   */
+  function toKML(trip) {
+    const placemarks = getTripPoints(trip).map(point => `
+    <Placemark>
+      <name>${escapeXml(point.name)}</name>
+      <description>${escapeXml([point.label, point.description].filter(Boolean).join(' · '))}</description>
+      <styleUrl>#${point.role}</styleUrl>
+      <ExtendedData>
+        <Data name="role"><value>${point.role}</value></Data>${point.category ? `
+        <Data name="category"><value>${escapeXml(point.category)}</value></Data>` : ''}
+      </ExtendedData>
+      <Point>
+        <coordinates>${point.lng},${point.lat}</coordinates>
+      </Point>
+    </Placemark>`).join('');
+
+    let routePlacemark = '';
+    if (trip.route && trip.route.coordinates) {
+      const coordinates = trip.route.coordinates.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+
+      routePlacemark = `
+    <Placemark>
+      <name>${escapeXml(trip.route.name || getTripTitle(trip))}</name>
+      <description>${escapeXml(`${trip.route.distance}km · ${trip.route.duration}`)}</description>
+      <styleUrl>#route</styleUrl>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${coordinates}</coordinates>
+      </LineString>
+    </Placemark>`;
+    }
+
+    // KML colors are aabbggrr
+    const styles = {
+      route: '<LineStyle><color>ffeb6325</color><width>4</width></LineStyle>',
+      departure: '<IconStyle><color>ffeb6325</color></IconStyle>',
+      waypoint: '<IconStyle><color>ffed3a7c</color></IconStyle>',
+      destination: '<IconStyle><color>ff4444ef</color></IconStyle>',
+      place: '<IconStyle><color>ff0b9ef5</color></IconStyle>'
+    };
+
+    const styleXml = Object.entries(styles)
+      .map(([id, style]) => `\n    <Style id="${id}">${style}</Style>`)
+      .join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(getTripTitle(trip))}</name>${styleXml}${routePlacemark}${placemarks}
+  </Document>
+</kml>
+`;
+  }
+
+  /**
+   * Serialize trip as iCalendar (travel leg + one event per planned visit)
+   * The departure time is departure-local; itinerary times are destination-local.
+   * @param {Object} trip - { route, departure, destination, stops, departureDate, duration, days, costs }
+   * @returns {string} - iCalendar text
+   */
+  function toICS(trip) {
+    const departureZone = LocaleModule.getTimeZone(trip.departure.lat, trip.departure.lng);
+    const destinationZone = LocaleModule.getTimeZone(trip.destination.lat, trip.destination.lng);
+    // Amounts in the currency of the planned costs
+    const currency = trip.costs ? trip.costs.currency : CurrencyModule.HOME_CURRENCY;
+    const uidPrefix = Date.now().toString(36);
+    const events = [];
+
+    if (trip.route && trip.departureDate) {
+      const route = trip.route;
+      const start = LocaleModule.fromZonedTime(trip.departureDate, departureZone);
+      const end = new Date(start.getTime() + (route.durationMinutes || 0) * 60000);
+      const stops = (trip.stops || []).map(stop => UtilModule.getShortName(stop.name));
+
+      events.push({
+        summary: `이동: ${getTripTitle(trip)}`,
+        start: { zone: departureZone, value: formatIcsDateTime(LocaleModule.getZonedParts(start, departureZone)) },
+        end: { zone: destinationZone, value: formatIcsDateTime(LocaleModule.getZonedParts(end, destinationZone)) },
+        location: trip.destination.name,
+        geo: trip.destination,
+        category: '이동',
+        description: [
+          `경로: ${route.name}`,
+          `거리: ${route.distance}km · 소요 시간: ${route.duration}`,
+          stops.length > 0 ? `경유: ${stops.join(' → ')}` : null,
+          `예상 교통비: ${CostModule.formatCurrency(trip.costs ? trip.costs.transport : CostModule.calculateTransportCost(route), currency)}`
+        ]
+      });
+    }
+
+    // Day 1 is scheduled from the departure clock (already after the arrival, see
+    // ItineraryModule.scheduleDays); later days start at the same wall-clock time at the destination
+    (trip.days || []).forEach(day => {
+      const toInstant = date => LocaleModule.fromZonedTime(date, day.index === 0 ? departureZone : destinationZone);
+      const toDestinationTime = date => formatIcsDateTime(LocaleModule.getZonedParts(toInstant(date), destinationZone));
+
+      day.items.forEach(item => {
+        const place = item.place;
+        const categoryName = RecommendModule.getCategoryInfo(place.category).name;
+
+        events.push({
+          summary: place.name,
+          start: { zone: destinationZone, value: toDestinationTime(item.arrival) },
+          end: { zone: destinationZone, value: toDestinationTime(item.departure) },
+          location: place.name,
+          geo: place,
+          category: categoryName,
+          description: [
+            `${day.index + 1}일차 · ${categoryName}`,
+            `예상 관람 시간: ${TransportModule.formatDuration(item.visitMinutes * 60)}`,
+            `예상 비용: ${CostModule.formatCurrency(RecommendModule.getEstimatedCost(place.category, currency), currency)}`,
+            place.description && place.description !== categoryName ? place.description : null
+          ]
+        });
+      });
+    });
+
+    // Each zone needs a VTIMEZONE covering the trip dates
+    const zones = [...new Set(events.flatMap(event => [event.start.zone, event.end.zone]))];
+    const firstDay = trip.departureDate || new Date();
+    const lastDay = new Date(firstDay.getTime() + (Math.max(1, trip.duration || 1) + 1) * 86400000);
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:-//${APP_NAME}//KO`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeIcsText(`${getTripTitle(trip)} (${trip.duration || 1}일)`)}`,
+      `X-WR-TIMEZONE:${destinationZone}`,
+      ...zones.flatMap(zone => buildVTimezone(zone, firstDay, lastDay)),
+      ...events.flatMap((event, index) => [
+        'BEGIN:VEVENT',
+        `UID:${uidPrefix}-${index}@travel-planner`,
+        `DTSTAMP:${new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`,
+        `DTSTART;TZID=${event.start.zone}:${event.start.value}`,
+        `DTEND;TZID=${event.end.zone}:${event.end.value}`,
+        `SUMMARY:${escapeIcsText(event.summary)}`,
+        `LOCATION:${escapeIcsText(event.location)}`,
+        `GEO:${event.geo.lat.toFixed(6)};${event.geo.lng.toFixed(6)}`,
+        `CATEGORIES:${escapeIcsText(event.category)}`,
+        `DESCRIPTION:${escapeIcsText(event.description.filter(Boolean).join('\n'))}`,
+        'END:VEVENT'
+      ]),
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Build a VTIMEZONE from the offsets Intl reports for the trip's year
+   * @param {string} timeZone - IANA time zone
+   * @param {Date} from - First day of the trip
+   * @param {Date} to - Last day of the trip
+   * @returns {Array} - iCalendar lines
+   */
+  function buildVTimezone(timeZone, from, to) {
+    const DAY = 86400000;
+    const offsetAt = time => LocaleModule.getTimeZoneOffset(timeZone, new Date(time));
+
+    // Scan day by day from January 1st and pin each change down to the second
+    const scanStart = Date.UTC(from.getFullYear(), 0, 1);
+    const initialOffset = offsetAt(scanStart);
+    const transitions = [];
+    let previousTime = scanStart;
+    let previousOffset = initialOffset;
+
+    for (let time = scanStart + DAY; time <= to.getTime() + DAY; time += DAY) {
+      const offset = offsetAt(time);
+      if (offset === previousOffset) {
+        previousTime = time;
+        continue;
+      }
+
+      let low = previousTime;
+      let high = time;
+      while (high - low > 1000) {
+        const middle = Math.floor((low + high) / 2);
+        if (offsetAt(middle) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+
+      // Zone changes happen on the minute
+      transitions.push({ time: Math.floor(high / 60000) * 60000, from: previousOffset, to: offset });
+      previousTime = time;
+      previousOffset = offset;
+    }
+
+    const standardOffset = Math.min(initialOffset, ...transitions.map(transition => transition.to));
+    const observance = (from, to, dtstart) => {
+      const type = to === standardOffset ? 'STANDARD' : 'DAYLIGHT';
+      return [
+        `BEGIN:${type}`,
+        `DTSTART:${dtstart}`,
+        `TZOFFSETFROM:${formatIcsOffset(from)}`,
+        `TZOFFSETTO:${formatIcsOffset(to)}`,
+        `END:${type}`
+      ];
+    };
+
+    return [
+      'BEGIN:VTIMEZONE',
+      `TZID:${timeZone}`,
+      ...observance(initialOffset, initialOffset, '19700101T000000'),
+      // DTSTART of an observance is the local time before the change
+      ...transitions.flatMap(transition => {
+        const local = new Date(transition.time + transition.from * 60000);
+        return observance(transition.from, transition.to, formatIcsDateTime({
+          year: local.getUTCFullYear(),
+          month: local.getUTCMonth() + 1,
+          day: local.getUTCDate(),
+          hour: local.getUTCHours(),
+          minute: local.getUTCMinutes(),
+          second: 0
+        }));
+      }),
+      'END:VTIMEZONE'
+    ];
+  }
+
+  /**
+   * Format date parts as an iCalendar local date-time (YYYYMMDDTHHMMSS)
+   */
+  function formatIcsDateTime(parts) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${parts.year}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+  }
+
+  /**
+   * Format a UTC offset in minutes as +HHMM / -HHMM
+   */
+  function formatIcsOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Escape text for iCalendar property values
+   */
+  function escapeIcsText(text) {
+    return String(text == null ? '' : text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold iCalendar lines longer than 75 octets (UTF-8), without splitting characters
+   */
+  function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) return line;
+
+    const chunks = [];
+    let current = '';
+    let size = 0;
+    let limit = 75;
+
+    for (const char of line) {
+      const bytes = encoder.encode(char).length;
+      if (size + bytes > limit) {
+        chunks.push(current);
+        current = '';
+        size = 0;
+        limit = 74; // Continuation lines start with a space
+      }
+      current += char;
+      size += bytes;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+  }
+
+  /**
+   * Get GPX symbol name for a point role
+   */
+  function getGpxSymbol(role) {
+    const symbols = {
+      departure: 'Flag, Blue',
+      waypoint: 'Waypoint',
+      destination: 'Flag, Red',
+      place: 'Scenic Area'
+    };
+    return symbols[role] || 'Waypoint';
+  }
+
+  /**
+   * Escape text for XML
+   */
+  function escapeXml(text) {
+    return String(text == null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Build a safe file name for the trip
+   */
+  function getFileName(trip, extension) {
+    const base = getTripTitle(trip)
+      .replace(/→/g, '-')
+      .replace(/[\\/:*?"<>|\s]+/g, '_')
+      .replace(/_?-_?/g, '-');
+    return `${base || 'trip'}.${extension}`;
+  }
+
+  /**
+   * Trigger a browser download for text content
+   * @param {string} fileName - File name
+   * @param {string} content - File content
+   * @param {string} mimeType - MIME type
+   */
+  function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Give the browser a moment to start the download
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Export trip in the given format and download it
+   * @param {Object} trip - { route, departure, destination, stops, places } (ics also departureDate, duration, days, costs)
+   * @param {string} format - gpx, kml, geojson or ics
+   */
+  function exportTrip(trip, format) {
+    const serializers = { gpx: toGPX, kml: toKML, geojson: toGeoJSON, ics: toICS };
+    const formatInfo = FORMATS[format];
+
+    if (!formatInfo) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const content = serializers[format](trip);
+    downloadFile(getFileName(trip, formatInfo.extension), content, formatInfo.mimeType);
+    console.log(`✅ Exported trip as ${format.toUpperCase()}`);
+  }
+
+  // Public API
+  return {
+    toGPX,
+    toKML,
+    toGeoJSON,
+    toICS,
+    exportTrip,
+    downloadFile,
+    escapeXml
+  };
+})();
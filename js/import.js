@@ -0,0 +1,299 @@
+/**
+ * Import Module - Trip File Import
+ * Parses GPX, KML and GeoJSON files into a track and waypoints
+ */
+
+const ImportModule = (function() {
+  const SUPPORTED_EXTENSIONS = ['gpx', 'kml', 'geojson', 'json'];
+
+  /**
+   * Read and parse a trip file
+   * @param {File} file - Dropped or selected file
+   * @returns {Promise<Object>} - { name, track, waypoints, profile }
+   */
+  async function parseFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+      throw new Error(`Unsupported file type: .${extension}`);
+    }
+
+    const text = await file.text();
+    return parseText(text, extension);
+  }
+
+  /**
+   * Parse trip file contents
+   * @param {string} text - File contents
+   * @param {string} extension - gpx, kml, geojson or json
+   * @returns {Object} - { name, track, waypoints, profile }
+   */
+  function parseText(text, extension) {
+    switch (extension) {
+      case 'gpx':
+        return parseGPX(text);
+      case 'kml':
+        return parseKML(text);
+      default:
+        return parseGeoJSON(text);
+    }
+  }
+
+  /**
+   * Parse GPX (tracks, routes and waypoints)
+   * @param {string} text - GPX XML
+   * @returns {Object} - { name, track, waypoints, profile }
+   */
+  function parseGPX(text) {
+    const doc = parseXml(text);
+
+    // Prefer recorded tracks; fall back to planned routes
+    let trackPoints = Array.from(doc.getElementsByTagName('trkpt'));
+    if (trackPoints.length === 0) {
+      trackPoints = Array.from(doc.getElementsByTagName('rtept'));
+    }
+
+    const track = trackPoints
+      .map(point => [parseFloat(point.getAttribute('lon')), parseFloat(point.getAttribute('lat'))])
+      .filter(isValidCoordinate);
+
+    const waypoints = Array.from(doc.getElementsByTagName('wpt'))
+      .map(point => {
+        const type = getChildText(point, 'type');
+        return {
+          name: getChildText(point, 'name') || '이름 없는 장소',
+          lat: parseFloat(point.getAttribute('lat')),
+          lng: parseFloat(point.getAttribute('lon')),
+          description: getChildText(point, 'desc') || getChildText(point, 'cmt'),
+          tags: { type, sym: getChildText(point, 'sym') }
+        };
+      })
+      .filter(point => isValidCoordinate([point.lng, point.lat]))
+      .filter(point => !isRouteEndpoint(point.tags.type));
+
+    const trk = doc.getElementsByTagName('trk')[0] || doc.getElementsByTagName('rte')[0];
+
+    return {
+      name: (trk && getChildText(trk, 'name')) || getChildText(doc.documentElement, 'name'),
+      track,
+      waypoints,
+      profile: guessProfile(trk ? getChildText(trk, 'type') : '')
+    };
+  }
+
+  /**
+   * Parse KML (LineString placemarks and Point placemarks)
+   * @param {string} text - KML XML
+   * @returns {Object} - { name, track, waypoints, profile }
+   */
+  function parseKML(text) {
+    const doc = parseXml(text);
+    const track = [];
+    const waypoints = [];
+
+    Array.from(doc.getElementsByTagName('Placemark')).forEach(placemark => {
+      const name = getChildText(placemark, 'name');
+      const lineString = placemark.getElementsByTagName('LineString')[0];
+      const point = placemark.getElementsByTagName('Point')[0];
+
+      if (lineString) {
+        track.push(...parseKmlCoordinates(getChildText(lineString, 'coordinates')));
+      } else if (point) {
+        const [coordinate] = parseKmlCoordinates(getChildText(point, 'coordinates'));
+        if (!coordinate) return;
+
+        // ExtendedData <Data name="..."><value>...</value></Data>
+        const tags = {};
+        Array.from(placemark.getElementsByTagName('Data')).forEach(data => {
+          tags[data.getAttribute('name')] = getChildText(data, 'value');
+        });
+
+        waypoints.push({
+          name: name || '이름 없는 장소',
+          lat: coordinate[1],
+          lng: coordinate[0],
+          description: stripHtml(getChildText(placemark, 'description')),
+          tags
+        });
+      }
+    });
+
+    const documentElement = doc.getElementsByTagName('Document')[0];
+
+    return {
+      name: documentElement ? getChildText(documentElement, 'name') : '',
+      track,
+      waypoints: waypoints.filter(point => !isRouteEndpoint(point.tags.role)),
+      profile: guessProfile('')
+    };
+  }
+
+  /**
+   * Parse GeoJSON (FeatureCollection, Feature or bare geometry)
+   * @param {string} text - GeoJSON text
+   * @returns {Object} - { name, track, waypoints, profile }
+   */
+  function parseGeoJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Invalid JSON');
+    }
+
+    let features = [];
+    if (data.type === 'FeatureCollection') {
+      features = data.features || [];
+    } else if (data.type === 'Feature') {
+      features = [data];
+    } else if (data.type) {
+      features = [{ type: 'Feature', geometry: data, properties: {} }];
+    } else {
+      throw new Error('Not a GeoJSON object');
+    }
+
+    const track = [];
+    const waypoints = [];
+    let profile = '';
+
+    features.forEach(feature => {
+      const geometry = feature.geometry;
+      const properties = feature.properties || {};
+      if (!geometry) return;
+
+      switch (geometry.type) {
+        case 'LineString':
+          track.push(...geometry.coordinates.map(([lng, lat]) => [lng, lat]));
+          profile = profile || properties.profile || properties.activity || '';
+          break;
+        case 'MultiLineString':
+          geometry.coordinates.forEach(line => track.push(...line.map(([lng, lat]) => [lng, lat])));
+          profile = profile || properties.profile || properties.activity || '';
+          break;
+        case 'Point': {
+          if (isRouteEndpoint(properties.role)) return;
+
+          const [lng, lat] = geometry.coordinates;
+          waypoints.push({
+            name: properties.name || properties.title || '이름 없는 장소',
+            lat,
+            lng,
+            description: properties.description || '',
+            tags: properties
+          });
+          break;
+        }
+      }
+    });
+
+    return {
+      name: data.name || '',
+      track: track.filter(isValidCoordinate),
+      waypoints: waypoints.filter(point => isValidCoordinate([point.lng, point.lat])),
+      profile: guessProfile(profile)
+    };
+  }
+
+  /**
+   * Guess a route profile from a GPX type / activity string
+   * @param {string} type - Activity type
+   * @returns {string} - Route profile
+   */
+  function guessProfile(type) {
+    const value = (type || '').toLowerCase();
+
+    if (/foot|walk|hik|run|도보|걷기/.test(value)) return 'foot-walking';
+    if (/cycl|bik|자전거/.test(value)) return 'cycling-regular';
+    if (/transit|bus|train|subway|대중교통|버스|지하철/.test(value)) return 'public-transport';
+    return 'driving-car';
+  }
+
+  /**
+   * Convert parsed waypoints to places with guessed categories
+   * @param {Array} waypoints - Parsed waypoints
+   * @returns {Array} - Places in the same shape as RecommendModule results
+   */
+  function waypointsToPlaces(waypoints) {
+    return waypoints.map((waypoint, index) => {
+      const category = RecommendModule.guessCategory(
+        waypoint.tags || {},
+        `${waypoint.name} ${waypoint.description || ''}`
+      );
+
+      return {
+        id: `import-${index}`,
+        name: waypoint.name,
+        lat: waypoint.lat,
+        lng: waypoint.lng,
+        category,
+        description: waypoint.description || RecommendModule.getCategoryInfo(category).name,
+        tags: waypoint.tags || {},
+        icon: RecommendModule.PREFERENCE_ICONS[category] || 'fa-location-dot',
+        type: 'import'
+      };
+    });
+  }
+
+  /**
+   * Our own exports mark departure, stops and destination; those are not places
+   */
+  function isRouteEndpoint(role) {
+    return role === 'departure' || role === 'destination' || role === 'waypoint';
+  }
+
+  /**
+   * Parse XML and surface parser errors
+   */
+  function parseXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Invalid XML');
+    }
+    return doc;
+  }
+
+  /**
+   * Get trimmed text of the first direct child element with the given tag
+   */
+  function getChildText(element, tagName) {
+    if (!element) return '';
+    const child = Array.from(element.children).find(node => node.localName === tagName);
+    return child ? child.textContent.trim() : '';
+  }
+
+  /**
+   * Parse KML "lng,lat[,alt] lng,lat[,alt]" coordinates
+   */
+  function parseKmlCoordinates(text) {
+    return (text || '')
+      .trim()
+      .split(/\s+/)
+      .map(tuple => tuple.split(',').slice(0, 2).map(parseFloat))
+      .filter(isValidCoordinate);
+  }
+
+  /**
+   * Check a [lng, lat] pair
+   */
+  function isValidCoordinate(coordinate) {
+    const [lng, lat] = coordinate;
+    return !isNaN(lng) && !isNaN(lat) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+  }
+
+  /**
+   * Strip HTML from KML descriptions
+   */
+  function stripHtml(html) {
+    // DOMParser documents are inert: no scripts or image loads run
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    return doc.body.textContent.trim();
+  }
+
+  // Public API
+  return {
+    SUPPORTED_EXTENSIONS,
+    parseFile,
+    parseText,
+    waypointsToPlaces
+  };
+})();
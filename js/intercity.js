@@ -0,0 +1,333 @@
+/**
+ * Intercity Module - Long-Distance Train and Flight Estimates
+ * Offers high-speed rail and flight options for long or over-water trips
+ * from a bundled table of stations, airports and typical durations/fares
+ */
+
+const IntercityModule = (function() {
+  // Trips longer than this (straight line) get intercity options
+  const LONG_DISTANCE_KM = 150;
+
+  // How far a station or airport may be from the departure / destination
+  const HUB_RADIUS_KM = 60;
+
+  // Getting to and from stations and airports (taxi / local transit)
+  const LOCAL_SPEED = 30; // km/h
+  const ROAD_FACTOR = 1.3;
+
+  // Minutes to arrive before departure
+  const BUFFER_MINUTES = {
+    rail: 15,
+    domesticFlight: 60,
+    internationalFlight: 120
+  };
+
+  // Islands and landmasses as [south, west, north, east]; trips between
+  // different ones cross water even when they are short
+  const ISLANDS = [
+    { id: 'jeju', bounds: [33.1, 126.1, 33.6, 127.0] },
+    { id: 'ulleung', bounds: [37.4, 130.7, 37.6, 131.0] },
+    { id: 'japan', bounds: [30.9, 129.3, 45.6, 146.0] },
+    { id: 'taiwan', bounds: [21.8, 119.9, 25.4, 122.1] },
+    { id: 'hainan', bounds: [18.1, 108.5, 20.2, 111.1] },
+    { id: 'great-britain', bounds: [49.9, -6.4, 58.7, 1.8] },
+    { id: 'hawaii', bounds: [18.9, -160.3, 22.3, -154.8] },
+    { id: 'australia', bounds: [-39.2, 112.9, -10.6, 153.7] },
+    { id: 'new-zealand', bounds: [-47.3, 166.0, -34.3, 178.6] }
+  ];
+
+  /**
+   * Stations and airports. Edit freely: IDs are referenced by CONNECTIONS.
+   * type is 'rail' or 'air'; country decides domestic vs international flights.
+   */
+  const HUBS = {
+    // Korean railway stations
+    'seoul-stn': { name: '서울역', type: 'rail', country: 'KR', lat: 37.5547, lng: 126.9707 },
+    'yongsan-stn': { name: '용산역', type: 'rail', country: 'KR', lat: 37.5299, lng: 126.9648 },
+    'suseo-stn': { name: '수서역', type: 'rail', country: 'KR', lat: 37.4875, lng: 127.1014 },
+    'cheonanasan-stn': { name: '천안아산역', type: 'rail', country: 'KR', lat: 36.7945, lng: 127.1046 },
+    'osong-stn': { name: '오송역', type: 'rail', country: 'KR', lat: 36.6203, lng: 127.3273 },
+    'daejeon-stn': { name: '대전역', type: 'rail', country: 'KR', lat: 36.3325, lng: 127.4343 },
+    'dongdaegu-stn': { name: '동대구역', type: 'rail', country: 'KR', lat: 35.8793, lng: 128.6286 },
+    'singyeongju-stn': { name: '신경주역', type: 'rail', country: 'KR', lat: 35.7983, lng: 129.1390 },
+    'ulsan-stn': { name: '울산역', type: 'rail', country: 'KR', lat: 35.5516, lng: 129.1386 },
+    'busan-stn': { name: '부산역', type: 'rail', country: 'KR', lat: 35.1151, lng: 129.0422 },
+    'changwon-stn': { name: '창원중앙역', type: 'rail', country: 'KR', lat: 35.2325, lng: 128.6960 },
+    'pohang-stn': { name: '포항역', type: 'rail', country: 'KR', lat: 36.0718, lng: 129.3420 },
+    'jeonju-stn': { name: '전주역', type: 'rail', country: 'KR', lat: 35.8497, lng: 127.1616 },
+    'gwangjusongjeong-stn': { name: '광주송정역', type: 'rail', country: 'KR', lat: 35.1376, lng: 126.7911 },
+    'mokpo-stn': { name: '목포역', type: 'rail', country: 'KR', lat: 34.7910, lng: 126.3866 },
+    'yeosu-stn': { name: '여수엑스포역', type: 'rail', country: 'KR', lat: 34.7528, lng: 127.7473 },
+    'gangneung-stn': { name: '강릉역', type: 'rail', country: 'KR', lat: 37.7640, lng: 128.8996 },
+
+    // Railway stations abroad
+    'tokyo-stn': { name: '도쿄역', type: 'rail', country: 'JP', lat: 35.6812, lng: 139.7671 },
+    'kyoto-stn': { name: '교토역', type: 'rail', country: 'JP', lat: 34.9858, lng: 135.7588 },
+    'shinosaka-stn': { name: '신오사카역', type: 'rail', country: 'JP', lat: 34.7334, lng: 135.5001 },
+    'hakata-stn': { name: '하카타역', type: 'rail', country: 'JP', lat: 33.5902, lng: 130.4207 },
+    'beijingsouth-stn': { name: '베이징남역', type: 'rail', country: 'CN', lat: 39.8652, lng: 116.3786 },
+    'shanghaihongqiao-stn': { name: '상하이훙차오역', type: 'rail', country: 'CN', lat: 31.1945, lng: 121.3201 },
+    'parisnord-stn': { name: '파리 북역', type: 'rail', country: 'FR', lat: 48.8809, lng: 2.3553 },
+    'stpancras-stn': { name: '런던 세인트판크라스역', type: 'rail', country: 'GB', lat: 51.5320, lng: -0.1262 },
+
+    // Korean airports
+    'GMP': { name: '김포공항', type: 'air', country: 'KR', lat: 37.5583, lng: 126.7906 },
+    'ICN': { name: '인천국제공항', type: 'air', country: 'KR', lat: 37.4602, lng: 126.4407 },
+    'PUS': { name: '김해국제공항', type: 'air', country: 'KR', lat: 35.1795, lng: 128.9382 },
+    'CJU': { name: '제주국제공항', type: 'air', country: 'KR', lat: 33.5113, lng: 126.4930 },
+    'TAE': { name: '대구국제공항', type: 'air', country: 'KR', lat: 35.8941, lng: 128.6589 },
+    'KWJ': { name: '광주공항', type: 'air', country: 'KR', lat: 35.1264, lng: 126.8089 },
+    'CJJ': { name: '청주국제공항', type: 'air', country: 'KR', lat: 36.7166, lng: 127.4991 },
+    'RSU': { name: '여수공항', type: 'air', country: 'KR', lat: 34.8423, lng: 127.6169 },
+    'USN': { name: '울산공항', type: 'air', country: 'KR', lat: 35.5935, lng: 129.3518 },
+    'KPO': { name: '포항경주공항', type: 'air', country: 'KR', lat: 35.9879, lng: 129.4203 },
+    'YNY': { name: '양양국제공항', type: 'air', country: 'KR', lat: 38.0613, lng: 128.6690 },
+
+    // Airports abroad
+    'HND': { name: '하네다공항', type: 'air', country: 'JP', lat: 35.5494, lng: 139.7798 },
+    'KIX': { name: '간사이국제공항', type: 'air', country: 'JP', lat: 34.4320, lng: 135.2304 },
+    'FUK': { name: '후쿠오카공항', type: 'air', country: 'JP', lat: 33.5859, lng: 130.4510 },
+    'PEK': { name: '베이징 서우두공항', type: 'air', country: 'CN', lat: 40.0799, lng: 116.6031 },
+    'PVG': { name: '상하이 푸둥공항', type: 'air', country: 'CN', lat: 31.1443, lng: 121.8083 },
+    'HKG': { name: '홍콩국제공항', type: 'air', country: 'HK', lat: 22.3080, lng: 113.9185 },
+    'TPE': { name: '타이베이 타오위안공항', type: 'air', country: 'TW', lat: 25.0797, lng: 121.2342 },
+    'BKK': { name: '방콕 수완나품공항', type: 'air', country: 'TH', lat: 13.6900, lng: 100.7501 },
+    'SIN': { name: '싱가포르 창이공항', type: 'air', country: 'SG', lat: 1.3644, lng: 103.9915 },
+    'CDG': { name: '파리 샤를드골공항', type: 'air', country: 'FR', lat: 49.0097, lng: 2.5479 },
+    'LHR': { name: '런던 히드로공항', type: 'air', country: 'GB', lat: 51.4700, lng: -0.4543 },
+    'JFK': { name: '뉴욕 JFK공항', type: 'air', country: 'US', lat: 40.6413, lng: -73.7781 },
+    'LAX': { name: '로스앤젤레스공항', type: 'air', country: 'US', lat: 33.9416, lng: -118.4085 },
+    'SYD': { name: '시드니공항', type: 'air', country: 'AU', lat: -33.9399, lng: 151.1753 }
+  };
+
+  /**
+   * Typical one-way services between hubs (both directions).
+   * minutes is the usual travel time, fare the usual adult economy fare in KRW.
+   */
+  const CONNECTIONS = [
+    // Korean high-speed rail
+    { from: 'seoul-stn', to: 'busan-stn', line: 'KTX', minutes: 160, fare: 59800 },
+    { from: 'suseo-stn', to: 'busan-stn', line: 'SRT', minutes: 150, fare: 52600 },
+    { from: 'seoul-stn', to: 'dongdaegu-stn', line: 'KTX', minutes: 110, fare: 43500 },
+    { from: 'suseo-stn', to: 'dongdaegu-stn', line: 'SRT', minutes: 105, fare: 37400 },
+    { from: 'seoul-stn', to: 'daejeon-stn', line: 'KTX', minutes: 60, fare: 23700 },
+    { from: 'seoul-stn', to: 'osong-stn', line: 'KTX', minutes: 45, fare: 18500 },
+    { from: 'seoul-stn', to: 'cheonanasan-stn', line: 'KTX', minutes: 40, fare: 14400 },
+    { from: 'seoul-stn', to: 'singyeongju-stn', line: 'KTX', minutes: 125, fare: 49300 },
+    { from: 'seoul-stn', to: 'ulsan-stn', line: 'KTX', minutes: 135, fare: 53000 },
+    { from: 'seoul-stn', to: 'pohang-stn', line: 'KTX', minutes: 150, fare: 52300 },
+    { from: 'seoul-stn', to: 'changwon-stn', line: 'KTX', minutes: 170, fare: 54100 },
+    { from: 'seoul-stn', to: 'gangneung-stn', line: 'KTX-이음', minutes: 115, fare: 27600 },
+    { from: 'yongsan-stn', to: 'gwangjusongjeong-stn', line: 'KTX', minutes: 110, fare: 46800 },
+    { from: 'suseo-stn', to: 'gwangjusongjeong-stn', line: 'SRT', minutes: 100, fare: 40700 },
+    { from: 'yongsan-stn', to: 'mokpo-stn', line: 'KTX', minutes: 150, fare: 52800 },
+    { from: 'yongsan-stn', to: 'jeonju-stn', line: 'KTX', minutes: 110, fare: 34300 },
+    { from: 'yongsan-stn', to: 'yeosu-stn', line: 'KTX', minutes: 180, fare: 47200 },
+    { from: 'daejeon-stn', to: 'busan-stn', line: 'KTX', minutes: 95, fare: 36300 },
+    { from: 'dongdaegu-stn', to: 'busan-stn', line: 'KTX', minutes: 45, fare: 17100 },
+
+    // High-speed rail abroad
+    { from: 'tokyo-stn', to: 'shinosaka-stn', line: '신칸센', minutes: 150, fare: 135000 },
+    { from: 'tokyo-stn', to: 'kyoto-stn', line: '신칸센', minutes: 135, fare: 130000 },
+    { from: 'shinosaka-stn', to: 'hakata-stn', line: '신칸센', minutes: 150, fare: 145000 },
+    { from: 'beijingsouth-stn', to: 'shanghaihongqiao-stn', line: '고속철', minutes: 270, fare: 105000 },
+    { from: 'parisnord-stn', to: 'stpancras-stn', line: '유로스타', minutes: 140, fare: 150000 },
+
+    // Domestic flights
+    { from: 'GMP', to: 'CJU', line: '국내선', minutes: 65, fare: 70000 },
+    { from: 'GMP', to: 'PUS', line: '국내선', minutes: 60, fare: 70000 },
+    { from: 'GMP', to: 'KWJ', line: '국내선', minutes: 55, fare: 65000 },
+    { from: 'GMP', to: 'RSU', line: '국내선', minutes: 60, fare: 70000 },
+    { from: 'GMP', to: 'USN', line: '국내선', minutes: 60, fare: 80000 },
+    { from: 'GMP', to: 'KPO', line: '국내선', minutes: 60, fare: 80000 },
+    { from: 'PUS', to: 'CJU', line: '국내선', minutes: 60, fare: 60000 },
+    { from: 'TAE', to: 'CJU', line: '국내선', minutes: 60, fare: 60000 },
+    { from: 'KWJ', to: 'CJU', line: '국내선', minutes: 50, fare: 50000 },
+    { from: 'CJJ', to: 'CJU', line: '국내선', minutes: 60, fare: 60000 },
+    { from: 'YNY', to: 'CJU', line: '국내선', minutes: 70, fare: 70000 },
+    { from: 'HND', to: 'KIX', line: '국내선', minutes: 75, fare: 150000 },
+    { from: 'HND', to: 'FUK', line: '국내선', minutes: 110, fare: 150000 },
+
+    // International flights
+    { from: 'GMP', to: 'HND', line: '국제선', minutes: 135, fare: 250000 },
+    { from: 'ICN', to: 'KIX', line: '국제선', minutes: 110, fare: 200000 },
+    { from: 'ICN', to: 'FUK', line: '국제선', minutes: 80, fare: 170000 },
+    { from: 'PUS', to: 'FUK', line: '국제선', minutes: 55, fare: 150000 },
+    { from: 'ICN', to: 'PEK', line: '국제선', minutes: 130, fare: 250000 },
+    { from: 'ICN', to: 'PVG', line: '국제선', minutes: 120, fare: 250000 },
+    { from: 'ICN', to: 'HKG', line: '국제선', minutes: 215, fare: 300000 },
+    { from: 'ICN', to: 'TPE', line: '국제선', minutes: 150, fare: 250000 },
+    { from: 'ICN', to: 'BKK', line: '국제선', minutes: 350, fare: 400000 },
+    { from: 'ICN', to: 'SIN', line: '국제선', minutes: 390, fare: 450000 },
+    { from: 'ICN', to: 'CDG', line: '국제선', minutes: 810, fare: 1200000 },
+    { from: 'ICN', to: 'LHR', line: '국제선', minutes: 840, fare: 1200000 },
+    { from: 'ICN', to: 'JFK', line: '국제선', minutes: 840, fare: 1400000 },
+    { from: 'ICN', to: 'LAX', line: '국제선', minutes: 660, fare: 1100000 },
+    { from: 'ICN', to: 'SYD', line: '국제선', minutes: 630, fare: 1000000 }
+  ];
+
+  /**
+   * Add or replace hubs and connections (same shapes as the bundled table)
+   * @param {Object} table - { hubs: { id: hub }, connections: [connection] }
+   */
+  function configure(table = {}) {
+    Object.assign(HUBS, table.hubs || {});
+
+    (table.connections || []).forEach(connection => {
+      const index = CONNECTIONS.findIndex(existing =>
+        existing.line === connection.line &&
+        ((existing.from === connection.from && existing.to === connection.to) ||
+         (existing.from === connection.to && existing.to === connection.from))
+      );
+
+      if (index >= 0) {
+        CONNECTIONS[index] = connection;
+      } else {
+        CONNECTIONS.push(connection);
+      }
+    });
+  }
+
+  /**
+   * Get the island or landmass a point is on
+   * @returns {string} - Island ID, or 'mainland'
+   */
+  function getLandmass(lat, lng) {
+    const island = ISLANDS.find(({ bounds }) => {
+      const [south, west, north, east] = bounds;
+      return lat >= south && lat <= north && lng >= west && lng <= east;
+    });
+    return island ? island.id : 'mainland';
+  }
+
+  /**
+   * Check whether a trip is long enough (or crosses water) for intercity options
+   * @param {Array} start - [lng, lat]
+   * @param {Array} end - [lng, lat]
+   * @returns {boolean}
+   */
+  function isLongDistance(start, end) {
+    const distance = TransportModule.calculateDistance(start[1], start[0], end[1], end[0]);
+    return distance > LONG_DISTANCE_KM || getLandmass(start[1], start[0]) !== getLandmass(end[1], end[0]);
+  }
+
+  /**
+   * Get train and flight options between two points (fastest of each type)
+   * @param {Array} start - [lng, lat]
+   * @param {Array} end - [lng, lat]
+   * @param {Date} departureTime - Departure instant
+   * @returns {Array} - Journeys { type, coordinates, distance, duration, legs, steps, segments, fare, transfers }
+   */
+  function getOptions(start, end, departureTime = new Date()) {
+    const origin = { lat: start[1], lng: start[0], name: '출발지' };
+    const target = { lat: end[1], lng: end[0], name: '도착지' };
+
+    return ['rail', 'air']
+      .map(type => {
+        const candidates = CONNECTIONS.flatMap(connection => [
+          [connection.from, connection.to, connection],
+          [connection.to, connection.from, connection]
+        ])
+          .filter(([from, to]) => HUBS[from] && HUBS[to] && HUBS[from].type === type)
+          .filter(([from, to]) =>
+            distanceKm(origin, HUBS[from]) <= HUB_RADIUS_KM && distanceKm(target, HUBS[to]) <= HUB_RADIUS_KM
+          )
+          .map(([from, to, connection]) => buildJourney(origin, target, HUBS[from], HUBS[to], connection, departureTime));
+
+        if (candidates.length === 0) return null;
+        return candidates.reduce((best, journey) => (journey.duration < best.duration ? journey : best));
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Build a journey: local trip to the hub, main service, local trip from the hub
+   */
+  function buildJourney(origin, target, fromHub, toHub, connection, departureTime) {
+    const type = fromHub.type;
+    const buffer = type === 'rail'
+      ? BUFFER_MINUTES.rail
+      : (fromHub.country === toHub.country ? BUFFER_MINUTES.domesticFlight : BUFFER_MINUTES.internationalFlight);
+
+    let time = departureTime.getTime();
+    const segment = (mode, from, to, minutes, distance, fare, instruction, line = '') => {
+      const departure = new Date(time);
+      time += minutes * 60000;
+      return {
+        instruction,
+        mode,
+        line,
+        color: null,
+        from: from.name,
+        to: to.name,
+        departure,
+        arrival: new Date(time),
+        distance: distance * 1000,
+        duration: minutes * 60,
+        stops: null,
+        fare,
+        coordinates: [[from.lng, from.lat], [to.lng, to.lat]]
+      };
+    };
+
+    const accessKm = distanceKm(origin, fromHub) * ROAD_FACTOR;
+    const egressKm = distanceKm(toHub, target) * ROAD_FACTOR;
+    const localFare = km => CostModule.calculateTransportCost({ distance: km, profile: 'public-transport' });
+
+    // The wait before boarding is counted in the trip to the hub
+    const segments = [
+      segment('LOCAL', origin, fromHub, Math.round(accessKm / LOCAL_SPEED * 60) + buffer, accessKm, localFare(accessKm),
+        `${fromHub.name}까지 택시·대중교통으로 이동 (탑승 대기 ${buffer}분 포함)`),
+      segment(type === 'rail' ? 'RAIL' : 'AIRPLANE', fromHub, toHub, connection.minutes,
+        distanceKm(fromHub, toHub) * (type === 'rail' ? 1.1 : 1), connection.fare,
+        `${fromHub.name}에서 ${connection.line} 탑승 → ${toHub.name} 도착`, connection.line),
+      segment('LOCAL', toHub, target, Math.round(egressKm / LOCAL_SPEED * 60), egressKm, localFare(egressKm),
+        `${toHub.name}에서 도착지까지 택시·대중교통으로 이동`)
+    ].filter(part => part.duration > 0);
+
+    const coordinates = [];
+    const steps = segments.map(part => {
+      const offset = Math.max(0, coordinates.length - 1);
+      coordinates.push(...(coordinates.length > 0 ? part.coordinates.slice(1) : part.coordinates));
+      part.wayPoints = [offset, coordinates.length - 1];
+
+      return {
+        instruction: part.instruction,
+        distance: part.distance,
+        duration: part.duration,
+        wayPoints: part.wayPoints
+      };
+    });
+
+    const distance = segments.reduce((sum, part) => sum + part.distance, 0);
+    const duration = segments.reduce((sum, part) => sum + part.duration, 0);
+    const fare = segments.reduce((sum, part) => sum + part.fare, 0);
+
+    return {
+      type,
+      coordinates,
+      distance,
+      duration,
+      legs: [{ distance, duration, fare }],
+      steps,
+      segments: segments.map(({ coordinates: partCoordinates, instruction, ...details }) => details),
+      fare,
+      transfers: 0
+    };
+  }
+
+  /**
+   * Straight-line distance between two { lat, lng } points in km
+   */
+  function distanceKm(from, to) {
+    return TransportModule.calculateDistance(from.lat, from.lng, to.lat, to.lng);
+  }
+
+  // Public API
+  return {
+    LONG_DISTANCE_KM,
+    configure,
+    isLongDistance,
+    getOptions
+  };
+})();
@@ -0,0 +1,253 @@
+/**
+ * Itinerary Module - Day-by-Day Schedule Builder
+ * Splits chosen places across the trip days within a daily time budget
+ */
+
+const ItineraryModule = (function() {
+  const DEFAULT_DAILY_HOURS = 8;
+
+  // Average local travel speed between places (km/h) by route profile
+  const LOCAL_SPEEDS = {
+    'driving-car': 40,
+    'foot-walking': 5,
+    'cycling-regular': 15,
+    'public-transport': 25
+  };
+
+  // Straight-line to road distance factor (same estimate as fallback routes)
+  const ROAD_FACTOR = 1.3;
+
+  /**
+   * Estimate travel minutes between two points
+   * @param {Object} from - { lat, lng }
+   * @param {Object} to - { lat, lng }
+   * @param {string} profile - Route profile
+   * @returns {number} - Minutes
+   */
+  function estimateTravelMinutes(from, to, profile) {
+    if (!from || !to) return 0;
+
+    const speed = LOCAL_SPEEDS[profile] || LOCAL_SPEEDS['driving-car'];
+    const distance = TransportModule.calculateDistance(from.lat, from.lng, to.lat, to.lng) * ROAD_FACTOR;
+    return Math.round((distance / speed) * 60);
+  }
+
+  /**
+   * Assign places to days greedily, in visiting order
+   * A place moves to the next day when it would exceed the daily budget;
+   * anything left after the last day stays on the last day.
+   * @param {Array} places - Places in visiting order
+   * @param {Object} options - { start, duration, dailyMinutes, profile }
+   * @returns {Array} - Array of days, each an array of place IDs
+   */
+  function assignDays(places, options) {
+    const { start, duration = 3, dailyMinutes = DEFAULT_DAILY_HOURS * 60, profile } = options;
+    const days = Array.from({ length: Math.max(1, duration) }, () => []);
+
+    let dayIndex = 0;
+    let used = 0;
+    let previous = start;
+
+    places.forEach(place => {
+      const needed = estimateTravelMinutes(previous, place, profile) +
+        RecommendModule.getEstimatedDuration(place.category);
+
+      // Start a new day unless this is the first stop of the day or the last day
+      if (used > 0 && used + needed > dailyMinutes && dayIndex < days.length - 1) {
+        dayIndex++;
+        used = 0;
+      }
+
+      days[dayIndex].push(place.id);
+      used += needed;
+      previous = place;
+    });
+
+    return days;
+  }
+
+  /**
+   * Compute clock times and totals for an assignment of places to days
+   * Day 1 starts once the trip reaches the destination (arrivalMinutes after the
+   * departure, from end); each later day starts where the previous day ended, at
+   * the departure's time of day. Times are wall-clock values at the departure.
+   * @param {Array} days - Array of days, each an array of place IDs
+   * @param {Array} places - All places (looked up by ID)
+   * @param {Object} options - { start, end, departureDate, arrivalMinutes, dailyMinutes, profile }
+   * @returns {Array} - Scheduled days
+   */
+  function scheduleDays(days, places, options) {
+    const { start, end, departureDate, arrivalMinutes = 0, dailyMinutes = DEFAULT_DAILY_HOURS * 60, profile } = options;
+    const firstDay = parseDepartureDate(departureDate);
+
+    let previous = arrivalMinutes > 0 && end ? end : start;
+
+    return days.map((placeIds, index) => {
+      const dayStart = new Date(firstDay);
+      dayStart.setDate(firstDay.getDate() + index);
+      // Day 1 visits wait for the arrival at the destination
+      const visitStart = index === 0 ? addMinutes(dayStart, arrivalMinutes) : dayStart;
+
+      let time = new Date(visitStart);
+      let travelMinutes = 0;
+      let visitMinutes = 0;
+
+      const items = placeIds
+        .map(id => places.find(place => place.id === id))
+        .filter(Boolean)
+        .map(place => {
+          const travel = estimateTravelMinutes(previous, place, profile);
+          const visit = RecommendModule.getEstimatedDuration(place.category);
+          const arrival = addMinutes(time, travel);
+          const departure = addMinutes(arrival, visit);
+
+          travelMinutes += travel;
+          visitMinutes += visit;
+          time = departure;
+          previous = place;
+
+          return { place, travelMinutes: travel, visitMinutes: visit, arrival, departure };
+        });
+
+      const totalMinutes = travelMinutes + visitMinutes;
+
+      return {
+        index,
+        date: dayStart,
+        start: visitStart,
+        end: time,
+        items,
+        travelMinutes,
+        visitMinutes,
+        totalMinutes,
+        overBudget: totalMinutes > dailyMinutes
+      };
+    });
+  }
+
+  /**
+   * Move a place to another day (appended at the end of that day)
+   * @param {Array} days - Array of days, each an array of place IDs
+   * @param {number} placeId - Place ID
+   * @param {number} targetDay - Target day index
+   * @returns {Array} - New assignment
+   */
+  function movePlace(days, placeId, targetDay) {
+    const moved = days.map(day => day.filter(id => id !== placeId));
+    if (moved[targetDay]) {
+      moved[targetDay].push(placeId);
+    }
+    return moved;
+  }
+
+  /**
+   * Parse the datetime-local form value as local time (defaults to tomorrow 09:00)
+   */
+  function parseDepartureDate(value) {
+    const date = value ? new Date(value) : null;
+    if (date && !isNaN(date.getTime())) {
+      return date;
+    }
+
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(9, 0, 0, 0);
+    return tomorrow;
+  }
+
+  /**
+   * Add minutes to a date
+   */
+  function addMinutes(date, minutes) {
+    return new Date(date.getTime() + minutes * 60000);
+  }
+
+  /**
+   * Format clock time (HH:mm)
+   */
+  function formatTime(date) {
+    return date.toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit', hour12: false });
+  }
+
+  /**
+   * Format minutes as hours and minutes
+   */
+  function formatMinutes(minutes) {
+    return TransportModule.formatDuration(minutes * 60);
+  }
+
+  /**
+   * Render day-by-day timeline
+   * @param {Array} days - Scheduled days from scheduleDays()
+   * @param {number} dailyMinutes - Daily time budget
+   */
+  function renderItinerary(days, dailyMinutes) {
+    const container = document.getElementById('itineraryTimeline');
+    if (!container) return;
+
+    const hasPlaces = days.some(day => day.items.length > 0);
+    if (!hasPlaces) {
+      container.innerHTML = '<p class="empty-message">방문 목록에 장소를 담으면 일정이 만들어집니다.</p>';
+      return;
+    }
+
+    const dayOptions = (currentIndex) => days.map(day => `
+      <option value="${day.index}" ${day.index === currentIndex ? 'selected' : ''}>${day.index + 1}일차</option>
+    `).join('');
+
+    container.innerHTML = days.map(day => `
+      <div class="itinerary-day ${day.overBudget ? 'over-budget' : ''}">
+        <div class="itinerary-day-header">
+          <h3>
+            ${day.index + 1}일차
+            <span class="itinerary-date">${day.date.toLocaleDateString('ko-KR', { month: 'long', day: 'numeric', weekday: 'short' })}</span>
+          </h3>
+          <div class="itinerary-day-totals">
+            <span><i class="fas fa-person-walking"></i> 관람 ${formatMinutes(day.visitMinutes)}</span>
+            <span><i class="fas fa-car-side"></i> 이동 ${formatMinutes(day.travelMinutes)}</span>
+            <span class="itinerary-total">
+              <i class="fas fa-hourglass-half"></i>
+              ${formatMinutes(day.totalMinutes)} / ${formatMinutes(dailyMinutes)}
+            </span>
+          </div>
+        </div>
+        ${day.items.length === 0 ? '<p class="itinerary-free">자유 일정</p>' : `
+          <ol class="itinerary-timeline">
+            ${day.items.map(item => `
+              <li class="itinerary-item">
+                <div class="itinerary-time">
+                  ${formatTime(item.arrival)}<br><span>~ ${formatTime(item.departure)}</span>
+                </div>
+                <div class="itinerary-body">
+                  <div class="itinerary-place">
+                    <i class="fas ${item.place.icon || 'fa-location-dot'}"></i>
+                    ${UtilModule.escapeHtml(item.place.name)}
+                  </div>
+                  <div class="itinerary-meta">
+                    ${RecommendModule.getCategoryInfo(item.place.category).name} · 관람 ${formatMinutes(item.visitMinutes)}
+                    ${item.travelMinutes > 0 ? ` · 이동 ${formatMinutes(item.travelMinutes)}` : ''}
+                  </div>
+                </div>
+                <select class="itinerary-move" data-place-id="${item.place.id}" aria-label="다른 날로 이동">
+                  ${dayOptions(day.index)}
+                </select>
+              </li>
+            `).join('')}
+          </ol>
+        `}
+        ${day.overBudget ? '<p class="itinerary-warning"><i class="fas fa-triangle-exclamation"></i> 하루 가용 시간을 초과했습니다.</p>' : ''}
+      </div>
+    `).join('');
+  }
+
+  // Public API
+  return {
+    DEFAULT_DAILY_HOURS,
+    estimateTravelMinutes,
+    assignDays,
+    scheduleDays,
+    movePlace,
+    parseDepartureDate,
+    renderItinerary
+  };
+})();
@@ -0,0 +1,277 @@
+/**
+ * Locale Module - Time Zones and Countries
+ * Resolves the IANA time zone and country of a location and converts
+ * instants to wall-clock time there using the built-in Intl API
+ */
+
+const LocaleModule = (function() {
+  // Coarse regions as [south, west, north, east]; first match wins,
+  // so smaller regions come before the larger ones that contain them
+  const TIME_ZONE_REGIONS = [
+    // East Asia
+    { timeZone: 'Asia/Seoul', bounds: [33.0, 124.5, 38.7, 129.6] },
+    { timeZone: 'Asia/Seoul', bounds: [37.2, 130.7, 37.6, 131.9] },
+    { timeZone: 'Asia/Tokyo', bounds: [24.0, 122.9, 45.6, 146.0] },
+    { timeZone: 'Asia/Taipei', bounds: [21.8, 119.3, 25.4, 122.1] },
+    { timeZone: 'Asia/Hong_Kong', bounds: [22.1, 113.8, 22.6, 114.5] },
+    { timeZone: 'Asia/Shanghai', bounds: [18.0, 73.5, 53.6, 135.1] },
+
+    // Southeast and South Asia
+    { timeZone: 'Asia/Singapore', bounds: [1.15, 103.6, 1.48, 104.1] },
+    { timeZone: 'Asia/Manila', bounds: [4.5, 116.9, 21.2, 126.7] },
+    { timeZone: 'Asia/Ho_Chi_Minh', bounds: [8.4, 102.1, 23.4, 109.5] },
+    { timeZone: 'Asia/Bangkok', bounds: [5.6, 97.3, 20.5, 105.7] },
+    { timeZone: 'Asia/Kuala_Lumpur', bounds: [0.8, 99.6, 7.4, 119.3] },
+    { timeZone: 'Asia/Jakarta', bounds: [-11.0, 95.0, 6.0, 115.0] },
+    { timeZone: 'Asia/Kolkata', bounds: [6.5, 68.1, 35.5, 97.4] },
+    { timeZone: 'Asia/Dubai', bounds: [22.6, 51.5, 26.1, 56.4] },
+
+    // Europe
+    { timeZone: 'Europe/London', bounds: [49.8, -10.7, 60.9, 1.8] },
+    { timeZone: 'Europe/Lisbon', bounds: [36.9, -9.6, 42.2, -6.2] },
+    { timeZone: 'Europe/Madrid', bounds: [36.0, -9.3, 43.8, 3.3] },
+    { timeZone: 'Europe/Paris', bounds: [41.3, -5.2, 51.1, 7.6] },
+    { timeZone: 'Europe/Rome', bounds: [36.6, 6.6, 47.1, 18.5] },
+    { timeZone: 'Europe/Athens', bounds: [34.8, 19.4, 41.8, 28.3] },
+    { timeZone: 'Europe/Istanbul', bounds: [35.8, 26.0, 42.1, 44.8] },
+    { timeZone: 'Europe/Helsinki', bounds: [53.9, 20.9, 70.1, 32.0] },
+    { timeZone: 'Europe/Berlin', bounds: [36.0, -5.0, 71.2, 22.9] },
+    { timeZone: 'Europe/Kyiv', bounds: [41.2, 22.9, 52.4, 40.2] },
+    { timeZone: 'Europe/Moscow', bounds: [41.2, 27.0, 70.0, 60.0] },
+
+    // North America
+    { timeZone: 'Pacific/Honolulu', bounds: [18.9, -160.3, 22.3, -154.8] },
+    { timeZone: 'America/Anchorage', bounds: [51.2, -170.0, 71.4, -141.0] },
+    { timeZone: 'America/Los_Angeles', bounds: [32.5, -124.8, 60.0, -114.5] },
+    { timeZone: 'America/Denver', bounds: [31.3, -114.5, 60.0, -102.0] },
+    { timeZone: 'America/Chicago', bounds: [25.8, -102.0, 60.0, -87.5] },
+    { timeZone: 'America/New_York', bounds: [24.5, -87.5, 60.0, -66.9] },
+    { timeZone: 'America/Mexico_City', bounds: [14.5, -117.1, 32.7, -86.7] },
+
+    // Oceania
+    { timeZone: 'Australia/Perth', bounds: [-35.2, 112.9, -13.7, 129.0] },
+    { timeZone: 'Australia/Darwin', bounds: [-26.0, 129.0, -10.9, 138.0] },
+    { timeZone: 'Australia/Adelaide', bounds: [-38.1, 129.0, -26.0, 141.0] },
+    { timeZone: 'Australia/Brisbane', bounds: [-29.0, 138.0, -10.0, 154.0] },
+    { timeZone: 'Australia/Sydney', bounds: [-44.0, 141.0, -29.0, 154.0] },
+    { timeZone: 'Pacific/Auckland', bounds: [-47.3, 166.0, -34.0, 178.6] }
+  ];
+
+  // Country names geocoders put at the end of an address (Korean and English)
+  const COUNTRY_NAMES = {
+    KR: ['대한민국', '한국', 'South Korea', 'Korea'],
+    JP: ['일본', 'Japan'],
+    CN: ['중국', 'China'],
+    HK: ['홍콩', 'Hong Kong'],
+    TW: ['대만', 'Taiwan'],
+    SG: ['싱가포르', 'Singapore'],
+    PH: ['필리핀', 'Philippines'],
+    VN: ['베트남', 'Vietnam', 'Viet Nam'],
+    TH: ['태국', 'Thailand'],
+    MY: ['말레이시아', 'Malaysia'],
+    ID: ['인도네시아', 'Indonesia'],
+    IN: ['인도', 'India'],
+    AE: ['아랍에미리트', 'United Arab Emirates'],
+    GB: ['영국', 'United Kingdom'],
+    IE: ['아일랜드', 'Ireland'],
+    FR: ['프랑스', 'France'],
+    DE: ['독일', 'Germany', 'Deutschland'],
+    IT: ['이탈리아', 'Italy', 'Italia'],
+    ES: ['스페인', 'Spain', 'España'],
+    PT: ['포르투갈', 'Portugal'],
+    NL: ['네덜란드', 'Netherlands', 'Nederland'],
+    BE: ['벨기에', 'Belgium'],
+    AT: ['오스트리아', 'Austria', 'Österreich'],
+    GR: ['그리스', 'Greece'],
+    CH: ['스위스', 'Switzerland', 'Schweiz'],
+    CZ: ['체코', 'Czechia', 'Czech Republic'],
+    HU: ['헝가리', 'Hungary'],
+    PL: ['폴란드', 'Poland', 'Polska'],
+    DK: ['덴마크', 'Denmark'],
+    SE: ['스웨덴', 'Sweden'],
+    NO: ['노르웨이', 'Norway'],
+    TR: ['튀르키예', '터키', 'Türkiye', 'Turkey'],
+    US: ['미국', 'United States', 'United States of America', 'USA'],
+    CA: ['캐나다', 'Canada'],
+    MX: ['멕시코', 'Mexico', 'México'],
+    AU: ['호주', 'Australia'],
+    NZ: ['뉴질랜드', 'New Zealand']
+  };
+
+  // Coarse country boxes for places whose name does not end in a country;
+  // ordered like the time zone regions, borders are approximate
+  const COUNTRY_REGIONS = [
+    { country: 'KR', bounds: [33.0, 124.5, 38.7, 129.6] },
+    { country: 'KR', bounds: [37.2, 130.7, 37.6, 131.9] },
+    { country: 'JP', bounds: [24.0, 122.9, 45.6, 146.0] },
+    { country: 'TW', bounds: [21.8, 119.3, 25.4, 122.1] },
+    { country: 'HK', bounds: [22.1, 113.8, 22.6, 114.5] },
+    { country: 'SG', bounds: [1.15, 103.6, 1.48, 104.1] },
+    { country: 'PH', bounds: [4.5, 116.9, 21.2, 126.7] },
+    { country: 'VN', bounds: [8.4, 102.1, 23.4, 109.5] },
+    { country: 'TH', bounds: [5.6, 97.3, 20.5, 105.7] },
+    { country: 'MY', bounds: [0.8, 99.6, 7.4, 119.3] },
+    { country: 'ID', bounds: [-11.0, 95.0, 6.0, 141.0] },
+    { country: 'CN', bounds: [18.0, 73.5, 53.6, 135.1] },
+    { country: 'IN', bounds: [6.5, 68.1, 35.5, 97.4] },
+    { country: 'AE', bounds: [22.6, 51.5, 26.1, 56.4] },
+
+    { country: 'IE', bounds: [51.4, -10.7, 55.4, -6.0] },
+    { country: 'GB', bounds: [49.8, -10.7, 60.9, 1.8] },
+    { country: 'CH', bounds: [45.8, 5.9, 47.8, 10.5] },
+    { country: 'BE', bounds: [49.5, 2.5, 51.5, 6.4] },
+    { country: 'NL', bounds: [51.5, 3.3, 53.6, 7.2] },
+    { country: 'AT', bounds: [46.4, 9.5, 49.0, 17.2] },
+    { country: 'CZ', bounds: [48.5, 12.1, 51.1, 18.9] },
+    { country: 'HU', bounds: [45.7, 16.1, 48.6, 22.9] },
+    { country: 'DK', bounds: [54.5, 8.0, 57.8, 12.7] },
+    { country: 'PT', bounds: [36.9, -9.6, 42.2, -6.2] },
+    { country: 'ES', bounds: [36.0, -9.3, 43.8, 3.3] },
+    { country: 'FR', bounds: [41.3, -5.2, 51.1, 7.6] },
+    { country: 'IT', bounds: [36.6, 6.6, 47.1, 18.5] },
+    { country: 'GR', bounds: [34.8, 19.4, 41.8, 28.3] },
+    { country: 'TR', bounds: [35.8, 26.0, 42.1, 44.8] },
+    { country: 'DE', bounds: [47.3, 5.9, 55.1, 15.0] },
+    { country: 'PL', bounds: [49.0, 14.1, 54.9, 24.2] },
+    { country: 'SE', bounds: [55.3, 11.1, 69.1, 24.2] },
+    { country: 'NO', bounds: [57.9, 4.5, 71.2, 31.1] },
+
+    { country: 'US', bounds: [18.9, -160.3, 22.3, -154.8] },
+    { country: 'US', bounds: [51.2, -170.0, 71.4, -141.0] },
+    { country: 'US', bounds: [24.5, -124.8, 49.0, -66.9] },
+    { country: 'CA', bounds: [41.7, -141.0, 83.1, -52.6] },
+    { country: 'MX', bounds: [14.5, -117.1, 32.7, -86.7] },
+
+    { country: 'AU', bounds: [-44.0, 112.9, -10.0, 154.0] },
+    { country: 'NZ', bounds: [-47.3, 166.0, -34.0, 178.6] }
+  ];
+
+  // Intl formatters are expensive to create, so keep one per zone
+  const formatters = {};
+
+  /**
+   * Get the time zone of the browser
+   * @returns {string} - IANA time zone
+   */
+  function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+
+  /**
+   * Get the time zone at a location (falls back to the browser time zone)
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {string} - IANA time zone
+   */
+  function getTimeZone(lat, lng) {
+    const region = TIME_ZONE_REGIONS.find(({ bounds }) => {
+      const [south, west, north, east] = bounds;
+      return lat >= south && lat <= north && lng >= west && lng <= east;
+    });
+
+    return region ? region.timeZone : getLocalTimeZone();
+  }
+
+  /**
+   * Get the country of a place, from the end of its name or else its coordinates
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {string} name - Place name (e.g. '파리, 프랑스')
+   * @returns {string|null} - ISO 3166-1 alpha-2 code, or null when unknown
+   */
+  function getCountry(lat, lng, name = '') {
+    const lastPart = String(name || '').split(',').pop().trim().toLowerCase();
+    const named = Object.keys(COUNTRY_NAMES).find(code =>
+      COUNTRY_NAMES[code].some(countryName => countryName.toLowerCase() === lastPart)
+    );
+    if (named) return named;
+
+    const region = COUNTRY_REGIONS.find(({ bounds }) => {
+      const [south, west, north, east] = bounds;
+      return lat >= south && lat <= north && lng >= west && lng <= east;
+    });
+
+    return region ? region.country : null;
+  }
+
+  /**
+   * Get wall-clock date parts of an instant in a time zone
+   * @param {Date} date - Instant
+   * @param {string} timeZone - IANA time zone
+   * @returns {Object} - { year, month, day, hour, minute, second }
+   */
+  function getZonedParts(date, timeZone) {
+    if (!formatters[timeZone]) {
+      formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    }
+
+    const parts = {};
+    formatters[timeZone].formatToParts(date).forEach(({ type, value }) => {
+      if (type !== 'literal') {
+        parts[type] = parseInt(value, 10);
+      }
+    });
+
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hour: parts.hour,
+      minute: parts.minute,
+      second: parts.second
+    };
+  }
+
+  /**
+   * Get the UTC offset of a time zone at an instant
+   * @param {string} timeZone - IANA time zone
+   * @param {Date} date - Instant
+   * @returns {number} - Offset in minutes (e.g. 540 for UTC+9)
+   */
+  function getTimeZoneOffset(timeZone, date) {
+    const parts = getZonedParts(date, timeZone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const instant = Math.floor(date.getTime() / 1000) * 1000;
+
+    return Math.round((wallClock - instant) / 60000);
+  }
+
+  /**
+   * Interpret the wall-clock fields of a local Date as time in another zone
+   * (e.g. a datetime-local form value meant as departure-local time)
+   * @param {Date} localDate - Date whose local fields hold the wall-clock time
+   * @param {string} timeZone - IANA time zone
+   * @returns {Date} - The matching instant
+   */
+  function fromZonedTime(localDate, timeZone) {
+    const wallClock = Date.UTC(
+      localDate.getFullYear(), localDate.getMonth(), localDate.getDate(),
+      localDate.getHours(), localDate.getMinutes(), localDate.getSeconds()
+    );
+
+    // Second pass settles times right next to a DST change
+    let instant = wallClock - getTimeZoneOffset(timeZone, new Date(wallClock)) * 60000;
+    instant = wallClock - getTimeZoneOffset(timeZone, new Date(instant)) * 60000;
+
+    return new Date(instant);
+  }
+
+  // Public API
+  return {
+    getLocalTimeZone,
+    getTimeZone,
+    getCountry,
+    getZonedParts,
+    getTimeZoneOffset,
+    fromZonedTime
+  };
+})();
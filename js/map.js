@@ -8,10 +8,16 @@ const MapModule = (function() {
   let markers = {
     departure: null,
     destination: null,
+    waypoints: [],
     places: []
   };
   let routeLayers = [];
   let currentRoute = null;
+  let visitPathLayer = null;
+  let segmentLayer = null;
+
+  // Collaborators' cursors and selections: id → { cursor, selection, selectionKey }
+  let peerLayers = {};
 
   // Custom marker icons
   const icons = {
@@ -136,6 +142,34 @@ const MapModule = (function() {
     return markers.destination;
   }
 
+  /**
+   * Add numbered waypoint marker for an intermediate stop
+   */
+  function addWaypointMarker(lat, lng, name, number) {
+    const icon = L.divIcon({
+      className: 'waypoint-marker',
+      html: `<span>${number}</span>`,
+      iconSize: [28, 28],
+      iconAnchor: [14, 14],
+      popupAnchor: [0, -14]
+    });
+
+    const marker = L.marker([lat, lng], { icon })
+      .addTo(map)
+      .bindPopup(`<b>경유지 ${number}</b><br>${name}`);
+
+    markers.waypoints.push(marker);
+    return marker;
+  }
+
+  /**
+   * Clear all waypoint markers
+   */
+  function clearWaypointMarkers() {
+    markers.waypoints.forEach(marker => map.removeLayer(marker));
+    markers.waypoints = [];
+  }
+
   /**
    * Add place marker
    */
@@ -171,6 +205,7 @@ const MapModule = (function() {
   function clearAllMarkers() {
     if (markers.departure) map.removeLayer(markers.departure);
     if (markers.destination) map.removeLayer(markers.destination);
+    clearWaypointMarkers();
     clearPlaceMarkers();
 
     markers.departure = null;
@@ -206,6 +241,54 @@ const MapModule = (function() {
     return polyline;
   }
 
+  /**
+   * Draw a public transport route, one line per walk / ride segment
+   * Walks and local trips are dotted gray; rides use the line color (or the mode color).
+   * @param {Object} route - Route with segments ({ mode, color, wayPoints })
+   * @param {Object} options - { popup }
+   * @returns {L.FeatureGroup} - Route layer
+   */
+  function drawTransitRoute(route, options = {}) {
+    const group = L.featureGroup();
+
+    route.segments.forEach(segment => {
+      const [first, last] = segment.wayPoints;
+      const latLngs = route.coordinates.slice(first, last + 1).map(coord => [coord[1], coord[0]]);
+      const mode = TransitModule.getModeInfo(segment.mode);
+
+      L.polyline(latLngs, {
+        color: segment.color || mode.color,
+        weight: mode.access ? 4 : 6,
+        opacity: 0.8,
+        dashArray: mode.access ? '2 8' : null,
+        lineCap: 'round'
+      }).addTo(group);
+    });
+
+    // Keep each segment's own color for highlightRoute / resetRouteStyles
+    group.eachLayer(layer => {
+      layer.baseColor = layer.options.color;
+    });
+    group.isTransit = true;
+
+    if (options.popup) {
+      group.bindPopup(options.popup);
+    }
+
+    group.addTo(map);
+    routeLayers.push(group);
+    return group;
+  }
+
+  /**
+   * Style a transit route layer, keeping segment colors unless a color is given
+   */
+  function setTransitStyle(group, style) {
+    group.eachLayer(layer => {
+      layer.setStyle({ color: layer.baseColor, ...style });
+    });
+  }
+
   /**
    * Clear all routes
    */
@@ -214,6 +297,80 @@ const MapModule = (function() {
     routeLayers = [];
   }
 
+  /**
+   * Draw the planned visit order as a dashed path
+   * @param {Array} coordinates - [[lng, lat], ...] from departure to destination
+   */
+  function drawVisitPath(coordinates) {
+    clearVisitPath();
+
+    const latLngs = coordinates.map(coord => [coord[1], coord[0]]);
+    visitPathLayer = L.polyline(latLngs, {
+      color: '#f59e0b',
+      weight: 3,
+      opacity: 0.9,
+      dashArray: '8 8'
+    }).addTo(map);
+
+    return visitPathLayer;
+  }
+
+  /**
+   * Clear the visit order path
+   */
+  function clearVisitPath() {
+    if (visitPathLayer) {
+      map.removeLayer(visitPathLayer);
+      visitPathLayer = null;
+    }
+  }
+
+  /**
+   * Highlight part of a route (e.g. one direction step) on top of the route line
+   * @param {Array} coordinates - [[lng, lat], ...]
+   */
+  function highlightSegment(coordinates) {
+    clearSegmentHighlight();
+    if (!coordinates || coordinates.length === 0) return null;
+
+    const latLngs = coordinates.map(coord => [coord[1], coord[0]]);
+    segmentLayer = latLngs.length === 1
+      ? L.circleMarker(latLngs[0], { radius: 9, color: '#f59e0b', weight: 4, fillOpacity: 0.6 })
+      : L.polyline(latLngs, { color: '#f59e0b', weight: 9, opacity: 0.9, lineCap: 'round' });
+
+    segmentLayer.addTo(map);
+    return segmentLayer;
+  }
+
+  /**
+   * Clear the highlighted route segment
+   */
+  function clearSegmentHighlight() {
+    if (segmentLayer) {
+      map.removeLayer(segmentLayer);
+      segmentLayer = null;
+    }
+  }
+
+  /**
+   * Zoom to part of a route
+   * @param {Array} coordinates - [[lng, lat], ...]
+   */
+  function zoomToSegment(coordinates) {
+    if (!coordinates || coordinates.length === 0) return;
+
+    if (coordinates.length === 1) {
+      map.setView([coordinates[0][1], coordinates[0][0]], 17);
+      return;
+    }
+
+    const bounds = L.latLngBounds(coordinates.map(coord => [coord[1], coord[0]]));
+    map.fitBounds(bounds, {
+      padding: [50, 50],
+      maxZoom: 17
+    });
+  }
+
   /**
    * Fit map to bounds
    */
@@ -242,6 +399,7 @@ const MapModule = (function() {
     if (markers.destination) {
       bounds.extend(markers.destination.getLatLng());
     }
+    markers.waypoints.forEach(marker => bounds.extend(marker.getLatLng()));
 
     if (bounds.isValid()) {
       map.fitBounds(bounds, {
@@ -256,7 +414,12 @@ const MapModule = (function() {
    */
   function highlightRoute(routeIndex) {
     routeLayers.forEach((layer, index) => {
-      if (index === routeIndex) {
+      if (layer.isTransit) {
+        setTransitStyle(layer, index === routeIndex
+          ? { opacity: 0.95 }
+          : { color: '#9ca3af', opacity: 0.5 });
+        if (index === routeIndex) layer.bringToFront();
+      } else if (index === routeIndex) {
         layer.setStyle({
           color: '#10b981',
           weight: 6,
@@ -278,6 +441,11 @@ const MapModule = (function() {
    */
   function resetRouteStyles() {
     routeLayers.forEach(layer => {
+      if (layer.isTransit) {
+        setTransitStyle(layer, { opacity: 0.8 });
+        return;
+      }
+
       layer.setStyle({
         color: '#2563eb',
         weight: 5,
@@ -301,6 +469,8 @@ const MapModule = (function() {
   function clearAll() {
     clearAllMarkers();
     clearRoutes();
+    clearVisitPath();
+    clearSegmentHighlight();
     currentRoute = null;
   }
 
@@ -317,17 +487,26 @@ const MapModule = (function() {
   function drawMultipleRoutes(routes) {
     clearRoutes();
 
-    const colors = ['#2563eb', '#7c3aed', '#10b981'];
+    const colors = ['#2563eb', '#7c3aed', '#10b981', '#f59e0b'];
 
     routes.forEach((route, index) => {
       if (route.coordinates && route.coordinates.length > 0) {
+        const popup = `<b>${route.type || '경로'}</b><br>
+                  거리: ${route.distance}km<br>
+                  시간: ${route.duration}`;
+
+        if (route.segments && route.segments.length > 0) {
+          drawTransitRoute(route, {
+            popup: `${popup}<br>환승: ${route.transfers || 0}회`
+          });
+          return;
+        }
+
         drawRoute(route.coordinates, {
           color: colors[index % colors.length],
           weight: 5,
           opacity: 0.7,
-          popup: `<b>${route.type || '경로'}</b><br>
-                  거리: ${route.distance}km<br>
-                  시간: ${route.duration}`
+          popup
         });
       }
     });
@@ -341,6 +520,77 @@ const MapModule = (function() {
     }
   }
 
+  /**
+   * Show another participant's cursor and selected place
+   * @param {string} id - Participant ID
+   * @param {Object} peer - { name, color, cursor: [lat, lng] | null, selection: { lat, lng, name } | null } (names escaped)
+   */
+  function showPeer(id, peer) {
+    if (!map) return;
+
+    const layers = peerLayers[id] || (peerLayers[id] = { cursor: null, selection: null, selectionKey: null });
+
+    if (peer.cursor) {
+      const icon = L.divIcon({
+        className: 'peer-cursor',
+        html: `<i class="fas fa-arrow-pointer" style="color: ${peer.color}"></i><span style="background: ${peer.color}">${peer.name}</span>`,
+        iconSize: [0, 0],
+        iconAnchor: [0, 0]
+      });
+
+      if (layers.cursor) {
+        layers.cursor.setLatLng(peer.cursor).setIcon(icon);
+      } else {
+        layers.cursor = L.marker(peer.cursor, { icon, interactive: false, keyboard: false, zIndexOffset: 1000 }).addTo(map);
+      }
+    } else if (layers.cursor) {
+      map.removeLayer(layers.cursor);
+      layers.cursor = null;
+    }
+
+    // Only redraw the selection ring when it changes
+    const selectionKey = peer.selection ? `${peer.selection.lat},${peer.selection.lng},${peer.name}` : null;
+    if (selectionKey === layers.selectionKey) return;
+
+    if (layers.selection) {
+      map.removeLayer(layers.selection);
+      layers.selection = null;
+    }
+    if (peer.selection) {
+      layers.selection = L.circleMarker([peer.selection.lat, peer.selection.lng], {
+        radius: 22,
+        color: peer.color,
+        weight: 3,
+        fill: false,
+        dashArray: '6 4',
+        interactive: false
+      })
+        .bindTooltip(`${peer.name}: ${peer.selection.name}`, { permanent: true, direction: 'top', offset: [0, -22] })
+        .addTo(map);
+    }
+    layers.selectionKey = selectionKey;
+  }
+
+  /**
+   * Remove a participant's cursor and selection
+   * @param {string} id - Participant ID
+   */
+  function removePeer(id) {
+    const layers = peerLayers[id];
+    if (!layers) return;
+
+    if (layers.cursor) map.removeLayer(layers.cursor);
+    if (layers.selection) map.removeLayer(layers.selection);
+    delete peerLayers[id];
+  }
+
+  /**
+   * Remove every participant's cursor and selection
+   */
+  function clearPeers() {
+    Object.keys(peerLayers).forEach(removePeer);
+  }
+
   /**
    * Get center of map
    */
@@ -360,11 +610,19 @@ const MapModule = (function() {
     init: initMap,
     addDepartureMarker,
     addDestinationMarker,
+    addWaypointMarker,
+    clearWaypointMarkers,
     addPlaceMarker,
     clearPlaceMarkers,
     clearAllMarkers,
     drawRoute,
+    drawTransitRoute,
     clearRoutes,
+    drawVisitPath,
+    clearVisitPath,
+    highlightSegment,
+    clearSegmentHighlight,
+    zoomToSegment,
     fitBounds,
     fitToMarkers,
     highlightRoute,
@@ -374,7 +632,10 @@ const MapModule = (function() {
     getMap,
     drawMultipleRoutes,
     getCenter,
-    getZoom
+    getZoom,
+    showPeer,
+    removePeer,
+    clearPeers
   };
 })();
 
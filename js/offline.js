@@ -0,0 +1,374 @@
+/**
+ * Offline Module - Service Worker, Offline Indicator and Map Tile Downloads
+ * Saves OpenStreetMap tiles for a trip's area so the map works without a network
+ */
+
+const OfflineModule = (function() {
+  const TILE_URL = 'https://tile.openstreetmap.org';
+  const TILE_CACHE = 'travel-planner-tiles'; // Shared with sw.js
+
+  // Rough average for OSM raster tiles, used only for the size estimate
+  const AVERAGE_TILE_BYTES = 15 * 1024;
+
+  // OSM's tile usage policy forbids bulk downloads, so keep each request small
+  const MAX_TILES = 2500;
+  const CONCURRENCY = 2;
+
+  // Margin around the trip so the edges of the route stay visible (degrees, ~2 km)
+  const BOUNDS_PADDING = 0.02;
+
+  let dialog = null;
+  let bounds = null;
+  let abortController = null;
+
+  /**
+   * Convert a longitude to a tile column
+   */
+  function lngToTileX(lng, zoom) {
+    return Math.floor((lng + 180) / 360 * Math.pow(2, zoom));
+  }
+
+  /**
+   * Convert a latitude to a tile row (Web Mercator)
+   */
+  function latToTileY(lat, zoom) {
+    const rad = lat * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * Math.pow(2, zoom));
+  }
+
+  /**
+   * Get the bounding box of a set of points
+   * @param {Array} points - [{lat, lng}, ...]
+   * @returns {Object|null} - { south, west, north, east } with padding
+   */
+  function getBounds(points) {
+    const valid = points.filter(p => p && Number.isFinite(p.lat) && Number.isFinite(p.lng));
+    if (valid.length === 0) return null;
+
+    const lats = valid.map(p => p.lat);
+    const lngs = valid.map(p => p.lng);
+
+    return {
+      south: Math.max(-85, Math.min(...lats) - BOUNDS_PADDING),
+      west: Math.max(-180, Math.min(...lngs) - BOUNDS_PADDING),
+      north: Math.min(85, Math.max(...lats) + BOUNDS_PADDING),
+      east: Math.min(180, Math.max(...lngs) + BOUNDS_PADDING)
+    };
+  }
+
+  /**
+   * Get the tile index range covering an area at one zoom level
+   * @returns {Object} - { minX, maxX, minY, maxY }
+   */
+  function getTileRange(area, zoom) {
+    const maxIndex = Math.pow(2, zoom) - 1;
+    return {
+      minX: Math.max(0, lngToTileX(area.west, zoom)),
+      maxX: Math.min(maxIndex, lngToTileX(area.east, zoom)),
+      minY: Math.max(0, latToTileY(area.north, zoom)),
+      maxY: Math.min(maxIndex, latToTileY(area.south, zoom))
+    };
+  }
+
+  /**
+   * Count the tiles covering an area at each zoom level
+   * @param {Object} area - { south, west, north, east }
+   * @param {Array} zooms - Zoom levels
+   * @returns {number} - Tile count
+   */
+  function countTiles(area, zooms) {
+    return zooms.reduce((total, zoom) => {
+      const { minX, maxX, minY, maxY } = getTileRange(area, zoom);
+      return total + (maxX - minX + 1) * (maxY - minY + 1);
+    }, 0);
+  }
+
+  /**
+   * List the tile URLs covering an area
+   * @param {Object} area - { south, west, north, east }
+   * @param {Array} zooms - Zoom levels
+   * @returns {Array} - Tile URLs
+   */
+  function listTiles(area, zooms) {
+    const urls = [];
+
+    zooms.forEach(zoom => {
+      const { minX, maxX, minY, maxY } = getTileRange(area, zoom);
+
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          urls.push(`${TILE_URL}/${zoom}/${x}/${y}.png`);
+        }
+      }
+    });
+
+    return urls;
+  }
+
+  /**
+   * Estimate the download for an area
+   * @param {Object} area - { south, west, north, east }
+   * @param {Array} zooms - Zoom levels
+   * @returns {Object} - { tiles, bytes }
+   */
+  function estimate(area, zooms) {
+    const tiles = countTiles(area, zooms);
+    return { tiles, bytes: tiles * AVERAGE_TILE_BYTES };
+  }
+
+  /**
+   * Download and cache the tiles for an area, skipping ones already saved
+   * @param {Object} area - { south, west, north, east }
+   * @param {Array} zooms - Zoom levels
+   * @param {Function} onProgress - Called with (done, total)
+   * @param {AbortSignal} signal - Stops the download
+   * @returns {Promise<Object>} - { saved, skipped, failed }
+   */
+  async function downloadTiles(area, zooms, onProgress = () => {}, signal = null) {
+    const urls = listTiles(area, zooms);
+    if (urls.length > MAX_TILES) {
+      throw new Error(`Too many tiles (${urls.length} > ${MAX_TILES})`);
+    }
+
+    const cache = await caches.open(TILE_CACHE);
+    const result = { saved: 0, skipped: 0, failed: 0 };
+    let next = 0;
+    let done = 0;
+
+    const worker = async () => {
+      while (next < urls.length && !(signal && signal.aborted)) {
+        const url = urls[next++];
+
+        try {
+          if (await cache.match(url)) {
+            result.skipped++;
+          } else {
+            const response = await fetch(url, { mode: 'cors', signal });
+            if (!response.ok) throw new Error(`Tile error: ${response.status}`);
+            await cache.put(url, response);
+            result.saved++;
+          }
+        } catch (error) {
+          if (error.name === 'AbortError') break;
+          result.failed++;
+        }
+
+        onProgress(++done, urls.length);
+      }
+    };
+
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+    console.log(`🗺️ Tiles saved: ${result.saved}, already saved: ${result.skipped}, failed: ${result.failed}`);
+    return result;
+  }
+
+  /**
+   * Count saved tiles
+   * @returns {Promise<number>}
+   */
+  async function getSavedTileCount() {
+    if (!isSupported()) return 0;
+    const cache = await caches.open(TILE_CACHE);
+    return (await cache.keys()).length;
+  }
+
+  /**
+   * Delete all saved tiles
+   */
+  async function clearTiles() {
+    if (!isSupported()) return;
+    await caches.delete(TILE_CACHE);
+    console.log('🗑️ Saved map tiles deleted');
+  }
+
+  /**
+   * Check whether tiles can be saved for offline use
+   */
+  function isSupported() {
+    return 'serviceWorker' in navigator && typeof caches !== 'undefined';
+  }
+
+  /**
+   * Format a byte count for display
+   */
+  function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+
+  /**
+   * Read the selected zoom range from the dialog
+   * @returns {Array} - Zoom levels
+   */
+  function getSelectedZooms() {
+    const min = parseInt(document.getElementById('offlineMinZoom').value, 10);
+    const max = parseInt(document.getElementById('offlineMaxZoom').value, 10);
+    const zooms = [];
+
+    for (let zoom = Math.min(min, max); zoom <= Math.max(min, max); zoom++) {
+      zooms.push(zoom);
+    }
+    return zooms;
+  }
+
+  /**
+   * Update the size estimate for the selected zoom levels
+   */
+  function renderEstimate() {
+    const info = document.getElementById('offlineEstimate');
+    const downloadBtn = document.getElementById('offlineDownloadBtn');
+    const { tiles, bytes } = estimate(bounds, getSelectedZooms());
+
+    if (tiles > MAX_TILES) {
+      info.textContent = `타일 ${tiles.toLocaleString('ko-KR')}개 · 최대 ${MAX_TILES.toLocaleString('ko-KR')}개까지 저장할 수 있습니다. 최대 확대 단계를 낮춰주세요.`;
+      info.classList.add('is-invalid');
+      downloadBtn.disabled = true;
+    } else {
+      info.textContent = `타일 ${tiles.toLocaleString('ko-KR')}개 · 약 ${formatBytes(bytes)}`;
+      info.classList.remove('is-invalid');
+      downloadBtn.disabled = Boolean(abortController);
+    }
+  }
+
+  /**
+   * Show how many tiles are saved
+   */
+  async function renderSavedCount() {
+    const saved = document.getElementById('offlineSaved');
+    const count = await getSavedTileCount();
+
+    saved.textContent = count > 0
+      ? `저장된 지도 타일 ${count.toLocaleString('ko-KR')}개`
+      : '저장된 지도 없음';
+  }
+
+  /**
+   * Download the tiles for the dialog's trip area
+   */
+  async function handleDownload() {
+    const progress = document.getElementById('offlineProgress');
+    const downloadBtn = document.getElementById('offlineDownloadBtn');
+
+    abortController = new AbortController();
+    downloadBtn.disabled = true;
+    progress.hidden = false;
+    progress.value = 0;
+
+    try {
+      const result = await downloadTiles(bounds, getSelectedZooms(), (done, total) => {
+        progress.max = total;
+        progress.value = done;
+      }, abortController.signal);
+
+      if (result.failed > 0) {
+        alert(`지도 타일 ${result.failed}개를 저장하지 못했습니다. 네트워크 연결을 확인한 뒤 다시 시도하세요.`);
+      }
+    } catch (error) {
+      console.error('Tile download error:', error);
+      alert('지도를 저장하지 못했습니다.');
+    } finally {
+      abortController = null;
+      progress.hidden = true;
+      renderEstimate();
+      renderSavedCount();
+    }
+  }
+
+  /**
+   * Delete saved tiles after confirmation
+   */
+  async function handleClear() {
+    if (!confirm('저장된 지도 타일을 모두 삭제할까요?')) return;
+
+    await clearTiles();
+    renderSavedCount();
+  }
+
+  /**
+   * Open the offline map dialog for a trip area
+   * @param {Array} points - Trip points [{lat, lng}, ...] (stops, places, route geometry)
+   */
+  function open(points) {
+    if (!dialog) return;
+
+    if (!isSupported()) {
+      alert('이 브라우저에서는 오프라인 지도를 저장할 수 없습니다.');
+      return;
+    }
+
+    bounds = getBounds(points);
+    if (!bounds) {
+      alert('먼저 여행 경로를 검색해주세요.');
+      return;
+    }
+
+    renderEstimate();
+    renderSavedCount();
+    dialog.showModal();
+  }
+
+  /**
+   * Reflect the network state in the navbar
+   */
+  function updateIndicator() {
+    const indicator = document.getElementById('offlineIndicator');
+    const offline = !navigator.onLine;
+
+    document.body.classList.toggle('is-offline', offline);
+    if (indicator) {
+      indicator.hidden = !offline;
+    }
+  }
+
+  /**
+   * Register the service worker
+   */
+  async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+      await navigator.serviceWorker.register('sw.js');
+      console.log('📦 Service worker registered');
+    } catch (error) {
+      console.warn('⚠️ Service worker registration failed:', error);
+    }
+  }
+
+  /**
+   * Register the service worker and wire up the indicator and dialog
+   */
+  function init() {
+    registerServiceWorker();
+
+    updateIndicator();
+    window.addEventListener('online', updateIndicator);
+    window.addEventListener('offline', updateIndicator);
+
+    dialog = document.getElementById('offlineDialog');
+    if (!dialog) return;
+
+    document.getElementById('offlineMinZoom').addEventListener('change', renderEstimate);
+    document.getElementById('offlineMaxZoom').addEventListener('change', renderEstimate);
+    document.getElementById('offlineDownloadBtn').addEventListener('click', handleDownload);
+    document.getElementById('offlineClearBtn').addEventListener('click', handleClear);
+    document.getElementById('offlineCloseBtn').addEventListener('click', () => dialog.close());
+
+    // Closing the dialog stops a running download
+    dialog.addEventListener('close', () => {
+      if (abortController) abortController.abort();
+    });
+  }
+
+  // Public API
+  return {
+    init,
+    open,
+    getBounds,
+    estimate,
+    listTiles,
+    downloadTiles,
+    getSavedTileCount,
+    clearTiles
+  };
+})();
@@ -0,0 +1,163 @@
+/**
+ * Optimizer Module - Visit Order Optimization
+ * Orders selected places between departure and destination
+ * using a nearest-neighbour tour improved with 2-opt
+ */
+
+const OptimizerModule = (function() {
+  // Upper bound on 2-opt passes (each pass is O(n²), lists are small)
+  const MAX_PASSES = 50;
+
+  /**
+   * Build a symmetric distance matrix between points
+   * @param {Array} points - Array of { lat, lng }
+   * @returns {Array} - Matrix of distances in km
+   */
+  function buildDistanceMatrix(points) {
+    return points.map(from =>
+      points.map(to =>
+        from === to ? 0 : TransportModule.calculateDistance(from.lat, from.lng, to.lat, to.lng)
+      )
+    );
+  }
+
+  /**
+   * Get total length of a path through the matrix
+   * @param {Array} order - Point indices in visiting order
+   * @param {Array} matrix - Cost matrix
+   * @returns {number} - Total cost
+   */
+  function getPathCost(order, matrix) {
+    let total = 0;
+    for (let i = 0; i < order.length - 1; i++) {
+      total += matrix[order[i]][order[i + 1]];
+    }
+    return total;
+  }
+
+  /**
+   * Build an initial open path with the nearest-neighbour heuristic
+   * The first index is the start and the last index is the fixed end.
+   * @param {Array} matrix - Cost matrix
+   * @returns {Array} - Point indices in visiting order
+   */
+  function nearestNeighbour(matrix) {
+    const last = matrix.length - 1;
+    const remaining = new Set();
+    for (let i = 1; i < last; i++) {
+      remaining.add(i);
+    }
+
+    const order = [0];
+    let current = 0;
+
+    while (remaining.size > 0) {
+      let next = null;
+      for (const candidate of remaining) {
+        if (next === null || matrix[current][candidate] < matrix[current][next]) {
+          next = candidate;
+        }
+      }
+
+      order.push(next);
+      remaining.delete(next);
+      current = next;
+    }
+
+    order.push(last);
+    return order;
+  }
+
+  /**
+   * Improve a path with 2-opt moves, keeping both endpoints fixed
+   * @param {Array} order - Point indices in visiting order
+   * @param {Array} matrix - Cost matrix
+   * @returns {Array} - Improved order
+   */
+  function twoOpt(order, matrix) {
+    const path = [...order];
+    let improved = true;
+    let passes = 0;
+
+    while (improved && passes < MAX_PASSES) {
+      improved = false;
+      passes++;
+
+      for (let i = 1; i < path.length - 2; i++) {
+        for (let j = i + 1; j < path.length - 1; j++) {
+          // Reversing path[i..j] replaces edges (i-1, i) and (j, j+1)
+          const before = matrix[path[i - 1]][path[i]] + matrix[path[j]][path[j + 1]];
+          const after = matrix[path[i - 1]][path[j]] + matrix[path[i]][path[j + 1]];
+
+          if (after < before - 1e-9) {
+            reverseRange(path, i, j);
+            improved = true;
+          }
+        }
+      }
+    }
+
+    return path;
+  }
+
+  /**
+   * Reverse array elements between two indices (inclusive) in place
+   */
+  function reverseRange(array, from, to) {
+    while (from < to) {
+      [array[from], array[to]] = [array[to], array[from]];
+      from++;
+      to--;
+    }
+  }
+
+  /**
+   * Optimize the visiting order of places between departure and destination
+   * @param {Object} start - Departure { lat, lng }
+   * @param {Object} end - Destination { lat, lng }
+   * @param {Array} places - Places in their current order
+   * @param {Object} options - Optional { matrix } of travel times over [start, ...places, end]
+   * @returns {Object} - { places, before, after, saved } with distances in km, and
+   *   { minutesBefore, minutesAfter, minutesSaved } when a travel-time matrix is given
+   */
+  function optimizeVisitOrder(start, end, places, options = {}) {
+    const points = [start, ...places, end];
+    const distances = buildDistanceMatrix(points);
+    const matrix = options.matrix || distances;
+
+    const originalOrder = points.map((_, index) => index);
+    const optimizedOrder = places.length < 2
+      ? originalOrder
+      : twoOpt(nearestNeighbour(matrix), matrix);
+
+    // Never return something worse than what the user already had
+    const bestOrder = getPathCost(optimizedOrder, matrix) <= getPathCost(originalOrder, matrix)
+      ? optimizedOrder
+      : originalOrder;
+
+    const before = getPathCost(originalOrder, distances);
+    const after = getPathCost(bestOrder, distances);
+
+    const result = {
+      places: bestOrder.slice(1, -1).map(index => points[index]),
+      before,
+      after,
+      saved: before - after
+    };
+
+    if (options.matrix) {
+      result.minutesBefore = getPathCost(originalOrder, matrix);
+      result.minutesAfter = getPathCost(bestOrder, matrix);
+      result.minutesSaved = result.minutesBefore - result.minutesAfter;
+    }
+
+    return result;
+  }
+
+  // Public API
+  return {
+    buildDistanceMatrix,
+    getPathCost,
+    optimizeVisitOrder
+  };
+})();
@@ -0,0 +1,255 @@
+/**
+ * Print Module - Printable Trip Summary
+ * Builds a static, print-ready copy of the planned trip
+ * (map snapshot, route comparison, costs, places and directions)
+ */
+
+const PrintModule = (function() {
+  const MAP_WIDTH = 800;
+  const MAP_HEIGHT = 480;
+  const MAP_PADDING = 40;
+
+  // Keep the SVG small; printed lines don't need every vertex
+  const MAX_LINE_POINTS = 400;
+
+  const MARKER_COLORS = {
+    departure: '#2563eb',
+    waypoint: '#7c3aed',
+    destination: '#ef4444',
+    place: '#f59e0b'
+  };
+
+  /**
+   * Project a point to Web Mercator (0..1 on both axes)
+   */
+  function project(lat, lng) {
+    const sin = Math.sin(lat * Math.PI / 180);
+    return {
+      x: (lng + 180) / 360,
+      y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+    };
+  }
+
+  /**
+   * Keep at most maxPoints evenly spaced points (always keeps the last one)
+   */
+  function simplifyLine(coordinates, maxPoints) {
+    if (coordinates.length <= maxPoints) return coordinates;
+
+    const step = (coordinates.length - 1) / (maxPoints - 1);
+    return Array.from({ length: maxPoints }, (_, i) => coordinates[Math.round(i * step)]);
+  }
+
+  /**
+   * Render a static SVG map of the routes and markers
+   * @param {Object} trip - { routes, selectedRoute, departure, destination, stops, places }
+   * @returns {string} - SVG markup
+   */
+  function renderStaticMap(trip) {
+    const markers = [
+      { ...trip.departure, role: 'departure', label: '출' },
+      ...trip.stops.map((stop, index) => ({ ...stop, role: 'waypoint', label: String(index + 1) })),
+      { ...trip.destination, role: 'destination', label: '도' },
+      ...trip.places.map((place, index) => ({ ...place, role: 'place', label: String(index + 1) }))
+    ];
+
+    const lines = trip.routes.map(route => ({
+      selected: route === trip.selectedRoute,
+      points: simplifyLine(route.coordinates || [], MAX_LINE_POINTS).map(([lng, lat]) => project(lat, lng))
+    }));
+
+    // Fit everything into the viewBox, keeping the aspect ratio
+    const projected = [
+      ...markers.map(marker => project(marker.lat, marker.lng)),
+      ...lines.flatMap(line => line.points)
+    ];
+    const minX = Math.min(...projected.map(p => p.x));
+    const maxX = Math.max(...projected.map(p => p.x));
+    const minY = Math.min(...projected.map(p => p.y));
+    const maxY = Math.max(...projected.map(p => p.y));
+
+    const scale = Math.min(
+      (MAP_WIDTH - MAP_PADDING * 2) / Math.max(maxX - minX, 1e-9),
+      (MAP_HEIGHT - MAP_PADDING * 2) / Math.max(maxY - minY, 1e-9)
+    );
+    const offsetX = (MAP_WIDTH - (maxX - minX) * scale) / 2;
+    const offsetY = (MAP_HEIGHT - (maxY - minY) * scale) / 2;
+    const toSvg = point => `${((point.x - minX) * scale + offsetX).toFixed(1)},${((point.y - minY) * scale + offsetY).toFixed(1)}`;
+
+    // Draw the selected route last so it sits on top
+    const routeLines = [...lines]
+      .sort((a, b) => Number(a.selected) - Number(b.selected))
+      .filter(line => line.points.length > 1)
+      .map(line => `
+        <polyline points="${line.points.map(toSvg).join(' ')}"
+          fill="none" stroke="${line.selected ? '#2563eb' : '#9ca3af'}"
+          stroke-width="${line.selected ? 4 : 2}" ${line.selected ? '' : 'stroke-dasharray="6 4"'}
+          stroke-linecap="round" stroke-linejoin="round" />`)
+      .join('');
+
+    const markerShapes = markers.map(marker => {
+      const [x, y] = toSvg(project(marker.lat, marker.lng)).split(',');
+      const radius = marker.role === 'place' ? 9 : 12;
+      return `
+        <g>
+          <circle cx="${x}" cy="${y}" r="${radius}" fill="${MARKER_COLORS[marker.role]}" stroke="#ffffff" stroke-width="2" />
+          <text x="${x}" y="${y}" dy="0.35em" text-anchor="middle" font-size="${radius}" font-weight="700" fill="#ffffff">${marker.label}</text>
+        </g>`;
+    }).join('');
+
+    return `
+      <svg class="print-map" viewBox="0 0 ${MAP_WIDTH} ${MAP_HEIGHT}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="경로 지도">
+        <rect width="${MAP_WIDTH}" height="${MAP_HEIGHT}" fill="#f3f4f6" />
+        ${routeLines}
+        ${markerShapes}
+      </svg>
+    `;
+  }
+
+  /**
+   * Render the place table with estimated durations and fees
+   * @param {Array} places - Recommended places
+   * @param {Array} visitList - IDs of places in the visit list
+   * @param {string} currency - Currency of the fees
+   * @returns {string} - HTML
+   */
+  function renderPlaceTable(places, visitList, currency) {
+    if (places.length === 0) {
+      return '<p class="print-empty">추천 장소가 없습니다.</p>';
+    }
+
+    const rows = places.map((place, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td>
+          ${UtilModule.escapeHtml(place.name)}
+          ${visitList.includes(place.id) ? '<span class="print-tag">방문 예정</span>' : ''}
+        </td>
+        <td>${RecommendModule.getCategoryInfo(place.category).name}</td>
+        <td>${TransportModule.formatDuration(RecommendModule.getEstimatedDuration(place.category) * 60)}</td>
+        <td>${CostModule.formatCurrency(RecommendModule.getEstimatedCost(place.category, currency), currency)}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <table class="print-table">
+        <thead>
+          <tr><th>#</th><th>장소</th><th>분류</th><th>예상 소요 시간</th><th>예상 요금</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Render turn-by-turn directions of a route
+   * @param {Object} route - Route with instructions
+   * @returns {string} - HTML
+   */
+  function renderDirections(route) {
+    if (!route || !route.instructions || route.instructions.length === 0) {
+      return '<p class="print-empty">이 경로에는 상세 길안내가 없습니다.</p>';
+    }
+
+    const steps = route.instructions.map(step => `
+      <li>
+        <span class="print-step">${UtilModule.escapeHtml(step.instruction)}</span>
+        <span class="print-step-meta">${step.distance}km · ${step.duration}분</span>
+      </li>
+    `).join('');
+
+    return `<ol class="print-directions">${steps}</ol>`;
+  }
+
+  /**
+   * Build the print view for the current trip
+   * @param {Object} trip - { departure, destination, stops, departureDate, duration,
+   *   routes, selectedRoute, costs, places, visitList }
+   */
+  function renderPrintView(trip) {
+    const container = document.getElementById('printView');
+    if (!container) return;
+
+    const title = `${UtilModule.getShortName(trip.departure.name)} → ${UtilModule.getShortName(trip.destination.name)}`;
+    const departureDate = ItineraryModule.parseDepartureDate(trip.departureDate);
+    const chartImage = CostModule.getChartImage();
+
+    // selectedRoute may be a copy made before costs were attached, so match by name too
+    const selectedIndex = Math.max(0, trip.routes.findIndex(route =>
+      route === trip.selectedRoute || (trip.selectedRoute && route.name === trip.selectedRoute.name)
+    ));
+    const selected = trip.routes[selectedIndex];
+
+    container.innerHTML = `
+      <header class="print-header">
+        <h1>${UtilModule.escapeHtml(title)}</h1>
+        <p>
+          ${departureDate.toLocaleString('ko-KR', { dateStyle: 'long', timeStyle: 'short' })} 출발 · ${trip.duration}일
+          ${trip.stops.length > 0 ? ` · 경유 ${trip.stops.map(stop => UtilModule.escapeHtml(UtilModule.getShortName(stop.name))).join(', ')}` : ''}
+        </p>
+      </header>
+
+      <section class="print-section">
+        <h2>경로 지도</h2>
+        ${renderStaticMap({ ...trip, selectedRoute: selected })}
+        <p class="print-legend">
+          <span style="color: ${MARKER_COLORS.departure}">●</span> 출발지
+          <span style="color: ${MARKER_COLORS.waypoint}">●</span> 경유지
+          <span style="color: ${MARKER_COLORS.destination}">●</span> 도착지
+          <span style="color: ${MARKER_COLORS.place}">●</span> 추천 장소 (번호는 아래 목록 순서)
+        </p>
+      </section>
+
+      <section class="print-section">
+        <h2>경로 비교</h2>
+        <div class="routes-grid" id="printRoutes"></div>
+      </section>
+
+      <section class="print-section">
+        <h2>비용 분석</h2>
+        <div class="cost-grid">
+          <div class="cost-summary" id="printCostSummary"></div>
+          ${chartImage ? `<img class="print-chart" src="${chartImage}" alt="비용 비율 차트">` : ''}
+        </div>
+      </section>
+
+      <section class="print-section">
+        <h2>추천 장소</h2>
+        ${renderPlaceTable(trip.places, trip.visitList, trip.costs ? trip.costs.currency : CurrencyModule.HOME_CURRENCY)}
+      </section>
+
+      <section class="print-section">
+        <h2>길안내 · ${UtilModule.escapeHtml(selected ? selected.name : '')}</h2>
+        ${renderDirections(selected)}
+      </section>
+    `;
+
+    CostModule.renderRouteCostComparison(trip.routes, 'printRoutes');
+    if (trip.costs) {
+      CostModule.renderCostSummary(trip.costs, 'printCostSummary');
+    }
+
+    // Mark the route the costs are based on
+    const selectedCard = container.querySelector(`#printRoutes [data-route-index="${selectedIndex}"]`);
+    if (selectedCard) {
+      selectedCard.classList.add('active');
+    }
+  }
+
+  /**
+   * Remove the print view content
+   */
+  function clearPrintView() {
+    const container = document.getElementById('printView');
+    if (container) {
+      container.innerHTML = '';
+    }
+  }
+
+  // Public API
+  return {
+    renderStaticMap,
+    renderPrintView,
+    clearPrintView
+  };
+})();
@@ -4,7 +4,8 @@
  */
 
 const RecommendModule = (function() {
-  const OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
+  const DEFAULT_OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
+  let overpassUrl = DEFAULT_OVERPASS_URL;
   const DEFAULT_RADIUS = 5000; // 5km
   const MAX_RESULTS = 15;
 
@@ -58,6 +59,16 @@ const RecommendModule = (function() {
     ]
   };
 
+  // Keywords used to guess a category from free-text names and types
+  const CATEGORY_KEYWORDS = {
+    nature: ['공원', '해변', '해수욕장', '폭포', '전망대', '호수', '수목원', 'park', 'beach', 'waterfall', 'viewpoint', 'lake', 'forest', 'peak', 'mountain', 'nature'],
+    culture: ['박물관', '미술관', '갤러리', '극장', '공연', '아트', 'museum', 'gallery', 'theatre', 'theater', 'art', 'culture'],
+    food: ['식당', '맛집', '카페', '베이커리', '음식', 'restaurant', 'cafe', 'coffee', 'bakery', 'food', 'bar'],
+    shopping: ['시장', '백화점', '쇼핑', '아울렛', '몰', 'market', 'mall', 'shop', 'store', 'outlet'],
+    history: ['궁', '사찰', '성곽', '유적', '기념관', '한옥', 'palace', 'temple', 'castle', 'ruins', 'memorial', 'monument', 'historic'],
+    adventure: ['스키', '동물원', '테마파크', '놀이공원', '캠핑', '등반', 'ski', 'zoo', 'theme park', 'climbing', 'camp', 'adventure']
+  };
+
   // Icon mappings for preferences
   const PREFERENCE_ICONS = {
     nature: 'fa-tree',
@@ -82,36 +93,39 @@ const RecommendModule = (function() {
     }
 
     try {
-      // Build Overpass query
-      const query = buildOverpassQuery(lat, lng, preferences, radius);
-
-      const response = await fetch(OVERPASS_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        body: `data=${encodeURIComponent(query)}`
-      });
-
-      if (!response.ok) {
-        throw new Error(`Overpass API error: ${response.status}`);
-      }
+      const key = [overpassUrl, lat, lng, [...preferences].sort(), radius];
+      return await CacheModule.wrap('poi', key, async () => {
+        // Build Overpass query
+        const query = buildOverpassQuery(lat, lng, preferences, radius);
+
+        const response = await fetch(overpassUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body: `data=${encodeURIComponent(query)}`
+        });
+
+        if (!response.ok) {
+          throw new Error(`Overpass API error: ${response.status}`);
+        }
 
-      const data = await response.json();
+        const data = await response.json();
 
-      // Process and filter results
-      const pois = processOverpassResults(data, preferences);
+        // Process and filter results
+        const pois = processOverpassResults(data, preferences);
 
-      // Sort by distance and limit results
-      const sortedPOIs = pois
-        .map(poi => ({
-          ...poi,
-          distance: calculateDistance(lat, lng, poi.lat, poi.lng)
-        }))
-        .sort((a, b) => a.distance - b.distance)
-        .slice(0, MAX_RESULTS);
+        // Sort by distance and limit results
+        const sortedPOIs = pois
+          .map(poi => ({
+            ...poi,
+            distance: calculateDistance(lat, lng, poi.lat, poi.lng)
+          }))
+          .sort((a, b) => a.distance - b.distance)
+          .slice(0, MAX_RESULTS);
 
-      return sortedPOIs;
+        return sortedPOIs;
+      });
     } catch (error) {
       console.error('POI search error:', error);
       return [];
@@ -237,6 +251,36 @@ const RecommendModule = (function() {
     return null;
   }
 
+  /**
+   * Guess a category for a place that did not come from Overpass
+   * Tries OSM-style tags first, then an explicit category, then keywords.
+   * @param {Object} tags - Tags or properties (may be empty)
+   * @param {string} text - Name, type or description text
+   * @returns {string} - Category (defaults to culture)
+   */
+  function guessCategory(tags = {}, text = '') {
+    const fromTags = determineCategory(tags, Object.keys(PREFERENCE_TAGS));
+    if (fromTags) return fromTags;
+
+    if (tags.category && PREFERENCE_TAGS[tags.category]) {
+      return tags.category;
+    }
+
+    const haystack = `${text} ${Object.values(tags).filter(v => typeof v === 'string').join(' ')}`.toLowerCase();
+    for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+      // English keywords must match whole words ("park" but not "parking")
+      const matched = keywords.some(keyword => /^[a-z ]+$/.test(keyword)
+        ? new RegExp(`\\b${keyword}\\b`).test(haystack)
+        : haystack.includes(keyword));
+
+      if (matched) {
+        return category;
+      }
+    }
+
+    return 'culture';
+  }
+
   /**
    * Get description from tags
    * @param {Object} tags - OSM tags
@@ -371,9 +415,10 @@ const RecommendModule = (function() {
   /**
    * Get estimated cost for a POI
    * @param {string} category - POI category
-   * @returns {number} - Cost in KRW
+   * @param {string} currency - Currency of the result (default won)
+   * @returns {number} - Cost
    */
-  function getEstimatedCost(category) {
+  function getEstimatedCost(category, currency = CurrencyModule.HOME_CURRENCY) {
     const costs = {
       nature: 0,        // Usually free
       culture: 10000,   // Museum entrance
@@ -383,7 +428,7 @@ const RecommendModule = (function() {
       adventure: 30000  // Activity cost
     };
 
-    return costs[category] || 10000;
+    return CurrencyModule.convert(costs[category] || 10000, CurrencyModule.HOME_CURRENCY, currency);
   }
 
   /**
@@ -439,10 +484,44 @@ const RecommendModule = (function() {
     return info[category] || { name: category, color: '#6b7280', icon: 'fa-location-dot' };
   }
 
+  /**
+   * Update endpoint settings
+   * @param {Object} options - { overpassUrl } (empty means the public server)
+   */
+  function configure(options = {}) {
+    if ('overpassUrl' in options) {
+      overpassUrl = options.overpassUrl || DEFAULT_OVERPASS_URL;
+    }
+  }
+
+  /**
+   * Check an Overpass endpoint with a minimal query
+   * @param {string} url - Overpass interpreter URL
+   * @returns {Promise<boolean>} - Resolves true, rejects with the failure reason
+   */
+  async function testOverpass(url) {
+    const data = await UtilModule.fetchJSON(url || DEFAULT_OVERPASS_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: `data=${encodeURIComponent('[out:json][timeout:5];node(1);out ids;')}`
+    });
+
+    if (!Array.isArray(data.elements)) {
+      throw new Error('Unexpected response');
+    }
+    return true;
+  }
+
   // Public API
   return {
+    DEFAULT_OVERPASS_URL,
+    configure,
+    testOverpass,
     searchPOIs,
     getPOIsAlongRoute,
+    guessCategory,
     getEstimatedDuration,
     getEstimatedCost,
     filterByCategories,
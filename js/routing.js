@@ -0,0 +1,444 @@
+/**
+ * Routing Module - Pluggable Routing Providers
+ * One route(coordinates, profile) contract with OpenRouteService, OSRM and
+ * GraphHopper adapters, tried in a configurable failover order
+ */
+
+const RoutingModule = (function() {
+  // Short drive in central Seoul used to check provider settings
+  const TEST_COORDINATES = [[126.9780, 37.5665], [126.9770, 37.5759]];
+
+  // Provider profile names for our route profiles
+  const OSRM_PROFILES = {
+    'driving-car': { instance: 'car', name: 'driving' },
+    'foot-walking': { instance: 'foot', name: 'foot' },
+    'cycling-regular': { instance: 'bike', name: 'bike' }
+  };
+
+  const GRAPHHOPPER_PROFILES = {
+    'driving-car': 'car',
+    'foot-walking': 'foot',
+    'cycling-regular': 'bike'
+  };
+
+  // OSRM maneuver modifiers as Korean instruction text
+  const OSRM_MODIFIERS = {
+    'uturn': '유턴',
+    'sharp right': '급우회전',
+    'right': '우회전',
+    'slight right': '오른쪽 방향',
+    'straight': '직진',
+    'slight left': '왼쪽 방향',
+    'left': '좌회전',
+    'sharp left': '급좌회전'
+  };
+
+  /**
+   * Providers share one contract:
+   *   route(coordinates, profile, settings) → Promise<{ coordinates, distance, duration, legs, steps }>
+   * with coordinates as [[lng, lat], ...], distances in meters, durations in seconds and
+   * steps as { instruction, distance, duration, wayPoints: [first, last] } indexing into coordinates.
+   * Driving routes add tollways: [[first, last], ...] ranges on toll roads when the provider
+   * reports them (an empty list means no tolls; no list means unknown).
+   */
+  const PROVIDERS = {
+    ors: {
+      name: 'OpenRouteService',
+      defaultBaseUrl: 'https://api.openrouteservice.org',
+      route: routeWithORS
+    },
+    osrm: {
+      name: 'OSRM',
+      defaultBaseUrl: 'https://routing.openstreetmap.de',
+      route: routeWithOSRM
+    },
+    graphhopper: {
+      name: 'GraphHopper',
+      defaultBaseUrl: 'https://graphhopper.com/api/1',
+      route: routeWithGraphHopper
+    }
+  };
+
+  // Bump when the result format changes, so cached routes are fetched again (2: tollways)
+  const RESULT_VERSION = 2;
+
+  // Hosted ORS and GraphHopper need an API key; self-hosted instances usually don't.
+  // Get a free ORS key at https://openrouteservice.org/dev/#/signup
+  const config = {
+    provider: 'ors',
+    order: ['ors', 'osrm', 'graphhopper'],
+    providers: {
+      ors: { baseUrl: PROVIDERS.ors.defaultBaseUrl, apiKey: '' },
+      osrm: { baseUrl: PROVIDERS.osrm.defaultBaseUrl },
+      graphhopper: { baseUrl: PROVIDERS.graphhopper.defaultBaseUrl, apiKey: '' }
+    }
+  };
+
+  /**
+   * Update provider settings
+   * @param {Object} options - { provider, order, providers: { [id]: { baseUrl, apiKey } } }
+   */
+  function configure(options = {}) {
+    if (options.provider) {
+      setProvider(options.provider);
+    }
+
+    if (Array.isArray(options.order)) {
+      const order = options.order.filter(id => PROVIDERS[id]);
+      // Providers left out of the order are still tried last
+      config.order = [...order, ...Object.keys(PROVIDERS).filter(id => !order.includes(id))];
+    }
+
+    Object.entries(options.providers || {}).forEach(([id, settings]) => {
+      if (!PROVIDERS[id]) return;
+
+      config.providers[id] = {
+        ...config.providers[id],
+        ...settings,
+        // An empty base URL means the public server
+        baseUrl: (settings.baseUrl || PROVIDERS[id].defaultBaseUrl).replace(/\/+$/, '')
+      };
+    });
+  }
+
+  /**
+   * Select the provider that is tried first
+   * @param {string} id - Provider ID (ors, osrm, graphhopper)
+   */
+  function setProvider(id) {
+    if (!PROVIDERS[id]) {
+      throw new Error(`Unknown routing provider: ${id}`);
+    }
+    config.provider = id;
+  }
+
+  /**
+   * Get a copy of the current configuration
+   */
+  function getConfig() {
+    return JSON.parse(JSON.stringify(config));
+  }
+
+  /**
+   * List available providers
+   * @returns {Array} - [{ id, name, defaultBaseUrl }]
+   */
+  function getProviders() {
+    return Object.entries(PROVIDERS).map(([id, provider]) => ({
+      id,
+      name: provider.name,
+      defaultBaseUrl: provider.defaultBaseUrl
+    }));
+  }
+
+  /**
+   * Check whether a provider can be called with the given (default: current) settings
+   */
+  function isConfigured(id, settings = config.providers[id]) {
+    const isPublicServer = settings.baseUrl === PROVIDERS[id].defaultBaseUrl;
+
+    if (id === 'osrm') return true;
+    return Boolean(settings.apiKey) || !isPublicServer;
+  }
+
+  /**
+   * Get the providers to try: the selected one, then the failover order
+   */
+  function getOrder() {
+    return [config.provider, ...config.order.filter(id => id !== config.provider)];
+  }
+
+  /**
+   * Get the route cache key parts that depend on the settings: the result format
+   * version and the providers tried, in order, with their servers
+   * @returns {Array} - Key parts for CacheModule.makeKey
+   */
+  function getCacheKey() {
+    return [`v${RESULT_VERSION}`, getOrder().map(id => `${id}@${config.providers[id].baseUrl}`)];
+  }
+
+  /**
+   * Get a route from the selected provider, failing over in the configured order
+   * @param {Array} coordinates - Stops in order [[lng, lat], ...] (at least two)
+   * @param {string} profile - Route profile (driving-car, foot-walking, cycling-regular)
+   * @returns {Promise<Object>} - Provider result plus provider ID
+   */
+  async function route(coordinates, profile = 'driving-car') {
+    const order = getOrder();
+    const errors = [];
+
+    for (const id of order) {
+      if (!isConfigured(id)) {
+        errors.push(`${id}: not configured`);
+        continue;
+      }
+
+      try {
+        const result = await PROVIDERS[id].route(coordinates, profile, config.providers[id]);
+        console.log(`🧭 Route from ${PROVIDERS[id].name} (${profile})`);
+        return { ...result, provider: id };
+      } catch (error) {
+        console.warn(`⚠️ ${PROVIDERS[id].name} failed for ${profile}:`, error.message);
+        errors.push(`${id}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`All routing providers failed (${errors.join('; ')})`);
+  }
+
+  /**
+   * Check provider settings with a real test request
+   * @param {string} id - Provider ID
+   * @param {Object} settings - { baseUrl, apiKey } to test (not applied)
+   * @returns {Promise<boolean>} - Resolves true, rejects with the failure reason
+   */
+  async function testProvider(id, settings = {}) {
+    if (!PROVIDERS[id]) {
+      throw new Error(`Unknown routing provider: ${id}`);
+    }
+
+    const merged = {
+      ...config.providers[id],
+      ...settings,
+      baseUrl: (settings.baseUrl || PROVIDERS[id].defaultBaseUrl).replace(/\/+$/, '')
+    };
+
+    if (!isConfigured(id, merged)) {
+      throw new Error('API key required');
+    }
+
+    await PROVIDERS[id].route(TEST_COORDINATES, 'driving-car', merged);
+    return true;
+  }
+
+  /**
+   * OpenRouteService directions (POST /v2/directions/{profile})
+   */
+  async function routeWithORS(coordinates, profile, settings) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+    if (settings.apiKey) {
+      headers['Authorization'] = settings.apiKey;
+    }
+
+    const isDriving = profile.startsWith('driving');
+    const data = await UtilModule.fetchJSON(`${settings.baseUrl}/v2/directions/${profile}/geojson`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        coordinates,
+        instructions: true,
+        elevation: false,
+        ...(isDriving ? { extra_info: ['tollways'] } : {})
+      })
+    });
+
+    const feature = data.features && data.features[0];
+    if (!feature) {
+      throw new Error('No route found');
+    }
+
+    const { summary, segments = [], extras = {} } = feature.properties;
+
+    return {
+      coordinates: feature.geometry.coordinates,
+      distance: summary.distance || 0,
+      duration: summary.duration || 0,
+      // One segment per leg between consecutive stops
+      legs: segments.map(segment => ({
+        distance: segment.distance || 0,
+        duration: segment.duration || 0
+      })),
+      steps: segments.flatMap(segment => (segment.steps || []).map(step => ({
+        instruction: step.instruction,
+        distance: step.distance,
+        duration: step.duration,
+        wayPoints: step.way_points
+      }))),
+      // extras.tollways.values are [first, last, 1 for toll roads]
+      tollways: isDriving && extras.tollways
+        ? mergeRanges(extras.tollways.values.filter(([, , value]) => value === 1).map(([first, last]) => [first, last]))
+        : undefined
+    };
+  }
+
+  /**
+   * OSRM route service (GET /route/v1/{profile}/{coordinates})
+   * routing.openstreetmap.de runs one OSRM instance per profile under /routed-{car,foot,bike}
+   */
+  async function routeWithOSRM(coordinates, profile, settings) {
+    const osrmProfile = OSRM_PROFILES[profile] || OSRM_PROFILES['driving-car'];
+    const instancePath = settings.baseUrl === PROVIDERS.osrm.defaultBaseUrl
+      ? `/routed-${osrmProfile.instance}`
+      : '';
+
+    const url = `${settings.baseUrl}${instancePath}/route/v1/${osrmProfile.name}/` +
+      coordinates.map(([lng, lat]) => `${lng},${lat}`).join(';') + '?' +
+      new URLSearchParams({ overview: 'full', geometries: 'geojson', steps: 'true' });
+
+    const data = await UtilModule.fetchJSON(url);
+
+    if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+      throw new Error(data.message || 'No route found');
+    }
+
+    const osrmRoute = data.routes[0];
+    const routeCoordinates = osrmRoute.geometry.coordinates;
+    const osrmSteps = osrmRoute.legs.flatMap(leg => leg.steps);
+    const steps = addWayPoints(osrmSteps.map(step => ({
+      instruction: getOSRMInstruction(step),
+      distance: step.distance,
+      duration: step.duration,
+      location: step.maneuver.location
+    })), routeCoordinates);
+
+    // Steps on toll roads carry the "toll" road class on their intersections
+    const isToll = step => (step.intersections || []).some(intersection => (intersection.classes || []).includes('toll'));
+
+    return {
+      coordinates: routeCoordinates,
+      distance: osrmRoute.distance,
+      duration: osrmRoute.duration,
+      legs: osrmRoute.legs.map(leg => ({ distance: leg.distance, duration: leg.duration })),
+      steps,
+      tollways: profile === 'driving-car'
+        ? mergeRanges(steps.filter((step, index) => isToll(osrmSteps[index])).map(step => step.wayPoints))
+        : undefined
+    };
+  }
+
+  /**
+   * Build instruction text from an OSRM maneuver
+   */
+  function getOSRMInstruction(step) {
+    const { type, modifier, exit } = step.maneuver;
+    const road = step.name ? ` · ${step.name}` : '';
+
+    if (type === 'depart') return `출발${road}`;
+    if (type === 'arrive') return '도착';
+    if (type === 'roundabout' || type === 'rotary') {
+      return `회전교차로에서 ${exit || 1}번째 출구${road}`;
+    }
+
+    return `${OSRM_MODIFIERS[modifier] || '계속 진행'}${road}`;
+  }
+
+  /**
+   * GraphHopper routing (POST /route)
+   */
+  async function routeWithGraphHopper(coordinates, profile, settings) {
+    const query = settings.apiKey ? `?${new URLSearchParams({ key: settings.apiKey })}` : '';
+    const isDriving = profile === 'driving-car';
+
+    const data = await UtilModule.fetchJSON(`${settings.baseUrl}/route${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        points: coordinates,
+        profile: GRAPHHOPPER_PROFILES[profile] || 'car',
+        points_encoded: false,
+        instructions: true,
+        locale: 'ko',
+        ...(isDriving ? { details: ['toll'] } : {})
+      })
+    });
+
+    const path = data.paths && data.paths[0];
+    if (!path) {
+      throw new Error(data.message || 'No route found');
+    }
+
+    // GraphHopper has no legs; split at "via point reached" (sign 5) instructions
+    const legs = [{ distance: 0, duration: 0 }];
+    path.instructions.forEach((instruction, index) => {
+      const leg = legs[legs.length - 1];
+      leg.distance += instruction.distance;
+      leg.duration += instruction.time / 1000;
+
+      if (instruction.sign === 5 && index < path.instructions.length - 1) {
+        legs.push({ distance: 0, duration: 0 });
+      }
+    });
+
+    return {
+      coordinates: path.points.coordinates.map(([lng, lat]) => [lng, lat]),
+      distance: path.distance,
+      duration: path.time / 1000,
+      legs,
+      steps: path.instructions.map(instruction => ({
+        instruction: instruction.text,
+        distance: instruction.distance,
+        duration: instruction.time / 1000,
+        wayPoints: instruction.interval
+      })),
+      // details.toll are [first, last, 'no' | 'all' | 'hgv'] ('hgv' only tolls trucks)
+      tollways: isDriving && path.details && path.details.toll
+        ? mergeRanges(path.details.toll.filter(([, , toll]) => toll === 'all').map(([first, last]) => [first, last]))
+        : undefined
+    };
+  }
+
+  /**
+   * Join [first, last] coordinate ranges that touch or overlap, in route order
+   */
+  function mergeRanges(ranges) {
+    return ranges
+      .slice()
+      .sort((a, b) => a[0] - b[0])
+      .reduce((merged, [first, last]) => {
+        const previous = merged[merged.length - 1];
+        if (previous && first <= previous[1]) {
+          previous[1] = Math.max(previous[1], last);
+        } else {
+          merged.push([first, last]);
+        }
+        return merged;
+      }, []);
+  }
+
+  /**
+   * Derive [first, last] coordinate indices for steps that only have a maneuver location
+   * Each step starts at the route vertex nearest its maneuver (searching forward)
+   */
+  function addWayPoints(steps, coordinates) {
+    let searchFrom = 0;
+
+    const starts = steps.map(step => {
+      let best = searchFrom;
+      let bestDistance = Infinity;
+
+      for (let i = searchFrom; i < coordinates.length; i++) {
+        const dx = coordinates[i][0] - step.location[0];
+        const dy = coordinates[i][1] - step.location[1];
+        const distance = dx * dx + dy * dy;
+        if (distance < bestDistance) {
+          best = i;
+          bestDistance = distance;
+        }
+        if (distance === 0) break;
+      }
+
+      searchFrom = best;
+      return best;
+    });
+
+    return steps.map(({ location, ...step }, index) => ({
+      ...step,
+      wayPoints: [starts[index], index < starts.length - 1 ? starts[index + 1] : coordinates.length - 1]
+    }));
+  }
+
+  // Public API
+  return {
+    configure,
+    setProvider,
+    getConfig,
+    getProviders,
+    isConfigured,
+    testProvider,
+    getCacheKey,
+    route
+  };
+})();
@@ -0,0 +1,718 @@
+/**
+ * Settings Module - API Keys, Endpoints, Exchange Rates and Prices
+ * Stores each user's routing keys, service URLs, exchange rates and cost profile
+ * prices in localStorage and applies them to RoutingModule, TransitModule,
+ * TransportModule, RecommendModule, CollabModule, CurrencyModule and CostProfileModule
+ */
+
+const SettingsModule = (function() {
+  const STORAGE_KEY = 'travelSettings';
+  const SETTINGS_VERSION = 1;
+  const EXPORT_FILE_NAME = 'travel-planner-settings.json';
+
+  let dialog = null;
+  let form = null;
+  let handlers = {};
+
+  // Order shown in the dialog while editing
+  let draftOrder = [];
+
+  // Cost profile prices while editing, and the profile shown
+  let draftProfiles = {};
+  let draftProfileId = 'KR';
+
+  // Editable cost profile prices: [field, level] (level for lodging and meals)
+  const PROFILE_FIELDS = [
+    ['fuelPrice'],
+    ['fuelEfficiency'],
+    ['parking'],
+    ...['accommodation', 'food'].flatMap(table => CostProfileModule.LEVELS.map(level => [table, level]))
+  ];
+
+  /**
+   * Get default settings (public servers, no keys)
+   * @returns {Object} - Settings
+   */
+  function getDefaults() {
+    const providers = {};
+    RoutingModule.getProviders().forEach(provider => {
+      providers[provider.id] = { baseUrl: '', apiKey: '' };
+    });
+
+    return {
+      version: SETTINGS_VERSION,
+      routing: {
+        provider: 'ors',
+        order: Object.keys(providers),
+        providers
+      },
+      nominatimUrl: '',
+      overpassUrl: '',
+      otpUrl: '',
+      relayUrl: '',
+      currency: CurrencyModule.getDefaultRates(),
+      costProfiles: {}
+    };
+  }
+
+  /**
+   * Keep positive prices of known cost profiles that differ from the ones they
+   * start from (the bundled prices, or for a city its country's edited prices)
+   * @param {Object} costProfiles - { profileId: { fuelPrice, fuelEfficiency, parking, accommodation, food } }
+   * @returns {Object} - Overrides by profile ID (unchanged profiles left out)
+   */
+  function normalizeCostProfiles(costProfiles) {
+    const normalized = {};
+
+    // Countries come before their cities, so a city compares with its normalized country
+    CostProfileModule.getProfiles().forEach(({ id }) => {
+      const source = (costProfiles && costProfiles[id]) || {};
+      const defaults = CostProfileModule.getDefaults(id, normalized);
+      const override = {};
+
+      PROFILE_FIELDS.forEach(([field, level]) => {
+        const value = Number(level ? (source[field] || {})[level] : source[field]);
+        const defaultValue = level ? defaults[field][level] : defaults[field];
+        if (!Number.isFinite(value) || value <= 0 || value === defaultValue) return;
+
+        if (level) {
+          override[field] = { ...override[field], [level]: value };
+        } else {
+          override[field] = value;
+        }
+      });
+
+      if (Object.keys(override).length > 0) {
+        normalized[id] = override;
+      }
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Keep positive rates of supported currencies and a YYYY-MM-DD as-of date
+   * @param {Object} currency - Possibly partial { asOf, rates }
+   * @returns {Object} - { asOf, rates }
+   */
+  function normalizeCurrency(currency) {
+    const defaults = CurrencyModule.getDefaultRates();
+    const source = (currency && currency.rates) || {};
+    const rates = {};
+
+    Object.keys(defaults.rates).forEach(code => {
+      const rate = Number(source[code]);
+      rates[code] = Number.isFinite(rate) && rate > 0 ? rate : defaults.rates[code];
+    });
+    rates[CurrencyModule.HOME_CURRENCY] = 1;
+
+    const asOf = currency && typeof currency.asOf === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(currency.asOf)
+      ? currency.asOf
+      : defaults.asOf;
+
+    return { asOf, rates };
+  }
+
+  /**
+   * Merge settings onto the defaults, dropping unknown keys and bad values
+   * (used for both stored and imported settings)
+   * @param {Object} settings - Possibly partial settings
+   * @returns {Object} - Complete settings
+   */
+  function normalize(settings) {
+    const defaults = getDefaults();
+    const routing = (settings && settings.routing) || {};
+    const providerIds = Object.keys(defaults.routing.providers);
+    const asString = value => (typeof value === 'string' ? value.trim() : '');
+
+    const providers = {};
+    providerIds.forEach(id => {
+      const provider = (routing.providers && routing.providers[id]) || {};
+      providers[id] = {
+        baseUrl: asString(provider.baseUrl),
+        apiKey: asString(provider.apiKey)
+      };
+    });
+
+    const order = Array.isArray(routing.order)
+      ? routing.order.filter(id => providerIds.includes(id))
+      : [];
+
+    return {
+      version: SETTINGS_VERSION,
+      routing: {
+        provider: providerIds.includes(routing.provider) ? routing.provider : defaults.routing.provider,
+        order: [...new Set([...order, ...providerIds])],
+        providers
+      },
+      nominatimUrl: asString(settings && settings.nominatimUrl),
+      overpassUrl: asString(settings && settings.overpassUrl),
+      otpUrl: asString(settings && settings.otpUrl),
+      relayUrl: asString(settings && settings.relayUrl),
+      currency: normalizeCurrency(settings && settings.currency),
+      costProfiles: normalizeCostProfiles(settings && settings.costProfiles)
+    };
+  }
+
+  /**
+   * Load settings from localStorage
+   * @returns {Object} - Settings
+   */
+  function load() {
+    try {
+      return normalize(JSON.parse(localStorage.getItem(STORAGE_KEY)) || {});
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      return getDefaults();
+    }
+  }
+
+  /**
+   * Save settings to localStorage and apply them
+   * @param {Object} settings - Settings
+   */
+  function save(settings) {
+    const normalized = normalize(settings);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(normalized));
+    apply(normalized);
+
+    if (handlers.onSave) {
+      handlers.onSave(normalized);
+    }
+  }
+
+  /**
+   * Feed settings into the modules that call external services
+   * @param {Object} settings - Settings
+   */
+  function apply(settings) {
+    RoutingModule.configure(settings.routing);
+    TransportModule.configure({ nominatimUrl: settings.nominatimUrl });
+    RecommendModule.configure({ overpassUrl: settings.overpassUrl });
+    TransitModule.configure({ otpUrl: settings.otpUrl });
+    CollabModule.configure({ relayUrl: settings.relayUrl });
+    CurrencyModule.configure(settings.currency);
+    CostProfileModule.configure(settings.costProfiles);
+    console.log(`⚙️ Settings applied (routing: ${settings.routing.provider})`);
+  }
+
+  /**
+   * Check that a URL is empty (public server) or http(s)
+   * @param {string} value - URL
+   * @returns {boolean}
+   */
+  function isValidUrl(value) {
+    if (!value) return true;
+
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Fill the dialog form from settings
+   */
+  function fillForm(settings) {
+    form.elements.provider.value = settings.routing.provider;
+    draftOrder = [...settings.routing.order];
+    renderOrder();
+
+    form.querySelectorAll('[data-provider]').forEach(group => {
+      const provider = settings.routing.providers[group.dataset.provider];
+      group.querySelectorAll('[data-setting]').forEach(input => {
+        input.value = provider[input.dataset.setting] || '';
+      });
+    });
+
+    form.elements.nominatimUrl.value = settings.nominatimUrl;
+    form.elements.overpassUrl.value = settings.overpassUrl;
+    form.elements.otpUrl.value = settings.otpUrl;
+    form.elements.relayUrl.value = settings.relayUrl;
+    form.elements.ratesAsOf.value = settings.currency.asOf;
+    renderRates(settings.currency.rates);
+    draftProfiles = JSON.parse(JSON.stringify(settings.costProfiles));
+    renderProfileFields();
+    clearStatus();
+  }
+
+  /**
+   * Read settings from the dialog form
+   * @returns {Object} - Settings
+   */
+  function readForm() {
+    const providers = {};
+    form.querySelectorAll('[data-provider]').forEach(group => {
+      providers[group.dataset.provider] = {};
+      group.querySelectorAll('[data-setting]').forEach(input => {
+        providers[group.dataset.provider][input.dataset.setting] = input.value;
+      });
+    });
+
+    const rates = {};
+    form.querySelectorAll('[data-rate]').forEach(input => {
+      rates[input.dataset.rate] = input.value;
+    });
+    storeProfileFields();
+
+    return normalize({
+      routing: {
+        provider: form.elements.provider.value,
+        order: draftOrder,
+        providers
+      },
+      nominatimUrl: form.elements.nominatimUrl.value,
+      overpassUrl: form.elements.overpassUrl.value,
+      otpUrl: form.elements.otpUrl.value,
+      relayUrl: form.elements.relayUrl.value,
+      currency: { asOf: form.elements.ratesAsOf.value, rates },
+      costProfiles: draftProfiles
+    });
+  }
+
+  /**
+   * Fill the cost profile select, one group per country
+   */
+  function renderProfileOptions() {
+    const groups = {};
+    CostProfileModule.getProfiles().forEach(profile => {
+      groups[profile.country] = groups[profile.country] || [];
+      groups[profile.country].push(profile);
+    });
+
+    form.elements.costProfile.innerHTML = Object.values(groups).map(([country, ...cities]) => `
+      <optgroup label="${country.name}">
+        <option value="${country.id}">${country.name} 전체</option>
+        ${cities.map(city => `<option value="${city.id}">${city.name}</option>`).join('')}
+      </optgroup>
+    `).join('');
+  }
+
+  /**
+   * Render the price inputs of the selected cost profile
+   */
+  function renderProfileFields() {
+    const fields = document.getElementById('settingsProfileFields');
+    if (!fields) return;
+
+    const defaults = CostProfileModule.getDefaults(draftProfileId, normalizeCostProfiles(draftProfiles));
+    const override = draftProfiles[draftProfileId] || {};
+    const currency = defaults.currency;
+    const levelNames = { budget: '절약형', standard: '표준형', luxury: '럭셔리' };
+    const labels = {
+      fuelPrice: `유류비 (1L당 ${currency})`,
+      fuelEfficiency: '연비 (km/L)',
+      parking: `주차비 (1일 ${currency})`,
+      accommodation: `숙박비 (1박 ${currency})`,
+      food: `식비 (1일 ${currency})`
+    };
+
+    form.elements.costProfile.value = draftProfileId;
+    fields.innerHTML = PROFILE_FIELDS.map(([field, level]) => {
+      const defaultValue = level ? defaults[field][level] : defaults[field];
+      const value = (level ? (override[field] || {})[level] : override[field]) ?? defaultValue;
+
+      return `
+        <label class="settings-price">
+          <span>${labels[field]}${level ? ` · ${levelNames[level]}` : ''}</span>
+          <input type="number" class="form-control" data-profile-field="${field}" ${level ? `data-profile-level="${level}"` : ''}
+            value="${value}" placeholder="${defaultValue}" min="0" step="any" required>
+        </label>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Keep the shown cost profile inputs in the draft
+   */
+  function storeProfileFields() {
+    const override = {};
+
+    form.querySelectorAll('[data-profile-field]').forEach(input => {
+      // Prices left at the default keep following the country
+      if (Number(input.value) === Number(input.placeholder)) return;
+
+      const { profileField: field, profileLevel: level } = input.dataset;
+      if (level) {
+        override[field] = { ...override[field], [level]: input.value };
+      } else {
+        override[field] = input.value;
+      }
+    });
+
+    // Unchanged prices are dropped again by normalize
+    draftProfiles[draftProfileId] = override;
+  }
+
+  /**
+   * Render one won-per-unit input for every foreign currency
+   * @param {Object} rates - { code: won per unit }
+   */
+  function renderRates(rates) {
+    const list = document.getElementById('settingsRates');
+    if (!list) return;
+
+    list.innerHTML = CurrencyModule.getCurrencies()
+      .filter(currency => currency.code !== CurrencyModule.HOME_CURRENCY)
+      .map(currency => `
+        <label class="settings-rate">
+          <span title="${currency.name}">1 ${currency.code}</span>
+          <input type="number" class="form-control" data-rate="${currency.code}" value="${rates[currency.code]}" min="0" step="any" required>
+          <span>원</span>
+        </label>
+      `).join('');
+  }
+
+  /**
+   * Render the failover order list
+   */
+  function renderOrder() {
+    const list = document.getElementById('settingsOrder');
+    if (!list) return;
+
+    const names = {};
+    RoutingModule.getProviders().forEach(provider => {
+      names[provider.id] = provider.name;
+    });
+
+    list.innerHTML = draftOrder.map((id, index) => `
+      <li>
+        <span>${names[id]}</span>
+        <button type="button" class="link-button" data-move-up="${index}" ${index === 0 ? 'disabled' : ''} aria-label="${names[id]} 위로">
+          <i class="fas fa-arrow-up"></i>
+        </button>
+      </li>
+    `).join('');
+
+    list.querySelectorAll('[data-move-up]').forEach(button => {
+      button.addEventListener('click', () => {
+        const index = parseInt(button.dataset.moveUp);
+        [draftOrder[index - 1], draftOrder[index]] = [draftOrder[index], draftOrder[index - 1]];
+        renderOrder();
+      });
+    });
+  }
+
+  /**
+   * Show a status next to a setting
+   * @param {string} key - ors, osrm, graphhopper, nominatim or overpass
+   * @param {string} state - pending, ok, error or skipped
+   * @param {string} message - Status text
+   */
+  function setStatus(key, state, message) {
+    const status = form.querySelector(`[data-status-for="${key}"]`);
+    if (!status) return;
+
+    status.className = `settings-status ${state}`;
+    status.textContent = message;
+  }
+
+  /**
+   * Clear all statuses and invalid markers
+   */
+  function clearStatus() {
+    form.querySelectorAll('.settings-status').forEach(status => {
+      status.className = 'settings-status';
+      status.textContent = '';
+    });
+    form.querySelectorAll('.is-invalid').forEach(input => input.classList.remove('is-invalid'));
+  }
+
+  /**
+   * Mark malformed URLs in the form
+   * @returns {boolean} - True when all URLs are valid
+   */
+  function validateUrls() {
+    let valid = true;
+
+    form.querySelectorAll('input[type="url"]').forEach(input => {
+      const inputValid = isValidUrl(input.value.trim());
+      input.classList.toggle('is-invalid', !inputValid);
+      valid = valid && inputValid;
+    });
+
+    return valid;
+  }
+
+  /**
+   * Run a test request against every configured service
+   * @param {Object} settings - Settings from the form
+   * @returns {Promise<boolean>} - True when no test failed
+   */
+  async function testSettings(settings) {
+    const tests = Object.entries(settings.routing.providers).map(([id, provider]) => ({
+      key: id,
+      run: () => RoutingModule.testProvider(id, provider),
+      // Hosted ORS / GraphHopper without a key are skipped, not failed
+      skip: !RoutingModule.isConfigured(id, {
+        ...provider,
+        baseUrl: provider.baseUrl || RoutingModule.getProviders().find(p => p.id === id).defaultBaseUrl
+      })
+    }));
+
+    tests.push(
+      { key: 'nominatim', run: () => TransportModule.testNominatim(settings.nominatimUrl) },
+      { key: 'overpass', run: () => RecommendModule.testOverpass(settings.overpassUrl) },
+      // OpenTripPlanner has no public default; it is only used when set
+      { key: 'otp', run: () => TransitModule.testOTP(settings.otpUrl), skip: !settings.otpUrl, skipMessage: '사용 안 함' },
+      // The relay is only needed while collaborating, so the local default is not tested
+      { key: 'relay', run: () => CollabModule.testRelay(settings.relayUrl), skip: !settings.relayUrl, skipMessage: '기본 주소 사용' }
+    );
+
+    let allPassed = true;
+
+    // One at a time to stay within public rate limits
+    for (const test of tests) {
+      if (test.skip) {
+        setStatus(test.key, 'skipped', test.skipMessage || 'API 키 없음 · 사용 안 함');
+        continue;
+      }
+
+      setStatus(test.key, 'pending', '확인 중...');
+      try {
+        await test.run();
+        setStatus(test.key, 'ok', '연결 성공');
+      } catch (error) {
+        allPassed = false;
+        setStatus(test.key, 'error', `실패: ${error.message}`);
+      }
+    }
+
+    return allPassed;
+  }
+
+  /**
+   * Check whether a server address, API key or provider choice differs from the saved settings
+   * @param {Object} settings - Settings from the form
+   * @returns {boolean}
+   */
+  function hasConnectionChanges(settings) {
+    const connection = ({ currency, costProfiles, ...rest }) => JSON.stringify(rest);
+    return connection(normalize(settings)) !== connection(load());
+  }
+
+  /**
+   * Handle the test button
+   */
+  async function handleTest() {
+    clearStatus();
+    if (!validateUrls()) return;
+
+    const testBtn = document.getElementById('settingsTestBtn');
+    testBtn.disabled = true;
+    await testSettings(readForm());
+    testBtn.disabled = false;
+  }
+
+  /**
+   * Validate, test and save the form
+   * @param {Event} e - Submit event
+   */
+  async function handleSave(e) {
+    e.preventDefault();
+    clearStatus();
+
+    if (!validateUrls()) {
+      alert('주소 형식이 올바르지 않습니다. http:// 또는 https://로 시작해야 합니다.');
+      return;
+    }
+
+    const saveBtn = document.getElementById('settingsSaveBtn');
+    saveBtn.disabled = true;
+
+    // Price and exchange rate edits are saved without calling any server
+    const settings = readForm();
+    let passed = true;
+    try {
+      if (hasConnectionChanges(settings)) {
+        passed = await testSettings(settings);
+      }
+    } finally {
+      saveBtn.disabled = false;
+    }
+
+    if (!passed && !confirm('일부 연결 테스트에 실패했습니다. 그래도 저장할까요?')) {
+      return;
+    }
+
+    save(settings);
+    dialog.close();
+  }
+
+  /**
+   * Download the form settings as JSON (includes API keys)
+   */
+  function handleExport() {
+    ExportModule.downloadFile(EXPORT_FILE_NAME, JSON.stringify(readForm(), null, 2), 'application/json');
+  }
+
+  /**
+   * Load settings from a JSON file into the form (saved only on submit)
+   * @param {File} file - Settings file
+   */
+  async function handleImport(file) {
+    if (!file) return;
+
+    try {
+      const settings = normalize(JSON.parse(await file.text()));
+      fillForm(settings);
+      validateUrls();
+      console.log('✅ Settings imported from', file.name);
+    } catch (error) {
+      console.error('Settings import error:', error);
+      alert('설정 파일을 읽을 수 없습니다. 내보내기로 만든 JSON 파일인지 확인해주세요.');
+    }
+  }
+
+  /**
+   * Load a GTFS feed for public transport routing (memory only, not a saved setting)
+   * @param {FileList} files - .zip or .txt files
+   */
+  async function handleGtfsLoad(files) {
+    if (!files || files.length === 0) return;
+
+    const info = document.getElementById('settingsGtfsInfo');
+    info.textContent = '시간표 읽는 중...';
+
+    try {
+      const feed = await TransitModule.loadGTFS(files);
+      renderFeedInfo(feed);
+    } catch (error) {
+      console.error('GTFS load error:', error);
+      info.textContent = `불러오기 실패: ${error.message}`;
+    }
+  }
+
+  /**
+   * Show the loaded GTFS feed summary
+   * @param {Object|null} feed - From TransitModule.getFeedInfo()
+   */
+  function renderFeedInfo(feed) {
+    const info = document.getElementById('settingsGtfsInfo');
+    if (!info) return;
+
+    info.textContent = feed
+      ? `${feed.name} · 정류장 ${feed.stops.toLocaleString('ko-KR')}개 · 노선 ${feed.routes.toLocaleString('ko-KR')}개 (${feed.timeZone})`
+      : '불러온 시간표 없음';
+  }
+
+  /**
+   * Show cache size and hit rates per source
+   */
+  async function renderCacheStats() {
+    const info = document.getElementById('settingsCacheInfo');
+    const list = document.getElementById('settingsCacheStats');
+    if (!info || !list) return;
+
+    const stats = await CacheModule.getStats();
+
+    if (!stats.available) {
+      info.textContent = '이 브라우저에서는 캐시를 사용할 수 없습니다';
+      list.innerHTML = '';
+      return;
+    }
+
+    const megabytes = (stats.bytes / (1024 * 1024)).toFixed(1);
+    info.textContent = stats.entries > 0
+      ? `저장된 응답 ${stats.entries.toLocaleString('ko-KR')}개 · ${megabytes} MB`
+      : '저장된 응답 없음';
+
+    list.innerHTML = Object.values(stats.sources).map(source => {
+      const requests = source.hits + source.misses;
+      const rate = requests > 0 ? Math.round((source.hits / requests) * 100) : 0;
+      return `<li><span>${source.name}</span><span>적중 ${source.hits} / 요청 ${requests} (${rate}%)</span></li>`;
+    }).join('');
+  }
+
+  /**
+   * Delete all cached responses
+   */
+  async function handleCacheClear() {
+    if (!confirm('저장된 검색 · 경로 · 장소 결과를 모두 삭제할까요?')) return;
+
+    try {
+      await CacheModule.clear();
+    } catch (error) {
+      console.error('Cache clear error:', error);
+      alert('캐시를 비우지 못했습니다.');
+    }
+    renderCacheStats();
+  }
+
+  /**
+   * Open the settings dialog with the saved settings
+   */
+  function open() {
+    if (!dialog) return;
+
+    fillForm(load());
+    renderFeedInfo(TransitModule.getFeedInfo());
+    renderCacheStats();
+    dialog.showModal();
+  }
+
+  /**
+   * Apply saved settings and wire up the dialog
+   * @param {Object} options - { onSave(settings) } called after the settings are saved
+   */
+  function init(options = {}) {
+    handlers = options;
+    apply(load());
+
+    dialog = document.getElementById('settingsDialog');
+    form = document.getElementById('settingsForm');
+    if (!dialog || !form) return;
+
+    form.addEventListener('submit', handleSave);
+    document.getElementById('settingsTestBtn').addEventListener('click', handleTest);
+    document.getElementById('settingsCancelBtn').addEventListener('click', () => dialog.close());
+    document.getElementById('settingsExportBtn').addEventListener('click', handleExport);
+    document.getElementById('settingsResetBtn').addEventListener('click', () => fillForm(getDefaults()));
+
+    renderProfileOptions();
+    form.elements.costProfile.addEventListener('change', () => {
+      storeProfileFields();
+      draftProfileId = form.elements.costProfile.value;
+      renderProfileFields();
+    });
+    document.getElementById('settingsProfileResetBtn').addEventListener('click', () => {
+      delete draftProfiles[draftProfileId];
+      renderProfileFields();
+    });
+
+    const fileInput = document.getElementById('settingsFileInput');
+    document.getElementById('settingsImportBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      handleImport(fileInput.files[0]);
+      fileInput.value = '';
+    });
+
+    const gtfsInput = document.getElementById('settingsGtfsInput');
+    document.getElementById('settingsGtfsBtn').addEventListener('click', () => gtfsInput.click());
+    gtfsInput.addEventListener('change', () => {
+      handleGtfsLoad(Array.from(gtfsInput.files));
+      gtfsInput.value = '';
+    });
+
+    document.getElementById('settingsCacheClearBtn').addEventListener('click', handleCacheClear);
+
+    const settingsBtn = document.getElementById('settingsBtn');
+    if (settingsBtn) {
+      settingsBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        open();
+      });
+    }
+  }
+
+  // Public API
+  return {
+    init,
+    open,
+    load,
+    save,
+    getDefaults
+  };
+})();
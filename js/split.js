@@ -0,0 +1,524 @@
+/**
+ * Split Module - Group Expense Splitting
+ * Divides the trip cost between the people travelling together and works out
+ * who owes whom: fuel is shared by the car's passengers, rooms by occupancy,
+ * meals are per person and activity tickets are paid by those who go.
+ */
+
+const SplitModule = (function() {
+  const MAX_PARTICIPANTS = 8;
+  const DEFAULT_OCCUPANCY = 2;
+  const MAX_OCCUPANCY = 4;
+
+  // Payer value for "everyone pays their own share"
+  const EACH = 'each';
+
+  const CATEGORIES = [
+    { key: 'transport', label: '교통비' },
+    { key: 'accommodation', label: '숙박비' },
+    { key: 'food', label: '식비' },
+    { key: 'activities', label: '활동비' }
+  ];
+
+  let group = null;
+  let context = {};
+  let handlers = {};
+  let container = null;
+
+  /**
+   * Create an empty group
+   * Transport and rooms are paid by the first participant until someone else is chosen.
+   * @returns {Object} - { participants, occupancy, payers }
+   */
+  function createGroup() {
+    return {
+      participants: [],
+      occupancy: DEFAULT_OCCUPANCY,
+      payers: {
+        transport: null,
+        accommodation: null,
+        food: EACH,
+        activities: EACH
+      }
+    };
+  }
+
+  /**
+   * Create a participant
+   * @param {string} name - Display name
+   * @returns {Object} - { id, name, inCar, skippedPlaces }
+   */
+  function createParticipant(name) {
+    return {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name,
+      inCar: true,
+      skippedPlaces: []
+    };
+  }
+
+  /**
+   * Check whether the route is driven (fuel is one bill for the whole car)
+   */
+  function isCarRoute(route) {
+    return Boolean(route) && (route.profile || 'driving-car') === 'driving-car' && typeof route.fare !== 'number';
+  }
+
+  /**
+   * Split an amount into whole won that add up exactly
+   * @param {number} amount - Amount
+   * @param {number} count - Number of people
+   * @returns {Array} - Shares (the first people pay the leftover won)
+   */
+  function splitEvenly(amount, count) {
+    if (count === 0) return [];
+
+    const base = Math.floor(amount / count);
+    const leftover = amount - base * count;
+    return Array.from({ length: count }, (_, index) => base + (index < leftover ? 1 : 0));
+  }
+
+  /**
+   * Get who pays a category
+   * @returns {string} - Participant ID, or EACH
+   */
+  function getPayer(splitGroup, category) {
+    const payer = splitGroup.payers[category];
+    if (payer === EACH) return EACH;
+
+    const participant = splitGroup.participants.find(p => p.id === payer) || splitGroup.participants[0];
+    return participant ? participant.id : EACH;
+  }
+
+  /**
+   * Divide the trip cost between the participants
+   * @param {Object} costs - Cost breakdown from CostModule.calculateTripCost (one person, one room)
+   * @param {Object} splitGroup - Group from createGroup
+   * @param {Object} options - { route, places } the costs were calculated for
+   * @returns {Object} - { people: [{ participant, shares, total, paid, balance }], totals, rooms, riders, settlements, currency }
+   */
+  function splitCosts(costs, splitGroup, options = {}) {
+    const { route = null, places = [] } = options;
+    const currency = costs.currency || CurrencyModule.HOME_CURRENCY;
+    const participants = splitGroup.participants;
+    const people = participants.map(participant => ({
+      participant,
+      shares: { transport: 0, accommodation: 0, food: 0, activities: 0 },
+      total: 0,
+      paid: 0,
+      balance: 0
+    }));
+
+    // Fuel is shared by whoever rides in the car; fares are per person
+    let riders = people;
+    if (isCarRoute(route)) {
+      const marked = people.filter(person => person.participant.inCar !== false);
+      riders = marked.length > 0 ? marked : people;
+      splitEvenly(costs.transport, riders.length).forEach((share, index) => {
+        riders[index].shares.transport = share;
+      });
+    } else {
+      people.forEach(person => { person.shares.transport = costs.transport; });
+    }
+
+    // Rooms are shared by occupancy
+    const rooms = Math.ceil(people.length / (splitGroup.occupancy || DEFAULT_OCCUPANCY));
+    splitEvenly(costs.accommodation * rooms, people.length).forEach((share, index) => {
+      people[index].shares.accommodation = share;
+    });
+
+    // Meals are per person
+    people.forEach(person => { person.shares.food = costs.food; });
+
+    // Tickets are paid by the people who go
+    places.forEach(place => {
+      const cost = CostModule.getActivityCost(place, currency);
+      people.forEach(person => {
+        if (!(person.participant.skippedPlaces || []).includes(String(place.id))) {
+          person.shares.activities += cost;
+        }
+      });
+    });
+
+    const totals = { transport: 0, accommodation: 0, food: 0, activities: 0, total: 0 };
+    people.forEach(person => {
+      CATEGORIES.forEach(({ key }) => {
+        person.total += person.shares[key];
+        totals[key] += person.shares[key];
+      });
+      totals.total += person.total;
+    });
+
+    // What each person paid up front
+    CATEGORIES.forEach(({ key }) => {
+      const payer = getPayer(splitGroup, key);
+      people.forEach(person => {
+        if (payer === EACH) {
+          person.paid += person.shares[key];
+        } else if (person.participant.id === payer) {
+          person.paid += totals[key];
+        }
+      });
+    });
+
+    people.forEach(person => { person.balance = person.paid - person.total; });
+
+    return {
+      people,
+      totals,
+      rooms,
+      riders: riders.length,
+      settlements: settle(people),
+      currency
+    };
+  }
+
+  /**
+   * Work out the transfers that settle everyone's balance
+   * The largest debt is paid to the largest credit first, which keeps the list short.
+   * @param {Array} people - [{ participant, balance }, ...] (balances add up to 0)
+   * @returns {Array} - [{ from, to, amount }, ...] with participant names
+   */
+  function settle(people) {
+    const debtors = people.filter(p => p.balance < 0).map(p => ({ name: p.participant.name, amount: -p.balance }));
+    const creditors = people.filter(p => p.balance > 0).map(p => ({ name: p.participant.name, amount: p.balance }));
+    const settlements = [];
+
+    debtors.sort((a, b) => b.amount - a.amount);
+    creditors.sort((a, b) => b.amount - a.amount);
+
+    let d = 0;
+    let c = 0;
+    while (d < debtors.length && c < creditors.length) {
+      const amount = Math.min(debtors[d].amount, creditors[c].amount);
+      settlements.push({ from: debtors[d].name, to: creditors[c].name, amount });
+
+      debtors[d].amount -= amount;
+      creditors[c].amount -= amount;
+      if (debtors[d].amount === 0) d++;
+      if (creditors[c].amount === 0) c++;
+    }
+
+    return settlements;
+  }
+
+  /**
+   * Build a CSV of the per-person table and the settlement
+   * Starts with a byte order mark so spreadsheet apps read Korean names correctly.
+   * @param {Object} result - Result of splitCosts
+   * @returns {string} - CSV
+   */
+  function toCSV(result) {
+    const unit = `(${result.currency})`;
+    const labels = CATEGORIES.map(category => category.label + unit);
+    const rows = [
+      ['이름', ...labels, `합계${unit}`, `낸 돈${unit}`, `받을 돈${unit}(-는 보낼 돈)`],
+      ...result.people.map(person => [
+        person.participant.name,
+        ...CATEGORIES.map(({ key }) => person.shares[key]),
+        person.total,
+        person.paid,
+        person.balance
+      ]),
+      ['합계', ...CATEGORIES.map(({ key }) => result.totals[key]), result.totals.total, result.totals.total, 0],
+      [],
+      ['보내는 사람', '받는 사람', `금액${unit}`],
+      ...result.settlements.map(({ from, to, amount }) => [from, to, amount])
+    ];
+
+    return '\uFEFF' + rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Quote a CSV field when needed
+   */
+  function escapeCsv(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Download the split of the trip on screen as CSV
+   */
+  function exportCSV() {
+    if (!group || group.participants.length === 0 || !context.costs) return;
+
+    const base = (context.title || 'trip')
+      .replace(/→/g, '-')
+      .replace(/[\\/:*?"<>|\s]+/g, '_')
+      .replace(/_?-_?/g, '-');
+    const result = splitCosts(context.costs, group, context);
+
+    ExportModule.downloadFile(`${base}_정산.csv`, toCSV(result), 'text/csv');
+    console.log('✅ Exported group split as CSV');
+  }
+
+  /**
+   * Show the group split for the trip on screen
+   * @param {Object} splitGroup - Group (edited in place)
+   * @param {Object} options - { costs, route, places, title }
+   */
+  function render(splitGroup, options = {}) {
+    group = splitGroup;
+    context = options;
+    if (!container) return;
+
+    if (!group || !context.costs) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const isFull = group.participants.length >= MAX_PARTICIPANTS;
+    container.innerHTML = `
+      <div class="split-header">
+        <h3>
+          <i class="fas fa-users"></i>
+          일행 정산
+        </h3>
+        <button type="button" class="btn btn-share" data-split-action="csv" ${group.participants.length === 0 ? 'disabled' : ''}>
+          <i class="fas fa-file-csv"></i>
+          CSV 내보내기
+        </button>
+      </div>
+      <form class="split-add" data-split-form>
+        <input type="text" class="form-control" name="name" maxlength="20" placeholder="${isFull ? `최대 ${MAX_PARTICIPANTS}명까지 추가할 수 있습니다` : '함께 가는 사람 이름'}" ${isFull ? 'disabled' : ''}>
+        <button type="submit" class="btn btn-secondary" ${isFull ? 'disabled' : ''}>
+          <i class="fas fa-user-plus"></i>
+          추가
+        </button>
+      </form>
+      ${group.participants.length === 0
+        ? '<p class="split-empty">함께 여행하는 사람을 추가하면 1인당 비용과 정산 내역을 보여줍니다.</p>'
+        : renderSplit()}
+    `;
+  }
+
+  /**
+   * Render participants, sharing options, the per-person table and the settlement
+   * @returns {string} - HTML
+   */
+  function renderSplit() {
+    const isCar = isCarRoute(context.route);
+    const places = context.places || [];
+    const result = splitCosts(context.costs, group, context);
+    const formatCurrency = amount => CostModule.formatCurrency(amount, result.currency);
+
+    const payerOptions = category => {
+      const payer = getPayer(group, category);
+      return [
+        `<option value="${EACH}" ${payer === EACH ? 'selected' : ''}>각자 계산</option>`,
+        ...group.participants.map(p => `<option value="${p.id}" ${payer === p.id ? 'selected' : ''}>${UtilModule.escapeHtml(p.name)}</option>`)
+      ].join('');
+    };
+
+    const rules = [
+      isCar ? `교통비: 차량 탑승자 ${result.riders}명이 유류비를 나눔` : '교통비: 1인 요금',
+      `숙박비: 방 ${result.rooms}개를 ${group.participants.length}명이 나눔`,
+      '식비: 1인 기준',
+      '활동비: 참여하는 사람만'
+    ];
+
+    return `
+      <ul class="split-participants">
+        ${group.participants.map(p => `
+          <li class="split-chip">
+            <span>${UtilModule.escapeHtml(p.name)}</span>
+            ${isCar ? `
+              <label class="split-car" title="차량 탑승">
+                <input type="checkbox" data-split-car="${p.id}" ${p.inCar !== false ? 'checked' : ''}>
+                <i class="fas fa-car"></i>
+              </label>
+            ` : ''}
+            <button type="button" class="split-remove" data-split-remove="${p.id}" title="빼기">
+              <i class="fas fa-xmark"></i>
+            </button>
+          </li>
+        `).join('')}
+      </ul>
+      <div class="split-options">
+        <label>
+          한 방 인원
+          <select class="form-control" data-split-occupancy>
+            ${Array.from({ length: MAX_OCCUPANCY }, (_, index) => index + 1).map(count =>
+              `<option value="${count}" ${group.occupancy === count ? 'selected' : ''}>${count}명</option>`
+            ).join('')}
+          </select>
+        </label>
+        ${CATEGORIES.map(({ key, label }) => `
+          <label>
+            ${label} 결제
+            <select class="form-control" data-split-payer="${key}">${payerOptions(key)}</select>
+          </label>
+        `).join('')}
+      </div>
+      ${places.length > 0 ? `
+        <details class="split-activities">
+          <summary>활동 참여 (${places.length}곳)</summary>
+          <div class="split-table-wrapper">
+            <table class="split-table">
+              <thead>
+                <tr>
+                  <th>장소</th>
+                  ${group.participants.map(p => `<th>${UtilModule.escapeHtml(p.name)}</th>`).join('')}
+                </tr>
+              </thead>
+              <tbody>
+                ${places.map(place => `
+                  <tr>
+                    <td>${UtilModule.escapeHtml(place.name)} · ${formatCurrency(CostModule.getActivityCost(place, result.currency))}</td>
+                    ${group.participants.map(p => `
+                      <td><input type="checkbox" data-split-place="${UtilModule.escapeHtml(String(place.id))}" data-split-person="${p.id}" ${(p.skippedPlaces || []).includes(String(place.id)) ? '' : 'checked'}></td>
+                    `).join('')}
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        </details>
+      ` : ''}
+      <div class="split-table-wrapper">
+        <table class="split-table">
+          <thead>
+            <tr>
+              <th>이름</th>
+              ${CATEGORIES.map(({ label }) => `<th>${label}</th>`).join('')}
+              <th>합계</th>
+              <th>낸 돈</th>
+              <th>정산</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${result.people.map(person => `
+              <tr>
+                <td>${UtilModule.escapeHtml(person.participant.name)}</td>
+                ${CATEGORIES.map(({ key }) => `<td>${formatCurrency(person.shares[key])}</td>`).join('')}
+                <td><strong>${formatCurrency(person.total)}</strong></td>
+                <td>${formatCurrency(person.paid)}</td>
+                <td class="${person.balance < 0 ? 'split-owes' : person.balance > 0 ? 'split-owed' : ''}">${person.balance > 0 ? '+' : person.balance < 0 ? '-' : ''}${formatCurrency(Math.abs(person.balance))}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td>합계</td>
+              ${CATEGORIES.map(({ key }) => `<td>${formatCurrency(result.totals[key])}</td>`).join('')}
+              <td><strong>${formatCurrency(result.totals.total)}</strong></td>
+              <td>${formatCurrency(result.totals.total)}</td>
+              <td></td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+      <p class="split-rules">${rules.join(' · ')}</p>
+      <h4 class="split-settlement-title">누가 누구에게</h4>
+      ${result.settlements.length > 0 ? `
+        <ul class="split-settlements">
+          ${result.settlements.map(({ from, to, amount }) => `
+            <li>
+              <strong>${UtilModule.escapeHtml(from)}</strong>
+              <i class="fas fa-arrow-right"></i>
+              <strong>${UtilModule.escapeHtml(to)}</strong>
+              <span>${CurrencyModule.formatDual(amount, result.currency)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      ` : '<p class="split-empty">정산할 금액이 없습니다.</p>'}
+    `;
+  }
+
+  /**
+   * Re-render after an edit and tell the app
+   */
+  function commit() {
+    render(group, context);
+    if (handlers.onChange) {
+      handlers.onChange(group);
+    }
+  }
+
+  /**
+   * Add a participant from the form
+   * @param {HTMLFormElement} form - Add form
+   */
+  function addParticipant(form) {
+    const name = form.elements.name.value.trim();
+    if (!name || group.participants.length >= MAX_PARTICIPANTS) return;
+
+    group.participants.push(createParticipant(name));
+    commit();
+
+    const input = container.querySelector('[data-split-form] input');
+    if (input && !input.disabled) input.focus();
+  }
+
+  /**
+   * Apply a changed checkbox or select
+   * @param {HTMLElement} target - Changed control
+   */
+  function handleChange(target) {
+    const { splitCar, splitPayer, splitPlace, splitPerson } = target.dataset;
+
+    if (splitCar) {
+      const participant = group.participants.find(p => p.id === splitCar);
+      if (participant) participant.inCar = target.checked;
+    } else if (splitPayer) {
+      group.payers[splitPayer] = target.value;
+    } else if (target.hasAttribute('data-split-occupancy')) {
+      group.occupancy = parseInt(target.value, 10) || DEFAULT_OCCUPANCY;
+    } else if (splitPlace) {
+      const participant = group.participants.find(p => p.id === splitPerson);
+      if (!participant) return;
+      participant.skippedPlaces = (participant.skippedPlaces || []).filter(id => id !== splitPlace);
+      if (!target.checked) participant.skippedPlaces.push(splitPlace);
+    } else {
+      return;
+    }
+
+    // Keep the activity table open while ticking through it
+    const details = container.querySelector('.split-activities');
+    const wasOpen = details && details.open;
+    commit();
+    if (wasOpen) container.querySelector('.split-activities').open = true;
+  }
+
+  /**
+   * Wire up the group split panel
+   * @param {Object} options - { onChange(group) } called after every edit
+   */
+  function init(options = {}) {
+    handlers = options;
+    container = document.getElementById('groupSplit');
+    if (!container) return;
+
+    container.addEventListener('submit', (e) => {
+      if (!e.target.matches('[data-split-form]')) return;
+      e.preventDefault();
+      addParticipant(e.target);
+    });
+
+    container.addEventListener('change', (e) => handleChange(e.target));
+
+    container.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-split-remove]');
+      if (remove) {
+        group.participants = group.participants.filter(p => p.id !== remove.dataset.splitRemove);
+        commit();
+      } else if (e.target.closest('[data-split-action="csv"]')) {
+        exportCSV();
+      }
+    });
+  }
+
+  // Public API
+  return {
+    MAX_PARTICIPANTS,
+    init,
+    createGroup,
+    createParticipant,
+    splitEvenly,
+    splitCosts,
+    settle,
+    toCSV,
+    render
+  };
+})();
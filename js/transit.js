@@ -0,0 +1,884 @@
+/**
+ * Transit Module - Public Transport Routing
+ * Plans walk/bus/subway journeys with a self-hosted OpenTripPlanner server
+ * or a GTFS feed loaded in the browser (connection scan on the loaded timetable)
+ */
+
+const TransitModule = (function() {
+  const REQUEST_TIMEOUT = 10000; // OTP planning can take a few seconds
+
+  // Walking assumptions for access, egress and transfers
+  const WALK_SPEED = 1.25; // m/s (4.5 km/h)
+  const WALK_FACTOR = 1.3; // straight-line to street distance
+  const ACCESS_RADIUS = 1000; // m to the first/from the last stop
+  const TRANSFER_RADIUS = 300; // m between stops for walking transfers
+  const MIN_TRANSFER_TIME = 60; // s to change vehicles at the same stop
+  const SEARCH_WINDOW = 6 * 3600; // s of timetable searched after departure
+
+  // GTFS files we read; the rest of a feed is ignored
+  const GTFS_FILES = [
+    'agency.txt', 'stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt',
+    'calendar.txt', 'calendar_dates.txt', 'fare_attributes.txt', 'fare_rules.txt'
+  ];
+
+  // Transit modes (OTP names) with Korean labels, icons and map colors;
+  // access modes get to and from the rides and are drawn dotted
+  const MODES = {
+    WALK: { name: '도보', icon: 'fa-person-walking', color: '#6b7280', access: true },
+    LOCAL: { name: '시내 이동', icon: 'fa-taxi', color: '#6b7280', access: true },
+    BUS: { name: '버스', icon: 'fa-bus', color: '#10b981' },
+    SUBWAY: { name: '지하철', icon: 'fa-train-subway', color: '#7c3aed' },
+    RAIL: { name: '기차', icon: 'fa-train', color: '#2563eb' },
+    TRAM: { name: '트램', icon: 'fa-train-tram', color: '#f59e0b' },
+    FERRY: { name: '페리', icon: 'fa-ferry', color: '#0ea5e9' },
+    GONDOLA: { name: '케이블카', icon: 'fa-cable-car', color: '#ef4444' },
+    FUNICULAR: { name: '푸니쿨라', icon: 'fa-cable-car', color: '#ef4444' },
+    AIRPLANE: { name: '항공', icon: 'fa-plane', color: '#0ea5e9' }
+  };
+
+  let otpUrl = '';
+
+  // Loaded GTFS feed (kept in memory only)
+  let feed = null;
+
+  /**
+   * Update endpoint settings
+   * @param {Object} options - { otpUrl } (empty disables OpenTripPlanner)
+   */
+  function configure(options = {}) {
+    if ('otpUrl' in options) {
+      otpUrl = (options.otpUrl || '').replace(/\/+$/, '');
+    }
+  }
+
+  /**
+   * Check whether any transit source is available
+   * @returns {boolean}
+   */
+  function isAvailable() {
+    return Boolean(otpUrl || feed);
+  }
+
+  /**
+   * Get a summary of the loaded GTFS feed
+   * @returns {Object|null} - { name, stops, routes, trips, timeZone }
+   */
+  function getFeedInfo() {
+    if (!feed) return null;
+
+    return {
+      name: feed.name,
+      stops: feed.stops.length,
+      routes: Object.keys(feed.routes).length,
+      trips: Object.keys(feed.trips).length,
+      timeZone: feed.timeZone
+    };
+  }
+
+  /**
+   * Get display info of a transit mode
+   * @param {string} mode - WALK, BUS, SUBWAY, ...
+   * @returns {Object} - { name, icon, color, access }
+   */
+  function getModeInfo(mode) {
+    return MODES[mode] || MODES.BUS;
+  }
+
+  /**
+   * Plan a transit journey through every stop in order
+   * Each part departs when the previous part arrives.
+   * @param {Array} coordinates - Stops in order [[lng, lat], ...] (at least two)
+   * @param {Date} departureTime - Departure instant
+   * @returns {Promise<Object>} - { coordinates, distance, duration, legs, steps, segments, fare, transfers, provider }
+   */
+  async function plan(coordinates, departureTime = new Date()) {
+    const sources = [];
+    if (otpUrl) sources.push({ id: 'otp', plan: planWithOTP });
+    if (feed) sources.push({ id: 'gtfs', plan: planWithGTFS });
+
+    if (sources.length === 0) {
+      throw new Error('No transit source configured');
+    }
+
+    let lastError = null;
+
+    for (const source of sources) {
+      try {
+        const parts = [];
+        let time = departureTime;
+
+        for (let i = 0; i < coordinates.length - 1; i++) {
+          const part = await source.plan(coordinates[i], coordinates[i + 1], time);
+          parts.push(part);
+          time = part.arrival;
+        }
+
+        console.log(`🚌 Transit journey planned with ${source.id}`);
+        return { ...combineParts(parts, departureTime), provider: source.id };
+      } catch (error) {
+        console.warn(`⚠️ Transit source ${source.id} failed:`, error.message);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Join planned parts (one per pair of stops) into one journey
+   * @param {Array} parts - [{ segments, arrival }]
+   * @param {Date} departureTime - Departure instant
+   * @returns {Object} - Journey without provider
+   */
+  function combineParts(parts, departureTime) {
+    const coordinates = [];
+    const segments = [];
+    const steps = [];
+
+    const legs = parts.map(part => {
+      part.segments.forEach(segment => {
+        const { coordinates: segmentCoordinates, ...details } = segment;
+
+        // Consecutive segments share their joining point
+        const offset = Math.max(0, coordinates.length - 1);
+        coordinates.push(...(coordinates.length > 0 ? segmentCoordinates.slice(1) : segmentCoordinates));
+
+        const wayPoints = [offset, coordinates.length - 1];
+        segments.push({ ...details, wayPoints });
+        steps.push({
+          instruction: getInstruction(segment),
+          distance: segment.distance,
+          duration: segment.duration,
+          wayPoints
+        });
+      });
+
+      return {
+        distance: part.segments.reduce((sum, segment) => sum + segment.distance, 0),
+        duration: 0,
+        fare: getFare(part.segments)
+      };
+    });
+
+    // Leg durations include waiting, so they run from arrival to arrival
+    let previous = departureTime;
+    parts.forEach((part, index) => {
+      legs[index].duration = Math.max(0, (part.arrival - previous) / 1000);
+      previous = part.arrival;
+    });
+
+    const fares = legs.map(leg => leg.fare);
+
+    // A transfer is every ride after the first within one part
+    const transfers = parts.reduce((sum, part) => {
+      const rides = part.segments.filter(segment => segment.mode !== 'WALK').length;
+      return sum + Math.max(0, rides - 1);
+    }, 0);
+
+    return {
+      coordinates,
+      distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+      duration: Math.max(0, (previous - departureTime) / 1000),
+      legs,
+      steps,
+      segments,
+      // Unknown when any part has no fare data
+      fare: fares.some(fare => fare === null) ? null : fares.reduce((sum, fare) => sum + fare, 0),
+      transfers
+    };
+  }
+
+  /**
+   * Sum the fares of the rides in a list of segments
+   * @returns {number|null} - Fare in KRW, or null when unknown
+   */
+  function getFare(segments) {
+    const rides = segments.filter(segment => segment.mode !== 'WALK');
+    if (rides.some(ride => ride.fare === null || ride.fare === undefined)) return null;
+    return rides.reduce((sum, ride) => sum + ride.fare, 0);
+  }
+
+  /**
+   * Build the Korean instruction text of a segment
+   */
+  function getInstruction(segment) {
+    if (segment.mode === 'WALK') {
+      return `도보로 ${segment.to}까지 이동`;
+    }
+
+    const mode = getModeInfo(segment.mode).name;
+    const line = segment.line ? `${segment.line} ` : '';
+    const stops = segment.stops ? ` (${segment.stops}개 정류장)` : '';
+    return `${segment.from}에서 ${line}${mode} 승차 → ${segment.to} 하차${stops}`;
+  }
+
+  /**
+   * Plan one part with OpenTripPlanner (REST plan API of OTP 1.x / 2.x)
+   * @param {Array} from - [lng, lat]
+   * @param {Array} to - [lng, lat]
+   * @param {Date} departureTime - Departure instant
+   * @returns {Promise<Object>} - { segments, arrival }
+   */
+  async function planWithOTP(from, to, departureTime) {
+    // OTP reads date and time as wall-clock time where the trip starts
+    const timeZone = LocaleModule.getTimeZone(from[1], from[0]);
+    const parts = LocaleModule.getZonedParts(departureTime, timeZone);
+    const pad = value => String(value).padStart(2, '0');
+
+    const data = await UtilModule.fetchJSON(`${otpUrl}/otp/routers/default/plan?` + new URLSearchParams({
+      fromPlace: `${from[1]},${from[0]}`,
+      toPlace: `${to[1]},${to[0]}`,
+      date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+      time: `${pad(parts.hour)}:${pad(parts.minute)}`,
+      mode: 'TRANSIT,WALK',
+      numItineraries: '1',
+      showIntermediateStops: 'true',
+      locale: 'ko'
+    }), {}, REQUEST_TIMEOUT);
+
+    if (data.error) {
+      throw new Error(data.error.msg || data.error.message || 'No transit itinerary');
+    }
+
+    const itinerary = data.plan && data.plan.itineraries && data.plan.itineraries[0];
+    if (!itinerary) {
+      throw new Error('No transit itinerary');
+    }
+
+    const fare = getOTPFare(itinerary);
+    const segments = itinerary.legs.map((leg, index) => ({
+      mode: MODES[leg.mode] ? leg.mode : (leg.transitLeg ? 'BUS' : 'WALK'),
+      line: leg.routeShortName || leg.routeLongName || leg.route || '',
+      color: toColor(leg.routeColor),
+      from: leg.from.name,
+      to: leg.to.name,
+      departure: new Date(leg.startTime),
+      arrival: new Date(leg.endTime),
+      distance: leg.distance,
+      duration: (leg.endTime - leg.startTime) / 1000,
+      stops: leg.transitLeg && leg.intermediateStops ? leg.intermediateStops.length + 1 : null,
+      // OTP reports one fare per itinerary; put it on the first ride
+      fare: leg.transitLeg ? (index === itinerary.legs.findIndex(l => l.transitLeg) ? fare : 0) : 0,
+      coordinates: decodePolyline(leg.legGeometry.points)
+    }));
+
+    return { segments, arrival: new Date(itinerary.endTime) };
+  }
+
+  /**
+   * Get the regular fare of an OTP itinerary in KRW
+   * @returns {number|null} - Fare, or null when missing or in another currency
+   */
+  function getOTPFare(itinerary) {
+    const regular = itinerary.fare && itinerary.fare.fare && itinerary.fare.fare.regular;
+    if (!regular || !regular.currency || regular.currency.currencyCode !== 'KRW') return null;
+
+    return regular.cents / Math.pow(10, regular.currency.defaultFractionDigits || 0);
+  }
+
+  /**
+   * Decode a Google encoded polyline (precision 5)
+   * @param {string} encoded - Encoded polyline
+   * @returns {Array} - [[lng, lat], ...]
+   */
+  function decodePolyline(encoded) {
+    const coordinates = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    const next = () => {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+      return (result & 1) ? ~(result >> 1) : (result >> 1);
+    };
+
+    while (index < encoded.length) {
+      lat += next();
+      lng += next();
+      coordinates.push([lng / 1e5, lat / 1e5]);
+    }
+
+    return coordinates;
+  }
+
+  /**
+   * Check an OpenTripPlanner endpoint
+   * @param {string} url - OTP base URL
+   * @returns {Promise<boolean>} - Resolves true, rejects with the failure reason
+   */
+  async function testOTP(url) {
+    const data = await UtilModule.fetchJSON(`${url.replace(/\/+$/, '')}/otp/routers/default`, {}, REQUEST_TIMEOUT);
+    if (!data || typeof data !== 'object') {
+      throw new Error('Unexpected response');
+    }
+    return true;
+  }
+
+  /**
+   * Load a GTFS feed from a .zip file or its individual .txt files
+   * @param {FileList|Array} files - Selected files
+   * @returns {Promise<Object>} - Feed summary from getFeedInfo()
+   */
+  async function loadGTFS(files) {
+    const list = Array.from(files);
+    let texts = {};
+
+    if (list.length === 1 && /\.zip$/i.test(list[0].name)) {
+      texts = await readZip(await list[0].arrayBuffer(), GTFS_FILES);
+    } else {
+      for (const file of list) {
+        if (GTFS_FILES.includes(file.name)) {
+          texts[file.name] = await file.text();
+        }
+      }
+    }
+
+    const name = list.length === 1 ? list[0].name : `GTFS (${list.length}개 파일)`;
+    feed = buildFeed(texts, name);
+    console.log(`✅ GTFS feed loaded: ${feed.stops.length} stops, ${Object.keys(feed.trips).length} trips`);
+    return getFeedInfo();
+  }
+
+  /**
+   * Forget the loaded GTFS feed
+   */
+  function clearGTFS() {
+    feed = null;
+  }
+
+  /**
+   * Read selected entries of a ZIP archive (stored or deflated, no ZIP64)
+   * @param {ArrayBuffer} buffer - Archive
+   * @param {Array} wanted - File names to extract (folders are ignored)
+   * @returns {Promise<Object>} - { fileName: text }
+   */
+  async function readZip(buffer, wanted) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // End of central directory record sits in the last 64 KB
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        end = i;
+        break;
+      }
+    }
+    if (end < 0) {
+      throw new Error('Not a ZIP file');
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const files = {};
+
+    for (let n = 0; n < count; n++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error('Broken ZIP directory');
+      }
+
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength)).split('/').pop();
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (!wanted.includes(name)) continue;
+
+      const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = new Uint8Array(buffer, start, compressedSize);
+
+      if (method === 0) {
+        files[name] = decoder.decode(data);
+      } else if (method === 8) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        files[name] = await new Response(stream).text();
+      } else {
+        throw new Error(`Unsupported ZIP compression: ${method}`);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Parse CSV text (GTFS flavor: header row, optional quotes and BOM)
+   * @param {string} text - CSV text
+   * @returns {Array} - Row objects keyed by header
+   */
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const source = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const header = (rows.shift() || []).map(name => name.trim());
+    return rows
+      .filter(values => values.length > 1 || values[0])
+      .map(values => {
+        const record = {};
+        header.forEach((name, index) => {
+          record[name] = (values[index] || '').trim();
+        });
+        return record;
+      });
+  }
+
+  /**
+   * Build the in-memory timetable from GTFS file texts
+   * @param {Object} texts - { fileName: text }
+   * @param {string} name - Feed name for display
+   * @returns {Object} - Feed
+   */
+  function buildFeed(texts, name) {
+    const missing = ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'].filter(file => !texts[file]);
+    if (!texts['calendar.txt'] && !texts['calendar_dates.txt']) {
+      missing.push('calendar.txt');
+    }
+    if (missing.length > 0) {
+      throw new Error(`Missing GTFS files: ${missing.join(', ')}`);
+    }
+
+    const agencies = texts['agency.txt'] ? parseCsv(texts['agency.txt']) : [];
+
+    // Stations (location_type 1) have no departures; keep boarding stops only
+    const stops = parseCsv(texts['stops.txt'])
+      .filter(stop => !stop.location_type || stop.location_type === '0')
+      .map(stop => ({
+        id: stop.stop_id,
+        name: stop.stop_name,
+        lat: parseFloat(stop.stop_lat),
+        lng: parseFloat(stop.stop_lon)
+      }))
+      .filter(stop => !isNaN(stop.lat) && !isNaN(stop.lng));
+    const stopIndex = {};
+    stops.forEach((stop, index) => {
+      stopIndex[stop.id] = index;
+    });
+
+    const routes = {};
+    parseCsv(texts['routes.txt']).forEach(route => {
+      routes[route.route_id] = {
+        line: route.route_short_name || route.route_long_name,
+        mode: getGTFSMode(parseInt(route.route_type)),
+        color: toColor(route.route_color)
+      };
+    });
+
+    const trips = {};
+    parseCsv(texts['trips.txt']).forEach(trip => {
+      trips[trip.trip_id] = { routeId: trip.route_id, serviceId: trip.service_id, stopTimes: [] };
+    });
+
+    parseCsv(texts['stop_times.txt']).forEach(stopTime => {
+      const trip = trips[stopTime.trip_id];
+      const stop = stopIndex[stopTime.stop_id];
+      if (!trip || stop === undefined) return;
+
+      const arrival = parseGTFSTime(stopTime.arrival_time || stopTime.departure_time);
+      const departure = parseGTFSTime(stopTime.departure_time || stopTime.arrival_time);
+      // Untimed stops between timepoints are skipped
+      if (arrival === null || departure === null) return;
+
+      trip.stopTimes.push({ sequence: parseInt(stopTime.stop_sequence), stop, arrival, departure });
+    });
+    Object.values(trips).forEach(trip => trip.stopTimes.sort((a, b) => a.sequence - b.sequence));
+
+    const calendar = texts['calendar.txt'] ? parseCsv(texts['calendar.txt']) : [];
+    const calendarDates = texts['calendar_dates.txt'] ? parseCsv(texts['calendar_dates.txt']) : [];
+
+    const fares = {};
+    const fareRules = {};
+    if (texts['fare_attributes.txt']) {
+      parseCsv(texts['fare_attributes.txt']).forEach(fare => {
+        fares[fare.fare_id] = { price: parseFloat(fare.price), currency: fare.currency_type };
+      });
+    }
+    if (texts['fare_rules.txt']) {
+      parseCsv(texts['fare_rules.txt']).forEach(rule => {
+        if (rule.route_id && !fareRules[rule.route_id]) {
+          fareRules[rule.route_id] = rule.fare_id;
+        }
+      });
+    }
+
+    return {
+      name,
+      timeZone: (agencies[0] && agencies[0].agency_timezone) || LocaleModule.getLocalTimeZone(),
+      stops,
+      routes,
+      trips,
+      calendar,
+      calendarDates,
+      fares,
+      fareRules,
+      footpaths: buildFootpaths(stops)
+    };
+  }
+
+  /**
+   * Map a GTFS route_type (basic or extended) to a transit mode
+   */
+  function getGTFSMode(type) {
+    if (type === 0 || type === 5 || (type >= 900 && type < 1000)) return 'TRAM';
+    if (type === 1 || type === 12 || (type >= 400 && type < 500)) return 'SUBWAY';
+    if (type === 2 || (type >= 100 && type < 200)) return 'RAIL';
+    if (type === 4 || (type >= 1000 && type < 1300)) return 'FERRY';
+    if (type === 6 || (type >= 1300 && type < 1400)) return 'GONDOLA';
+    if (type === 7 || (type >= 1400 && type < 1500)) return 'FUNICULAR';
+    return 'BUS';
+  }
+
+  /**
+   * Turn a feed route color (RRGGBB) into CSS, ignoring anything else
+   */
+  function toColor(value) {
+    return /^[0-9a-f]{6}$/i.test(value || '') ? `#${value}` : null;
+  }
+
+  /**
+   * Parse a GTFS time (HH:MM:SS, may pass 24:00) to seconds after midnight
+   */
+  function parseGTFSTime(value) {
+    const match = /^(\d+):(\d{2}):(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    return parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseInt(match[3]);
+  }
+
+  /**
+   * Find walking transfers between nearby stops using a coarse grid
+   * @param {Array} stops - Feed stops
+   * @returns {Array} - Per stop, [[otherStop, seconds], ...]
+   */
+  function buildFootpaths(stops) {
+    const cellSize = 0.005; // ~500 m, larger than TRANSFER_RADIUS
+    const grid = {};
+    const cellOf = stop => `${Math.floor(stop.lat / cellSize)}:${Math.floor(stop.lng / cellSize)}`;
+
+    stops.forEach((stop, index) => {
+      const key = cellOf(stop);
+      (grid[key] = grid[key] || []).push(index);
+    });
+
+    return stops.map((stop, index) => {
+      const row = Math.floor(stop.lat / cellSize);
+      const column = Math.floor(stop.lng / cellSize);
+      const paths = [];
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          (grid[`${row + dy}:${column + dx}`] || []).forEach(other => {
+            if (other === index) return;
+            const seconds = walkSeconds(stop, stops[other]);
+            if (seconds * WALK_SPEED <= TRANSFER_RADIUS * WALK_FACTOR) {
+              paths.push([other, seconds]);
+            }
+          });
+        }
+      }
+
+      return paths;
+    });
+  }
+
+  /**
+   * Estimate walking time between two points
+   * @param {Object} from - { lat, lng }
+   * @param {Object} to - { lat, lng }
+   * @returns {number} - Seconds
+   */
+  function walkSeconds(from, to) {
+    const meters = TransportModule.calculateDistance(from.lat, from.lng, to.lat, to.lng) * 1000;
+    return Math.round(meters * WALK_FACTOR / WALK_SPEED);
+  }
+
+  /**
+   * Get the services running on a date
+   * @param {Object} date - { year, month, day }
+   * @returns {Set} - Service IDs
+   */
+  function getActiveServices(date) {
+    const pad = value => String(value).padStart(2, '0');
+    const ymd = `${date.year}${pad(date.month)}${pad(date.day)}`;
+    const weekday = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][
+      new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay()
+    ];
+
+    const services = new Set(feed.calendar
+      .filter(service => service[weekday] === '1' && service.start_date <= ymd && service.end_date >= ymd)
+      .map(service => service.service_id));
+
+    // calendar_dates: 1 adds service on the date, 2 removes it
+    feed.calendarDates
+      .filter(exception => exception.date === ymd)
+      .forEach(exception => {
+        if (exception.exception_type === '1') services.add(exception.service_id);
+        if (exception.exception_type === '2') services.delete(exception.service_id);
+      });
+
+    return services;
+  }
+
+  /**
+   * Plan one part on the loaded GTFS timetable (earliest arrival, connection scan)
+   * @param {Array} from - [lng, lat]
+   * @param {Array} to - [lng, lat]
+   * @param {Date} departureTime - Departure instant
+   * @returns {Promise<Object>} - { segments, arrival }
+   */
+  async function planWithGTFS(from, to, departureTime) {
+    const origin = { lat: from[1], lng: from[0], name: '출발지' };
+    const target = { lat: to[1], lng: to[0], name: '도착지' };
+    const parts = LocaleModule.getZonedParts(departureTime, feed.timeZone);
+    const startTime = parts.hour * 3600 + parts.minute * 60 + parts.second;
+    const toDate = seconds => new Date(departureTime.getTime() + (seconds - startTime) * 1000);
+
+    const nearby = point => feed.stops
+      .map((stop, index) => ({ index, seconds: walkSeconds(point, stop) }))
+      .filter(({ seconds }) => seconds * WALK_SPEED <= ACCESS_RADIUS * WALK_FACTOR);
+
+    const access = nearby(origin);
+    const egress = nearby(target);
+    const directWalk = walkSeconds(origin, target);
+
+    if ((access.length === 0 || egress.length === 0) && directWalk * WALK_SPEED > ACCESS_RADIUS * WALK_FACTOR) {
+      throw new Error('No transit stops near the route');
+    }
+
+    const connections = getConnections(getActiveServices(parts), startTime);
+
+    const arrival = new Array(feed.stops.length).fill(Infinity);
+    const reachedBy = new Array(feed.stops.length).fill(null);
+    const boarded = {};
+
+    access.forEach(({ index, seconds }) => {
+      arrival[index] = startTime + seconds;
+      reachedBy[index] = { type: 'access', seconds };
+    });
+
+    const egressSeconds = {};
+    egress.forEach(({ index, seconds }) => {
+      egressSeconds[index] = seconds;
+    });
+
+    let best = startTime + directWalk;
+    let bestStop = null;
+
+    for (const connection of connections) {
+      // Nothing departing later can arrive earlier
+      if (connection.departure >= best) break;
+
+      const via = reachedBy[connection.from];
+      const transferTime = via && via.type === 'ride' && via.tripId !== connection.tripId ? MIN_TRANSFER_TIME : 0;
+      const canBoard = arrival[connection.from] + transferTime <= connection.departure;
+
+      if (boarded[connection.tripId] === undefined) {
+        if (!canBoard) continue;
+        boarded[connection.tripId] = connection;
+      }
+
+      if (connection.arrival >= arrival[connection.to]) continue;
+
+      arrival[connection.to] = connection.arrival;
+      reachedBy[connection.to] = {
+        type: 'ride',
+        tripId: connection.tripId,
+        board: boarded[connection.tripId],
+        alight: connection
+      };
+
+      const reached = [[connection.to, 0]];
+      feed.footpaths[connection.to].forEach(([stop, seconds]) => {
+        if (connection.arrival + seconds < arrival[stop]) {
+          arrival[stop] = connection.arrival + seconds;
+          reachedBy[stop] = { type: 'walk', from: connection.to, seconds };
+          reached.push([stop, seconds]);
+        }
+      });
+
+      reached.forEach(([stop]) => {
+        if (egressSeconds[stop] !== undefined && arrival[stop] + egressSeconds[stop] < best) {
+          best = arrival[stop] + egressSeconds[stop];
+          bestStop = stop;
+        }
+      });
+    }
+
+    if (bestStop === null) {
+      // Walking all the way is fastest (or the only option)
+      if (directWalk * WALK_SPEED > ACCESS_RADIUS * WALK_FACTOR * 3) {
+        throw new Error('No transit connection found');
+      }
+      return {
+        segments: [walkSegment(origin, target, startTime, startTime + directWalk, toDate)],
+        arrival: toDate(best)
+      };
+    }
+
+    // Walk back from the destination stop to the origin
+    const segments = [walkSegment(feed.stops[bestStop], target, arrival[bestStop], best, toDate)];
+    let stop = bestStop;
+
+    while (reachedBy[stop].type !== 'access') {
+      const via = reachedBy[stop];
+
+      if (via.type === 'walk') {
+        segments.unshift(walkSegment(feed.stops[via.from], feed.stops[stop], arrival[via.from], arrival[stop], toDate));
+        stop = via.from;
+      } else {
+        segments.unshift(rideSegment(via, toDate));
+        stop = via.board.from;
+      }
+    }
+
+    segments.unshift(walkSegment(origin, feed.stops[stop], startTime, arrival[stop], toDate));
+
+    return {
+      segments: segments.filter(segment => segment.mode !== 'WALK' || segment.distance > 0),
+      arrival: toDate(best)
+    };
+  }
+
+  /**
+   * List elementary connections (stop to next stop of one trip) in departure order
+   * @param {Set} services - Active service IDs
+   * @param {number} startTime - Seconds after midnight
+   * @returns {Array} - Connections
+   */
+  function getConnections(services, startTime) {
+    const connections = [];
+
+    Object.entries(feed.trips).forEach(([tripId, trip]) => {
+      if (!services.has(trip.serviceId)) return;
+
+      const stopTimes = trip.stopTimes;
+      for (let i = 0; i < stopTimes.length - 1; i++) {
+        const departure = stopTimes[i].departure;
+        if (departure < startTime || departure > startTime + SEARCH_WINDOW) continue;
+
+        connections.push({
+          tripId,
+          index: i,
+          from: stopTimes[i].stop,
+          to: stopTimes[i + 1].stop,
+          departure,
+          arrival: stopTimes[i + 1].arrival
+        });
+      }
+    });
+
+    return connections.sort((a, b) => a.departure - b.departure || a.arrival - b.arrival);
+  }
+
+  /**
+   * Build a walking segment
+   */
+  function walkSegment(from, to, departure, arrival, toDate) {
+    const meters = TransportModule.calculateDistance(from.lat, from.lng, to.lat, to.lng) * 1000 * WALK_FACTOR;
+
+    return {
+      mode: 'WALK',
+      line: '',
+      color: null,
+      from: from.name,
+      to: to.name,
+      departure: toDate(departure),
+      arrival: toDate(arrival),
+      distance: meters,
+      duration: arrival - departure,
+      stops: null,
+      fare: 0,
+      coordinates: [[from.lng, from.lat], [to.lng, to.lat]]
+    };
+  }
+
+  /**
+   * Build a ride segment from the boarding and alighting connections
+   */
+  function rideSegment(via, toDate) {
+    const trip = feed.trips[via.tripId];
+    const route = feed.routes[trip.routeId] || { line: '', mode: 'BUS', color: null };
+    const stopTimes = trip.stopTimes.slice(via.board.index, via.alight.index + 2);
+    const points = stopTimes.map(stopTime => feed.stops[stopTime.stop]);
+
+    let meters = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+      meters += TransportModule.calculateDistance(points[i].lat, points[i].lng, points[i + 1].lat, points[i + 1].lng) * 1000;
+    }
+
+    // Fares in other currencies are left unknown (estimated by distance instead)
+    const fareId = feed.fareRules[trip.routeId] || (Object.keys(feed.fares).length === 1 ? Object.keys(feed.fares)[0] : null);
+    const fare = fareId && feed.fares[fareId] && feed.fares[fareId].currency === 'KRW' ? feed.fares[fareId].price : null;
+
+    return {
+      mode: route.mode,
+      line: route.line,
+      color: route.color,
+      from: points[0].name,
+      to: points[points.length - 1].name,
+      departure: toDate(via.board.departure),
+      arrival: toDate(via.alight.arrival),
+      distance: meters,
+      duration: via.alight.arrival - via.board.departure,
+      stops: points.length - 1,
+      fare,
+      coordinates: points.map(point => [point.lng, point.lat])
+    };
+  }
+
+  // Public API
+  return {
+    configure,
+    isAvailable,
+    plan,
+    testOTP,
+    loadGTFS,
+    clearGTFS,
+    getFeedInfo,
+    getModeInfo
+  };
+})();
@@ -1,14 +1,25 @@
 /**
  * Transport Module - Route Calculation and Address Search
- * Uses OpenRouteService API and Nominatim API
+ * Uses RoutingModule providers (OpenRouteService, OSRM, GraphHopper),
+ * TransitModule for public transport and Nominatim API
  */
 
 const TransportModule = (function() {
-  // API Configuration
-  // Note: For production, get your own API key from https://openrouteservice.org/dev/#/signup
-  const ORS_API_KEY = '5b3ce3597851110001cf6248c54b066cf58b4e9eb89ba8ce2fad7cfa';
-  const ORS_BASE_URL = 'https://api.openrouteservice.org';
-  const NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+  // API Configuration (routing providers and keys live in RoutingModule)
+  const DEFAULT_NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+  let nominatimUrl = DEFAULT_NOMINATIM_URL;
+
+  // Route profiles with average speed in km/h (used for fallback estimates)
+  const ROUTE_PROFILES = [
+    { profile: 'driving-car', name: '자동차', icon: 'fa-car', speed: 60 },
+    { profile: 'foot-walking', name: '도보', icon: 'fa-person-walking', speed: 5 },
+    { profile: 'cycling-regular', name: '자전거', icon: 'fa-bicycle', speed: 15 },
+    { profile: 'public-transport', name: '대중교통', icon: 'fa-bus', speed: 25, transit: true }
+  ];
+
+  // Walking and cycling only count as sensible options for short trips
+  const MAX_WALKING_KM = 5;
+  const MAX_CYCLING_KM = 20;
 
   // Rate limiting
   let lastNominatimRequest = 0;
@@ -125,41 +136,44 @@ const TransportModule = (function() {
     console.log('⚠️ Not in popular cities, trying API...');
 
     try {
-      // Rate limiting for Nominatim
-      const now = Date.now();
-      const timeSinceLastRequest = now - lastNominatimRequest;
-      if (timeSinceLastRequest < NOMINATIM_DELAY) {
-        await new Promise(resolve => setTimeout(resolve, NOMINATIM_DELAY - timeSinceLastRequest));
-      }
-      lastNominatimRequest = Date.now();
+      // Cached results skip the rate limit entirely
+      const apiResults = await CacheModule.wrap('search', [nominatimUrl, query], async () => {
+        // Rate limiting for Nominatim
+        const now = Date.now();
+        const timeSinceLastRequest = now - lastNominatimRequest;
+        if (timeSinceLastRequest < NOMINATIM_DELAY) {
+          await new Promise(resolve => setTimeout(resolve, NOMINATIM_DELAY - timeSinceLastRequest));
+        }
+        lastNominatimRequest = Date.now();
 
-      const url = `${NOMINATIM_URL}/search?` + new URLSearchParams({
-        q: query,
-        format: 'json',
-        limit: '5',
-        addressdetails: '1'
-      });
+        const url = `${nominatimUrl}/search?` + new URLSearchParams({
+          q: query,
+          format: 'json',
+          limit: '5',
+          addressdetails: '1'
+        });
 
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': 'TravelPlannerApp/1.0'
-        }
-      });
+        const response = await fetch(url, {
+          headers: {
+            'User-Agent': 'TravelPlannerApp/1.0'
+          }
+        });
 
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
-      }
+        if (!response.ok) {
+          throw new Error(`API error: ${response.status}`);
+        }
 
-      const data = await response.json();
+        const data = await response.json();
 
-      const apiResults = data.map(item => ({
-        name: item.display_name,
-        lat: parseFloat(item.lat),
-        lng: parseFloat(item.lon),
-        type: item.type,
-        address: item.address,
-        source: 'api'
-      }));
+        return data.map(item => ({
+          name: item.display_name,
+          lat: parseFloat(item.lat),
+          lng: parseFloat(item.lon),
+          type: item.type,
+          address: item.address,
+          source: 'api'
+        }));
+      });
 
       console.log('✅ API search successful:', apiResults.length);
       return apiResults;
@@ -174,85 +188,150 @@ const TransportModule = (function() {
   }
 
   /**
-   * Get route between two points using OpenRouteService
+   * Get route between two points from the configured routing provider
    * @param {Array} start - [lng, lat]
    * @param {Array} end - [lng, lat]
    * @param {string} profile - Route profile (driving-car, foot-walking, cycling-regular)
+   * @param {Array} waypoints - Ordered intermediate stops [[lng, lat], ...]
    * @returns {Promise<Object>} - Route data
    */
-  async function getRoute(start, end, profile = 'driving-car') {
-    const url = `${ORS_BASE_URL}/v2/directions/${profile}`;
-
-    // Create abort controller for timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Authorization': ORS_API_KEY,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({
-          coordinates: [start, end],
-          instructions: true,
-          elevation: false
-        }),
-        signal: controller.signal
-      });
+  async function getRoute(start, end, profile = 'driving-car', waypoints = []) {
+    const coordinates = [start, ...waypoints, end];
+    const result = await CacheModule.wrap('route', [...RoutingModule.getCacheKey(), profile, coordinates], () =>
+      RoutingModule.route(coordinates, profile)
+    );
 
-      clearTimeout(timeoutId);
+    return {
+      coordinates: result.coordinates,
+      distance: (result.distance / 1000).toFixed(2), // km
+      duration: formatDuration(result.duration), // formatted time
+      durationMinutes: Math.round(result.duration / 60),
+      // One leg between each pair of consecutive stops
+      legs: result.legs.map(leg => ({
+        distance: (leg.distance / 1000).toFixed(2),
+        duration: formatDuration(leg.duration),
+        durationMinutes: Math.round(leg.duration / 60)
+      })),
+      // wayPoints are [first, last] indices into coordinates
+      instructions: result.steps.map(step => ({
+        instruction: step.instruction,
+        distance: (step.distance / 1000).toFixed(2),
+        duration: Math.round(step.duration / 60),
+        wayPoints: step.wayPoints
+      })),
+      profile: profile,
+      provider: result.provider,
+      // Tolled stretches when the provider reports them (see RoutingModule)
+      ...(result.tollways ? {
+        tollways: result.tollways,
+        tollDistance: getRangesDistance(result.coordinates, result.tollways).toFixed(2)
+      } : {})
+    };
+  }
 
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
+  /**
+   * Get the length of [first, last] coordinate ranges of a route
+   * @param {Array} coordinates - [[lng, lat], ...]
+   * @param {Array} ranges - [[first, last], ...] indices into coordinates
+   * @returns {number} - Distance in km
+   */
+  function getRangesDistance(coordinates, ranges) {
+    return ranges.reduce((total, [first, last]) => {
+      for (let i = first; i < last && i + 1 < coordinates.length; i++) {
+        const [lng1, lat1] = coordinates[i];
+        const [lng2, lat2] = coordinates[i + 1];
+        total += calculateDistance(lat1, lng1, lat2, lng2);
       }
+      return total;
+    }, 0);
+  }
 
-      const data = await response.json();
+  /**
+   * Get a public transport route from TransitModule (OpenTripPlanner or a loaded GTFS feed)
+   * @param {Array} start - [lng, lat]
+   * @param {Array} end - [lng, lat]
+   * @param {Array} waypoints - Ordered intermediate stops [[lng, lat], ...]
+   * @param {Date} departureTime - Departure instant
+   * @returns {Promise<Object>} - Route data with transit segments, fare and transfers
+   */
+  async function getTransitRoute(start, end, waypoints = [], departureTime = new Date()) {
+    const result = await TransitModule.plan([start, ...waypoints, end], departureTime);
 
-      if (!data.routes || data.routes.length === 0) {
-        throw new Error('No route found');
-      }
+    return {
+      ...toSegmentedRoute(result),
+      profile: 'public-transport',
+      provider: result.provider
+    };
+  }
 
-      const route = data.routes[0];
-      const summary = route.summary;
+  /**
+   * Get train and flight estimates for a long-distance trip (no intermediate stops)
+   * @param {Array} start - [lng, lat]
+   * @param {Array} end - [lng, lat]
+   * @param {Date} departureTime - Departure instant
+   * @returns {Array} - Routes (empty for short trips or when no station/airport pair fits)
+   */
+  function getIntercityRoutes(start, end, departureTime = new Date()) {
+    if (!IntercityModule.isLongDistance(start, end)) return [];
+
+    return IntercityModule.getOptions(start, end, departureTime).map(journey => {
+      const route = toSegmentedRoute(journey);
+      const main = journey.segments.find(segment => segment.mode === 'RAIL' || segment.mode === 'AIRPLANE');
 
       return {
-        coordinates: route.geometry.coordinates,
-        distance: (summary.distance / 1000).toFixed(2), // km
-        duration: formatDuration(summary.duration), // formatted time
-        durationMinutes: Math.round(summary.duration / 60),
-        instructions: route.segments[0].steps.map(step => ({
-          instruction: step.instruction,
-          distance: (step.distance / 1000).toFixed(2),
-          duration: Math.round(step.duration / 60)
-        })),
-        profile: profile
+        ...route,
+        name: journey.type === 'rail' ? `고속철도 (${main.line})` : '항공',
+        icon: journey.type === 'rail' ? 'fa-train' : 'fa-plane',
+        type: getRouteType(route),
+        profile: journey.type === 'rail' ? 'intercity-rail' : 'flight',
+        isIntercity: true
       };
-    } catch (error) {
-      clearTimeout(timeoutId);
-
-      if (error.name === 'AbortError') {
-        throw new Error('API timeout');
-      } else if (error.message.includes('Failed to fetch')) {
-        throw new Error('Network error or CORS blocked');
-      }
+    });
+  }
 
-      throw error;
-    }
+  /**
+   * Convert a segmented journey (TransitModule / IntercityModule) to route data
+   * @param {Object} result - { coordinates, distance, duration, legs, steps, segments, fare, transfers }
+   * @returns {Object} - Route data without profile
+   */
+  function toSegmentedRoute(result) {
+    return {
+      coordinates: result.coordinates,
+      distance: (result.distance / 1000).toFixed(2),
+      duration: formatDuration(result.duration),
+      durationMinutes: Math.round(result.duration / 60),
+      legs: result.legs.map(leg => ({
+        distance: (leg.distance / 1000).toFixed(2),
+        duration: formatDuration(leg.duration),
+        durationMinutes: Math.round(leg.duration / 60),
+        fare: leg.fare
+      })),
+      instructions: result.steps.map(step => ({
+        instruction: step.instruction,
+        distance: (step.distance / 1000).toFixed(2),
+        duration: Math.round(step.duration / 60),
+        wayPoints: step.wayPoints
+      })),
+      // Walk / ride parts with mode, line, times and wayPoints
+      segments: result.segments,
+      fare: result.fare,
+      transfers: result.transfers
+    };
   }
 
   /**
    * Get multiple routes with different profiles
    * @param {Array} start - [lng, lat]
    * @param {Array} end - [lng, lat]
+   * @param {Array} waypoints - Ordered intermediate stops [[lng, lat], ...]
+   * @param {Object} options - { departureTime } (used for public transport timetables)
    * @returns {Promise<Array>} - Array of routes
    */
-  async function getMultipleRoutes(start, end) {
+  async function getMultipleRoutes(start, end, waypoints = [], options = {}) {
     console.log('🚀 getMultipleRoutes called');
     console.log('Start coordinates:', start);
     console.log('End coordinates:', end);
+    console.log('Waypoints:', waypoints.length);
 
     try {
       // Validate input
@@ -261,21 +340,24 @@ const TransportModule = (function() {
         throw new Error('Invalid coordinates provided');
       }
 
-      // Calculate routes for different modes
-      const profiles = [
-        { profile: 'driving-car', name: '자동차', icon: 'fa-car', speed: 60 },
-        { profile: 'foot-walking', name: '도보', icon: 'fa-person-walking', speed: 5 },
-        { profile: 'cycling-regular', name: '자전거', icon: 'fa-bicycle', speed: 15 }
-      ];
+      if (waypoints.some(point => !Array.isArray(point) || point.length !== 2)) {
+        console.error('❌ Invalid waypoints:', waypoints);
+        throw new Error('Invalid coordinates provided');
+      }
+
+      // Calculate routes for different modes (public transport only with a configured OpenTripPlanner server or GTFS feed)
+      const profiles = ROUTE_PROFILES.filter(({ transit }) => !transit || TransitModule.isAvailable());
 
       console.log('📍 Calculating routes for', profiles.length, 'transport modes...');
 
-      const routePromises = profiles.map(async ({ profile, name, icon, speed }) => {
+      const routePromises = profiles.map(async ({ profile, name, icon, speed, transit }) => {
         console.log(`\n🔄 [${name}] Starting route calculation...`);
 
         try {
           console.log(`  → Trying API for ${name}...`);
-          const route = await getRoute(start, end, profile);
+          const route = transit
+            ? await getTransitRoute(start, end, waypoints, options.departureTime)
+            : await getRoute(start, end, profile, waypoints);
           console.log(`  ✅ ${name} route obtained from API`);
           return {
             ...route,
@@ -289,7 +371,7 @@ const TransportModule = (function() {
 
           // Fallback: Create estimated route based on straight-line distance
           try {
-            const fallbackRoute = createFallbackRoute(start, end, name, icon, profile, speed);
+            const fallbackRoute = createFallbackRoute(start, end, name, icon, profile, speed, waypoints);
             console.log(`  ✅ Fallback route created for ${name}`);
             return fallbackRoute;
           } catch (fallbackError) {
@@ -314,7 +396,12 @@ const TransportModule = (function() {
 
       const validRoutes = routes.filter(route => route !== null);
 
-      console.log(`\n✅ Final: ${validRoutes.length} out of ${profiles.length} routes ready`);
+      // Trains and flights for long or over-water trips, next to the road routes
+      if (waypoints.length === 0) {
+        validRoutes.push(...getIntercityRoutes(start, end, options.departureTime));
+      }
+
+      console.log(`\n✅ Final: ${validRoutes.length} routes ready (${profiles.length} modes + intercity)`);
 
       // If no valid routes, throw error
       if (validRoutes.length === 0) {
@@ -338,9 +425,10 @@ const TransportModule = (function() {
    * @param {string} icon - Icon class
    * @param {string} profile - Profile type
    * @param {number} speed - Average speed in km/h
+   * @param {Array} waypoints - Ordered intermediate stops [[lng, lat], ...]
    * @returns {Object} - Fallback route
    */
-  function createFallbackRoute(start, end, name, icon, profile, speed) {
+  function createFallbackRoute(start, end, name, icon, profile, speed, waypoints = []) {
     console.log(`    🔧 createFallbackRoute for ${name}`);
     console.log(`       Start: [${start[0]}, ${start[1]}]`);
     console.log(`       End: [${end[0]}, ${end[1]}]`);
@@ -364,31 +452,37 @@ const TransportModule = (function() {
         throw new Error(`Invalid speed: ${speed}`);
       }
 
-      // Extract coordinates
-      const startLng = parseFloat(start[0]);
-      const startLat = parseFloat(start[1]);
-      const endLng = parseFloat(end[0]);
-      const endLat = parseFloat(end[1]);
-
-      console.log(`       Parsed coordinates: (${startLat}, ${startLng}) -> (${endLat}, ${endLng})`);
+      // Calculate straight-line distance of every leg using Haversine formula
+      console.log(`       Calculating distance...`);
+      const points = [start, ...waypoints, end].map(point => point.map(value => parseFloat(value)));
 
-      if (isNaN(startLng) || isNaN(startLat) || isNaN(endLng) || isNaN(endLat)) {
+      if (points.some(([lng, lat]) => isNaN(lng) || isNaN(lat))) {
         throw new Error('Coordinates contain NaN values');
       }
 
-      // Calculate straight-line distance using Haversine formula
-      console.log(`       Calculating distance...`);
-      const distance = calculateDistance(startLat, startLng, endLat, endLng);
-      console.log(`       Straight-line distance: ${distance.toFixed(2)} km`);
+      const legs = [];
+      for (let i = 0; i < points.length - 1; i++) {
+        const [fromLng, fromLat] = points[i];
+        const [toLng, toLat] = points[i + 1];
+
+        // Estimate actual travel distance (multiply by 1.3 for roads)
+        const legDistance = calculateDistance(fromLat, fromLng, toLat, toLng) * 1.3;
+        const legMinutes = Math.round((legDistance / speed) * 60);
 
-      if (isNaN(distance) || distance <= 0) {
-        throw new Error(`Invalid distance calculated: ${distance}`);
+        legs.push({
+          distance: legDistance.toFixed(2),
+          duration: formatDuration(legMinutes * 60),
+          durationMinutes: legMinutes
+        });
       }
 
-      // Estimate actual travel distance (multiply by 1.3 for roads)
-      const travelDistance = distance * 1.3;
+      const travelDistance = legs.reduce((sum, leg) => sum + parseFloat(leg.distance), 0);
       console.log(`       Estimated travel distance: ${travelDistance.toFixed(2)} km`);
 
+      if (isNaN(travelDistance) || travelDistance <= 0) {
+        throw new Error(`Invalid distance calculated: ${travelDistance}`);
+      }
+
       // Calculate duration based on speed
       const durationMinutes = Math.round((travelDistance / speed) * 60);
       console.log(`       Duration: ${durationMinutes} minutes`);
@@ -397,18 +491,20 @@ const TransportModule = (function() {
         throw new Error(`Invalid duration calculated: ${durationMinutes}`);
       }
 
-      // Create simple straight-line coordinates
-      const coordinates = [start, end];
+      // Create simple straight-line coordinates through every stop
+      const coordinates = points;
 
       const fallbackRoute = {
         coordinates: coordinates,
         distance: travelDistance.toFixed(2),
         duration: formatDuration(durationMinutes * 60),
         durationMinutes: durationMinutes,
+        legs: legs,
         instructions: [{
           instruction: `${name}(으)로 이동`,
           distance: travelDistance.toFixed(2),
-          duration: durationMinutes
+          duration: durationMinutes,
+          wayPoints: [0, coordinates.length - 1]
         }],
         profile: profile,
         name: name,
@@ -428,6 +524,45 @@ const TransportModule = (function() {
     }
   }
 
+  /**
+   * Create a route from an existing track (e.g. an imported GPX file)
+   * Distance follows the track itself; duration is estimated from the profile speed.
+   * @param {Array} coordinates - Track [[lng, lat], ...]
+   * @param {Object} options - { name, profile }
+   * @returns {Object} - Route
+   */
+  function createRouteFromCoordinates(coordinates, options = {}) {
+    if (!Array.isArray(coordinates) || coordinates.length < 2) {
+      throw new Error('A track needs at least two points');
+    }
+
+    const profileInfo = ROUTE_PROFILES.find(p => p.profile === options.profile) || ROUTE_PROFILES[0];
+
+    let distance = 0;
+    for (let i = 0; i < coordinates.length - 1; i++) {
+      const [fromLng, fromLat] = coordinates[i];
+      const [toLng, toLat] = coordinates[i + 1];
+      distance += calculateDistance(fromLat, fromLng, toLat, toLng);
+    }
+
+    const durationMinutes = Math.max(1, Math.round((distance / profileInfo.speed) * 60));
+    const duration = formatDuration(durationMinutes * 60);
+
+    return {
+      coordinates,
+      distance: distance.toFixed(2),
+      duration,
+      durationMinutes,
+      legs: [{ distance: distance.toFixed(2), duration, durationMinutes }],
+      instructions: [],
+      profile: profileInfo.profile,
+      name: options.name || `가져온 경로 (${profileInfo.name})`,
+      icon: 'fa-file-import',
+      type: getRouteType({ distance: distance.toFixed(2), durationMinutes }),
+      isImported: true
+    };
+  }
+
   /**
    * Determine route type (fastest, cheapest, balanced)
    * @param {Object} route - Route object
@@ -444,34 +579,18 @@ const TransportModule = (function() {
   }
 
   /**
-   * Calculate estimated cost for a route
+   * Calculate estimated cost for a route, priced like the trip cost
+   * (fuel from the destination's profile plus tolls, or the fare)
    * @param {Object} route - Route object
-   * @returns {Object} - Cost breakdown
+   * @param {Object} costProfile - Fuel prices and toll table of the destination (default: Korea)
+   * @param {string} vehicleClass - Toll class for driving routes (default: car)
+   * @param {string} currency - Currency of the result (default won)
+   * @returns {Object} - { transport, distance }
    */
-  function calculateRouteCost(route) {
-    const distance = parseFloat(route.distance);
-    let transportCost = 0;
-
-    // Cost estimation based on profile
-    switch (route.profile) {
-      case 'driving-car':
-        // Fuel cost: ~150 KRW per km
-        transportCost = Math.round(distance * 150);
-        break;
-      case 'foot-walking':
-        transportCost = 0;
-        break;
-      case 'cycling-regular':
-        transportCost = 0;
-        break;
-      default:
-        // Public transport estimation: ~1000 KRW per 10km
-        transportCost = Math.round((distance / 10) * 1000);
-    }
-
+  function calculateRouteCost(route, costProfile, vehicleClass = 'car', currency = CurrencyModule.HOME_CURRENCY) {
     return {
-      transport: transportCost,
-      distance: distance
+      transport: CostModule.calculateTransportCost(route, currency, costProfile, vehicleClass),
+      distance: parseFloat(route.distance)
     };
   }
 
@@ -498,32 +617,34 @@ const TransportModule = (function() {
    */
   async function reverseGeocode(lat, lng) {
     try {
-      // Rate limiting
-      const now = Date.now();
-      const timeSinceLastRequest = now - lastNominatimRequest;
-      if (timeSinceLastRequest < NOMINATIM_DELAY) {
-        await new Promise(resolve => setTimeout(resolve, NOMINATIM_DELAY - timeSinceLastRequest));
-      }
-      lastNominatimRequest = Date.now();
+      return await CacheModule.wrap('reverse', [nominatimUrl, lat, lng], async () => {
+        // Rate limiting
+        const now = Date.now();
+        const timeSinceLastRequest = now - lastNominatimRequest;
+        if (timeSinceLastRequest < NOMINATIM_DELAY) {
+          await new Promise(resolve => setTimeout(resolve, NOMINATIM_DELAY - timeSinceLastRequest));
+        }
+        lastNominatimRequest = Date.now();
 
-      const url = `${NOMINATIM_URL}/reverse?` + new URLSearchParams({
-        lat: lat.toString(),
-        lon: lng.toString(),
-        format: 'json'
-      });
+        const url = `${nominatimUrl}/reverse?` + new URLSearchParams({
+          lat: lat.toString(),
+          lon: lng.toString(),
+          format: 'json'
+        });
 
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': 'TravelPlannerApp/1.0'
-        }
-      });
+        const response = await fetch(url, {
+          headers: {
+            'User-Agent': 'TravelPlannerApp/1.0'
+          }
+        });
 
-      if (!response.ok) {
-        throw new Error('Reverse geocoding failed');
-      }
+        if (!response.ok) {
+          throw new Error('Reverse geocoding failed');
+        }
 
-      const data = await response.json();
-      return data.display_name || `${lat}, ${lng}`;
+        const data = await response.json();
+        return data.display_name || `${lat}, ${lng}`;
+      });
     } catch (error) {
       console.error('Reverse geocoding error:', error);
       return `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
@@ -558,34 +679,50 @@ const TransportModule = (function() {
     return degrees * (Math.PI / 180);
   }
 
+  /**
+   * Check whether a route is a sensible option (no 30km walks)
+   * @param {Object} route - Route object
+   * @returns {boolean}
+   */
+  function isPractical(route) {
+    const distance = parseFloat(route.distance) || 0;
+    if (route.profile === 'foot-walking') return distance <= MAX_WALKING_KM;
+    if (route.profile === 'cycling-regular') return distance <= MAX_CYCLING_KM;
+    return true;
+  }
+
   /**
    * Get optimal route based on criteria
+   * Straight-line estimates and impractical routes are never picked.
    * @param {Array} routes - Array of routes
    * @param {string} criteria - 'fastest', 'cheapest', 'balanced'
-   * @returns {Object} - Best route
+   * @param {Object} costProfile - Fuel prices and toll table of the destination (default: Korea)
+   * @param {string} vehicleClass - Toll class for driving routes (default: car)
+   * @returns {Object|null} - Best route (null when none qualifies)
    */
-  function getOptimalRoute(routes, criteria = 'balanced') {
-    if (!routes || routes.length === 0) return null;
+  function getOptimalRoute(routes, criteria = 'balanced', costProfile, vehicleClass = 'car') {
+    const candidates = (routes || []).filter(route => !route.isFallback && isPractical(route));
+    if (candidates.length === 0) return null;
 
     switch (criteria) {
       case 'fastest':
-        return routes.reduce((best, current) =>
+        return candidates.reduce((best, current) =>
           current.durationMinutes < best.durationMinutes ? current : best
         );
 
       case 'cheapest':
-        return routes.reduce((best, current) => {
-          const bestCost = calculateRouteCost(best).transport;
-          const currentCost = calculateRouteCost(current).transport;
+        return candidates.reduce((best, current) => {
+          const bestCost = calculateRouteCost(best, costProfile, vehicleClass).transport;
+          const currentCost = calculateRouteCost(current, costProfile, vehicleClass).transport;
           return currentCost < bestCost ? current : best;
         });
 
       case 'balanced':
       default:
         // Score based on normalized time and cost
-        return routes.reduce((best, current) => {
-          const bestScore = best.durationMinutes / 60 + calculateRouteCost(best).transport / 10000;
-          const currentScore = current.durationMinutes / 60 + calculateRouteCost(current).transport / 10000;
+        return candidates.reduce((best, current) => {
+          const bestScore = best.durationMinutes / 60 + calculateRouteCost(best, costProfile, vehicleClass).transport / 10000;
+          const currentScore = current.durationMinutes / 60 + calculateRouteCost(current, costProfile, vehicleClass).transport / 10000;
           return currentScore < bestScore ? current : best;
         });
     }
@@ -609,11 +746,54 @@ const TransportModule = (function() {
     };
   }
 
+  /**
+   * Update endpoint settings
+   * @param {Object} options - { nominatimUrl } (empty means the public server)
+   */
+  function configure(options = {}) {
+    if ('nominatimUrl' in options) {
+      nominatimUrl = (options.nominatimUrl || DEFAULT_NOMINATIM_URL).replace(/\/+$/, '');
+    }
+  }
+
+  /**
+   * Check a Nominatim endpoint with a test search
+   * @param {string} url - Nominatim base URL
+   * @returns {Promise<boolean>} - Resolves true, rejects with the failure reason
+   */
+  async function testNominatim(url) {
+    const baseUrl = (url || DEFAULT_NOMINATIM_URL).replace(/\/+$/, '');
+
+    // Rate limiting
+    const timeSinceLastRequest = Date.now() - lastNominatimRequest;
+    if (timeSinceLastRequest < NOMINATIM_DELAY) {
+      await new Promise(resolve => setTimeout(resolve, NOMINATIM_DELAY - timeSinceLastRequest));
+    }
+    lastNominatimRequest = Date.now();
+
+    const data = await UtilModule.fetchJSON(`${baseUrl}/search?` + new URLSearchParams({
+      q: 'Seoul',
+      format: 'json',
+      limit: '1'
+    }));
+
+    if (!Array.isArray(data)) {
+      throw new Error('Unexpected response');
+    }
+    return true;
+  }
+
   // Public API
   return {
+    DEFAULT_NOMINATIM_URL,
+    configure,
+    testNominatim,
     searchAddress,
     getRoute,
+    getTransitRoute,
+    getIntercityRoutes,
     getMultipleRoutes,
+    createRouteFromCoordinates,
     calculateRouteCost,
     reverseGeocode,
     calculateDistance,
@@ -0,0 +1,426 @@
+/**
+ * Trip File Module - Versioned JSON Backup Format
+ * Serializes a full trip (inputs, routes, places, costs and user edits),
+ * validates imported files with readable errors and migrates older versions
+ */
+
+const TripFileModule = (function() {
+  const FORMAT = 'travel-planner-trip';
+  const SCHEMA_VERSION = 1;
+  const EXTENSION = 'trip.json';
+  const MAX_ERRORS = 10;
+
+  // Schema building blocks (see validate for the supported keywords)
+  const COORDINATE = { type: 'array', minItems: 2, items: { type: 'number' } };
+
+  const POINT = {
+    type: 'object',
+    required: ['name', 'lat', 'lng'],
+    properties: {
+      name: { type: 'string' },
+      lat: { type: 'number', min: -90, max: 90 },
+      lng: { type: 'number', min: -180, max: 180 }
+    }
+  };
+
+  const ROUTE = {
+    type: 'object',
+    required: ['name', 'profile', 'coordinates', 'distance', 'duration'],
+    properties: {
+      name: { type: 'string' },
+      profile: { type: 'string' },
+      coordinates: { type: 'array', minItems: 2, items: COORDINATE },
+      distance: { type: ['string', 'number'] },
+      duration: { type: ['string', 'number'] },
+      durationMinutes: { type: 'number', min: 0 },
+      legs: { type: 'array', items: { type: 'object' } },
+      instructions: { type: 'array', items: { type: 'object' } },
+      segments: { type: 'array', items: { type: 'object' } },
+      tollways: { type: 'array', items: { type: 'array', minItems: 2, items: { type: 'integer', min: 0 } } },
+      tollDistance: { type: ['string', 'number'] },
+      cost: { type: 'number' },
+      costCurrency: { type: 'string', pattern: /^[A-Z]{3}$/ }
+    }
+  };
+
+  const PLACE = {
+    type: 'object',
+    required: ['id', 'name', 'lat', 'lng'],
+    properties: {
+      id: { type: ['number', 'string'] },
+      name: { type: 'string' },
+      lat: { type: 'number', min: -90, max: 90 },
+      lng: { type: 'number', min: -180, max: 180 },
+      category: { type: 'string' }
+    }
+  };
+
+  const COSTS = {
+    type: 'object',
+    nullable: true,
+    required: ['total'],
+    properties: {
+      transport: { type: 'number' },
+      accommodation: { type: 'number' },
+      food: { type: 'number' },
+      activities: { type: 'number' },
+      total: { type: 'number', min: 0 },
+      currency: { type: 'string', pattern: /^[A-Z]{3}$/ },
+      tolls: { type: 'number', min: 0, nullable: true },
+      parking: { type: 'number', min: 0 },
+      profile: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          edited: { type: 'boolean' }
+        }
+      }
+    }
+  };
+
+  const COST_LEVEL = { type: 'string', enum: ['budget', 'standard', 'luxury'] };
+
+  const VEHICLE_CLASS = { type: 'string', enum: ['car', 'van', 'bus', 'truck'] };
+
+  const GROUP = {
+    type: 'object',
+    required: ['participants'],
+    properties: {
+      participants: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'name'],
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string', minLength: 1 },
+            inCar: { type: 'boolean' },
+            skippedPlaces: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      },
+      occupancy: { type: 'integer', min: 1 },
+      payers: { type: 'object' }
+    }
+  };
+
+  const EXPENSE = {
+    type: 'object',
+    required: ['id', 'day', 'category', 'amount', 'currency'],
+    properties: {
+      id: { type: 'string' },
+      day: { type: 'integer', min: 1 },
+      category: { type: 'string', enum: ['transport', 'accommodation', 'food', 'activities'] },
+      amount: { type: 'number', min: 0 },
+      currency: { type: 'string', pattern: /^[A-Z]{3}$/ },
+      note: { type: 'string' },
+      receiptId: { type: 'string', nullable: true },
+      createdAt: { type: 'string' }
+    }
+  };
+
+  const SCHEMA = {
+    type: 'object',
+    required: ['format', 'version', 'trip'],
+    properties: {
+      format: { type: 'string', enum: [FORMAT] },
+      version: { type: 'integer' },
+      exportedAt: { type: 'string', nullable: true },
+      trip: {
+        type: 'object',
+        required: ['name', 'state'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          tags: { type: 'array', items: { type: 'string' } },
+          notes: { type: 'string' },
+          state: {
+            type: 'object',
+            required: ['departure', 'destination', 'departureDate', 'duration', 'routes'],
+            properties: {
+              departure: POINT,
+              destination: POINT,
+              stops: { type: 'array', items: POINT },
+              departureDate: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/ },
+              duration: { type: 'integer', min: 1 },
+              preferences: { type: 'array', items: { type: 'string' } },
+              routes: { type: 'array', items: ROUTE },
+              selectedRouteIndex: { type: 'integer', min: 0 },
+              places: { type: 'array', items: PLACE },
+              visitList: { type: 'array', items: { type: ['number', 'string'] } },
+              itinerary: { type: 'array', items: { type: 'array', items: { type: ['number', 'string'] } } },
+              dailyHours: { type: 'number', min: 1, max: 24 },
+              costLevels: {
+                type: 'object',
+                properties: {
+                  accommodation: COST_LEVEL,
+                  food: COST_LEVEL
+                }
+              },
+              vehicleClass: VEHICLE_CLASS,
+              budget: { type: 'number', min: 0, nullable: true },
+              group: GROUP,
+              expenses: { type: 'array', items: EXPENSE },
+              costs: COSTS
+            }
+          }
+        }
+      }
+    }
+  };
+
+  const TYPE_NAMES = {
+    object: '객체',
+    array: '배열',
+    string: '문자열',
+    number: '숫자',
+    integer: '정수',
+    boolean: '참/거짓'
+  };
+
+  // Each entry upgrades a file from version N to N + 1
+  const MIGRATIONS = {
+    /**
+     * 0 → 1: files without a version — a bare trip state, a saved trip record
+     * ({ name, tags, notes, state }) or an old recent-search history item
+     */
+    0: data => {
+      const record = data.state ? data : { state: data };
+      const state = { ...record.state };
+
+      // History items used `date` and had no computed routes
+      if (state.date && !state.departureDate) {
+        state.departureDate = state.date;
+        delete state.date;
+      }
+      state.routes = state.routes || [];
+
+      const names = [state.departure, state.destination]
+        .map(point => (point && typeof point.name === 'string' ? UtilModule.getShortName(point.name) : '?'));
+
+      return {
+        format: FORMAT,
+        version: 1,
+        exportedAt: null,
+        trip: {
+          name: record.name || `${names[0]} → ${names[1]}`,
+          tags: record.tags || [],
+          notes: record.notes || '',
+          state
+        }
+      };
+    }
+  };
+
+  /**
+   * Get the type of a JSON value as used in the schema
+   */
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  /**
+   * Check a value against a schema node, collecting readable errors
+   * Supported keywords: type (one or a list), nullable, required, properties,
+   * items, minItems, minLength, min, max, enum, pattern
+   * @param {*} value - Value to check
+   * @param {Object} schema - Schema node
+   * @param {string} path - Location shown in errors, e.g. trip.state.routes[0]
+   * @param {Array} errors - Collected error messages
+   */
+  function validate(value, schema, path, errors) {
+    if (errors.length >= MAX_ERRORS) return;
+
+    if (value === null && schema.nullable) return;
+
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    const typeMatches = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+
+    if (!typeMatches) {
+      errors.push(`${path}: ${types.map(type => TYPE_NAMES[type]).join(' 또는 ')}이어야 합니다`);
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: ${schema.enum.join(', ')} 중 하나여야 합니다`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push(`${path}: 형식이 올바르지 않습니다 (${value})`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: 비어 있으면 안 됩니다`);
+    }
+    if (schema.min !== undefined && value < schema.min) {
+      errors.push(`${path}: ${schema.min} 이상이어야 합니다 (${value})`);
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      errors.push(`${path}: ${schema.max} 이하여야 합니다 (${value})`);
+    }
+
+    if (actual === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path}: 항목이 ${schema.minItems}개 이상이어야 합니다`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => validate(item, schema.items, `${path}[${index}]`, errors));
+      }
+    }
+
+    if (actual === 'object') {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          errors.push(`${path}.${key}: 필수 항목이 없습니다`);
+        }
+      });
+      Object.entries(schema.properties || {}).forEach(([key, child]) => {
+        if (value[key] !== undefined) {
+          validate(value[key], child, `${path}.${key}`, errors);
+        }
+      });
+    }
+  }
+
+  /**
+   * Checks that span several fields
+   */
+  function validateReferences(state, errors) {
+    const routes = state.routes || [];
+    const placeIds = new Set((state.places || []).map(place => place.id));
+
+    if (state.selectedRouteIndex !== undefined && routes.length > 0 && state.selectedRouteIndex >= routes.length) {
+      errors.push(`trip.state.selectedRouteIndex: 경로가 ${routes.length}개뿐입니다 (${state.selectedRouteIndex})`);
+    }
+
+    (state.visitList || []).forEach((id, index) => {
+      if (!placeIds.has(id)) {
+        errors.push(`trip.state.visitList[${index}]: places에 없는 장소입니다 (${id})`);
+      }
+    });
+  }
+
+  /**
+   * Create the error thrown for an unusable file
+   * @param {Array} details - Readable problems
+   */
+  function invalidFile(details) {
+    const error = new Error(`Invalid trip file: ${details[0]}`);
+    error.details = details;
+    return error;
+  }
+
+  /**
+   * Upgrade a parsed file to the current schema version
+   * @param {Object} data - Parsed file
+   * @returns {Object} - File at SCHEMA_VERSION
+   */
+  function migrate(data) {
+    let version = data.format === FORMAT ? data.version : 0;
+
+    if (!Number.isInteger(version) || version < 0) {
+      throw invalidFile([`version: 알 수 없는 버전입니다 (${version})`]);
+    }
+    if (version > SCHEMA_VERSION) {
+      throw invalidFile([`이 파일은 더 새로운 버전(v${version})의 앱에서 만들어졌습니다. 앱을 업데이트한 뒤 다시 시도하세요.`]);
+    }
+
+    while (version < SCHEMA_VERSION) {
+      console.log(`🔄 Migrating trip file v${version} → v${version + 1}`);
+      data = MIGRATIONS[version](data);
+      version = data.version;
+    }
+
+    return data;
+  }
+
+  /**
+   * Check whether parsed JSON looks like a trip file (any version) rather than GeoJSON
+   * @param {*} data - Parsed JSON
+   * @returns {boolean}
+   */
+  function isTripFile(data) {
+    if (!data || typeof data !== 'object') return false;
+    if (data.format === FORMAT) return true;
+
+    const state = data.state || data;
+    return Boolean(state.departure && state.destination);
+  }
+
+  /**
+   * Serialize a trip to the current file format
+   * @param {Object} trip - { name, tags, notes, state } (state from the app's trip snapshot)
+   * @returns {string} - JSON text
+   */
+  function serialize(trip) {
+    return JSON.stringify({
+      format: FORMAT,
+      version: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      trip: {
+        name: trip.name,
+        tags: trip.tags || [],
+        notes: trip.notes || '',
+        state: trip.state
+      }
+    }, null, 2);
+  }
+
+  /**
+   * Parse, migrate and validate a trip file
+   * @param {string} text - File contents
+   * @returns {Object} - { name, tags, notes, state }
+   * @throws {Error} - With `details`, a list of readable problems
+   */
+  function parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw invalidFile(['JSON 형식이 아닙니다. 파일이 손상되지 않았는지 확인하세요.']);
+    }
+
+    if (!isTripFile(data)) {
+      throw invalidFile(['여행 백업 파일이 아닙니다 (출발지 · 도착지 정보가 없습니다).']);
+    }
+
+    data = migrate(data);
+
+    const errors = [];
+    validate(data, SCHEMA, 'file', errors);
+    if (errors.length === 0) {
+      validateReferences(data.trip.state, errors);
+    }
+    if (errors.length > 0) {
+      throw invalidFile(errors.map(message => message.replace(/^file\./, '')));
+    }
+
+    const { name, tags = [], notes = '', state } = data.trip;
+    return { name, tags, notes, state };
+  }
+
+  /**
+   * Build a download file name from the trip name
+   * @param {Object} trip - { name }
+   * @returns {string} - e.g. 서울-부산_가족여행.trip.json
+   */
+  function getFileName(trip) {
+    const base = (trip.name || '')
+      .replace(/→/g, '-')
+      .replace(/[\\/:*?"<>|\s]+/g, '_')
+      .replace(/_?-_?/g, '-');
+    return `${base || 'trip'}.${EXTENSION}`;
+  }
+
+  // Public API
+  return {
+    SCHEMA_VERSION,
+    serialize,
+    parse,
+    isTripFile,
+    getFileName
+  };
+})();
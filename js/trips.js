@@ -0,0 +1,596 @@
+/**
+ * Trips Module - "My Trips" Library
+ * Stores named trips with their full computed state in IndexedDB
+ * so they can be reopened without calling any API
+ */
+
+const TripsModule = (function() {
+  const DB_NAME = 'travelPlannerTrips';
+  const DB_VERSION = 1;
+  const STORE = 'trips';
+  const LEGACY_HISTORY_KEY = 'travelHistory';
+  // Unreferenced receipts younger than this are left alone
+  const ORPHAN_RECEIPT_AGE = 24 * 60 * 60 * 1000;
+
+  const SORTS = {
+    updated: (a, b) => b.updatedAt.localeCompare(a.updatedAt),
+    oldest: (a, b) => a.updatedAt.localeCompare(b.updatedAt),
+    departure: (a, b) => (a.state.departureDate || '').localeCompare(b.state.departureDate || ''),
+    name: (a, b) => a.name.localeCompare(b.name, 'ko')
+  };
+
+  let dbPromise = null;
+  let trips = [];
+  let handlers = {};
+  let currentTrip = null;
+  let elements = {};
+
+  /**
+   * Open the database (null when IndexedDB is unavailable, e.g. private mode)
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('⚠️ Trip library unavailable:', request.error);
+        resolve(null);
+      };
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run one request against the trip store
+   * @param {string} mode - readonly or readwrite
+   * @param {Function} action - Receives the object store, returns an IDBRequest
+   */
+  async function withStore(mode, action) {
+    const db = await openDatabase();
+    if (!db) {
+      throw new Error('IndexedDB is not available');
+    }
+    return promisify(action(db.transaction(STORE, mode).objectStore(STORE)));
+  }
+
+  /**
+   * Create a unique trip ID
+   */
+  function createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Get all saved trips
+   * @returns {Promise<Array>} - Trips
+   */
+  async function list() {
+    const db = await openDatabase();
+    return db ? withStore('readonly', store => store.getAll()) : [];
+  }
+
+  /**
+   * Get one saved trip
+   * @param {string} id - Trip ID
+   * @returns {Promise<Object|undefined>} - Trip
+   */
+  function get(id) {
+    return withStore('readonly', store => store.get(id));
+  }
+
+  /**
+   * Save a trip (a new one when it has no ID)
+   * @param {Object} trip - { id?, name, tags, notes, state }
+   * @returns {Promise<Object>} - Saved trip
+   */
+  async function save(trip) {
+    const now = new Date().toISOString();
+    const saved = {
+      tags: [],
+      notes: '',
+      ...trip,
+      id: trip.id || createId(),
+      createdAt: trip.createdAt || now,
+      updatedAt: now
+    };
+
+    await withStore('readwrite', store => store.put(saved));
+    console.log('💾 Trip saved:', saved.name);
+    return saved;
+  }
+
+  /**
+   * Delete a saved trip
+   * @param {string} id - Trip ID
+   */
+  function remove(id) {
+    return withStore('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Copy a saved trip under a new name
+   * @param {string} id - Trip ID
+   * @returns {Promise<Object>} - New trip
+   */
+  async function duplicate(id) {
+    const trip = await get(id);
+    if (!trip) throw new Error(`Trip not found: ${id}`);
+
+    return save({
+      ...trip,
+      id: null,
+      createdAt: null,
+      name: `${trip.name} (사본)`
+    });
+  }
+
+  /**
+   * Split comma-separated tags into a clean, unique list
+   * @param {string} text - e.g. "가족, 제주,  여름"
+   * @returns {Array} - Tags
+   */
+  function parseTags(text) {
+    const tags = (text || '').split(',')
+      .map(tag => tag.trim().replace(/^#/, ''))
+      .filter(Boolean);
+    return [...new Set(tags)];
+  }
+
+  /**
+   * Move the old 5-item search history into the library (form inputs only)
+   */
+  async function migrateHistory() {
+    let history;
+    try {
+      history = JSON.parse(localStorage.getItem(LEGACY_HISTORY_KEY));
+    } catch (error) {
+      history = null;
+    }
+    if (!Array.isArray(history) || history.length === 0) return;
+
+    for (const item of history) {
+      await save({
+        name: `${UtilModule.getShortName(item.departure.name)} → ${UtilModule.getShortName(item.destination.name)}`,
+        tags: ['최근 검색'],
+        createdAt: item.timestamp,
+        state: {
+          departure: item.departure,
+          destination: item.destination,
+          stops: item.stops || [],
+          departureDate: item.date,
+          duration: item.duration,
+          preferences: item.preferences || []
+        }
+      });
+    }
+
+    localStorage.removeItem(LEGACY_HISTORY_KEY);
+    console.log(`📦 Moved ${history.length} recent searches into My Trips`);
+  }
+
+  /**
+   * Check whether a trip matches the search text (name, tags, notes and places)
+   */
+  function matches(trip, query) {
+    if (!query) return true;
+
+    const { departure, destination, stops = [] } = trip.state;
+    const haystack = [
+      trip.name,
+      trip.notes,
+      ...trip.tags,
+      departure && departure.name,
+      destination && destination.name,
+      ...stops.map(stop => stop.name)
+    ].join(' ').toLowerCase();
+
+    return query.toLowerCase().split(/\s+/).every(word => haystack.includes(word.replace(/^#/, '')));
+  }
+
+  /**
+   * Reload trips from the database and render the library
+   */
+  async function refresh() {
+    try {
+      trips = await list();
+    } catch (error) {
+      console.error('Error loading trips:', error);
+      trips = [];
+    }
+    render();
+  }
+
+  /**
+   * Render the filtered, sorted trip list
+   */
+  function render() {
+    const container = elements.list;
+    if (!container) return;
+
+    const query = elements.search ? elements.search.value.trim() : '';
+    const sort = SORTS[elements.sort ? elements.sort.value : 'updated'] || SORTS.updated;
+    const visible = trips.filter(trip => matches(trip, query)).sort(sort);
+
+    if (trips.length === 0) {
+      container.innerHTML = '<p class="empty-message">저장된 여행이 없습니다. 여행을 검색한 뒤 \'내 여행에 저장\'을 누르세요.</p>';
+      return;
+    }
+
+    if (visible.length === 0) {
+      container.innerHTML = '<p class="empty-message">검색 결과가 없습니다.</p>';
+      return;
+    }
+
+    container.innerHTML = visible.map(trip => {
+      const { departure, destination, stops = [], departureDate, duration, routes = [], costs } = trip.state;
+      const details = [
+        `${UtilModule.escapeHtml(departure.name)} → ${UtilModule.escapeHtml(destination.name)}`,
+        UtilModule.escapeHtml(departureDate),
+        `${duration}일`,
+        stops.length ? `경유 ${stops.length}곳` : '',
+        costs ? CostModule.formatCurrency(costs.total, costs.currency) : '',
+        routes.length === 0 ? '경로 다시 계산 필요' : ''
+      ].filter(Boolean).join(' · ');
+
+      return `
+        <div class="trip-item" data-id="${trip.id}">
+          <div class="trip-info">
+            <h4>${UtilModule.escapeHtml(trip.name)}</h4>
+            <p>${details}</p>
+            ${trip.tags.length ? `
+              <div class="trip-tags">
+                ${trip.tags.map(tag => `<button type="button" class="trip-tag" data-tag="${UtilModule.escapeHtml(tag)}">#${UtilModule.escapeHtml(tag)}</button>`).join('')}
+              </div>
+            ` : ''}
+            ${trip.notes ? `<p class="trip-notes">${UtilModule.escapeHtml(trip.notes)}</p>` : ''}
+            <p class="trip-date">${new Date(trip.updatedAt).toLocaleDateString('ko-KR')} 저장</p>
+          </div>
+          <div class="trip-actions">
+            <button type="button" class="trip-action" data-action="rename" title="이름 변경"><i class="fas fa-pen"></i></button>
+            <button type="button" class="trip-action" data-action="duplicate" title="복제"><i class="fas fa-copy"></i></button>
+            <button type="button" class="trip-action" data-action="tags" title="태그"><i class="fas fa-tags"></i></button>
+            <button type="button" class="trip-action" data-action="export" title="파일로 내보내기"><i class="fas fa-file-export"></i></button>
+            <button type="button" class="trip-action trip-delete" data-action="delete" title="삭제"><i class="fas fa-trash"></i></button>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    container.querySelectorAll('.trip-item').forEach(item => {
+      const trip = trips.find(t => t.id === item.dataset.id);
+
+      item.addEventListener('click', (e) => {
+        const tag = e.target.closest('.trip-tag');
+        const action = e.target.closest('.trip-action');
+
+        if (tag) {
+          elements.search.value = `#${tag.dataset.tag}`;
+          render();
+        } else if (action) {
+          handleAction(action.dataset.action, trip);
+        } else if (handlers.onOpen) {
+          currentTrip = trip;
+          handlers.onOpen(trip);
+        }
+      });
+    });
+  }
+
+  /**
+   * Rename, duplicate, re-tag or delete a trip from the library
+   * @param {string} action - rename, duplicate, tags or delete
+   * @param {Object} trip - Trip
+   */
+  async function handleAction(action, trip) {
+    try {
+      if (action === 'rename') {
+        const name = prompt('여행 이름', trip.name);
+        if (!name || !name.trim()) return;
+        await save({ ...trip, name: name.trim() });
+      } else if (action === 'duplicate') {
+        await duplicate(trip.id);
+      } else if (action === 'tags') {
+        const tags = prompt('태그 (쉼표로 구분)', trip.tags.join(', '));
+        if (tags === null) return;
+        await save({ ...trip, tags: parseTags(tags) });
+      } else if (action === 'export') {
+        exportTrip(trip);
+        return;
+      } else if (action === 'delete') {
+        if (!confirm(`'${trip.name}' 여행을 삭제할까요?`)) return;
+        await remove(trip.id);
+        removeUnusedReceipts(trip.state.expenses);
+        if (currentTrip && currentTrip.id === trip.id) currentTrip = null;
+      }
+    } catch (error) {
+      console.error('Trip action error:', error);
+      alert('여행을 변경하지 못했습니다.');
+    }
+
+    refresh();
+  }
+
+  /**
+   * Get the receipt IDs of ledger entries
+   */
+  function getReceiptIds(expenses) {
+    return (expenses || []).map(entry => entry.receiptId).filter(Boolean);
+  }
+
+  /**
+   * Delete the receipt photos of ledger entries that no saved trip refers to
+   * (a deleted trip, or an unsaved ledger that was cleared or replaced;
+   * copies made with duplicate share their receipts)
+   * @param {Array} expenses - Ledger entries
+   */
+  async function removeUnusedReceipts(expenses) {
+    const receiptIds = getReceiptIds(expenses);
+    if (receiptIds.length === 0) return;
+
+    try {
+      const inUse = new Set((await list()).flatMap(trip => getReceiptIds(trip.state.expenses)));
+      await ExpenseModule.removeReceipts(receiptIds.filter(id => !inUse.has(id)));
+    } catch (error) {
+      console.warn('⚠️ Could not remove unused receipts:', error);
+    }
+  }
+
+  /**
+   * Delete receipt photos left behind by ledgers that were never saved (e.g. the page
+   * was closed). Recent ones are kept: they may belong to a trip open in another tab.
+   */
+  async function removeOrphanReceipts() {
+    try {
+      const inUse = new Set((await list()).flatMap(trip => getReceiptIds(trip.state.expenses)));
+      const cutoff = Date.now() - ORPHAN_RECEIPT_AGE;
+      const orphans = (await ExpenseModule.listReceipts())
+        .filter(receipt => !inUse.has(receipt.id) && Date.parse(receipt.createdAt) < cutoff);
+
+      if (orphans.length > 0) {
+        await ExpenseModule.removeReceipts(orphans.map(receipt => receipt.id));
+        console.log('🧹 Unused receipts removed:', orphans.length);
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not check stored receipts:', error);
+    }
+  }
+
+  /**
+   * Store the expense ledger in the saved copy of the trip on screen
+   * (logged during the trip without saving the rest of the plan again)
+   * @param {Array} expenses - Ledger entries
+   * @returns {Promise<boolean>} - Whether the trip on screen is a saved trip
+   */
+  async function saveExpenses(expenses) {
+    if (!currentTrip) return false;
+
+    currentTrip = await save({ ...currentTrip, state: { ...currentTrip.state, expenses } });
+    refresh();
+    return true;
+  }
+
+  /**
+   * Open the save dialog for the trip on screen
+   * An already saved trip is updated unless "save as new" is checked.
+   */
+  function openSaveDialog() {
+    const snapshot = handlers.getSnapshot ? handlers.getSnapshot() : null;
+    if (!snapshot) {
+      alert('먼저 여행 경로를 검색해주세요.');
+      return;
+    }
+
+    const { departure, destination } = snapshot;
+    elements.nameInput.value = currentTrip ? currentTrip.name : `${UtilModule.getShortName(departure.name)} → ${UtilModule.getShortName(destination.name)}`;
+    elements.tagsInput.value = currentTrip ? currentTrip.tags.join(', ') : '';
+    // In a collaboration session the shared notes are the trip's notes
+    elements.notesInput.value = CollabModule.isActive()
+      ? CollabModule.getNotes()
+      : (currentTrip ? currentTrip.notes : '');
+    elements.saveAsNew.checked = !currentTrip;
+    elements.saveAsNewGroup.hidden = !currentTrip;
+
+    elements.saveDialog.showModal();
+    elements.nameInput.focus();
+  }
+
+  /**
+   * Save the trip on screen from the dialog
+   * @param {Event} e - Submit event
+   */
+  async function handleSave(e) {
+    e.preventDefault();
+
+    const name = elements.nameInput.value.trim();
+    if (!name) {
+      elements.nameInput.focus();
+      return;
+    }
+
+    const base = currentTrip && !elements.saveAsNew.checked ? currentTrip : {};
+
+    try {
+      currentTrip = await save({
+        ...base,
+        name,
+        tags: parseTags(elements.tagsInput.value),
+        notes: elements.notesInput.value.trim(),
+        state: handlers.getSnapshot()
+      });
+      elements.saveDialog.close();
+      refresh();
+    } catch (error) {
+      console.error('Trip save error:', error);
+      alert('여행을 저장하지 못했습니다. 이 브라우저에서 저장소(IndexedDB)를 사용할 수 있는지 확인해주세요.');
+    }
+  }
+
+  /**
+   * Download a trip as a backup file
+   * @param {Object} trip - { name, tags, notes, state }
+   */
+  function exportTrip(trip) {
+    ExportModule.downloadFile(TripFileModule.getFileName(trip), TripFileModule.serialize(trip), 'application/json');
+    console.log('✅ Exported trip file:', trip.name);
+  }
+
+  /**
+   * Download the trip on screen as a backup file (saved name, tags and notes when it was saved)
+   */
+  function exportCurrent() {
+    const snapshot = handlers.getSnapshot ? handlers.getSnapshot() : null;
+    if (!snapshot) {
+      alert('먼저 여행 경로를 검색해주세요.');
+      return;
+    }
+
+    exportTrip({
+      name: currentTrip ? currentTrip.name : `${UtilModule.getShortName(snapshot.departure.name)} → ${UtilModule.getShortName(snapshot.destination.name)}`,
+      tags: currentTrip ? currentTrip.tags : [],
+      notes: currentTrip ? currentTrip.notes : '',
+      state: snapshot
+    });
+  }
+
+  /**
+   * Import a backup file into the library and open it
+   * @param {File} file - .json trip file (any supported version)
+   * @returns {Promise<boolean>} - Whether the trip was imported
+   */
+  async function importFile(file) {
+    if (!file) return false;
+
+    let trip;
+    try {
+      trip = TripFileModule.parse(await file.text());
+    } catch (error) {
+      console.error('Trip file import error:', error);
+      const details = (error.details || [error.message]).map(line => `• ${line}`).join('\n');
+      alert(`여행 파일을 가져올 수 없습니다: ${file.name}\n\n${details}`);
+      return false;
+    }
+
+    try {
+      currentTrip = await save(trip);
+    } catch (error) {
+      // Still show the trip even when the library is unavailable
+      console.warn('⚠️ Imported trip not saved:', error);
+      currentTrip = null;
+    }
+
+    refresh();
+    if (handlers.onOpen) {
+      handlers.onOpen(currentTrip || trip);
+    }
+    return true;
+  }
+
+  /**
+   * Forget which saved trip is on screen (after clearing the form)
+   */
+  function clearCurrent() {
+    currentTrip = null;
+  }
+
+  /**
+   * Wire up the library and save dialog
+   * @param {Object} options - { onOpen(trip), getSnapshot() → trip state or null }
+   */
+  async function init(options = {}) {
+    handlers = options;
+
+    elements = {
+      list: document.getElementById('tripList'),
+      search: document.getElementById('tripSearch'),
+      sort: document.getElementById('tripSort'),
+      saveDialog: document.getElementById('tripSaveDialog'),
+      saveForm: document.getElementById('tripSaveForm'),
+      nameInput: document.getElementById('tripName'),
+      tagsInput: document.getElementById('tripTags'),
+      notesInput: document.getElementById('tripNotes'),
+      saveAsNew: document.getElementById('tripSaveAsNew'),
+      saveAsNewGroup: document.getElementById('tripSaveAsNewGroup')
+    };
+
+    if (elements.search) elements.search.addEventListener('input', render);
+    if (elements.sort) elements.sort.addEventListener('change', render);
+
+    if (elements.saveDialog) {
+      elements.saveForm.addEventListener('submit', handleSave);
+      document.getElementById('tripSaveCancelBtn').addEventListener('click', () => elements.saveDialog.close());
+    }
+
+    const importInput = document.getElementById('tripImportInput');
+    if (importInput) {
+      document.getElementById('tripImportBtn').addEventListener('click', () => importInput.click());
+      importInput.addEventListener('change', () => {
+        importFile(importInput.files[0]);
+        importInput.value = '';
+      });
+    }
+
+    const exportTripFileBtn = document.getElementById('exportTripFileBtn');
+    if (exportTripFileBtn) {
+      exportTripFileBtn.addEventListener('click', exportCurrent);
+    }
+
+    const saveTripBtn = document.getElementById('saveTripBtn');
+    if (saveTripBtn) {
+      saveTripBtn.addEventListener('click', openSaveDialog);
+    }
+
+    if (await openDatabase()) {
+      try {
+        await migrateHistory();
+      } catch (error) {
+        console.warn('⚠️ Could not move recent searches:', error);
+      }
+      removeOrphanReceipts();
+    } else if (elements.list) {
+      elements.list.innerHTML = '<p class="empty-message">이 브라우저에서는 여행을 저장할 수 없습니다.</p>';
+      return;
+    }
+
+    refresh();
+  }
+
+  // Public API
+  return {
+    init,
+    list,
+    get,
+    save,
+    remove,
+    duplicate,
+    parseTags,
+    openSaveDialog,
+    importFile,
+    exportCurrent,
+    saveExpenses,
+    removeUnusedReceipts,
+    clearCurrent,
+    refresh
+  };
+})();
@@ -0,0 +1,77 @@
+/**
+ * Util Module - Shared Helpers
+ * Text helpers used by every module that renders place, route or trip names,
+ * and the timeout fetch behind every API call
+ */
+
+const UtilModule = (function() {
+  const REQUEST_TIMEOUT = 5000; // 5 seconds unless the caller allows longer
+
+  const HTML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  };
+
+  /**
+   * Escape text for HTML content and attribute values
+   * (place names come from OpenStreetMap and imported files)
+   * @param {*} text - Text (null and undefined become empty)
+   * @returns {string} - Escaped text
+   */
+  function escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+  }
+
+  /**
+   * Get the short name of a place (first part of a geocoded address)
+   * @param {string} name - "서울역, 중구, 서울"
+   * @returns {string} - "서울역"
+   */
+  function getShortName(name) {
+    return (name || '').split(',')[0].trim();
+  }
+
+  /**
+   * Fetch JSON with a timeout and readable errors
+   * @param {string} url - URL
+   * @param {Object} options - fetch options
+   * @param {number} timeout - Milliseconds before giving up (default 5 seconds)
+   * @returns {Promise<*>} - Parsed response
+   */
+  async function fetchJSON(url, options = {}, timeout = REQUEST_TIMEOUT) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal });
+
+      if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('API timeout');
+      } else if (error.name === 'TypeError') {
+        // fetch rejects with a TypeError for every network failure, worded per browser
+        // ('Failed to fetch', 'NetworkError when attempting to fetch resource.', 'Load failed')
+        throw new Error('Network error or CORS blocked');
+      }
+
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Public API
+  return {
+    escapeHtml,
+    getShortName,
+    fetchJSON
+  };
+})();
@@ -0,0 +1,240 @@
+/**
+ * Collaboration Relay - Tiny Self-Hostable Message Relay
+ * Passes collaboration messages between the participants of a session.
+ * It keeps no trip data: new participants get the document from the others.
+ *
+ * Usage: node server/relay.js [port]   (no dependencies, Node 18+)
+ *   PORT    - Port to listen on (default 8787)
+ *   HOST    - Interface to bind (default 127.0.0.1; 0.0.0.0 to share on a LAN)
+ *   ORIGINS - Comma-separated origins the app may be served from
+ *             (default *: any page can use the relay)
+ *
+ * Endpoints:
+ *   GET  /health                         - { ok, sessions, peers }
+ *   GET  /sessions/:code/events?peer=ID[&token=T]
+ *                                        - Server-sent events for one participant (the first
+ *                                          event, welcome, carries the stream's token); a peer ID
+ *                                          that is connected can only reopen with that stream's token
+ *   POST /sessions/:code/messages        - Relay a JSON message { token, to?, type, ... }
+ *                                          sent as the peer whose stream has the token
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT, 10) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const ORIGINS = (process.env.ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+
+const CODE_PATTERN = /^[A-Z0-9]{4,12}$/;
+const PEER_PATTERN = /^[a-z0-9]{4,32}$/;
+
+// Trip plans carry route geometry, so allow a few megabytes per message
+const MAX_MESSAGE_BYTES = 5 * 1024 * 1024;
+const MAX_PEERS_PER_SESSION = 16;
+
+// Comment lines keep proxies from closing idle event streams
+const KEEP_ALIVE_MS = 25000;
+
+// code → Map(peer → response), each response with the token of its stream
+const sessions = new Map();
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Write one event to a participant's stream
+ */
+function sendEvent(res, message) {
+  res.write(`data: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Send a message to everyone in a session except the sender (or only to `to`)
+ * @returns {number} - Participants reached
+ */
+function broadcast(code, message) {
+  const peers = sessions.get(code);
+  if (!peers) return 0;
+
+  let count = 0;
+  peers.forEach((res, peer) => {
+    if (peer === message.from) return;
+    if (message.to && peer !== message.to) return;
+    sendEvent(res, message);
+    count++;
+  });
+  return count;
+}
+
+/**
+ * Open a participant's event stream
+ * @param {string} token - Token of the peer's current stream, when reconnecting
+ */
+function handleEvents(req, res, code, peer, token) {
+  if (!PEER_PATTERN.test(peer || '')) {
+    sendJson(res, 400, { error: 'Invalid peer ID' });
+    return;
+  }
+
+  const peers = sessions.get(code) || new Map();
+  if (!peers.has(peer) && peers.size >= MAX_PEERS_PER_SESSION) {
+    sendJson(res, 409, { error: 'Session is full' });
+    return;
+  }
+
+  // A reconnecting browser replaces its previous stream (the relay may not have
+  // noticed it dropped); anyone else using the same peer ID is turned away
+  if (peers.has(peer)) {
+    if (peers.get(peer).token !== token) {
+      sendJson(res, 409, { error: 'Peer ID in use' });
+      return;
+    }
+    peers.get(peer).end();
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.token = crypto.randomBytes(16).toString('hex');
+  sendEvent(res, { type: 'welcome', token: res.token, peers: [...peers.keys()].filter(id => id !== peer) });
+
+  peers.set(peer, res);
+  sessions.set(code, peers);
+  console.log(`➕ ${peer} joined ${code} (${peers.size})`);
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+
+    // Only the current stream of this peer removes it
+    if (peers.get(peer) !== res) return;
+    peers.delete(peer);
+    if (peers.size === 0) {
+      sessions.delete(code);
+    }
+
+    broadcast(code, { type: 'leave', from: peer });
+    console.log(`➖ ${peer} left ${code} (${peers.size})`);
+  });
+}
+
+/**
+ * Relay a posted message
+ */
+function handleMessage(req, res, code) {
+  const chunks = [];
+  let size = 0;
+
+  const onData = chunk => {
+    size += chunk.length;
+    if (size <= MAX_MESSAGE_BYTES) {
+      chunks.push(chunk);
+      return;
+    }
+
+    // Answer and stop reading; the connection closes once the answer is sent
+    req.off('data', onData);
+    req.pause();
+    chunks.length = 0;
+    res.setHeader('Connection', 'close');
+    sendJson(res, 413, { error: 'Message too large' });
+  };
+  req.on('data', onData);
+
+  req.on('end', () => {
+    let message;
+    try {
+      message = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      sendJson(res, 400, { error: 'Invalid JSON' });
+      return;
+    }
+
+    // The sender is whoever owns the token, not whatever `from` the message claims
+    const peers = sessions.get(code);
+    const sender = message && typeof message.token === 'string' && peers
+      ? [...peers].find(([, stream]) => stream.token === message.token)
+      : null;
+    if (!sender || typeof message.type !== 'string') {
+      sendJson(res, 403, { error: 'Not a participant of this session' });
+      return;
+    }
+
+    const { token, ...relayed } = message;
+    sendJson(res, 200, { delivered: broadcast(code, { ...relayed, from: sender[0] }) });
+  });
+}
+
+/**
+ * Whether a browser page from this origin may use the relay
+ * Requests without an Origin header (curl, health checks) are not from a page.
+ */
+function isAllowedOrigin(origin) {
+  return !origin || ORIGINS.includes('*') || ORIGINS.includes(origin);
+}
+
+const server = http.createServer((req, res) => {
+  // The app is served from a different origin (file server, GitHub Pages, ...)
+  const origin = req.headers.origin;
+  if (!isAllowedOrigin(origin)) {
+    sendJson(res, 403, { error: 'Origin not allowed' });
+    return;
+  }
+  if (ORIGINS.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else if (origin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const match = url.pathname.match(/^\/sessions\/([^/]+)\/(events|messages)$/);
+
+  if (req.method === 'GET' && url.pathname === '/health') {
+    let peerCount = 0;
+    sessions.forEach(peers => { peerCount += peers.size; });
+    sendJson(res, 200, { ok: true, sessions: sessions.size, peers: peerCount });
+    return;
+  }
+
+  if (!match) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  const [, code, action] = match;
+  if (!CODE_PATTERN.test(code)) {
+    sendJson(res, 400, { error: 'Invalid session code' });
+    return;
+  }
+
+  if (action === 'events' && req.method === 'GET') {
+    handleEvents(req, res, code, url.searchParams.get('peer'), url.searchParams.get('token'));
+  } else if (action === 'messages' && req.method === 'POST') {
+    handleMessage(req, res, code);
+  } else {
+    sendJson(res, 405, { error: 'Method not allowed' });
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`🛰️ Collaboration relay listening on http://${HOST}:${PORT}`);
+  console.log(`🌐 Allowed origins: ${ORIGINS.join(', ')}`);
+});
@@ -0,0 +1,137 @@
+/**
+ * Service Worker - Offline App Shell and Map Tiles
+ * Precaches the page, styles, scripts and CDN libraries, and serves
+ * OpenStreetMap tiles saved by OfflineModule when there is no network
+ */
+
+// Bump when the precache list changes; old shell caches are removed on activate
+const SHELL_CACHE = 'travel-planner-shell-v9';
+const TILE_CACHE = 'travel-planner-tiles';
+
+const APP_FILES = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'css/style.css',
+  'css/mobile.css',
+  'js/utils.js',
+  'js/map.js',
+  'js/cache.js',
+  'js/routing.js',
+  'js/transit.js',
+  'js/intercity.js',
+  'js/transport.js',
+  'js/locale.js',
+  'js/currency.js',
+  'js/costprofile.js',
+  'js/recommend.js',
+  'js/cost.js',
+  'js/split.js',
+  'js/budget.js',
+  'js/expenses.js',
+  'js/optimizer.js',
+  'js/itinerary.js',
+  'js/export.js',
+  'js/import.js',
+  'js/print.js',
+  'js/crdt.js',
+  'js/collab.js',
+  'js/settings.js',
+  'js/tripfile.js',
+  'js/trips.js',
+  'js/offline.js',
+  'js/app.js'
+];
+
+const CDN_FILES = [
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  'https://cdn.jsdelivr.net/npm/chart.js@4.4.2',
+  'https://cdn.jsdelivr.net/npm/dayjs@1.11.10/dayjs.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-solid-900.woff2',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-regular-400.woff2',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-brands-400.woff2'
+];
+
+// a/b/c.tile.openstreetmap.org and tile.openstreetmap.org share one cache key
+const TILE_PATTERN = /^https:\/\/([abc]\.)?tile\.openstreetmap\.org\/(\d+)\/(\d+)\/(\d+)\.png$/;
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+
+    // The app itself must be cached; a CDN outage only costs that library offline
+    await cache.addAll(APP_FILES);
+    await Promise.all(CDN_FILES.map(url =>
+      cache.add(new Request(url, { mode: 'cors' })).catch(error => {
+        console.warn('⚠️ Could not precache', url, error);
+      })
+    ));
+
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('travel-planner-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const tile = request.url.match(TILE_PATTERN);
+  if (tile) {
+    event.respondWith(tileResponse(request, tile));
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin || CDN_FILES.includes(request.url)) {
+    event.respondWith(shellResponse(event));
+  }
+});
+
+/**
+ * Serve a saved tile, or fetch it without storing (only trips saved on demand are kept)
+ */
+async function tileResponse(request, [, , z, x, y]) {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(`https://tile.openstreetmap.org/${z}/${x}/${y}.png`);
+  return cached || fetch(request);
+}
+
+/**
+ * Stale-while-revalidate for the app shell
+ * Shared trip links carry their plan in the query string, so pages match without it.
+ */
+async function shellResponse(event) {
+  const { request } = event;
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+  // Only refresh files that were precached, under the key they were stored with
+  const network = fetch(request).then(response => {
+    if (response.ok && cached) {
+      cache.put(cached.url || request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+
+  return network;
+}
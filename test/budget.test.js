@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules, plain } = require('./helpers');
+
+const { BudgetModule, CostModule, CostProfileModule, TransportModule } = loadModules(['utils', 'transport', 'currency', 'costprofile', 'recommend', 'cost', 'budget']);
+
+const CAR = { name: '자동차', profile: 'driving-car', distance: '120.00' };
+const TRAIN = { name: '대중교통', profile: 'public-transport', distance: '120.00', fare: 8400 };
+const WALK = { name: '도보', profile: 'foot-walking', distance: '120.00' };
+const ESTIMATE = { name: '고속철도 (예상)', profile: 'rail', distance: '120.00', fare: 100, isFallback: true };
+
+const PLACES = [
+  { id: 1, name: '박물관', category: 'culture', distance: 2 },
+  { id: 2, name: '쇼핑몰', category: 'shopping', distance: 5 },
+  { id: 3, name: '공원', category: 'nature', distance: 1 }
+];
+
+function createPlan(overrides = {}) {
+  return {
+    routes: [CAR, TRAIN, WALK, ESTIMATE],
+    route: CAR,
+    places: PLACES,
+    visitList: [],
+    preferences: [],
+    levels: { accommodation: 'luxury', food: 'luxury' },
+    duration: 3,
+    profile: CostProfileModule.getProfile('KR'),
+    currency: 'KRW',
+    vehicleClass: 'car',
+    ...overrides
+  };
+}
+
+function costOf(plan, next = {}) {
+  const levels = next.levels || plan.levels;
+  return CostModule.calculateTripCost({
+    route: next.route || plan.route,
+    duration: plan.duration,
+    accommodationLevel: levels.accommodation,
+    foodLevel: levels.food,
+    places: next.places || plan.places,
+    profile: plan.profile,
+    currency: plan.currency,
+    vehicleClass: plan.vehicleClass
+  }).total;
+}
+
+test('a plan within budget is left alone', () => {
+  const plan = createPlan();
+  const result = BudgetModule.fitToBudget(plan, costOf(plan));
+
+  assert.equal(result.fits, true);
+  assert.deepEqual(plain(result.changes), []);
+  assert.equal(result.route, CAR);
+});
+
+test('lodging and meals go down one level at a time, the bigger saving first', () => {
+  const plan = createPlan();
+  const budget = costOf(plan, { levels: { accommodation: 'standard', food: 'standard' } });
+  const result = BudgetModule.fitToBudget(plan, budget);
+
+  assert.equal(result.fits, true);
+  assert.deepEqual(plain(result.levels), { accommodation: 'standard', food: 'standard' });
+  assert.deepEqual(plain(result.changes.map(change => change.type)), ['level', 'level']);
+  assert.ok(result.changes[0].saving >= result.changes[1].saving);
+  assert.equal(result.route, CAR);
+});
+
+test('the cheapest practical route wins, never a long walk or a straight-line estimate', () => {
+  const plan = createPlan({ levels: { accommodation: 'budget', food: 'budget' } });
+  const result = BudgetModule.fitToBudget(plan, costOf(plan, { route: TRAIN }));
+
+  assert.equal(result.fits, true);
+  assert.equal(result.route, TRAIN);
+  assert.deepEqual(plain(result.changes.map(change => change.type)), ['route']);
+  assert.equal(result.changes[0].saving, costOf(plan) - costOf(plan, { route: TRAIN }));
+});
+
+test('the optimal route is never a long walk or a straight-line estimate', () => {
+  const profile = CostProfileModule.getProfile('KR');
+
+  assert.equal(TransportModule.getOptimalRoute([CAR, TRAIN, WALK, ESTIMATE], 'cheapest', profile), TRAIN);
+  assert.equal(TransportModule.getOptimalRoute([CAR, WALK, ESTIMATE], 'cheapest', profile), CAR);
+  assert.equal(TransportModule.getOptimalRoute([{ ...WALK, distance: '3.00' }, CAR], 'cheapest', profile).profile, 'foot-walking');
+  assert.equal(TransportModule.getOptimalRoute([WALK, ESTIMATE], 'cheapest', profile), null);
+});
+
+test('paid places are dropped from the lowest priority up', () => {
+  const plan = createPlan({
+    routes: [CAR],
+    levels: { accommodation: 'budget', food: 'budget' },
+    visitList: [2],
+    preferences: ['nature']
+  });
+  const budget = costOf(plan, { places: [PLACES[1]] }) + 1;
+  const result = BudgetModule.fitToBudget(plan, budget);
+
+  // The museum matches nothing, the park a preference and the mall is in the visit list
+  assert.equal(result.fits, true);
+  assert.deepEqual(plain(result.changes.map(change => change.label)), ['박물관 제외', '공원 제외']);
+  assert.deepEqual(plain(result.places.map(place => place.id)), [2]);
+});
+
+test('a budget that cannot be met reports what was tried', () => {
+  const plan = createPlan();
+  const result = BudgetModule.fitToBudget(plan, 1000);
+
+  assert.equal(result.fits, false);
+  assert.deepEqual(plain(result.levels), { accommodation: 'budget', food: 'budget' });
+  assert.deepEqual(plain(result.places), []);
+  assert.equal(result.costs.total, costOf(plan, { route: result.route, levels: result.levels, places: [] }));
+});
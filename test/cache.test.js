@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadModules } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Load a CacheModule on the given database factory with a clock the test moves
+ * @returns {Object} - { CacheModule, clock }
+ */
+function createCache(indexedDB = new IDBFactory()) {
+  const clock = { now: Date.UTC(2026, 9, 1) };
+  class TestDate extends Date {
+    static now() {
+      return clock.now;
+    }
+  }
+
+  const { CacheModule } = loadModules(['cache'], { indexedDB, Date: TestDate });
+  return { CacheModule, clock };
+}
+
+function fetchOnce(value) {
+  let calls = 0;
+  const fetcher = async () => {
+    calls++;
+    return value;
+  };
+  fetcher.calls = () => calls;
+  return fetcher;
+}
+
+test('keys ignore case, extra spaces and coordinate noise below a metre', () => {
+  const { CacheModule } = createCache();
+
+  assert.equal(CacheModule.makeKey(['  Seoul   Station ', 37.123456789, ['KR', 127.000001], null]), 'seoul station|37.12346|kr,127|');
+});
+
+test('a fresh entry is served without fetching again', async () => {
+  const { CacheModule } = createCache();
+  const fetcher = fetchOnce({ lat: 37.55 });
+
+  assert.deepEqual(await CacheModule.wrap('search', ['서울역'], fetcher), { lat: 37.55 });
+  assert.equal((await CacheModule.wrap('search', [' 서울역 '], fetcher)).lat, 37.55);
+  assert.equal(fetcher.calls(), 1);
+
+  const { entries, sources } = await CacheModule.getStats();
+  assert.equal(entries, 1);
+  assert.equal(sources.search.hits, 1);
+  assert.equal(sources.search.misses, 1);
+});
+
+test('an expired entry is fetched again, and used when that fails', async () => {
+  const { CacheModule, clock } = createCache();
+  await CacheModule.wrap('route', ['a'], async () => 'old route');
+
+  clock.now += 6 * DAY;
+  assert.equal(await CacheModule.wrap('route', ['a'], async () => 'unused'), 'old route');
+
+  clock.now += 2 * DAY;
+  assert.equal(await CacheModule.wrap('route', ['a'], async () => 'new route'), 'new route');
+
+  clock.now += 8 * DAY;
+  const offline = async () => {
+    throw new Error('Network error');
+  };
+  assert.equal(await CacheModule.wrap('route', ['a'], offline), 'new route');
+  assert.equal((await CacheModule.getStats()).sources.route.stale, 1);
+});
+
+test('failed requests are not cached', async () => {
+  const { CacheModule } = createCache();
+  const failing = async () => {
+    throw new Error('API error: 500');
+  };
+
+  await assert.rejects(CacheModule.wrap('poi', ['x'], failing), /API error: 500/);
+  assert.equal(await CacheModule.wrap('poi', ['x'], async () => 'ok'), 'ok');
+});
+
+test('the least recently used entries go first beyond the entry limit', async () => {
+  const { CacheModule, clock } = createCache();
+  const fill = index => CacheModule.wrap('poi', [index], async () => index);
+
+  for (let index = 0; index < 2000; index++) {
+    clock.now++;
+    await fill(index);
+  }
+
+  // Reading entry 0 makes entry 1 the least recently used
+  clock.now++;
+  await fill(0);
+  clock.now++;
+  await CacheModule.wrap('poi', ['extra'], async () => 'extra');
+
+  assert.equal((await CacheModule.getStats()).entries, 2000);
+  assert.equal(await CacheModule.wrap('poi', [0], async () => 'fetched'), 0);
+  assert.equal(await CacheModule.wrap('poi', [1], async () => 'fetched'), 'fetched');
+});
+
+test('size and count are read back from an existing database', async () => {
+  const indexedDB = new IDBFactory();
+  const first = createCache(indexedDB).CacheModule;
+  await first.wrap('search', ['a'], async () => 'x'.repeat(100));
+  await first.wrap('search', ['b'], async () => 'y');
+  const before = await first.getStats();
+
+  const { entries, bytes } = await createCache(indexedDB).CacheModule.getStats();
+  assert.equal(entries, 2);
+  assert.equal(bytes, before.bytes);
+});
+
+test('a version 1 database gets the size index and keeps its entries', async () => {
+  const indexedDB = new IDBFactory();
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.open('travelPlannerCache', 1);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore('entries', { keyPath: 'id' });
+      store.createIndex('accessed', 'accessed');
+      store.put({ id: 'search:a', source: 'search', value: 'x', size: 6, created: Date.UTC(2026, 9, 1), accessed: Date.UTC(2026, 9, 1) });
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  const { CacheModule } = createCache(indexedDB);
+  const { entries, bytes } = await CacheModule.getStats();
+
+  assert.equal(entries, 1);
+  assert.equal(bytes, 6);
+  assert.equal(await CacheModule.wrap('search', ['a'], async () => 'fetched'), 'x');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const { CostModule, CostProfileModule, TransportModule } = loadModules(['utils', 'transport', 'locale', 'currency', 'costprofile', 'recommend', 'cost']);
+
+const KOREA = CostProfileModule.getProfile('KR');
+
+// 100 km, 80 of them on two tolled stretches
+const DRIVE = { profile: 'driving-car', distance: '100.00', tollways: [[0, 3], [5, 9]], tollDistance: '80.00' };
+
+test('tolls are a base fee per tolled stretch plus a rate per tolled km', () => {
+  assert.equal(CostModule.calculateTollCost(DRIVE), 900 * 2 + 44.3 * 80);
+  assert.equal(CostModule.calculateTollCost(DRIVE, 'KRW', KOREA, 'truck'), 1100 * 2 + 62.9 * 80);
+});
+
+test('tolls are unknown without provider data or a toll table, and zero off toll roads', () => {
+  assert.equal(CostModule.calculateTollCost({ ...DRIVE, tollways: undefined, tollDistance: undefined }), null);
+  assert.equal(CostModule.calculateTollCost(DRIVE, 'KRW', CostProfileModule.getProfile('GB')), null);
+  assert.equal(CostModule.calculateTollCost({ ...DRIVE, tollways: [], tollDistance: '0.00' }), 0);
+  assert.equal(CostModule.calculateTollCost({ ...DRIVE, profile: 'public-transport', fare: 8400 }), null);
+});
+
+test('a driving trip adds fuel, tolls and a day of parking per trip day', () => {
+  const costs = CostModule.calculateTripCost({ route: DRIVE, duration: 2, profile: KOREA });
+
+  // 100 km at 1650 won per litre and 11 km per litre
+  assert.equal(costs.transport, 15000 + 5344 + 2 * 15000);
+  assert.equal(costs.tolls, 5344);
+  assert.equal(costs.parking, 30000);
+  assert.equal(costs.tollDistance, '80.00');
+  assert.equal(costs.vehicleClass, 'car');
+});
+
+test('a public transport trip has no tolls or parking', () => {
+  const costs = CostModule.calculateTripCost({
+    route: { profile: 'public-transport', distance: '100.00', fare: 8400 },
+    duration: 2,
+    profile: KOREA
+  });
+
+  assert.equal(costs.transport, 8400);
+  assert.equal(costs.tolls, null);
+  assert.equal(costs.parking, 0);
+  assert.equal(costs.vehicleClass, null);
+});
+
+test('route costs use the fuel price and tolls of the destination and the vehicle class', () => {
+  const japan = CostProfileModule.getProfile('JP');
+
+  assert.deepEqual({ ...TransportModule.calculateRouteCost(DRIVE, KOREA) }, { transport: 15000 + 5344, distance: 100 });
+  assert.equal(TransportModule.calculateRouteCost(DRIVE, KOREA, 'truck').transport, 15000 + 7232);
+  assert.equal(TransportModule.calculateRouteCost(DRIVE, japan).transport, CostModule.calculateTransportCost(DRIVE, 'KRW', japan));
+  assert.equal(TransportModule.calculateRouteCost({ profile: 'public-transport', distance: '100.00', fare: 8400 }).transport, 8400);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules, plain } = require('./helpers');
+
+const { CostProfileModule, CurrencyModule } = loadModules(['transport', 'locale', 'currency', 'costprofile']);
+
+test('a city scales its country prices by its price level, fuel stays national', () => {
+  const country = CostProfileModule.getProfile('KR');
+  const seoul = CostProfileModule.getProfile('KR/서울');
+
+  assert.equal(seoul.type, 'city');
+  assert.equal(seoul.name, '서울 (대한민국)');
+  assert.equal(seoul.fuelPrice, country.fuelPrice);
+  assert.deepEqual(plain(seoul.accommodation), { budget: 65000, standard: 130000, luxury: 390000 });
+  // Small currencies keep cents instead of rounding to whole units
+  assert.equal(CostProfileModule.getProfile('FR/파리').food.budget, 45.5);
+});
+
+test('profiles carry parking at the city price level and the country toll table', () => {
+  const seoul = CostProfileModule.getProfile('KR/서울');
+
+  assert.equal(CostProfileModule.getProfile('KR').parking, 15000);
+  assert.equal(seoul.parking, 19500);
+  assert.deepEqual(plain(seoul.tolls.base), { car: 900, van: 900, bus: 1000, truck: 1100 });
+  // Per-crossing tolls are not modelled, and the Korean table does not fit other countries
+  assert.equal(CostProfileModule.getProfile('GB').tolls, null);
+  assert.equal(CostProfileModule.findProfile({ name: 'Hanoi, Vietnam', lat: 21.03, lng: 105.85 }).tolls, null);
+});
+
+test('unknown IDs and cities filed under the wrong country have no profile', () => {
+  assert.equal(CostProfileModule.getBundled('XX'), null);
+  assert.equal(CostProfileModule.getBundled('KR/파리'), null);
+  assert.equal(CostProfileModule.getProfile('FR/없는도시'), null);
+});
+
+test('getProfiles lists each country followed by its cities', () => {
+  const ids = plain(CostProfileModule.getProfiles().map(profile => profile.id));
+
+  assert.deepEqual(ids.slice(0, 2), ['KR', 'KR/서울']);
+  assert.ok(ids.indexOf('JP') > ids.indexOf('KR/속초'));
+  assert.ok(ids.indexOf('JP/도쿄') > ids.indexOf('JP'));
+});
+
+test('findProfile matches a city by name, then by distance, then the country', () => {
+  assert.equal(CostProfileModule.findProfile({ name: '해운대, 부산', lat: 35.16, lng: 129.16 }).id, 'KR/부산');
+  assert.equal(CostProfileModule.findProfile({ name: '어느 호텔', lat: 35.2, lng: 129.1 }).id, 'KR/부산');
+  assert.equal(CostProfileModule.findProfile({ name: 'Nice, France', lat: 43.7, lng: 7.26 }).id, 'FR');
+});
+
+test('a country without a profile gets the Korean prices in its own currency', () => {
+  const profile = CostProfileModule.findProfile({ name: 'Hanoi, Vietnam', lat: 21.03, lng: 105.85 });
+  const korea = CostProfileModule.getProfile('KR');
+
+  assert.equal(profile.type, 'default');
+  assert.equal(profile.currency, 'VND');
+  assert.equal(profile.accommodation.standard, Math.round(CurrencyModule.convert(korea.accommodation.standard, 'KRW', 'VND')));
+});
+
+test('overrides replace single prices and mark the profile as edited', () => {
+  CostProfileModule.configure({ 'KR/부산': { fuelPrice: 1500, food: { budget: 20000 } }, XX: { fuelPrice: 1 } });
+  const busan = CostProfileModule.getProfile('KR/부산');
+
+  assert.equal(busan.edited, true);
+  assert.equal(busan.fuelPrice, 1500);
+  assert.equal(busan.food.budget, 20000);
+  assert.equal(busan.food.standard, 66000);
+  assert.equal(CostProfileModule.getProfile('KR').edited, false);
+
+  CostProfileModule.configure({});
+  assert.equal(CostProfileModule.getProfile('KR/부산').fuelPrice, 1650);
+});
+
+test('country overrides reach its cities, scaled to their price level', () => {
+  CostProfileModule.configure({ KR: { fuelPrice: 1800, accommodation: { standard: 200000 } }, 'KR/서울': { parking: 10000 } });
+  const seoul = CostProfileModule.getProfile('KR/서울');
+
+  assert.equal(seoul.fuelPrice, 1800);
+  assert.equal(seoul.accommodation.standard, 260000);
+  assert.equal(seoul.parking, 10000);
+  assert.equal(CostProfileModule.getProfile('KR/부산').edited, true);
+  // A city's defaults exclude its own overrides
+  assert.equal(CostProfileModule.getDefaults('KR/서울').parking, 19500);
+
+  CostProfileModule.configure({});
+});
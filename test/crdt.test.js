@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules, plain } = require('./helpers');
+
+const { CrdtModule } = loadModules(['crdt']);
+
+const PREFIX = 'visit:';
+
+function toItems(ids) {
+  return ids.map(id => ({ id, value: { name: `place ${id}` } }));
+}
+
+function readIds(doc) {
+  return plain(CrdtModule.getList(doc, PREFIX).map(item => item.id));
+}
+
+/**
+ * Two replicas that start from the same list
+ */
+function createReplicas(ids) {
+  const a = CrdtModule.createDoc('a');
+  const b = CrdtModule.createDoc('b');
+  CrdtModule.applyOps(b, CrdtModule.setList(a, PREFIX, toItems(ids)));
+  return [a, b];
+}
+
+test('setList writes only the items that changed', () => {
+  const [a] = createReplicas(['1', '2', '3', '4']);
+
+  const ops = CrdtModule.setList(a, PREFIX, toItems(['1', '3', '2', '4']));
+
+  assert.equal(ops.length, 1);
+  assert.deepEqual(readIds(a), ['1', '3', '2', '4']);
+});
+
+test('concurrent list edits converge whatever order the operations arrive in', () => {
+  const [a, b] = createReplicas(['1', '2', '3', '4', '5']);
+
+  // a moves 5 to the front and removes 3; b adds 6 after 2 and moves 1 to the end
+  const fromA = CrdtModule.setList(a, PREFIX, toItems(['5', '1', '2', '4']));
+  const fromB = CrdtModule.setList(b, PREFIX, toItems(['2', '6', '3', '4', '5', '1']));
+
+  CrdtModule.applyOps(a, fromB);
+  CrdtModule.applyOps(b, [...fromA].reverse());
+
+  assert.deepEqual(readIds(a), readIds(b));
+  assert.deepEqual(readIds(a).sort(), ['1', '2', '4', '5', '6']);
+});
+
+test('applying the same operations twice changes nothing', () => {
+  const [a, b] = createReplicas(['1', '2', '3']);
+  const ops = CrdtModule.setList(a, PREFIX, toItems(['3', '2']));
+
+  CrdtModule.applyOps(b, ops);
+  const once = plain(CrdtModule.getOps(b));
+  assert.deepEqual(plain(CrdtModule.applyOps(b, ops)), []);
+  assert.deepEqual(plain(CrdtModule.getOps(b)), once);
+});
+
+test('random concurrent edits converge', () => {
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const shuffle = list => list
+    .map(item => ({ item, key: random() }))
+    .sort((x, y) => x.key - y.key)
+    .map(({ item }) => item);
+
+  for (let trial = 0; trial < 50; trial++) {
+    const [a, b] = createReplicas(['1', '2', '3', '4', '5', '6']);
+    const edit = (doc, extra) => {
+      const ids = shuffle(readIds(doc)).filter(() => random() > 0.2);
+      return CrdtModule.setList(doc, PREFIX, toItems([...ids, extra]));
+    };
+
+    const fromA = edit(a, `a${trial}`);
+    const fromB = edit(b, `b${trial}`);
+    CrdtModule.applyOps(a, shuffle(fromB));
+    CrdtModule.applyOps(b, shuffle(fromA));
+
+    assert.deepEqual(readIds(a), readIds(b), `trial ${trial}`);
+  }
+});
+
+test('concurrent edits to different lines of a text are both kept', () => {
+  const a = CrdtModule.createDoc('a');
+  const b = CrdtModule.createDoc('b');
+  CrdtModule.applyOps(b, CrdtModule.setText(a, 'note:', '1일차: 해운대\n2일차: 광안리'));
+
+  const fromA = CrdtModule.setText(a, 'note:', '1일차: 해운대, 동백섬\n2일차: 광안리');
+  const fromB = CrdtModule.setText(b, 'note:', '1일차: 해운대\n2일차: 광안리\n3일차: 감천문화마을');
+  CrdtModule.applyOps(a, fromB);
+  CrdtModule.applyOps(b, fromA);
+
+  assert.equal(CrdtModule.getText(a, 'note:'), '1일차: 해운대, 동백섬\n2일차: 광안리\n3일차: 감천문화마을');
+  assert.equal(CrdtModule.getText(b, 'note:'), CrdtModule.getText(a, 'note:'));
+});
+
+test('a replica joining with no entries gets the document without deletions', () => {
+  const [a] = createReplicas(['1', '2', '3']);
+  CrdtModule.setList(a, PREFIX, toItems(['1', '3']));
+
+  const snapshot = CrdtModule.getOps(a, false);
+  assert.equal(snapshot.length, 2);
+  assert.equal(CrdtModule.getOps(a).length, 3);
+
+  const joined = CrdtModule.createDoc('c');
+  CrdtModule.applyOps(joined, snapshot);
+  assert.deepEqual(readIds(joined), ['1', '3']);
+});
+
+test('deletions a returning replica missed can be passed on to one that joined without them', () => {
+  const [a, stale] = createReplicas(['1', '2', '3']);
+  CrdtModule.setList(a, PREFIX, toItems(['1', '3']));
+  const joined = CrdtModule.createDoc('c');
+  CrdtModule.applyOps(joined, CrdtModule.getOps(a, false));
+
+  // The returning replica still has item 2 and brings it back to the one that joined
+  const hello = CrdtModule.getOps(stale);
+  const deletions = CrdtModule.getNewerOps(a, hello);
+  CrdtModule.applyOps(joined, hello);
+  assert.deepEqual(readIds(joined), ['1', '2', '3']);
+
+  assert.deepEqual(plain(deletions.map(op => [op.key, op.value])), [['visit:2', null]]);
+  CrdtModule.applyOps(joined, deletions);
+  CrdtModule.applyOps(stale, CrdtModule.getOps(a));
+  assert.deepEqual(readIds(joined), ['1', '3']);
+  assert.deepEqual(readIds(stale), ['1', '3']);
+});
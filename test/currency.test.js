@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+function createCurrency() {
+  return loadModules(['locale', 'currency']).CurrencyModule;
+}
+
+test('amounts convert through the won', () => {
+  const CurrencyModule = createCurrency();
+
+  assert.equal(CurrencyModule.convert(100, 'EUR', 'KRW'), 159500);
+  assert.equal(CurrencyModule.convert(159500, 'KRW', 'EUR'), 100);
+  assert.equal(CurrencyModule.convert(10, 'EUR', 'JPY'), 10 * 1595 / 9.4);
+  assert.equal(CurrencyModule.convert(42, 'USD', 'USD'), 42);
+  assert.equal(CurrencyModule.convert(undefined, 'USD', 'KRW'), 0);
+});
+
+test('edited rates replace the built-in ones, the won stays 1', () => {
+  const CurrencyModule = createCurrency();
+  CurrencyModule.configure({ asOf: '2026-10-01', rates: { EUR: 1600, KRW: 3 } });
+
+  const { asOf, rates } = CurrencyModule.getRates();
+  assert.equal(asOf, '2026-10-01');
+  assert.equal(rates.EUR, 1600);
+  assert.equal(rates.KRW, 1);
+  assert.equal(rates.USD, CurrencyModule.getDefaultRates().rates.USD);
+  assert.equal(CurrencyModule.convert(2, 'EUR', 'KRW'), 3200);
+
+  CurrencyModule.configure({});
+  assert.equal(CurrencyModule.getRates().rates.EUR, 1595);
+});
+
+test('the local currency follows the country of the place', () => {
+  const CurrencyModule = createCurrency();
+
+  assert.equal(CurrencyModule.getLocalCurrency({ name: 'Paris, Île-de-France, France', lat: 48.8566, lng: 2.3522 }), 'EUR');
+  assert.equal(CurrencyModule.getLocalCurrency({ name: '도쿄', lat: 35.6762, lng: 139.6503 }), 'JPY');
+  assert.equal(CurrencyModule.getLocalCurrency({ name: '부산', lat: 35.1796, lng: 129.0756 }), 'KRW');
+  assert.equal(CurrencyModule.getLocalCurrency({ name: 'Nowhere', lat: -60, lng: -140 }), 'KRW');
+  assert.equal(CurrencyModule.getLocalCurrency(null), 'KRW');
+});
+
+test('amounts are shown with their value in the display currency', () => {
+  const CurrencyModule = createCurrency();
+
+  assert.equal(CurrencyModule.format(125000), '₩125,000');
+  assert.equal(CurrencyModule.format(12.5, 'EUR', 2), '€12.5');
+  assert.equal(CurrencyModule.formatDual(78, 'EUR'), '€78 (₩124,410)');
+  assert.equal(CurrencyModule.formatDual(5000), '₩5,000');
+  assert.equal(CurrencyModule.describeRate('EUR'), '1 EUR = 1,595 KRW · 2025-07-01 기준');
+
+  CurrencyModule.setDisplayCurrency('EUR');
+  CurrencyModule.setDisplayCurrency('XXX');
+  assert.equal(CurrencyModule.getDisplayCurrency(), 'EUR');
+  assert.equal(CurrencyModule.formatDual(15950, 'KRW'), '₩15,950 (€10)');
+  // The rate reads from the stronger currency
+  assert.equal(CurrencyModule.describeRate('JPY'), '1 EUR = 169.6809 JPY · 2025-07-01 기준');
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const { ExportModule } = loadModules(['utils', 'transport', 'locale', 'currency', 'costprofile', 'recommend', 'cost', 'export'], { TextEncoder });
+
+const SEOUL = { name: '서울역, 중구, 서울', lat: 37.5547, lng: 126.9707 };
+const PARIS = { name: 'Paris, Île-de-France, France', lat: 48.8566, lng: 2.3522 };
+const LOUVRE = { id: 1, name: 'Musée du Louvre; Paris', lat: 48.8606, lng: 2.3376, category: 'culture' };
+
+// Itinerary times are wall-clock Dates; the calendar gives them their zone
+const at = (day, hour, minute = 0) => new Date(2026, 9, day, hour, minute);
+
+function createTrip(overrides = {}) {
+  return {
+    departure: SEOUL,
+    destination: PARIS,
+    stops: [],
+    departureDate: at(24, 10),
+    duration: 2,
+    route: { name: '항공', distance: '8950.00', duration: '13시간', durationMinutes: 780, profile: 'flight', fare: 1200000 },
+    days: [
+      { index: 0, items: [] },
+      { index: 1, items: [{ place: LOUVRE, arrival: at(25, 10), departure: at(25, 11, 30), visitMinutes: 90 }] }
+    ],
+    ...overrides
+  };
+}
+
+/**
+ * Unfold the calendar and return its lines
+ */
+function readLines(ics) {
+  return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+function readEvents(ics) {
+  return ics.replace(/\r\n /g, '').split('BEGIN:VEVENT').slice(1).map(block => block.split('\r\n'));
+}
+
+test('the travel leg runs from the departure zone to the destination zone', () => {
+  const [travel] = readEvents(ExportModule.toICS(createTrip()));
+
+  assert.ok(travel.includes('DTSTART;TZID=Asia/Seoul:20261024T100000'));
+  // 01:00 UTC + 13 hours is 16:00 in Paris, still on summer time
+  assert.ok(travel.includes('DTEND;TZID=Europe/Paris:20261024T160000'));
+  assert.ok(travel.includes('SUMMARY:이동: 서울역 → Paris'));
+});
+
+test('visits are destination-local and text values are escaped', () => {
+  const [, visit] = readEvents(ExportModule.toICS(createTrip()));
+
+  assert.ok(visit.includes('DTSTART;TZID=Europe/Paris:20261025T100000'));
+  assert.ok(visit.includes('DTEND;TZID=Europe/Paris:20261025T113000'));
+  assert.ok(visit.includes('SUMMARY:Musée du Louvre\\; Paris'));
+  assert.ok(visit.includes('GEO:48.860600;2.337600'));
+});
+
+test('costs are shown in the currency of the planned costs', () => {
+  const [travel, visit] = readEvents(ExportModule.toICS(createTrip({ costs: { currency: 'EUR', transport: 1820.5 } })));
+  const description = event => event.find(line => line.startsWith('DESCRIPTION:'));
+
+  assert.ok(description(travel).includes('예상 교통비: €1\\,821'), description(travel));
+  assert.ok(description(visit).includes('예상 비용: €6'), description(visit));
+});
+
+test('day 1 visits are read on the departure clock and moved to the destination zone', () => {
+  // Scheduled after the 13-hour flight from the 10:00 departure in Seoul
+  const days = [{ index: 0, items: [{ place: LOUVRE, arrival: at(24, 23), departure: at(25, 0, 30), visitMinutes: 90 }] }];
+  const [, visit] = readEvents(ExportModule.toICS(createTrip({ days })));
+
+  assert.ok(visit.includes('DTSTART;TZID=Europe/Paris:20261024T160000'));
+  assert.ok(visit.includes('DTEND;TZID=Europe/Paris:20261024T173000'));
+});
+
+test('each zone gets a VTIMEZONE with the changes it goes through that year', () => {
+  const lines = readLines(ExportModule.toICS(createTrip()));
+  const zone = id => {
+    const start = lines.indexOf(`TZID:${id}`);
+    return lines.slice(start, lines.indexOf('END:VTIMEZONE', start));
+  };
+
+  assert.deepEqual(zone('Asia/Seoul').filter(line => line.startsWith('TZOFFSET')), ['TZOFFSETFROM:+0900', 'TZOFFSETTO:+0900']);
+
+  const paris = zone('Europe/Paris').join('\n');
+  assert.match(paris, /BEGIN:DAYLIGHT\nDTSTART:20260329T020000\nTZOFFSETFROM:\+0100\nTZOFFSETTO:\+0200/);
+  assert.match(paris, /BEGIN:STANDARD\nDTSTART:20261025T030000\nTZOFFSETFROM:\+0200\nTZOFFSETTO:\+0100/);
+});
+
+test('lines use CRLF and fold at 75 octets without splitting characters', () => {
+  const ics = ExportModule.toICS(createTrip({ destination: { ...PARIS, name: '파리 '.repeat(40) } }));
+
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  ics.split('\r\n').forEach(line => {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+    assert.ok(!line.includes('�'));
+  });
+  assert.ok(readLines(ics).includes(`LOCATION:${'파리 '.repeat(40)}`));
+});
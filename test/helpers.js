@@ -0,0 +1,65 @@
+/**
+ * Test helpers - load the browser modules (js/*.js) into a fresh context
+ * The modules are plain scripts that declare `const XModule = (function() { ... })();`,
+ * so they run as they would in index.html, in the given order.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+/**
+ * In-memory stand-in for window.localStorage
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+/**
+ * Run scripts in a new context and return the modules they declare
+ * @param {Array} files - Script names without extension, in index.html order
+ * @param {Object} globals - Browser globals the scripts need (DOMParser, fetch, ...)
+ * @returns {Object} - { TripFileModule, CrdtModule, ... }
+ */
+function loadModules(files, globals = {}) {
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error: console.error },
+    localStorage: createStorage(),
+    setTimeout,
+    clearTimeout,
+    AbortController,
+    URL,
+    URLSearchParams,
+    ...globals
+  });
+  const modules = {};
+
+  files.forEach(file => {
+    const source = fs.readFileSync(path.join(JS_DIR, `${file}.js`), 'utf8');
+    vm.runInContext(source, context, { filename: `js/${file}.js` });
+
+    // Top-level consts are not properties of the context object
+    [...source.matchAll(/^const (\w+Module) = /gm)].forEach(([, name]) => {
+      modules[name] = vm.runInContext(name, context);
+    });
+  });
+
+  return modules;
+}
+
+/**
+ * Copy a value out of the module context (deepStrictEqual compares prototypes,
+ * and arrays made in the context have their own Array.prototype)
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadModules, plain };
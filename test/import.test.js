@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { loadModules, plain } = require('./helpers');
+
+const { DOMParser } = new JSDOM().window;
+const { ImportModule, ExportModule } = loadModules(['utils', 'recommend', 'export', 'import'], { DOMParser });
+
+const TRIP = {
+  departure: { name: '서울역, 중구', lat: 37.5547, lng: 126.9707 },
+  destination: { name: '해운대, 부산', lat: 35.1587, lng: 129.1604 },
+  stops: [{ name: '대전역', lat: 36.3326, lng: 127.4342 }],
+  route: {
+    name: '자동차',
+    profile: 'foot-walking',
+    coordinates: [[126.9707, 37.5547], [127.4342, 36.3326], [129.1604, 35.1587]]
+  },
+  places: [{ id: 1, name: '해동용궁사', lat: 35.1884, lng: 129.2233, category: 'history', description: '바닷가 절' }]
+};
+
+test('our own GPX, KML and GeoJSON exports read back as the route and places', () => {
+  [
+    ['gpx', ExportModule.toGPX(TRIP)],
+    ['kml', ExportModule.toKML(TRIP)],
+    ['geojson', ExportModule.toGeoJSON(TRIP)]
+  ].forEach(([extension, text]) => {
+    const result = ImportModule.parseText(text, extension);
+
+    assert.deepEqual(plain(result.track), TRIP.route.coordinates, extension);
+    // Departure, stops and destination are part of the route, not places
+    assert.deepEqual(plain(result.waypoints.map(point => [point.name, point.lat, point.lng])), [['해동용궁사', 35.1884, 129.2233]], extension);
+  });
+});
+
+test('GPX falls back to route points and guesses the profile from the track type', () => {
+  const result = ImportModule.parseText(`<?xml version="1.0"?>
+    <gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+      <wpt lat="37.58" lon="126.97"><name>경복궁</name><desc>조선 왕궁</desc></wpt>
+      <wpt lat="91" lon="126.97"><name>잘못된 좌표</name></wpt>
+      <rte><name>둘레길</name><type>hiking</type>
+        <rtept lat="37.5" lon="127.0"></rtept><rtept lat="37.6" lon="127.1"></rtept>
+      </rte>
+    </gpx>`, 'gpx');
+
+  assert.equal(result.name, '둘레길');
+  assert.equal(result.profile, 'foot-walking');
+  assert.deepEqual(plain(result.track), [[127.0, 37.5], [127.1, 37.6]]);
+  assert.deepEqual(plain(result.waypoints.map(point => [point.name, point.description])), [['경복궁', '조선 왕궁']]);
+});
+
+test('KML descriptions lose their HTML and extended data becomes tags', () => {
+  const result = ImportModule.parseText(`<?xml version="1.0"?>
+    <kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>주말 나들이</name>
+      <Placemark><name>남산공원</name>
+        <description><![CDATA[<b>산책로</b><img src="x" onerror="alert(1)"> 추천]]></description>
+        <ExtendedData><Data name="leisure"><value>park</value></Data></ExtendedData>
+        <Point><coordinates>126.99,37.55,0</coordinates></Point>
+      </Placemark>
+      <Placemark><LineString><coordinates>126.9,37.5 127.0,37.6,12</coordinates></LineString></Placemark>
+    </Document></kml>`, 'kml');
+
+  assert.equal(result.name, '주말 나들이');
+  assert.deepEqual(plain(result.track), [[126.9, 37.5], [127.0, 37.6]]);
+  assert.equal(result.waypoints[0].description, '산책로 추천');
+  assert.deepEqual(plain(result.waypoints[0].tags), { leisure: 'park' });
+});
+
+test('GeoJSON accepts a bare geometry and rejects anything else', () => {
+  const result = ImportModule.parseText(JSON.stringify({ type: 'LineString', coordinates: [[127, 37], [128, 36]] }), 'geojson');
+  assert.deepEqual(plain(result.track), [[127, 37], [128, 36]]);
+  assert.equal(result.profile, 'driving-car');
+
+  assert.throws(() => ImportModule.parseText('{ broken', 'geojson'), /Invalid JSON/);
+  assert.throws(() => ImportModule.parseText('{"features": []}', 'json'), /Not a GeoJSON object/);
+  assert.throws(() => ImportModule.parseText('<gpx><wpt></gpx>', 'gpx'), /Invalid XML/);
+});
+
+test('the activity of a line picks the route profile', () => {
+  const profileOf = activity => ImportModule.parseText(JSON.stringify({
+    type: 'Feature',
+    properties: { activity },
+    geometry: { type: 'LineString', coordinates: [[127, 37], [128, 36]] }
+  }), 'geojson').profile;
+
+  assert.equal(profileOf('Running'), 'foot-walking');
+  assert.equal(profileOf('자전거'), 'cycling-regular');
+  assert.equal(profileOf('subway'), 'public-transport');
+  assert.equal(profileOf('drive'), 'driving-car');
+});
+
+test('unsupported files are refused before they are read', async () => {
+  const file = { name: 'trip.csv', text: () => assert.fail('read an unsupported file') };
+  await assert.rejects(ImportModule.parseFile(file), /Unsupported file type: \.csv/);
+});
+
+test('waypoints become places with a guessed category', () => {
+  const places = ImportModule.waypointsToPlaces([
+    { name: '남산공원', lat: 37.55, lng: 126.99, description: '', tags: { leisure: 'park' } },
+    { name: '이름 모를 곳', lat: 37.5, lng: 127, tags: {} }
+  ]);
+
+  assert.deepEqual(plain(places.map(place => [place.id, place.category, place.type])), [
+    ['import-0', 'nature', 'import'],
+    ['import-1', 'culture', 'import']
+  ]);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules, plain } = require('./helpers');
+
+const { ItineraryModule, TransportModule } = loadModules(['transport', 'recommend', 'itinerary']);
+
+const START = { lat: 37.5, lng: 127 };
+
+// Places at the start point take no travel time; culture visits take 90 minutes
+function place(id, category = 'culture', at = START) {
+  return { id, name: `place ${id}`, category, lat: at.lat, lng: at.lng };
+}
+
+function clock(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+test('travel minutes follow the road distance and the speed of the profile', () => {
+  const to = { lat: 37.5, lng: 127.1 };
+  const roadKm = TransportModule.calculateDistance(START.lat, START.lng, to.lat, to.lng) * 1.3;
+
+  assert.equal(ItineraryModule.estimateTravelMinutes(START, to, 'driving-car'), Math.round(roadKm / 40 * 60));
+  assert.equal(ItineraryModule.estimateTravelMinutes(START, to, 'foot-walking'), Math.round(roadKm / 5 * 60));
+  assert.equal(ItineraryModule.estimateTravelMinutes(null, to, 'driving-car'), 0);
+});
+
+test('places fill each day up to the daily budget, the rest stays on the last day', () => {
+  const places = [1, 2, 3, 4, 5].map(id => place(id));
+  const days = ItineraryModule.assignDays(places, { start: START, duration: 2, dailyMinutes: 180, profile: 'driving-car' });
+
+  assert.deepEqual(plain(days), [[1, 2], [3, 4, 5]]);
+});
+
+test('a place longer than the budget still gets a day of its own', () => {
+  const places = [place(1, 'adventure'), place(2)];
+  const days = ItineraryModule.assignDays(places, { start: START, duration: 3, dailyMinutes: 120, profile: 'driving-car' });
+
+  assert.deepEqual(plain(days), [[1], [2], []]);
+});
+
+test('day 1 starts at the departure and each later day at the same time of day', () => {
+  const places = [place(1), place(2, 'food'), place(3, 'shopping')];
+  const days = ItineraryModule.scheduleDays([[1, 2], [3]], places, {
+    start: START,
+    departureDate: '2026-11-01T09:30',
+    dailyMinutes: 120,
+    profile: 'driving-car'
+  });
+
+  assert.deepEqual(days[0].items.map(item => [clock(item.arrival), clock(item.departure)]), [['09:30', '11:00'], ['11:00', '12:00']]);
+  assert.equal(days[0].totalMinutes, 150);
+  assert.equal(days[0].overBudget, true);
+
+  assert.equal(days[1].date.getDate(), 2);
+  assert.equal(clock(days[1].items[0].arrival), '09:30');
+  assert.equal(days[1].overBudget, false);
+});
+
+test('travel time is counted from the previous stop', () => {
+  const far = { lat: 37.5, lng: 127.1 };
+  const places = [place(1, 'culture', far)];
+  const days = ItineraryModule.scheduleDays([[1]], places, { start: START, departureDate: '2026-11-01T09:00', profile: 'foot-walking' });
+  const travel = ItineraryModule.estimateTravelMinutes(START, far, 'foot-walking');
+
+  assert.equal(days[0].travelMinutes, travel);
+  assert.equal(days[0].items[0].arrival.getTime() - new Date(2026, 10, 1, 9, 0).getTime(), travel * 60000);
+});
+
+test('day 1 visits start after the arrival, from the destination', () => {
+  const destination = { lat: 37.5, lng: 127.1 };
+  const places = [place(1, 'culture', destination)];
+  const days = ItineraryModule.scheduleDays([[1], []], places, {
+    start: START,
+    end: destination,
+    departureDate: '2026-11-01T09:00',
+    arrivalMinutes: 180,
+    profile: 'driving-car'
+  });
+
+  assert.equal(clock(days[0].start), '12:00');
+  assert.equal(days[0].travelMinutes, 0);
+  assert.equal(clock(days[0].items[0].arrival), '12:00');
+  assert.equal(clock(days[1].start), '09:00');
+});
+
+test('a moved place goes to the end of the target day', () => {
+  assert.deepEqual(plain(ItineraryModule.movePlace([[1, 2], [3]], 1, 1)), [[2], [3, 1]]);
+  assert.deepEqual(plain(ItineraryModule.movePlace([[1, 2], [3]], 1, 5)), [[2], [3]]);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules, plain } = require('./helpers');
+
+const { OptimizerModule } = loadModules(['transport', 'optimizer']);
+
+// Points along one parallel, about 8.8 km apart
+const point = (id, step) => ({ id, lat: 37.5, lng: 127 + step * 0.1 });
+const START = point('start', 0);
+const END = point('end', 6);
+
+function ids(places) {
+  return plain(places.map(place => place.id));
+}
+
+test('the distance matrix is symmetric with a zero diagonal', () => {
+  const matrix = OptimizerModule.buildDistanceMatrix([START, point('a', 2), END]);
+
+  matrix.forEach((row, i) => {
+    assert.equal(row[i], 0);
+    row.forEach((distance, j) => assert.equal(distance, matrix[j][i]));
+  });
+  assert.ok(Math.abs(matrix[0][2] - 53) < 1, `${matrix[0][2]} km`);
+});
+
+test('getPathCost adds up the legs in order', () => {
+  const matrix = [[0, 1, 5], [1, 0, 2], [5, 2, 0]];
+
+  assert.equal(OptimizerModule.getPathCost([0, 1, 2], matrix), 3);
+  assert.equal(OptimizerModule.getPathCost([0, 2], matrix), 5);
+});
+
+test('places are reordered along the way between fixed endpoints', () => {
+  const places = [point('d', 4), point('a', 1), point('c', 3), point('e', 5), point('b', 2)];
+  const result = OptimizerModule.optimizeVisitOrder(START, END, places);
+
+  assert.deepEqual(ids(result.places), ['a', 'b', 'c', 'd', 'e']);
+  assert.ok(result.saved > 0);
+  assert.ok(Math.abs(result.before - result.after - result.saved) < 1e-9);
+});
+
+test('an order that is already best is kept', () => {
+  const places = [point('a', 1), point('b', 2), point('c', 3)];
+  const result = OptimizerModule.optimizeVisitOrder(START, END, places);
+
+  assert.deepEqual(ids(result.places), ['a', 'b', 'c']);
+  assert.equal(result.saved, 0);
+});
+
+test('a travel-time matrix decides the order, distances are still reported', () => {
+  const places = [point('a', 1), point('b', 2)];
+  // Minutes over [start, a, b, end]: going to b first is much faster
+  const matrix = [
+    [0, 90, 10, 99],
+    [90, 0, 10, 10],
+    [10, 10, 0, 90],
+    [99, 10, 90, 0]
+  ];
+  const result = OptimizerModule.optimizeVisitOrder(START, END, places, { matrix });
+
+  assert.deepEqual(ids(result.places), ['b', 'a']);
+  assert.ok(result.after > result.before, 'the faster order is longer in km');
+  assert.equal(result.minutesBefore, 90 + 10 + 90);
+  assert.equal(result.minutesAfter, 10 + 10 + 10);
+  assert.equal(result.minutesSaved, 160);
+});
+
+test('minutes are only reported for a travel-time matrix', () => {
+  const result = OptimizerModule.optimizeVisitOrder(START, END, [point('b', 2), point('a', 1)]);
+
+  assert.equal(result.minutesSaved, undefined);
+});
@@ -0,0 +1,194 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const path = require('node:path');
+
+const RELAY = path.join(__dirname, '..', 'server', 'relay.js');
+
+const relays = [];
+let baseUrl = '';
+
+/**
+ * Start a relay on a free-looking port and wait until it listens
+ * @param {Object} env - Extra environment variables
+ * @returns {Promise<string>} - Base URL of the relay
+ */
+async function startRelay(env = {}) {
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const relay = spawn(process.execPath, [RELAY, String(port)], {
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  relays.push(relay);
+
+  await new Promise((resolve, reject) => {
+    relay.stdout.on('data', chunk => {
+      if (String(chunk).includes('listening')) resolve();
+    });
+    relay.on('exit', code => reject(new Error(`Relay exited (${code})`)));
+  });
+  return `http://127.0.0.1:${port}`;
+}
+
+before(async () => {
+  baseUrl = await startRelay();
+});
+
+after(() => {
+  relays.forEach(relay => relay.kill());
+});
+
+/**
+ * Open a participant's event stream
+ * @param {string} token - Token of the peer's current stream, to reconnect
+ * @returns {Promise<Object>} - { welcome, next, close }
+ */
+async function join(code, peer, token = '') {
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}/sessions/${code}/events?${new URLSearchParams({ peer, token })}`, { signal: controller.signal });
+  assert.equal(response.status, 200);
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  // Resolves with the next data event (null when the stream ends)
+  const next = async () => {
+    while (!buffer.includes('\n\n')) {
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffer += value;
+    }
+    const block = buffer.slice(0, buffer.indexOf('\n\n'));
+    buffer = buffer.slice(block.length + 2);
+    return block.startsWith('data: ') ? JSON.parse(block.slice(6)) : next();
+  };
+
+  return { welcome: await next(), next, close: () => controller.abort() };
+}
+
+async function post(code, message) {
+  const response = await fetch(`${baseUrl}/sessions/${code}/messages`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof message === 'string' ? message : JSON.stringify(message)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function getHealth() {
+  return (await fetch(`${baseUrl}/health`)).json();
+}
+
+test('participants are welcomed with the others already in the session', async () => {
+  const initial = await getHealth();
+  const anna = await join('TRIP01', 'anna1');
+  const ben = await join('TRIP01', 'ben12');
+
+  assert.deepEqual(anna.welcome.peers, []);
+  assert.deepEqual(ben.welcome.peers, ['anna1']);
+  assert.deepEqual(await getHealth(), { ok: true, sessions: initial.sessions + 1, peers: initial.peers + 2 });
+
+  anna.close();
+  ben.close();
+});
+
+test('messages reach everyone but the sender, or only the addressee', async () => {
+  const anna = await join('TRIP02', 'anna1');
+  const ben = await join('TRIP02', 'ben12');
+  const chris = await join('TRIP02', 'chris');
+
+  assert.deepEqual((await post('TRIP02', { token: anna.welcome.token, type: 'ops', ops: [1] })).body, { delivered: 2 });
+  assert.deepEqual(await ben.next(), { from: 'anna1', type: 'ops', ops: [1] });
+  assert.deepEqual(await chris.next(), { from: 'anna1', type: 'ops', ops: [1] });
+
+  assert.deepEqual((await post('TRIP02', { token: anna.welcome.token, to: 'chris', type: 'state' })).body, { delivered: 1 });
+  assert.deepEqual(await chris.next(), { from: 'anna1', to: 'chris', type: 'state' });
+
+  [anna, ben, chris].forEach(stream => stream.close());
+});
+
+test('the sender is whoever owns the token, whatever the message claims', async () => {
+  const anna = await join('TRIP05', 'anna1');
+  const ben = await join('TRIP05', 'ben12');
+
+  await post('TRIP05', { token: ben.welcome.token, from: 'anna1', type: 'ops' });
+  assert.deepEqual(await anna.next(), { type: 'ops', from: 'ben12' });
+
+  // A reconnect gets a new token and the old one stops working
+  const oldToken = ben.welcome.token;
+  const again = await join('TRIP05', 'ben12', oldToken);
+  assert.notEqual(again.welcome.token, oldToken);
+  assert.equal(await ben.next(), null);
+  assert.equal((await post('TRIP05', { token: oldToken, type: 'ops' })).status, 403);
+
+  [anna, ben, again].forEach(stream => stream.close());
+});
+
+test('a connected peer ID cannot be taken over without its stream token', async () => {
+  const anna = await join('TRIP06', 'anna1');
+  const events = token => fetch(`${baseUrl}/sessions/TRIP06/events?${new URLSearchParams({ peer: 'anna1', token })}`);
+
+  assert.equal((await events('')).status, 409);
+  assert.equal((await events('guess')).status, 409);
+
+  // The stream is untouched and still receives messages
+  const ben = await join('TRIP06', 'ben12');
+  await post('TRIP06', { token: ben.welcome.token, type: 'ops' });
+  assert.deepEqual(await anna.next(), { type: 'ops', from: 'ben12' });
+
+  [anna, ben].forEach(stream => stream.close());
+});
+
+test('an oversized message is answered with 413 before the relay reads it all', async () => {
+  const response = await fetch(`${baseUrl}/sessions/TRIP07/messages`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: 'x'.repeat(6 * 1024 * 1024)
+  });
+
+  assert.equal(response.status, 413);
+  assert.deepEqual(await response.json(), { error: 'Message too large' });
+  assert.equal((await getHealth()).ok, true);
+});
+
+test('someone leaving is announced to the others', async () => {
+  const anna = await join('TRIP03', 'anna1');
+  const ben = await join('TRIP03', 'ben12');
+
+  ben.close();
+  assert.deepEqual(await anna.next(), { type: 'leave', from: 'ben12' });
+
+  anna.close();
+});
+
+test('outsiders, bad codes and bad peer IDs are refused', async () => {
+  const anna = await join('TRIP04', 'anna1');
+
+  assert.equal((await post('TRIP04', { from: 'anna1', type: 'ops' })).status, 403);
+  assert.equal((await post('TRIP04', { token: 'guess', type: 'ops' })).status, 403);
+  assert.equal((await post('TRIP04', { token: anna.welcome.token })).status, 403);
+  assert.equal((await post('NOPE99', { token: anna.welcome.token, type: 'ops' })).status, 403);
+  assert.equal((await post('TRIP04', '{ not json')).status, 400);
+  assert.equal((await fetch(`${baseUrl}/sessions/trip/events?peer=anna1`)).status, 400);
+  assert.equal((await fetch(`${baseUrl}/sessions/TRIP04/events?peer=A!`)).status, 400);
+  assert.equal((await fetch(`${baseUrl}/sessions/TRIP04/messages`)).status, 405);
+  assert.equal((await fetch(`${baseUrl}/nowhere`)).status, 404);
+
+  anna.close();
+});
+
+test('any page may use the relay unless ORIGINS lists the allowed ones', async () => {
+  const open = await fetch(`${baseUrl}/health`, { headers: { Origin: 'https://example.com' } });
+  assert.equal(open.headers.get('access-control-allow-origin'), '*');
+
+  const url = await startRelay({ ORIGINS: 'https://trips.example.com, http://localhost:5500' });
+  const from = origin => fetch(`${url}/health`, { headers: { Origin: origin } });
+
+  const allowed = await from('http://localhost:5500');
+  assert.equal(allowed.status, 200);
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'http://localhost:5500');
+  assert.equal(allowed.headers.get('vary'), 'Origin');
+
+  assert.equal((await from('https://evil.example.com')).status, 403);
+  assert.equal((await fetch(`${url}/health`)).status, 200);
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules, plain } = require('./helpers');
+
+const STOPS = [[126.97, 37.55], [127.03, 37.5]];
+
+/**
+ * Load a fresh RoutingModule whose fetch answers from a handler
+ * @param {Function} handler - (url, options) => body, or a Response-like { status }
+ * @returns {Object} - { RoutingModule, requests }
+ */
+function createRouting(handler) {
+  const requests = [];
+  const fetch = async (url, options = {}) => {
+    requests.push({ url, options });
+    const body = await handler(url, options);
+    const status = body && body.status ? body.status : 200;
+    return { ok: status < 400, status, json: async () => body };
+  };
+
+  const { RoutingModule } = loadModules(['utils', 'routing'], { fetch });
+  return { RoutingModule, requests };
+}
+
+const ORS_RESPONSE = {
+  features: [{
+    geometry: { coordinates: [[126.97, 37.55], [127, 37.52], [127.03, 37.5]] },
+    properties: {
+      summary: { distance: 8000, duration: 900 },
+      segments: [{
+        distance: 8000,
+        duration: 900,
+        steps: [
+          { instruction: 'Head east', distance: 5000, duration: 500, way_points: [0, 1] },
+          { instruction: 'Arrive', distance: 3000, duration: 400, way_points: [1, 2] }
+        ]
+      }]
+    }
+  }]
+};
+
+test('OpenRouteService results follow the shared contract', async () => {
+  const { RoutingModule, requests } = createRouting(() => ORS_RESPONSE);
+  RoutingModule.configure({ providers: { ors: { apiKey: 'key' } } });
+
+  const result = await RoutingModule.route(STOPS, 'foot-walking');
+
+  assert.equal(requests[0].url, 'https://api.openrouteservice.org/v2/directions/foot-walking/geojson');
+  assert.equal(requests[0].options.headers.Authorization, 'key');
+  assert.equal(result.provider, 'ors');
+  assert.deepEqual(plain(result.legs), [{ distance: 8000, duration: 900 }]);
+  assert.deepEqual(plain(result.steps.map(step => step.wayPoints)), [[0, 1], [1, 2]]);
+});
+
+test('OSRM uses the per-profile public instance and finds each step on the line', async () => {
+  const { RoutingModule, requests } = createRouting(() => ({
+    code: 'Ok',
+    routes: [{
+      distance: 8000,
+      duration: 1200,
+      geometry: { coordinates: [[126.97, 37.55], [127, 37.52], [127.02, 37.51], [127.03, 37.5]] },
+      legs: [{
+        distance: 8000,
+        duration: 1200,
+        steps: [
+          { name: '세종대로', distance: 4000, duration: 600, maneuver: { type: 'depart', location: [126.97, 37.55] } },
+          { name: '', distance: 4000, duration: 600, maneuver: { type: 'turn', modifier: 'left', location: [127.02, 37.51] } },
+          { name: '', distance: 0, duration: 0, maneuver: { type: 'arrive', location: [127.03, 37.5] } }
+        ]
+      }]
+    }]
+  }));
+  RoutingModule.setProvider('osrm');
+
+  const result = await RoutingModule.route(STOPS, 'cycling-regular');
+
+  assert.match(requests[0].url, /^https:\/\/routing\.openstreetmap\.de\/routed-bike\/route\/v1\/bike\/126\.97,37\.55;127\.03,37\.5\?/);
+  assert.deepEqual(plain(result.steps.map(step => [step.instruction, step.wayPoints])), [
+    ['출발 · 세종대로', [0, 2]],
+    ['좌회전', [2, 3]],
+    ['도착', [3, 3]]
+  ]);
+});
+
+test('GraphHopper instructions are split into legs at each via point', async () => {
+  const { RoutingModule } = createRouting(() => ({
+    paths: [{
+      distance: 9000,
+      time: 1000000,
+      points: { coordinates: [[126.97, 37.55], [127, 37.52], [127.03, 37.5]] },
+      instructions: [
+        { text: '출발', distance: 3000, time: 300000, sign: 0, interval: [0, 1] },
+        { text: '경유지 도착', distance: 0, time: 0, sign: 5, interval: [1, 1] },
+        { text: '직진', distance: 6000, time: 700000, sign: 0, interval: [1, 2] },
+        { text: '도착', distance: 0, time: 0, sign: 4, interval: [2, 2] }
+      ]
+    }]
+  }));
+  RoutingModule.configure({ provider: 'graphhopper', providers: { graphhopper: { apiKey: 'key' } } });
+
+  const result = await RoutingModule.route([...STOPS, [127.1, 37.4]]);
+
+  assert.equal(result.duration, 1000);
+  assert.deepEqual(plain(result.legs), [{ distance: 3000, duration: 300 }, { distance: 6000, duration: 700 }]);
+});
+
+test('driving routes report the tolled stretches, merged where they touch', async () => {
+  const feature = ORS_RESPONSE.features[0];
+  const { RoutingModule, requests } = createRouting(() => ({
+    features: [{
+      ...feature,
+      properties: { ...feature.properties, extras: { tollways: { values: [[0, 1, 1], [1, 2, 1], [2, 2, 0]] } } }
+    }]
+  }));
+  RoutingModule.configure({ providers: { ors: { apiKey: 'key' } } });
+
+  const driving = await RoutingModule.route(STOPS, 'driving-car');
+  const walking = await RoutingModule.route(STOPS, 'foot-walking');
+
+  assert.deepEqual(plain(JSON.parse(requests[0].options.body).extra_info), ['tollways']);
+  assert.deepEqual(plain(driving.tollways), [[0, 2]]);
+  assert.equal(walking.tollways, undefined);
+});
+
+test('OSRM marks steps on roads of the toll class', async () => {
+  const step = (location, classes) => ({
+    name: '',
+    distance: 1000,
+    duration: 60,
+    maneuver: { type: 'continue', location },
+    intersections: [{ classes }]
+  });
+  const { RoutingModule } = createRouting(() => ({
+    code: 'Ok',
+    routes: [{
+      distance: 3000,
+      duration: 180,
+      geometry: { coordinates: [[126.97, 37.55], [127, 37.52], [127.02, 37.51], [127.03, 37.5]] },
+      legs: [{
+        distance: 3000,
+        duration: 180,
+        steps: [step([126.97, 37.55], ['motorway', 'toll']), step([127, 37.52], []), step([127.02, 37.51], ['toll'])]
+      }]
+    }]
+  }));
+  RoutingModule.setProvider('osrm');
+
+  const result = await RoutingModule.route(STOPS, 'driving-car');
+
+  assert.deepEqual(plain(result.tollways), [[0, 1], [2, 3]]);
+});
+
+test('failed and unconfigured providers fall through to the next one', async () => {
+  const { RoutingModule, requests } = createRouting(url => (url.includes('openstreetmap.de') ? { status: 503 } : ORS_RESPONSE));
+  // The public ORS server without a key is skipped; a self-hosted one needs none
+  RoutingModule.configure({
+    provider: 'osrm',
+    order: ['graphhopper', 'ors'],
+    providers: { ors: { baseUrl: 'http://localhost:8080/ors/' } }
+  });
+
+  const result = await RoutingModule.route(STOPS);
+
+  assert.equal(result.provider, 'ors');
+  assert.deepEqual(plain(requests.map(request => new URL(request.url).host)), ['routing.openstreetmap.de', 'localhost:8080']);
+  assert.equal(requests[1].url, 'http://localhost:8080/ors/v2/directions/driving-car/geojson');
+});
+
+test('the error lists why every provider failed', async () => {
+  const { RoutingModule } = createRouting(() => ({ code: 'NoRoute', message: 'Impossible route' }));
+
+  await assert.rejects(
+    RoutingModule.route(STOPS),
+    { message: 'All routing providers failed (ors: not configured; osrm: Impossible route; graphhopper: not configured)' }
+  );
+  assert.throws(() => RoutingModule.setProvider('here'), /Unknown routing provider: here/);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules, plain } = require('./helpers');
+
+const { SplitModule } = loadModules(['utils', 'recommend', 'cost', 'split']);
+
+function person(name, balance) {
+  return { participant: { name }, balance };
+}
+
+test('splitEvenly hands the leftover won to the first people', () => {
+  assert.deepEqual(plain(SplitModule.splitEvenly(10000, 3)), [3334, 3333, 3333]);
+  assert.deepEqual(plain(SplitModule.splitEvenly(9, 3)), [3, 3, 3]);
+  assert.deepEqual(plain(SplitModule.splitEvenly(5, 0)), []);
+});
+
+test('splitEvenly shares always add up to the amount', () => {
+  [[1, 4], [99999, 7], [123457, 8], [0, 5]].forEach(([amount, count]) => {
+    const shares = SplitModule.splitEvenly(amount, count);
+    assert.equal(shares.length, count);
+    assert.equal(shares.reduce((sum, share) => sum + share, 0), amount);
+    assert.ok(Math.max(...shares) - Math.min(...shares) <= 1);
+  });
+});
+
+test('settle pays the largest debt to the largest credit first', () => {
+  const settlements = SplitModule.settle([
+    person('민수', 50000),
+    person('지영', -30000),
+    person('현우', -20000),
+    person('수아', 0)
+  ]);
+
+  assert.deepEqual(plain(settlements), [
+    { from: '지영', to: '민수', amount: 30000 },
+    { from: '현우', to: '민수', amount: 20000 }
+  ]);
+});
+
+test('settle clears every balance', () => {
+  const people = [
+    person('A', 70000),
+    person('B', -45000),
+    person('C', 25000),
+    person('D', -38000),
+    person('E', -12000)
+  ];
+  const balances = Object.fromEntries(people.map(p => [p.participant.name, p.balance]));
+
+  SplitModule.settle(people).forEach(({ from, to, amount }) => {
+    assert.ok(amount > 0);
+    balances[from] += amount;
+    balances[to] -= amount;
+  });
+
+  assert.deepEqual(Object.values(balances), [0, 0, 0, 0, 0]);
+});
+
+test('splitCosts shares fuel between riders and rooms by occupancy', () => {
+  const group = SplitModule.createGroup();
+  group.participants = ['민수', '지영', '현우'].map(name => SplitModule.createParticipant(name));
+  group.participants[2].inCar = false;
+  const costs = { transport: 100001, accommodation: 80000, food: 50000, activities: 0, currency: 'KRW' };
+
+  const result = SplitModule.splitCosts(costs, group, { route: { profile: 'driving-car' } });
+
+  assert.deepEqual(plain(result.people.map(p => p.shares.transport)), [50001, 50000, 0]);
+  assert.equal(result.rooms, 2);
+  assert.equal(result.totals.accommodation, 160000);
+  assert.equal(result.people.reduce((sum, p) => sum + p.balance, 0), 0);
+  // The first participant paid for the car and the rooms
+  assert.deepEqual(plain(result.settlements.map(s => s.to)), [group.participants[0].name, group.participants[0].name]);
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const { loadModules, plain } = require('./helpers');
+
+const BROWSER = { TextDecoder, Blob, DecompressionStream, Response };
+
+// Stops along one street, about 2.6 km apart; S2 is a short walk from B
+const FEED = {
+  'agency.txt': 'agency_id,agency_name,agency_url,agency_timezone\nA1,서울버스,https://example.com,Asia/Seoul\n',
+  'stops.txt': '﻿stop_id,stop_name,stop_lat,stop_lon,location_type\r\n' +
+    'STN,서울역 (역사),37.5,127,1\r\n' +
+    'A,"서울역, 1번 출구",37.5,127,0\r\n' +
+    'B,"시청 ""앞""",37.5,127.03,\r\n' +
+    'S2,시청역,37.501,127.03,\r\n' +
+    'C,강남,37.5,127.06,\r\n',
+  'routes.txt': 'route_id,route_short_name,route_long_name,route_type,route_color\n' +
+    'R1,101,,3,00AA00\nR2,2호선,,1,zzz\n',
+  'trips.txt': 'route_id,service_id,trip_id\nR1,WEEKDAY,T1\nR1,WEEKDAY,T2\nR2,WEEKDAY,T3\n',
+  'stop_times.txt': 'trip_id,arrival_time,departure_time,stop_id,stop_sequence\n' +
+    'T1,09:30:00,09:30:00,C,3\nT1,09:20:00,09:20:00,B,2\nT1,09:10:00,09:10:00,A,1\n' +
+    'T2,,,B,2\nT2,08:00:00,08:00:00,A,1\n' +
+    'T3,09:25:00,09:25:00,S2,1\nT3,09:28:00,09:28:00,C,2\n',
+  'calendar.txt': 'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date\n' +
+    'WEEKDAY,1,1,1,1,1,0,0,20260101,20261231\n',
+  'calendar_dates.txt': 'service_id,date,exception_type\nWEEKDAY,20261103,2\n',
+  'fare_attributes.txt': 'fare_id,price,currency_type\nBUS,1500,KRW\nMETRO,1400,KRW\n',
+  'fare_rules.txt': 'fare_id,route_id\nBUS,R1\nMETRO,R2\n'
+};
+
+const ORIGIN = [126.995, 37.5];
+const DESTINATION = [127.065, 37.5];
+
+// Monday 9:00 in Seoul
+const DEPARTURE = new Date('2026-11-02T09:00:00+09:00');
+
+function createTransit() {
+  return loadModules(['utils', 'transport', 'locale', 'transit'], BROWSER).TransitModule;
+}
+
+function asFiles(texts) {
+  return Object.entries(texts).map(([name, text]) => ({ name, text: async () => text }));
+}
+
+/**
+ * Build a ZIP archive (readZip does not check CRCs, so they are left at zero)
+ * @param {Object} texts - { path: text }
+ * @returns {ArrayBuffer}
+ */
+function createZip(texts) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(texts).forEach(([name, text], index) => {
+    const raw = Buffer.from(text);
+    const method = index % 2 === 0 ? 8 : 0;
+    const data = method === 8 ? zlib.deflateRawSync(raw) : raw;
+    const fileName = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, data);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  const zip = Buffer.concat([...locals, directory, end]);
+  return zip.buffer.slice(zip.byteOffset, zip.byteOffset + zip.length);
+}
+
+test('a zipped feed is read from inside its folder, skipping files that are not used', async () => {
+  const TransitModule = createTransit();
+  const texts = Object.fromEntries(Object.entries(FEED).map(([name, text]) => [`gtfs/${name}`, text]));
+  texts['gtfs/shapes.txt'] = 'shape_id\n';
+  const buffer = createZip(texts);
+
+  const info = await TransitModule.loadGTFS([{ name: 'seoul.zip', arrayBuffer: async () => buffer }]);
+
+  // The station row has no departures and is left out
+  assert.deepEqual(plain(info), { name: 'seoul.zip', stops: 4, routes: 2, trips: 3, timeZone: 'Asia/Seoul' });
+  assert.equal(TransitModule.isAvailable(), true);
+});
+
+test('feeds without the required files are refused', async () => {
+  const TransitModule = createTransit();
+  const { 'trips.txt': trips, 'calendar.txt': calendar, 'calendar_dates.txt': dates, ...rest } = FEED;
+
+  await assert.rejects(TransitModule.loadGTFS(asFiles(rest)), { message: 'Missing GTFS files: trips.txt, calendar.txt' });
+  await assert.rejects(TransitModule.loadGTFS([{ name: 'feed.zip', arrayBuffer: async () => new ArrayBuffer(40) }]), /Not a ZIP file/);
+  assert.equal(TransitModule.isAvailable(), false);
+});
+
+test('the earliest arrival walks to the stop, rides and walks on', async () => {
+  const TransitModule = createTransit();
+  await TransitModule.loadGTFS(asFiles({ ...FEED, 'stop_times.txt': FEED['stop_times.txt'].replace(/T3,.*\n/g, '') }));
+
+  const journey = await TransitModule.plan([ORIGIN, DESTINATION], DEPARTURE);
+  const ride = journey.segments[1];
+
+  assert.equal(journey.provider, 'gtfs');
+  assert.deepEqual(plain(journey.segments.map(segment => segment.mode)), ['WALK', 'BUS', 'WALK']);
+  // Quoted CSV fields keep their commas and quotes
+  assert.deepEqual([ride.line, ride.color, ride.from, ride.to, ride.stops], ['101', '#00AA00', '서울역, 1번 출구', '강남', 2]);
+  assert.equal(ride.departure.getTime(), new Date('2026-11-02T09:10:00+09:00').getTime());
+  assert.equal(journey.fare, 1500);
+  assert.equal(journey.transfers, 0);
+  assert.equal(journey.duration, (journey.segments[2].arrival - DEPARTURE) / 1000);
+});
+
+test('a faster change to a nearby stop is found and counted as a transfer', async () => {
+  const TransitModule = createTransit();
+  await TransitModule.loadGTFS(asFiles(FEED));
+
+  const journey = await TransitModule.plan([ORIGIN, DESTINATION], DEPARTURE);
+
+  assert.deepEqual(plain(journey.segments.map(segment => [segment.mode, segment.from, segment.to])), [
+    ['WALK', '출발지', '서울역, 1번 출구'],
+    ['BUS', '서울역, 1번 출구', '시청 "앞"'],
+    ['WALK', '시청 "앞"', '시청역'],
+    ['SUBWAY', '시청역', '강남'],
+    ['WALK', '강남', '도착지']
+  ]);
+  assert.equal(journey.segments[3].color, null);
+  assert.equal(journey.fare, 2900);
+  assert.equal(journey.transfers, 1);
+});
+
+test('services follow the calendar and its exceptions', async () => {
+  const TransitModule = createTransit();
+  await TransitModule.loadGTFS(asFiles(FEED));
+
+  // Tuesday is removed by calendar_dates, Saturday has no service
+  for (const date of ['2026-11-03T09:00:00+09:00', '2026-11-07T09:00:00+09:00']) {
+    await assert.rejects(TransitModule.plan([ORIGIN, DESTINATION], new Date(date)), /No transit connection found/);
+  }
+
+  TransitModule.clearGTFS();
+  await assert.rejects(TransitModule.plan([ORIGIN, DESTINATION], DEPARTURE), /No transit source configured/);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules, plain } = require('./helpers');
+
+const { TripFileModule } = loadModules(['utils', 'tripfile']);
+
+function createState(overrides = {}) {
+  return {
+    departure: { name: '서울역, 중구, 서울', lat: 37.5547, lng: 126.9707 },
+    destination: { name: '해운대, 부산', lat: 35.1587, lng: 129.1604 },
+    departureDate: '2026-11-01T09:00',
+    duration: 2,
+    routes: [{
+      name: '자동차',
+      profile: 'driving-car',
+      coordinates: [[126.9707, 37.5547], [129.1604, 35.1587]],
+      distance: '395.20',
+      duration: '4시간 30분'
+    }],
+    selectedRouteIndex: 0,
+    places: [{ id: 1, name: '해동용궁사', lat: 35.1884, lng: 129.2233, category: 'culture' }],
+    visitList: [1],
+    ...overrides
+  };
+}
+
+function parseError(text) {
+  try {
+    TripFileModule.parse(text);
+  } catch (error) {
+    return error;
+  }
+  assert.fail('parse accepted an invalid file');
+}
+
+test('serialize and parse round-trip a trip', () => {
+  const trip = { name: '부산 여행', tags: ['가족'], notes: '메모', state: createState() };
+  const parsed = TripFileModule.parse(TripFileModule.serialize(trip));
+
+  assert.deepEqual(plain(parsed), trip);
+});
+
+test('schema errors name the field and the problem', () => {
+  const state = createState({ duration: 0 });
+  state.departure.lat = 'north';
+  delete state.routes[0].coordinates;
+  const error = parseError(TripFileModule.serialize({ name: '잘못된 여행', state }));
+
+  assert.deepEqual(plain(error.details), [
+    'trip.state.departure.lat: 숫자이어야 합니다',
+    'trip.state.duration: 1 이상이어야 합니다 (0)',
+    'trip.state.routes[0].coordinates: 필수 항목이 없습니다'
+  ]);
+  assert.equal(error.message, `Invalid trip file: ${error.details[0]}`);
+});
+
+test('files that are not trips are rejected with a readable reason', () => {
+  assert.match(parseError('{ not json').details[0], /JSON 형식이 아닙니다/);
+  assert.match(parseError(JSON.stringify({ type: 'FeatureCollection', features: [] })).details[0], /여행 백업 파일이 아닙니다/);
+  assert.match(
+    parseError(JSON.stringify({ format: 'travel-planner-trip', version: TripFileModule.SCHEMA_VERSION + 1, trip: {} })).details[0],
+    /더 새로운 버전/
+  );
+});
+
+test('a saved trip record without a version migrates to v1', () => {
+  const record = { name: '옛 여행', tags: ['2025'], notes: '', state: createState() };
+  const parsed = TripFileModule.parse(JSON.stringify(record));
+
+  assert.deepEqual(plain(parsed), record);
+});
+
+test('an old history item migrates its date and gets a name from its places', () => {
+  const { departureDate, ...state } = createState();
+  delete state.routes;
+  delete state.selectedRouteIndex;
+  const parsed = TripFileModule.parse(JSON.stringify({ ...state, date: departureDate }));
+
+  assert.equal(parsed.name, '서울역 → 해운대');
+  assert.equal(parsed.state.departureDate, departureDate);
+  assert.equal(parsed.state.date, undefined);
+  assert.deepEqual(plain(parsed.state.routes), []);
+});
+
+test('references between fields are checked once the schema passes', () => {
+  const state = createState({ selectedRouteIndex: 3, visitList: [1, 99] });
+  const error = parseError(TripFileModule.serialize({ name: '참조 오류', state }));
+
+  assert.deepEqual(plain(error.details), [
+    'trip.state.selectedRouteIndex: 경로가 1개뿐입니다 (3)',
+    'trip.state.visitList[1]: places에 없는 장소입니다 (99)'
+  ]);
+});
+
+test('file names drop characters that are not allowed in paths', () => {
+  assert.equal(TripFileModule.getFileName({ name: '서울 → 부산: 가족/여행' }), '서울-부산_가족_여행.trip.json');
+  assert.equal(TripFileModule.getFileName({ name: '' }), 'trip.trip.json');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const { UtilModule } = loadModules(['utils']);
+
+/**
+ * Load a fresh UtilModule whose fetch is the given function
+ */
+function withFetch(fetch) {
+  return loadModules(['utils'], { fetch }).UtilModule;
+}
+
+test('escapeHtml escapes markup and both kinds of quotes', () => {
+  assert.equal(
+    UtilModule.escapeHtml(`<img src=x onerror="alert('1')"> & co`),
+    '&lt;img src=x onerror=&quot;alert(&#39;1&#39;)&quot;&gt; &amp; co'
+  );
+});
+
+test('escapeHtml turns missing values into empty text and numbers into text', () => {
+  assert.equal(UtilModule.escapeHtml(undefined), '');
+  assert.equal(UtilModule.escapeHtml(null), '');
+  assert.equal(UtilModule.escapeHtml(0), '0');
+});
+
+test('getShortName keeps the first part of a geocoded address', () => {
+  assert.equal(UtilModule.getShortName('서울역, 중구, 서울'), '서울역');
+  assert.equal(UtilModule.getShortName('  해운대 '), '해운대');
+  assert.equal(UtilModule.getShortName(undefined), '');
+});
+
+test('fetchJSON parses the body and turns HTTP errors into API errors', async () => {
+  const reply = status => withFetch(async () => ({ ok: status < 400, status, json: async () => ({ status }) }));
+
+  assert.equal((await reply(200).fetchJSON('https://example.com')).status, 200);
+  await assert.rejects(reply(503).fetchJSON('https://example.com'), { message: 'API error: 503' });
+});
+
+test('fetchJSON gives up after the timeout', async () => {
+  const util = withFetch((url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  }));
+
+  await assert.rejects(util.fetchJSON('https://example.com', {}, 20), { message: 'API timeout' });
+});
+
+test('fetchJSON reports a failed or blocked request as a network error in every browser', async () => {
+  for (const message of ['Failed to fetch', 'NetworkError when attempting to fetch resource.', 'Load failed']) {
+    const util = withFetch(async () => {
+      throw new TypeError(message);
+    });
+
+    await assert.rejects(util.fetchJSON('https://example.com'), { message: 'Network error or CORS blocked' }, message);
+  }
+});